@@ -5,7 +5,7 @@
 
 const DSLEngine = require('./lib/core/DSLEngine')
 const { createConfig, validateConfig } = require('./lib/core/DSLConfig')
-const { DSLError, ConfigurationError, AccessDeniedError, ValidationError } = require('./lib/core/DSLErrors')
+const { DSLError, ConfigurationError, SchemaDriftError, AccessDeniedError, WriteDeniedError, FieldReferenceError, RowPolicyError, TableAccessError, ValidationError } = require('./lib/core/DSLErrors')
 
 // Framework adapters
 const NextJSAdapter = require('./lib/adapters/NextJSAdapter')
@@ -17,15 +17,25 @@ const PostgreSQLAdapter = require('./lib/database/adapters/PostgreSQLAdapter')
 const MySQLAdapter = require('./lib/database/adapters/MySQLAdapter')
 const SQLiteAdapter = require('./lib/database/adapters/SQLiteAdapter')
 const QueryBuilder = require('./lib/database/QueryBuilder')
+const { parseSql } = require('./lib/database/SqlParser')
+const { classifyColumn, introspectSchema, generateConfig, scaffoldConfig } = require('./lib/database/SchemaScaffolder')
+const { detectSchemaDrift } = require('./lib/database/SchemaDrift')
+const { generatePostgresPolicies } = require('./lib/database/PostgresPolicyGenerator')
+const { generateRoleViews, diffRoleViews, getRoleViewName } = require('./lib/database/RoleViewGenerator')
 
 // Database managers
 const PostgreSQLManager = require('./lib/database/managers/PostgreSQLManager')
 const MySQLManager = require('./lib/database/managers/MySQLManager')
 const SQLiteManager = require('./lib/database/managers/SQLiteManager')
 
+// Auditing
+const AuditLogger = require('./lib/audit/AuditLogger')
+const { MemoryAuditSink, FileAuditSink, DatabaseAuditSink } = require('./lib/audit/AuditSinks')
+
 // Utilities
 const { matchField, extractFields } = require('./lib/utils/FieldMatcher')
-const { compareRoles, hasPermission } = require('./lib/utils/RoleUtils')
+const { compareRoles, hasPermission, resolveRoles } = require('./lib/utils/RoleUtils')
+const { applyMask, strategies: maskStrategies } = require('./lib/utils/FieldMasker')
 
 // Services (Recommended Pattern)
 const DSLServiceProvider = require('./lib/services/DSLServiceProvider')
@@ -42,7 +52,12 @@ module.exports = {
   // Error classes
   DSLError,
   ConfigurationError,
+  SchemaDriftError,
   AccessDeniedError,
+  WriteDeniedError,
+  FieldReferenceError,
+  RowPolicyError,
+  TableAccessError,
   ValidationError,
   
   // Framework adapters
@@ -56,17 +71,38 @@ module.exports = {
   SQLiteAdapter,
   QueryBuilder,
   
+  // Schema tooling
+  scaffoldConfig,
+  introspectSchema,
+  generateConfig,
+  detectSchemaDrift,
+  generatePostgresPolicies,
+  generateRoleViews,
+  diffRoleViews,
+  getRoleViewName,
+  
   // Database managers
   PostgreSQLManager,
   MySQLManager,
   SQLiteManager,
   
+  // Auditing
+  AuditLogger,
+  MemoryAuditSink,
+  FileAuditSink,
+  DatabaseAuditSink,
+  
   // Utilities
   utils: {
     matchField,
     extractFields,
     compareRoles,
-    hasPermission
+    hasPermission,
+    resolveRoles,
+    parseSql,
+    classifyColumn,
+    applyMask,
+    maskStrategies
   },
   
   // Services (Recommended Pattern)
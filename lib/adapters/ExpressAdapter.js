@@ -3,7 +3,8 @@
  * Provides middleware and helpers for Express applications
  */
 
-const { DSLError, FrameworkError, validateRequired, validateTypes } = require('../core/DSLErrors')
+const { DSLError, WriteDeniedError, FrameworkError, validateRequired, validateTypes } = require('../core/DSLErrors')
+const { resolveRoles, getHighestRole } = require('../utils/RoleUtils')
 const debug = require('debug')('dsandsl:express')
 
 /**
@@ -24,7 +25,7 @@ class ExpressAdapter {
       validateTypes({ dsl }, { dsl: 'object' })
       
       const config = {
-        roleExtractor: options.roleExtractor || ((req) => req.user?.role || 'guest'),
+        roleExtractor: options.roleExtractor || this.defaultRoleExtractor,
         attachTo: options.attachTo || 'dsl',
         autoFilter: options.autoFilter !== false,
         errorHandler: options.errorHandler || this.defaultErrorHandler,
@@ -46,10 +47,14 @@ class ExpressAdapter {
             return next()
           }
           
-          // Extract user role
-          const userRole = typeof config.roleExtractor === 'function' 
+          // Extract user role, role list or principal object
+          const principal = typeof config.roleExtractor === 'function' 
             ? config.roleExtractor(req, res)
             : config.roleExtractor
+          const userRoles = resolveRoles(principal)
+          const userRole = typeof principal === 'string'
+            ? principal
+            : getHighestRole(userRoles, dsl.config.roles) || 'guest'
           
           // Extract additional context
           const context = config.contextExtractor(req, res)
@@ -58,33 +63,40 @@ class ExpressAdapter {
           const dslHelper = {
             // Core filtering function
             filter: (data, options = {}) => {
-              return dsl.filter(data, userRole, { ...context, ...options })
+              return dsl.filter(data, principal, { context, ...options })
             },
             
             // Check field access
-            checkAccess: (fieldName, customRole = null) => {
-              return dsl.checkAccess(fieldName, customRole || userRole, context)
+            checkAccess: (fieldName, customRole = null, value = null, record = null) => {
+              return dsl.checkAccess(fieldName, customRole || principal, context, value, record)
             },
             
             // Get allowed fields
             getAllowedFields: (category = null, customRole = null) => {
-              return dsl.getAllowedFields(customRole || userRole, category)
+              return dsl.getAllowedFields(customRole || principal, category)
             },
             
-            // Role information
+            // Check an inbound write (defaults to the request body)
+            validateWrite: (data = req.body, options = {}) => {
+              return dsl.validateWrite(data, principal, { context, ...options })
+            },
+            
+            // Role information (userRole is the highest of several roles)
             userRole,
+            userRoles,
+            principal,
             context,
             
             // Response helpers
             json: (data, options = {}) => {
-              const filtered = dsl.filter(data, userRole, { ...context, ...options })
+              const filtered = dsl.filter(data, principal, { context, ...options })
               return res.json(filtered)
             },
             
             jsonWithMetadata: (data, options = {}) => {
-              const result = dsl.filter(data, userRole, { 
+              const result = dsl.filter(data, principal, { 
                 includeMetadata: true, 
-                ...context, 
+                context, 
                 ...options 
               })
               return res.json(result)
@@ -109,7 +121,7 @@ class ExpressAdapter {
           debug('DSL attached to request:', {
             path: req.path,
             method: req.method,
-            userRole,
+            userRoles,
             attachedTo: config.attachTo
           })
           
@@ -130,6 +142,56 @@ class ExpressAdapter {
     }
   }
   
+  /**
+   * Create middleware that checks request bodies against write rules
+   * Refused fields follow the write policy: reject responds through the error
+   * handler (403 with the refused fields), strip and log replace req.body with
+   * the accepted fields. The report is attached as req.writeReport
+   * @param {DSLEngine} dsl - DSL engine instance
+   * @param {Object} options - Validation options
+   * @param {string} options.table - Table whose field rules and writePolicy apply
+   * @param {string} options.mode - reject, strip or log (overrides the configured writePolicy)
+   * @param {string} options.operation - INSERT or UPDATE (default: UPDATE for PUT/PATCH, else INSERT)
+   * @returns {Function} Express middleware function
+   */
+  static validateBody(dsl, options = {}) {
+    validateRequired({ dsl }, ['dsl'])
+    
+    const config = {
+      roleExtractor: options.roleExtractor || this.defaultRoleExtractor,
+      contextExtractor: options.contextExtractor || (() => ({})),
+      errorHandler: options.errorHandler || this.defaultErrorHandler,
+      ...options
+    }
+    
+    return function dslBodyValidationMiddleware(req, res, next) {
+      try {
+        if (!req.body || typeof req.body !== 'object') {
+          return next()
+        }
+        
+        const operation = config.operation ||
+          (['PUT', 'PATCH'].includes(req.method) ? 'UPDATE' : 'INSERT')
+        
+        const report = dsl.validateWrite(req.body, config.roleExtractor(req, res), {
+          table: config.table,
+          operation,
+          mode: config.mode,
+          context: config.contextExtractor(req, res),
+          logger: config.logger
+        })
+        
+        req.writeReport = report
+        req.body = report.data
+        
+        next()
+        
+      } catch (error) {
+        config.errorHandler(error, req, res, next)
+      }
+    }
+  }
+  
   /**
    * Create a route handler with automatic DSL filtering
    * @param {DSLEngine} dsl - DSL engine instance
@@ -143,7 +205,7 @@ class ExpressAdapter {
       validateTypes({ handler }, { handler: 'function' })
       
       const config = {
-        roleExtractor: options.roleExtractor || ((req) => req.user?.role || 'guest'),
+        roleExtractor: options.roleExtractor || this.defaultRoleExtractor,
         errorHandler: options.errorHandler || this.defaultErrorHandler,
         autoFilter: options.autoFilter !== false,
         ...options
@@ -239,6 +301,7 @@ class ExpressAdapter {
         return res.status(status).json({
           error: error.code || 'DSL_ERROR',
           message: error.message,
+          ...(error instanceof WriteDeniedError && { refused: ExpressAdapter.describeRefused(error.refused) }),
           ...(config.includeStack && { stack: error.stack }),
           timestamp: new Date().toISOString()
         })
@@ -264,7 +327,8 @@ class ExpressAdapter {
       return res.status(status).json({
         error: 'DSL_ERROR',
         message: error.message,
-        code: error.code
+        code: error.code,
+        ...(error instanceof WriteDeniedError && { refused: ExpressAdapter.describeRefused(error.refused) })
       })
     }
     
@@ -272,6 +336,24 @@ class ExpressAdapter {
     next(error)
   }
   
+  /**
+   * Reduce refused write fields to what a client may see
+   * @param {Array<Object>} refused - Refused fields from a write report
+   * @returns {Array<Object>} Field names and reasons
+   */
+  static describeRefused(refused = []) {
+    return refused.map(entry => ({ field: entry.field, reason: entry.reason }))
+  }
+  
+  /**
+   * Default role extractor: the user's roles, else their role, else 'guest'
+   * @param {Object} req - Express request
+   * @returns {string|Array<string>} Role or roles
+   */
+  static defaultRoleExtractor(req) {
+    return req.user?.roles || req.user?.role || 'guest'
+  }
+  
   /**
    * Create role-based route protection middleware
    * @param {Array<string>} allowedRoles - Array of allowed roles
@@ -280,20 +362,21 @@ class ExpressAdapter {
    */
   static requireRoles(allowedRoles, options = {}) {
     const config = {
-      roleExtractor: options.roleExtractor || ((req) => req.user?.role || 'guest'),
+      roleExtractor: options.roleExtractor || this.defaultRoleExtractor,
       errorHandler: options.errorHandler || this.defaultErrorHandler,
       ...options
     }
     
     return function roleProtectionMiddleware(req, res, next) {
       try {
-        const userRole = config.roleExtractor(req, res)
+        const userRoles = resolveRoles(config.roleExtractor(req, res))
         
-        if (!allowedRoles.includes(userRole)) {
+        // Any one of the user's roles is enough
+        if (!userRoles.some(role => allowedRoles.includes(role))) {
           const error = new DSLError(
-            `Access denied. Required roles: ${allowedRoles.join(', ')}. User role: ${userRole}`,
+            `Access denied. Required roles: ${allowedRoles.join(', ')}. User roles: ${userRoles.join(', ') || 'none'}`,
             'ACCESS_DENIED',
-            { requiredRoles: allowedRoles, userRole }
+            { requiredRoles: allowedRoles, userRoles }
           )
           return config.errorHandler(error, req, res, next)
         }
@@ -0,0 +1,439 @@
+/**
+ * @fileoverview Audit Logger
+ * Records who accessed or changed which fields
+ *
+ * Three event types feed the logger: filter (fields DSLEngine.filter denied
+ * or masked), write (columns an adapter insert, update or delete changed, with
+ * before and after values) and denied (AccessDeniedError raised by an adapter).
+ * Entries are sampled per type, numbered, optionally linked into a SHA-256
+ * hash chain and handed to the sinks in order
+ */
+
+const crypto = require('crypto')
+const debug = require('debug')('dsandsl:audit')
+const { ConfigurationError } = require('../core/DSLErrors')
+const { matchField } = require('../utils/FieldMatcher')
+const { resolveRoles } = require('../utils/RoleUtils')
+
+const EVENT_TYPES = ['filter', 'write', 'denied']
+const REDACTED = '[REDACTED]'
+
+/**
+ * Audit logger writing entries to pluggable sinks
+ */
+class AuditLogger {
+  /**
+   * @param {Object} options - Logger options
+   * @param {Array<Object>} options.sinks - Sinks with write(entry) (MemoryAuditSink, FileAuditSink, DatabaseAuditSink)
+   * @param {number} options.sampleRate - Share of events recorded, 0 to 1 (default 1)
+   * @param {Object} options.sample - Rates per event type ({ filter: 0.1 }), overriding sampleRate
+   * @param {boolean} options.hashChain - Link entries with SHA-256 hashes (default false)
+   * @param {boolean} options.includeValues - Record before and after values of writes (default true)
+   * @param {Array<string>} options.redact - Field patterns whose values are recorded as [REDACTED]
+   * @param {boolean} options.redactDenied - Record columns the actor may not read as [REDACTED] (default true)
+   * @param {Function} options.onError - Called with (error, entry) when a sink fails
+   * @param {Function} options.random - Source of sampling numbers (default Math.random)
+   * @throws {ConfigurationError} If sinks or sample rates are invalid
+   */
+  constructor(options = {}) {
+    this.options = {
+      sinks: options.sinks || [],
+      sampleRate: options.sampleRate !== undefined ? options.sampleRate : 1,
+      sample: options.sample || {},
+      hashChain: options.hashChain === true,
+      includeValues: options.includeValues !== false,
+      redact: options.redact || [],
+      redactDenied: options.redactDenied !== false,
+      onError: options.onError || null,
+      random: options.random || Math.random
+    }
+    
+    this.validateOptions()
+    
+    this.sinks = this.options.sinks
+    this.seq = 0
+    this.lastHash = null
+    this.pending = Promise.resolve()
+    this.recordedErrors = new WeakSet()
+    this.stats = { recorded: 0, sampledOut: 0, sinkErrors: 0 }
+  }
+  
+  /**
+   * Validate sinks and sample rates
+   * @throws {ConfigurationError} If an option is invalid
+   */
+  validateOptions() {
+    this.options.sinks.forEach((sink, index) => {
+      if (!sink || typeof sink.write !== 'function') {
+        throw new ConfigurationError(`Audit sink ${index} must have a write(entry) method`)
+      }
+    })
+    
+    const rates = { sampleRate: this.options.sampleRate }
+    Object.entries(this.options.sample).forEach(([type, rate]) => {
+      if (!EVENT_TYPES.includes(type)) {
+        throw new ConfigurationError(`Unknown audit event type '${type}', expected one of ${EVENT_TYPES.join(', ')}`)
+      }
+      rates[`sample.${type}`] = rate
+    })
+    
+    Object.entries(rates).forEach(([name, rate]) => {
+      if (typeof rate !== 'number' || rate < 0 || rate > 1) {
+        throw new ConfigurationError(`Audit ${name} must be a number between 0 and 1`)
+      }
+    })
+  }
+  
+  /**
+   * Continue the sequence and hash chain of the entries already stored
+   * Reads the last entry of the first sink that provides getLastEntry()
+   * @returns {Promise<AuditLogger>} The logger
+   */
+  async initialize() {
+    for (const sink of this.sinks) {
+      if (typeof sink.initialize === 'function') {
+        await sink.initialize()
+      }
+    }
+    
+    const source = this.sinks.find(sink => typeof sink.getLastEntry === 'function')
+    const last = source ? await source.getLastEntry() : null
+    
+    if (last) {
+      this.seq = last.seq || 0
+      this.lastHash = last.hash || null
+    }
+    
+    return this
+  }
+  
+  /**
+   * Record an event
+   * The entry is built and chained synchronously; sinks are written in order
+   * in the background (await flush() to wait for them)
+   * @param {Object} event - Event ({ type, table, operation, ... })
+   * @param {Object} actor - Who acted ({ userRole: role, roles or principal, context })
+   * @returns {Object|null} Recorded entry, or null if sampled out
+   * @throws {ConfigurationError} If the event type is unknown
+   */
+  record(event, actor = {}) {
+    if (!EVENT_TYPES.includes(event.type)) {
+      throw new ConfigurationError(`Unknown audit event type '${event.type}'`)
+    }
+    
+    if (!this.isSampled(event.type)) {
+      this.stats.sampledOut++
+      return null
+    }
+    
+    const context = actor.context || {}
+    const roles = resolveRoles(actor.userRole)
+    const principalId = actor.userRole && typeof actor.userRole === 'object' ? actor.userRole.id : undefined
+    const userId = context.user?.id !== undefined ? context.user.id : principalId
+    
+    const entry = {
+      seq: ++this.seq,
+      timestamp: new Date().toISOString(),
+      userRole: roles.length === 1 ? roles[0] : roles.length > 0 ? roles : null,
+      userId: userId !== undefined ? userId : null,
+      tenantId: context.tenantId !== undefined ? context.tenantId : null,
+      requestId: context.requestId !== undefined ? context.requestId : null,
+      ...event
+    }
+    
+    if (this.options.hashChain) {
+      entry.prevHash = this.lastHash
+      entry.hash = AuditLogger.hashEntry(entry)
+      this.lastHash = entry.hash
+    }
+    
+    this.stats.recorded++
+    this.pending = this.pending.then(() => this.writeToSinks(entry))
+    
+    return entry
+  }
+  
+  /**
+   * Record the fields a filter call denied or masked
+   * Calls that removed and masked nothing are not recorded
+   * @param {Object} details - { table, records, denied: [{ field, count }], masked: [{ field, strategy, count }] }
+   * @param {Object} actor - { userRole, context }
+   * @returns {Object|null} Recorded entry
+   */
+  recordFilter(details, actor) {
+    if (details.denied.length === 0 && details.masked.length === 0) {
+      return null
+    }
+    
+    return this.record({
+      type: 'filter',
+      table: details.table || null,
+      records: details.records,
+      denied: details.denied,
+      masked: details.masked
+    }, actor)
+  }
+  
+  /**
+   * Record the changes of a write
+   * @param {Object} details - Write details
+   * @param {string} details.operation - INSERT, UPDATE or DELETE
+   * @param {string} details.table - Table name
+   * @param {Object} details.data - Columns written (INSERT, UPDATE)
+   * @param {Array<Object>|null} details.before - Rows before the write (UPDATE, DELETE)
+   * @param {number} details.affectedRows - Rows changed
+   * @param {Array<string>} details.keyColumns - Columns identifying a row (default ['id'])
+   * @param {Array<string>} details.deniedColumns - Columns the actor may not read (redacted with redactDenied)
+   * @param {Object} actor - { userRole, context }
+   * @returns {Object|null} Recorded entry
+   */
+  recordWrite(details, actor) {
+    const keyColumns = details.keyColumns || ['id']
+    const data = details.data || {}
+    const hidden = this.options.redactDenied ? details.deniedColumns || [] : []
+    let rows
+    
+    if (details.operation === 'INSERT') {
+      rows = [{ key: pickKey(data, keyColumns), changes: this.diff(details.table, null, data, false, hidden) }]
+    } else if (details.operation === 'UPDATE' && details.before) {
+      rows = details.before
+        .map(row => ({ key: pickKey(row, keyColumns), changes: this.diff(details.table, row, data, false, hidden) }))
+        .filter(row => row.changes.length > 0)
+    } else if (details.operation === 'DELETE' && details.before) {
+      rows = details.before.map(row => ({ key: pickKey(row, keyColumns), changes: this.diff(details.table, row, {}, true, hidden) }))
+    } else {
+      // Rows were not read before the write, so only the written columns are known
+      rows = [{ key: null, changes: this.diff(details.table, null, data, false, hidden) }]
+    }
+    
+    return this.record({
+      type: 'write',
+      operation: details.operation,
+      table: details.table,
+      affectedRows: details.affectedRows !== undefined ? details.affectedRows : null,
+      rows
+    }, actor)
+  }
+  
+  /**
+   * Record an access denial
+   * An error passing through several layers is recorded once
+   * @param {AccessDeniedError} error - Denial
+   * @param {Object} details - { table, operation }
+   * @param {Object} actor - { userRole, context }
+   * @returns {Object|null} Recorded entry
+   */
+  recordDenied(error, details, actor) {
+    if (this.recordedErrors.has(error)) {
+      return null
+    }
+    this.recordedErrors.add(error)
+    
+    return this.record({
+      type: 'denied',
+      table: details.table || null,
+      operation: details.operation || null,
+      error: error.name,
+      code: error.code,
+      resource: error.resource !== undefined ? error.resource : null,
+      field: error.field !== undefined ? error.field : null,
+      clause: error.clause !== undefined ? error.clause : null,
+      refused: error.refused ? error.refused.map(entry => entry.field || entry) : null,
+      message: error.message
+    }, { userRole: error.userRole !== undefined ? error.userRole : actor.userRole, context: actor.context })
+  }
+  
+  /**
+   * List the columns a write changes
+   * @param {string} table - Table name
+   * @param {Object|null} before - Row before the write (null if unknown)
+   * @param {Object} after - Columns written
+   * @param {boolean} removed - The row is deleted (every column changes to nothing)
+   * @param {Array<string>} hidden - Columns whose values are redacted
+   * @returns {Array<Object>} Changes ({ column, before, after })
+   */
+  diff(table, before, after, removed = false, hidden = []) {
+    const columns = removed ? Object.keys(before) : Object.keys(after)
+    
+    return columns
+      .filter(column => removed || !before || !sameValue(before[column], after[column]))
+      .map(column => {
+        const change = { column }
+        if (this.options.includeValues) {
+          if (before) {
+            change.before = this.redactValue(table, column, before[column], hidden)
+          }
+          if (!removed) {
+            change.after = this.redactValue(table, column, after[column], hidden)
+          }
+        }
+        return change
+      })
+  }
+  
+  /**
+   * Replace the value of a redacted column
+   * @param {string} table - Table name
+   * @param {string} column - Column name
+   * @param {*} value - Value
+   * @param {Array<string>} hidden - Columns redacted regardless of the patterns
+   * @returns {*} Value or [REDACTED]
+   */
+  redactValue(table, column, value, hidden = []) {
+    if (value === undefined) {
+      return null
+    }
+    
+    const redacted = hidden.includes(column) || this.options.redact.some(pattern =>
+      matchField(column, pattern) || matchField(`${table}.${column}`, pattern)
+    )
+    
+    return redacted ? REDACTED : value
+  }
+  
+  /**
+   * Decide whether an event of a type is recorded
+   * @param {string} type - Event type
+   * @returns {boolean} True if recorded
+   */
+  isSampled(type) {
+    const rate = this.options.sample[type] !== undefined ? this.options.sample[type] : this.options.sampleRate
+    return rate >= 1 || (rate > 0 && this.options.random() < rate)
+  }
+  
+  /**
+   * Write an entry to every sink
+   * A failing sink does not stop the others or the request that caused the entry
+   * @param {Object} entry - Audit entry
+   */
+  async writeToSinks(entry) {
+    for (const sink of this.sinks) {
+      try {
+        await sink.write(entry)
+      } catch (error) {
+        this.stats.sinkErrors++
+        debug('Audit sink failed:', error.message)
+        if (this.options.onError) {
+          this.options.onError(error, entry)
+        }
+      }
+    }
+  }
+  
+  /**
+   * Wait until every recorded entry has been written
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    await this.pending
+  }
+  
+  /**
+   * Flush and close the sinks
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await this.flush()
+    
+    for (const sink of this.sinks) {
+      if (typeof sink.close === 'function') {
+        await sink.close()
+      }
+    }
+  }
+  
+  /**
+   * Get logger statistics
+   * @returns {Object} { recorded, sampledOut, sinkErrors, seq }
+   */
+  getStats() {
+    return { ...this.stats, seq: this.seq }
+  }
+  
+  /**
+   * Hash an entry together with the hash of its predecessor
+   * @param {Object} entry - Entry (its hash property is ignored)
+   * @returns {string} Hex SHA-256 hash
+   */
+  static hashEntry(entry) {
+    const { hash, ...content } = entry
+    return crypto.createHash('sha256').update(canonicalJson(content)).digest('hex')
+  }
+  
+  /**
+   * Verify a hash chain
+   * Entries must be in recording order; a chain may start after the first
+   * entry (a file rotated away), its first prevHash is then taken as given
+   * @param {Array<Object>} entries - Recorded entries
+   * @returns {Object} { valid, checked, brokenAt, reason }
+   */
+  static verifyChain(entries) {
+    let previous = entries.length > 0 ? entries[0].prevHash : null
+    
+    for (let i = 0; i < entries.length; i++) {
+      const entry = entries[i]
+      
+      if (entry.prevHash !== previous) {
+        return { valid: false, checked: i, brokenAt: entry.seq, reason: 'prevHash does not match the previous entry' }
+      }
+      if (entry.hash !== AuditLogger.hashEntry(entry)) {
+        return { valid: false, checked: i, brokenAt: entry.seq, reason: 'hash does not match the entry' }
+      }
+      
+      previous = entry.hash
+    }
+    
+    return { valid: true, checked: entries.length, brokenAt: null, reason: null }
+  }
+}
+
+/**
+ * Read the key columns of a row
+ * @param {Object} row - Row or written data
+ * @param {Array<string>} keyColumns - Key column names
+ * @returns {Object|null} Key values, or null if the row has none
+ */
+function pickKey(row, keyColumns) {
+  const key = {}
+  keyColumns.filter(column => row[column] !== undefined).forEach(column => {
+    key[column] = row[column]
+  })
+  return Object.keys(key).length > 0 ? key : null
+}
+
+/**
+ * Compare a stored and a written value (dates and numbers by value)
+ * @param {*} a - Stored value
+ * @param {*} b - Written value
+ * @returns {boolean} True if equal
+ */
+function sameValue(a, b) {
+  if (a instanceof Date || b instanceof Date) {
+    return new Date(a).getTime() === new Date(b).getTime()
+  }
+  if (a !== null && b !== null && typeof a === 'object' && typeof b === 'object') {
+    return canonicalJson(a) === canonicalJson(b)
+  }
+  return a === b || (a !== null && b !== null && a !== undefined && b !== undefined && String(a) === String(b))
+}
+
+/**
+ * Serialize a value with sorted object keys, so equal entries hash equally
+ * after a round trip through a sink
+ * @param {*} value - Value
+ * @returns {string} JSON text
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => canonicalJson(item === undefined ? null : item)).join(',')}]`
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`
+  }
+  return JSON.stringify(value)
+}
+
+module.exports = AuditLogger
@@ -0,0 +1,224 @@
+/**
+ * @fileoverview Audit Sinks
+ * Destinations for AuditLogger entries: memory, NDJSON file and database table
+ *
+ * A sink needs write(entry). initialize(), getLastEntry() (to continue the
+ * sequence and hash chain after a restart) and close() are optional
+ */
+
+const fs = require('fs')
+const { ConfigurationError } = require('../core/DSLErrors')
+
+/**
+ * Keeps entries in an array, for tests and debugging
+ */
+class MemoryAuditSink {
+  /**
+   * @param {Object} options - Sink options
+   * @param {number} options.maxEntries - Oldest entries are dropped beyond this count (default: unbounded)
+   */
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || Infinity
+    this.entries = []
+  }
+  
+  /**
+   * Store an entry
+   * @param {Object} entry - Audit entry
+   */
+  write(entry) {
+    this.entries.push(entry)
+    if (this.entries.length > this.maxEntries) {
+      this.entries.shift()
+    }
+  }
+  
+  /**
+   * Get the newest entry
+   * @returns {Object|null} Entry
+   */
+  getLastEntry() {
+    return this.entries.length > 0 ? this.entries[this.entries.length - 1] : null
+  }
+  
+  /**
+   * Remove every entry
+   */
+  clear() {
+    this.entries = []
+  }
+}
+
+/**
+ * Appends entries to a file as newline-delimited JSON
+ */
+class FileAuditSink {
+  /**
+   * @param {Object} options - Sink options
+   * @param {string} options.path - File to append to (created if missing)
+   * @throws {ConfigurationError} If no path is given
+   */
+  constructor(options = {}) {
+    if (!options.path) {
+      throw new ConfigurationError('FileAuditSink needs a path')
+    }
+    
+    this.path = options.path
+  }
+  
+  /**
+   * Append an entry
+   * @param {Object} entry - Audit entry
+   * @returns {Promise<void>}
+   */
+  async write(entry) {
+    await fs.promises.appendFile(this.path, `${JSON.stringify(entry)}\n`)
+  }
+  
+  /**
+   * Read the last entry of the file
+   * @returns {Promise<Object|null>} Entry, or null if the file is missing or empty
+   */
+  async getLastEntry() {
+    const entries = await this.readEntries()
+    return entries.length > 0 ? entries[entries.length - 1] : null
+  }
+  
+  /**
+   * Read every entry of the file (for verification with AuditLogger.verifyChain)
+   * @returns {Promise<Array<Object>>} Entries in recording order
+   */
+  async readEntries() {
+    let text
+    
+    try {
+      text = await fs.promises.readFile(this.path, 'utf8')
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return []
+      }
+      throw error
+    }
+    
+    return text.split('\n').filter(line => line.trim()).map(line => JSON.parse(line))
+  }
+}
+
+/**
+ * Inserts entries into a table through a connection manager
+ * Rows are written with the manager directly, so they bypass DSL checks and
+ * are not audited themselves
+ */
+class DatabaseAuditSink {
+  /**
+   * @param {Object} source - Database adapter or connection manager
+   * @param {Object} options - Sink options
+   * @param {string} options.table - Audit table (default 'dsl_audit_log')
+   * @param {string} options.dialect - postgresql, mysql or sqlite (default: the adapter's dialect)
+   * @param {boolean} options.createTable - Create the table on initialize() (default true)
+   * @throws {ConfigurationError} If the source cannot run queries or the dialect is unknown
+   */
+  constructor(source, options = {}) {
+    this.manager = source && source.connectionManager ? source.connectionManager : source
+    this.table = options.table || 'dsl_audit_log'
+    this.dialect = options.dialect || (source && typeof source.getDialect === 'function' ? source.getDialect() : null)
+    this.createTable = options.createTable !== false
+    
+    if (!this.manager || typeof this.manager.query !== 'function') {
+      throw new ConfigurationError('DatabaseAuditSink needs a database adapter or connection manager')
+    }
+    if (!['postgresql', 'mysql', 'sqlite'].includes(this.dialect)) {
+      throw new ConfigurationError('DatabaseAuditSink needs a dialect: postgresql, mysql or sqlite')
+    }
+  }
+  
+  /**
+   * Create the audit table if it does not exist
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    if (!this.createTable) {
+      return
+    }
+    
+    await this.manager.query(`CREATE TABLE IF NOT EXISTS ${this.quote(this.table)} (
+      seq BIGINT NOT NULL,
+      recorded_at VARCHAR(40) NOT NULL,
+      type VARCHAR(20) NOT NULL,
+      user_role VARCHAR(200),
+      table_name VARCHAR(200),
+      operation VARCHAR(20),
+      entry TEXT NOT NULL,
+      hash VARCHAR(64),
+      prev_hash VARCHAR(64)
+    )`)
+  }
+  
+  /**
+   * Insert an entry
+   * The whole entry is kept as JSON in the entry column; the other columns
+   * are copies for querying
+   * @param {Object} entry - Audit entry
+   * @returns {Promise<void>}
+   */
+  async write(entry) {
+    const values = [
+      entry.seq,
+      entry.timestamp,
+      entry.type,
+      Array.isArray(entry.userRole) ? entry.userRole.join(',') : entry.userRole,
+      entry.table || null,
+      entry.operation || null,
+      JSON.stringify(entry),
+      entry.hash || null,
+      entry.prevHash || null
+    ]
+    
+    const placeholders = values.map((value, index) => this.dialect === 'postgresql' ? `$${index + 1}` : '?')
+    
+    await this.manager.query(
+      `INSERT INTO ${this.quote(this.table)} (seq, recorded_at, type, user_role, table_name, operation, entry, hash, prev_hash) VALUES (${placeholders.join(', ')})`,
+      values
+    )
+  }
+  
+  /**
+   * Read the entry with the highest sequence number
+   * @returns {Promise<Object|null>} Entry
+   */
+  async getLastEntry() {
+    const entries = await this.readEntries({ last: true })
+    return entries.length > 0 ? entries[0] : null
+  }
+  
+  /**
+   * Read entries in recording order (for verification with AuditLogger.verifyChain)
+   * @param {Object} options - { last: only the newest entry }
+   * @returns {Promise<Array<Object>>} Entries
+   */
+  async readEntries(options = {}) {
+    const sql = options.last
+      ? `SELECT entry FROM ${this.quote(this.table)} ORDER BY seq DESC LIMIT 1`
+      : `SELECT entry FROM ${this.quote(this.table)} ORDER BY seq`
+    
+    const result = await this.manager.query(sql, [])
+    return result.rows.map(row => JSON.parse(row.entry))
+  }
+  
+  /**
+   * Quote the table name for the dialect
+   * @param {string} name - Table name
+   * @returns {string} Quoted name
+   */
+  quote(name) {
+    return this.dialect === 'mysql'
+      ? `\`${name.replace(/`/g, '``')}\``
+      : `"${name.replace(/"/g, '""')}"`
+  }
+}
+
+module.exports = {
+  MemoryAuditSink,
+  FileAuditSink,
+  DatabaseAuditSink
+}
@@ -4,6 +4,26 @@
  */
 
 const { ConfigurationError } = require('./DSLErrors')
+const { validateMask } = require('../utils/FieldMasker')
+const { validateRowPolicies } = require('../utils/RowPolicies')
+const { validateExpression } = require('../utils/AbacExpression')
+const { validateRequirement } = require('../utils/Permissions')
+const { validateFieldRules } = require('../utils/FieldRules')
+
+/**
+ * How refused fields in inbound writes are handled
+ */
+const WRITE_POLICIES = ['reject', 'strip', 'log']
+
+/**
+ * How queries referencing unreadable fields (WHERE, ORDER BY, ...) are handled
+ */
+const FIELD_REFERENCE_POLICIES = ['reject', 'drop']
+
+/**
+ * How raw query select lists naming unreadable fields are handled
+ */
+const PROJECTION_POLICIES = ['reject', 'rewrite']
 
 /**
  * Create and validate a DSL configuration
@@ -22,6 +42,9 @@ function createConfig(config) {
     // Field access rules
     fields: config.fields || {},
     
+    // Row-level security policies per table
+    rows: config.rows || {},
+    
     // Database configuration (optional)
     database: config.database || null,
     
@@ -86,6 +109,12 @@ function validateConfig(config) {
         errors.push(`roles.${roleName}.inherits: Must be an array`)
       }
       
+      if (roleConfig.customPermissions !== undefined &&
+          (!Array.isArray(roleConfig.customPermissions) ||
+           roleConfig.customPermissions.some(permission => typeof permission !== 'string' || permission.length === 0))) {
+        errors.push(`roles.${roleName}.customPermissions: Must be an array of permission strings`)
+      }
+      
       // Validate inherited roles exist
       if (roleConfig.inherits) {
         roleConfig.inherits.forEach(inheritedRole => {
@@ -126,9 +155,36 @@ function validateConfig(config) {
       if (fieldConfig.deny !== undefined && typeof fieldConfig.deny !== 'boolean') {
         errors.push(`fields["${fieldPattern}"].deny: Must be a boolean`)
       }
+      
+      // Validate mask strategies and role keys
+      if (fieldConfig.mask) {
+        validateMask(fieldConfig.mask, config.roles || {}).forEach(error => {
+          errors.push(`fields["${fieldPattern}"].${error}`)
+        })
+      }
+      
+      // Validate read/write/create/update rules
+      validateFieldRules(fieldConfig, config.roles || {}).forEach(error => {
+        errors.push(`fields["${fieldPattern}"].${error}`)
+      })
+      
+      // Validate required permissions
+      if (fieldConfig.requires !== undefined) {
+        errors.push(...validateRequirement(fieldConfig.requires, `fields["${fieldPattern}"].requires`))
+      }
+      
+      // Validate ABAC expression
+      if (fieldConfig.abac !== undefined) {
+        errors.push(...validateExpression(fieldConfig.abac, `fields["${fieldPattern}"].abac`))
+      }
     })
   }
   
+  // Validate row policies
+  if (config.rows) {
+    errors.push(...validateRowPolicies(config.rows, config.roles || {}))
+  }
+  
   // Validate database configuration
   if (config.database && typeof config.database !== 'object') {
     errors.push('database: Must be an object')
@@ -146,6 +202,46 @@ function validateConfig(config) {
         if (tableConfig.minRole && !config.roles[tableConfig.minRole]) {
           errors.push(`database.tables["${tableName}"].minRole: Role '${tableConfig.minRole}' not defined`)
         }
+        
+        if (tableConfig.writePolicy !== undefined && !WRITE_POLICIES.includes(tableConfig.writePolicy)) {
+          errors.push(`database.tables["${tableName}"].writePolicy: Must be one of ${WRITE_POLICIES.join(', ')}`)
+        }
+        
+        if (tableConfig.requires !== undefined) {
+          errors.push(...validateRequirement(tableConfig.requires, `database.tables["${tableName}"].requires`, { byOperation: true }))
+        }
+        
+        if (tableConfig.abac !== undefined) {
+          errors.push(...validateExpression(tableConfig.abac, `database.tables["${tableName}"].abac`))
+        }
+        
+        if (tableConfig.attributes !== undefined && (typeof tableConfig.attributes !== 'object' || Array.isArray(tableConfig.attributes))) {
+          errors.push(`database.tables["${tableName}"].attributes: Must be an object`)
+        }
+        
+        if (tableConfig.fields !== undefined) {
+          if (typeof tableConfig.fields !== 'object' || tableConfig.fields === null || Array.isArray(tableConfig.fields)) {
+            errors.push(`database.tables["${tableName}"].fields: Must be an object mapping field names to columns`)
+          } else {
+            Object.entries(tableConfig.fields).forEach(([fieldName, column]) => {
+              if (typeof column !== 'string' || !/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(column)) {
+                errors.push(`database.tables["${tableName}"].fields["${fieldName}"]: Must be a column name`)
+              }
+            })
+          }
+        }
+        
+        if (tableConfig.columns !== undefined) {
+          if (typeof tableConfig.columns !== 'object' || tableConfig.columns === null || Array.isArray(tableConfig.columns)) {
+            errors.push(`database.tables["${tableName}"].columns: Must be an object mapping columns to types`)
+          } else {
+            Object.entries(tableConfig.columns).forEach(([column, type]) => {
+              if (typeof type !== 'string') {
+                errors.push(`database.tables["${tableName}"].columns["${column}"]: Must be a type name`)
+              }
+            })
+          }
+        }
       })
     }
     
@@ -161,6 +257,16 @@ function validateConfig(config) {
   // Validate security configuration
   if (config.security && typeof config.security !== 'object') {
     errors.push('security: Must be an object')
+  } else if (config.security?.writePolicy !== undefined && !WRITE_POLICIES.includes(config.security.writePolicy)) {
+    errors.push(`security.writePolicy: Must be one of ${WRITE_POLICIES.join(', ')}`)
+  }
+  
+  if (config.security?.fieldReferencePolicy !== undefined && !FIELD_REFERENCE_POLICIES.includes(config.security.fieldReferencePolicy)) {
+    errors.push(`security.fieldReferencePolicy: Must be one of ${FIELD_REFERENCE_POLICIES.join(', ')}`)
+  }
+  
+  if (config.security?.projectionPolicy !== undefined && !PROJECTION_POLICIES.includes(config.security.projectionPolicy)) {
+    errors.push(`security.projectionPolicy: Must be one of ${PROJECTION_POLICIES.join(', ')}`)
   }
   
   // Validate performance configuration
@@ -251,6 +357,7 @@ function mergeConfigs(baseConfig, overrideConfig) {
   return {
     roles: { ...baseConfig.roles, ...overrideConfig.roles },
     fields: { ...baseConfig.fields, ...overrideConfig.fields },
+    rows: { ...baseConfig.rows, ...overrideConfig.rows },
     database: overrideConfig.database || baseConfig.database,
     security: { ...baseConfig.security, ...overrideConfig.security },
     performance: { ...baseConfig.performance, ...overrideConfig.performance },
@@ -362,6 +469,9 @@ function analyzeConfig(config) {
 }
 
 module.exports = {
+  WRITE_POLICIES,
+  FIELD_REFERENCE_POLICIES,
+  PROJECTION_POLICIES,
   createConfig,
   validateConfig,
   getDefaultConfig,
@@ -3,10 +3,21 @@
  * Universal role-based field filtering with performance optimization
  */
 
+const os = require('os')
+const path = require('path')
+const { Transform } = require('stream')
 const debug = require('debug')('dsandsl:engine')
-const { DSLError, AccessDeniedError, ValidationError } = require('./DSLErrors')
+const { DSLError, AccessDeniedError, WriteDeniedError, ValidationError } = require('./DSLErrors')
+const { WRITE_POLICIES } = require('./DSLConfig')
 const { matchField } = require('../utils/FieldMatcher')
-const { hasPermission, getRoleLevel } = require('../utils/RoleUtils')
+const { hasPermission, getRoleLevel, getHighestRole, resolveRoles, getPrincipalAttributes } = require('../utils/RoleUtils')
+const { resolveMask, applyMask, getMaskName, validateMask } = require('../utils/FieldMasker')
+const { getApplicablePolicies, resolvePolicies, combineConditionSets, matchesPolicies } = require('../utils/RowPolicies')
+const WorkerPool = require('./WorkerPool')
+const PolicyCache = require('./PolicyCache')
+const { resolveFieldRule, toAccessOperation, validateFieldRules } = require('../utils/FieldRules')
+const { collectPermissions, getMissingPermissions, validateRequirement } = require('../utils/Permissions')
+const { buildAttributes, evaluateExpression, referencesSource, validateExpression } = require('../utils/AbacExpression')
 
 /**
  * Core DSL Engine for role-based data filtering
@@ -14,19 +25,35 @@ const { hasPermission, getRoleLevel } = require('../utils/RoleUtils')
 class DSLEngine {
   constructor(config, options = {}) {
     this.config = config
+    const performanceConfig = config?.performance || {}
+    
     this.options = {
       chunkSize: options.chunkSize || 1000,
-      parallel: options.parallel || false,
+      parallel: options.parallel !== undefined ? options.parallel : performanceConfig.parallel || false,
+      maxWorkers: options.maxWorkers || performanceConfig.maxWorkers || Math.max(1, Math.min(4, os.cpus().length - 1)),
+      parallelThreshold: options.parallelThreshold || performanceConfig.parallelThreshold || 10000,
+      cacheEnabled: performanceConfig.cacheEnabled !== false,
+      cacheTTL: performanceConfig.cacheTTL || 0,
+      cacheMaxEntries: performanceConfig.cacheMaxEntries || 10000,
       strict: options.strict || false,
       ...options
     }
     
     // Performance tracking
-    this.stats = {
-      totalFilterOperations: 0,
-      totalFilterTime: 0,
-      itemsProcessed: 0
-    }
+    this.stats = this.createStats()
+    
+    // Compiled field rules, rebuilt when the configuration changes
+    this.policyCache = null
+    
+    // Worker pool for filterAsync, started on first parallel use
+    this.workerPool = null
+    this.workerPolicy = null
+    
+    // Field mappers whose other naming (firstName / first_name) rules may use
+    this.fieldMappers = []
+    
+    // Receives the fields each filter call denied or masked
+    this.auditLogger = options.auditLogger || null
     
     // Validate configuration on construction
     this.validateConfiguration()
@@ -41,7 +68,7 @@ class DSLEngine {
   /**
    * Filter data based on user role and access rules
    * @param {Object|Array} data - Data to filter
-   * @param {string} userRole - User's role
+   * @param {string|Array<string>|Object} userRole - User's role, roles or principal
    * @param {Object} options - Filtering options
    * @returns {Object|Array} Filtered data
    */
@@ -56,25 +83,24 @@ class DSLEngine {
       }
       
       // Merge options with defaults
-      const filterOptions = {
-        includeMetadata: options.includeMetadata || false,
-        strict: options.strict !== undefined ? options.strict : this.options.strict,
-        preserveStructure: options.preserveStructure !== false,
-        chunkSize: options.chunkSize || this.options.chunkSize,
-        ...options
-      }
+      const filterOptions = this.createFilterOptions(options)
       
       debug('Filtering data for role:', userRole, 'options:', filterOptions)
       
       // Get allowed fields for this role
       const allowedFields = this.getAllowedFields(userRole)
       
+      // Drop records hidden by row policies before filtering their fields
+      const visibleData = this.applyRowPolicies(data, userRole, filterOptions)
+      
       // Process data
       let filteredData
-      if (Array.isArray(data)) {
-        filteredData = this.processArrayData(data, allowedFields, userRole, filterOptions)
+      if (visibleData === null) {
+        filteredData = null
+      } else if (Array.isArray(visibleData)) {
+        filteredData = this.processArrayData(visibleData, allowedFields, userRole, filterOptions)
       } else {
-        filteredData = this.processObjectData(data, allowedFields, userRole, filterOptions)
+        filteredData = this.processObjectData(visibleData, allowedFields, userRole, filterOptions)
       }
       
       // Calculate performance metrics
@@ -83,6 +109,8 @@ class DSLEngine {
       
       debug('Filtering completed in', filterTime.toFixed(2), 'ms')
       
+      this.auditFilter(userRole, filterOptions, Array.isArray(visibleData) ? visibleData.length : visibleData ? 1 : 0)
+      
       // Return data with optional metadata
       if (filterOptions.includeMetadata) {
         return this.createFilterResult(data, filteredData, userRole, filterTime, filterOptions)
@@ -100,23 +128,410 @@ class DSLEngine {
     }
   }
   
+  /**
+   * Filter data off the main thread when parallel mode is enabled
+   * Arrays of at least `parallelThreshold` records are split into chunks and
+   * filtered by a worker_threads pool. Everything else - parallel mode off,
+   * small inputs, function-based rules or context that cannot be sent to a
+   * worker - falls back to the synchronous filter()
+   * @param {Object|Array} data - Data to filter
+   * @param {string|Array<string>|Object} userRole - User's role, roles or principal
+   * @param {Object} options - Filtering options (same as filter())
+   * @returns {Promise<Object|Array>} Filtered data
+   */
+  async filterAsync(data, userRole, options = {}) {
+    const fallbackReason = this.getParallelFallbackReason(data, options)
+    
+    if (fallbackReason) {
+      if (fallbackReason !== 'disabled' && fallbackReason !== 'below_threshold') {
+        this.stats.parallel.fallbacks++
+        this.stats.parallel.lastFallbackReason = fallbackReason
+        debug('Parallel filtering unavailable, using main thread:', fallbackReason)
+      }
+      return this.filter(data, userRole, options)
+    }
+    
+    const startTime = performance.now()
+    
+    try {
+      const filterOptions = this.createFilterOptions(options)
+      const visibleData = this.applyRowPolicies(data, userRole, filterOptions)
+      
+      // Workers get every filter option; they keep their own field trackers
+      const { maskedFields, deniedFields, ...fieldOptions } = filterOptions
+      const workerOptions = {
+        ...fieldOptions,
+        auditFields: Boolean(this.auditLogger)
+      }
+      
+      const pool = this.getWorkerPool()
+      const tasks = []
+      for (let i = 0; i < visibleData.length; i += filterOptions.chunkSize) {
+        const chunk = visibleData.slice(i, i + filterOptions.chunkSize)
+        tasks.push(pool.run({ chunk, userRole, options: workerOptions }))
+      }
+      
+      // Wait for every chunk so a failed chunk leaves no work running behind the fallback
+      const settled = await Promise.allSettled(tasks)
+      const failed = settled.find(outcome => outcome.status === 'rejected')
+      if (failed) {
+        throw failed.reason
+      }
+      const results = settled.map(outcome => outcome.value)
+      
+      const filteredData = []
+      results.forEach(result => {
+        filteredData.push(...result.data)
+        this.mergeMaskedFields(filterOptions.maskedFields, result.maskedFields)
+        this.mergeMaskedFields(filterOptions.deniedFields, result.deniedFields)
+        this.stats.parallel.workerTime += result.time
+      })
+      
+      const filterTime = performance.now() - startTime
+      this.stats.totalFilterOperations++
+      this.stats.totalFilterTime += filterTime
+      this.stats.itemsProcessed += visibleData.length
+      this.stats.parallel.operations++
+      this.stats.parallel.chunks += results.length
+      this.stats.parallel.totalTime += filterTime
+      
+      debug('Parallel filtering completed in', filterTime.toFixed(2), 'ms', { chunks: results.length })
+      
+      this.auditFilter(userRole, filterOptions, visibleData.length)
+      
+      if (filterOptions.includeMetadata) {
+        return this.createFilterResult(data, filteredData, userRole, filterTime, filterOptions)
+      }
+      
+      return filteredData
+      
+    } catch (error) {
+      // Records holding functions or other uncloneable values cannot be shipped
+      if (error.name === 'DataCloneError') {
+        this.stats.parallel.fallbacks++
+        this.stats.parallel.lastFallbackReason = 'uncloneable_data'
+        debug('Data cannot be sent to workers, using main thread')
+        return this.filter(data, userRole, options)
+      }
+      
+      debug('Parallel filter error:', error.message)
+      throw new DSLError(`Filtering failed: ${error.message}`, 'FILTER_ERROR', {
+        userRole,
+        dataType: 'array',
+        parallel: true,
+        error: error.message
+      })
+    }
+  }
+  
+  /**
+   * Create an object-mode Transform stream that filters one record at a time
+   * Records hidden by row policies (options.table) are dropped. Memory use is
+   * bounded by the stream's highWaterMark and backpressure works as for any stream
+   * @param {string|Array<string>|Object} userRole - User's role, roles or principal
+   * @param {Object} options - Filtering options (context, table, strict, highWaterMark)
+   * @returns {Transform} Filter stream; `stream.stats` counts records in, out and dropped
+   */
+  createFilterStream(userRole, options = {}) {
+    const filterRecord = this.createRecordFilter(userRole, options)
+    
+    const stream = new Transform({
+      objectMode: true,
+      highWaterMark: options.highWaterMark || this.config.performance?.streaming?.highWaterMark || 16,
+      transform(record, encoding, callback) {
+        try {
+          const filtered = filterRecord(record)
+          callback(null, filtered === null ? undefined : filtered)
+        } catch (error) {
+          callback(error)
+        }
+      }
+    })
+    
+    stream.stats = filterRecord.stats
+    
+    return stream
+  }
+  
+  /**
+   * Filter a sync or async iterable record by record
+   * Records are pulled one at a time, so producers such as database cursors
+   * or readline interfaces are only read as fast as the consumer iterates
+   * @param {Iterable|AsyncIterable} iterable - Source of records
+   * @param {string|Array<string>|Object} userRole - User's role, roles or principal
+   * @param {Object} options - Filtering options (context, table, strict)
+   * @returns {AsyncGenerator<Object>} Filtered records
+   */
+  async * filterIterable(iterable, userRole, options = {}) {
+    const filterRecord = this.createRecordFilter(userRole, options)
+    
+    for await (const record of iterable) {
+      const filtered = filterRecord(record)
+      if (filtered !== null) {
+        yield filtered
+      }
+    }
+  }
+  
+  /**
+   * Prepare a per-record filter shared by streams and iterables
+   * Allowed fields and row policies are resolved once, not per record
+   * @param {string|Array<string>|Object} userRole - User's role, roles or principal
+   * @param {Object} options - Filtering options
+   * @returns {Function} record => filtered record, or null if the row is hidden
+   */
+  createRecordFilter(userRole, options = {}) {
+    const filterOptions = this.createFilterOptions({ ...options, includeMetadata: false })
+    const allowedFields = this.getAllowedFields(userRole)
+    const conditions = options.table ? this.getRowPolicies(options.table, userRole, filterOptions.context) : []
+    const stats = { recordsIn: 0, recordsOut: 0, rowsFiltered: 0 }
+    
+    this.stats.totalFilterOperations++
+    
+    const filterRecord = (record) => {
+      const startTime = performance.now()
+      stats.recordsIn++
+      
+      try {
+        if (conditions.length > 0 && !matchesPolicies(record, conditions)) {
+          stats.rowsFiltered++
+          return null
+        }
+        
+        const filtered = this.processObjectData(record, allowedFields, userRole, filterOptions)
+        stats.recordsOut++
+        this.stats.itemsProcessed++
+        
+        return filtered
+        
+      } catch (error) {
+        debug('Stream filter error:', error.message)
+        throw new DSLError(`Filtering failed: ${error.message}`, 'FILTER_ERROR', {
+          userRole,
+          dataType: 'stream',
+          record: stats.recordsIn,
+          error: error.message
+        })
+      } finally {
+        this.stats.totalFilterTime += performance.now() - startTime
+      }
+    }
+    
+    filterRecord.stats = stats
+    
+    return filterRecord
+  }
+  
+  /**
+   * Decide whether filterAsync can use the worker pool
+   * @param {*} data - Data to filter
+   * @param {Object} options - Filtering options
+   * @returns {string|null} Reason to stay on the main thread, or null to go parallel
+   */
+  getParallelFallbackReason(data, options) {
+    if (!this.options.parallel) {
+      return 'disabled'
+    }
+    if (!Array.isArray(data) || data.length < this.options.parallelThreshold) {
+      return 'below_threshold'
+    }
+    // Conditions and custom masks are functions and cannot cross a thread boundary
+    if (containsFunction(this.config.fields)) {
+      return 'function_rules'
+    }
+    if (containsFunction(options.context)) {
+      return 'function_context'
+    }
+    return null
+  }
+  
+  /**
+   * Get the worker pool, restarting it if the policy changed since it was created
+   * Registered field mappers are part of the policy, so workers match rules by both namings.
+   * The old pool finishes the chunks it already has before its workers stop
+   * @returns {WorkerPool} Worker pool
+   */
+  getWorkerPool() {
+    const policy = {
+      roles: this.config.roles,
+      fields: this.config.fields,
+      security: this.config.security,
+      fieldMappers: this.fieldMappers.map(mapper => mapper.toState())
+    }
+    const policyKey = JSON.stringify(policy)
+    
+    if (this.workerPool && this.workerPolicy !== policyKey) {
+      debug('Policy changed, restarting worker pool')
+      const retired = this.workerPool
+      retired.drain().catch(error => debug('Worker pool drain failed:', error.message))
+      this.workerPool = null
+    }
+    
+    if (!this.workerPool) {
+      this.workerPool = new WorkerPool(path.join(__dirname, 'filterWorker.js'), {
+        size: this.options.maxWorkers,
+        workerData: {
+          policy,
+          options: { chunkSize: this.options.chunkSize, strict: this.options.strict }
+        }
+      })
+      this.workerPolicy = policyKey
+    }
+    
+    return this.workerPool
+  }
+  
+  /**
+   * Merge masked or denied field counts reported by a worker
+   * @param {Map|null} target - Field tracker of the filter call
+   * @param {Array<Object>} entries - Worker entries ({ field, strategy, count })
+   */
+  mergeMaskedFields(target, entries) {
+    if (!target) {
+      return
+    }
+    
+    entries.forEach(entry => {
+      const existing = target.get(entry.field)
+      if (existing) {
+        existing.count += entry.count
+      } else {
+        target.set(entry.field, { ...entry })
+      }
+    })
+  }
+  
+  /**
+   * Stop the worker pool used by filterAsync
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.workerPool) {
+      const pool = this.workerPool
+      this.workerPool = null
+      this.workerPolicy = null
+      await pool.close()
+    }
+  }
+  
+  /**
+   * Merge filter options with engine defaults
+   * @param {Object} options - Options passed to filter()
+   * @returns {Object} Filter options
+   */
+  createFilterOptions(options) {
+    return {
+      includeMetadata: options.includeMetadata || false,
+      strict: options.strict !== undefined ? options.strict : this.options.strict,
+      preserveStructure: options.preserveStructure !== false,
+      chunkSize: options.chunkSize || this.options.chunkSize,
+      ...options,
+      context: options.context || {},
+      maskedFields: options.includeMetadata || this.auditLogger ? new Map() : null,
+      deniedFields: this.auditLogger ? new Map() : null
+    }
+  }
+  
+  /**
+   * Report the fields a filter call denied or masked to the audit logger
+   * @param {string|Array<string>|Object} userRole - User's role, roles or principal
+   * @param {Object} options - Filter options with the field trackers
+   * @param {number} records - Records filtered
+   */
+  auditFilter(userRole, options, records) {
+    if (!this.auditLogger) {
+      return
+    }
+    
+    this.auditLogger.recordFilter({
+      table: options.table,
+      records,
+      denied: Array.from(options.deniedFields.values()),
+      masked: Array.from(options.maskedFields.values())
+    }, { userRole, context: options.context })
+  }
+  
+  /**
+   * Apply row policies for `options.table` to top-level records
+   * @param {Object|Array} data - Data to check
+   * @param {string} userRole - User's role
+   * @param {Object} options - Filter options (table, context)
+   * @returns {Object|Array|null} Visible records (null if a single record is hidden)
+   */
+  applyRowPolicies(data, userRole, options) {
+    if (!options.table || !this.config.rows?.[options.table]) {
+      return data
+    }
+    
+    const conditions = this.getRowPolicies(options.table, userRole, options.context)
+    if (conditions.length === 0) {
+      return data
+    }
+    
+    if (!Array.isArray(data)) {
+      options.rowsFiltered = matchesPolicies(data, conditions) ? 0 : 1
+      return options.rowsFiltered === 0 ? data : null
+    }
+    
+    const visible = data.filter(record => matchesPolicies(record, conditions))
+    options.rowsFiltered = data.length - visible.length
+    
+    debug('Row policies applied:', { table: options.table, userRole, removed: options.rowsFiltered })
+    
+    return visible
+  }
+  
+  /**
+   * Resolve the row policies for a table against the request context
+   * @param {string} table - Table (or resource) name in config.rows
+   * @param {string|Array<string>|Object} userRole - User's role, roles or principal
+   * @param {Object} context - Request context supplying policy values
+   * @returns {Array<Object>} Conditions ({ field, operator, value, unresolved }); empty if unrestricted
+   */
+  getRowPolicies(table, userRole, context = {}) {
+    const tableRules = this.config.rows?.[table]
+    const roles = resolveRoles(userRole)
+    
+    // Each role sees its own rows; multiple roles see the union
+    const conditionSets = (roles.length > 0 ? roles : [null]).map(role =>
+      resolvePolicies(getApplicablePolicies(tableRules, role, this.config.roles), context)
+    )
+    
+    return combineConditionSets(conditionSets)
+  }
+  
+  /**
+   * Check whether a single record is visible under a table's row policies
+   * @param {Object} record - Record to check
+   * @param {string} table - Table (or resource) name in config.rows
+   * @param {string|Array<string>|Object} userRole - User's role, roles or principal
+   * @param {Object} context - Request context
+   * @returns {boolean} True if the record is visible
+   */
+  matchesRowPolicies(record, table, userRole, context = {}) {
+    const conditions = this.getRowPolicies(table, userRole, context)
+    return conditions.length === 0 || matchesPolicies(record, conditions)
+  }
+  
   /**
    * Process array data with chunked processing for memory safety
    * @param {Array} data - Array to process
    * @param {Set} allowedFields - Set of allowed field names
    * @param {string} userRole - User's role
    * @param {Object} options - Processing options
+   * @param {string} path - Path of the array in the root object ('' for top-level arrays)
    * @returns {Array} Filtered array
    */
-  processArrayData(data, allowedFields, userRole, options) {
+  processArrayData(data, allowedFields, userRole, options, path = '') {
     const { chunkSize } = options
     const result = []
     
     // Process in chunks to prevent memory spikes
     for (let i = 0; i < data.length; i += chunkSize) {
       const chunk = data.slice(i, i + chunkSize)
-      const filteredChunk = chunk.map(item => 
-        this.processObjectData(item, allowedFields, userRole, options)
+      const filteredChunk = chunk.map((item, index) => 
+        // Top-level records share the root path; nested elements get their index
+        this.processObjectData(item, allowedFields, userRole, options, path ? `${path}.${i + index}` : '')
       )
       result.push(...filteredChunk)
       this.stats.itemsProcessed += chunk.length
@@ -131,9 +546,10 @@ class DSLEngine {
    * @param {Set} allowedFields - Set of allowed field names
    * @param {string} userRole - User's role
    * @param {Object} options - Processing options
+   * @param {string} path - Dotted path of the object in the root object
    * @returns {Object} Filtered object
    */
-  processObjectData(data, allowedFields, userRole, options) {
+  processObjectData(data, allowedFields, userRole, options, path = '') {
     const { strict, preserveStructure } = options
     
     if (!data || typeof data !== 'object') return data
@@ -142,10 +558,18 @@ class DSLEngine {
     
     // Process each field in the object
     Object.entries(data).forEach(([key, value]) => {
+      const fieldPath = path ? `${path}.${key}` : key
+      
       // Handle nested objects
       if (value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date)) {
+        // A rule on the container path gates the whole subtree
+        if (!this.hasContainerAccess(fieldPath, userRole, options.context, value, data)) {
+          this.recordDeniedField(fieldPath, options)
+          return
+        }
+        
         // Recursively process nested objects
-        const nestedFiltered = this.processObjectData(value, allowedFields, userRole, options)
+        const nestedFiltered = this.processObjectData(value, allowedFields, userRole, options, fieldPath)
         
         // Only include if has content or preserveStructure is true
         if (preserveStructure || Object.keys(nestedFiltered).length > 0) {
@@ -154,60 +578,196 @@ class DSLEngine {
       }
       // Handle nested arrays
       else if (Array.isArray(value)) {
-        filtered[key] = this.processArrayData(value, allowedFields, userRole, options)
+        if (!this.hasContainerAccess(fieldPath, userRole, options.context, value, data)) {
+          this.recordDeniedField(fieldPath, options)
+          return
+        }
+        filtered[key] = this.processArrayData(value, allowedFields, userRole, options, fieldPath)
       }
       // Handle primitive fields
-      else if (this.hasFieldAccess(key, userRole)) {
-        filtered[key] = value
-      }
-      // In non-strict mode, include unknown fields (for IDs, timestamps, etc.)
-      else if (!strict && this.isAlwaysAllowedField(key)) {
-        filtered[key] = value
+      else {
+        const access = this.checkAccess(fieldPath, userRole, options.context, value, data)
+        
+        if (access.allowed) {
+          filtered[key] = access.mask
+            ? this.maskFieldValue(value, access.mask, fieldPath, access.userRole, options, data)
+            : value
+        }
+        // In non-strict mode, include unknown fields (for IDs, timestamps, etc.)
+        else if (!strict && this.isAlwaysAllowedField(key)) {
+          filtered[key] = value
+        }
+        // Unauthorized field - skip in filtered output
+        else {
+          this.recordDeniedField(fieldPath, options)
+        }
       }
-      // Unauthorized field - skip in filtered output
     })
     
     return filtered
   }
   
+  /**
+   * Count a field removed by filtering, for the audit logger
+   * @param {string} fieldPath - Dotted path of the field
+   * @param {Object} options - Processing options
+   */
+  recordDeniedField(fieldPath, options) {
+    if (options.deniedFields) {
+      const reportPath = fieldPath.replace(/\.\d+(?=\.|$)/g, '[]')
+      const entry = options.deniedFields.get(reportPath) || { field: reportPath, count: 0 }
+      entry.count++
+      options.deniedFields.set(reportPath, entry)
+    }
+  }
+  
+  /**
+   * Apply a field mask and record it for filter metadata
+   * @param {*} value - Field value
+   * @param {string|Function|Object} mask - Mask resolved for the role
+   * @param {string} fieldPath - Dotted path of the field
+   * @param {string} userRole - User's role
+   * @param {Object} options - Processing options
+   * @param {Object} record - Record holding the field
+   * @returns {*} Masked value
+   */
+  maskFieldValue(value, mask, fieldPath, userRole, options, record) {
+    if (options.maskedFields) {
+      // Collapse array indices so every element reports under one path
+      const reportPath = fieldPath.replace(/\.\d+(?=\.|$)/g, '[]')
+      const entry = options.maskedFields.get(reportPath) || { field: reportPath, strategy: getMaskName(mask), count: 0 }
+      entry.count++
+      options.maskedFields.set(reportPath, entry)
+    }
+    
+    return applyMask(value, mask, {
+      fieldName: fieldPath,
+      userRole,
+      context: options.context,
+      record
+    })
+  }
+  
+  /**
+   * Check access to a nested object or array by its own path
+   * Containers without a matching rule are always traversed
+   * @param {string} fieldPath - Dotted path of the container
+   * @param {string} userRole - User's role
+   * @param {Object} context - Request context
+   * @param {*} value - Container value
+   * @param {Object} record - Object holding the container
+   * @returns {boolean} True if the container should be traversed
+   */
+  hasContainerAccess(fieldPath, userRole, context = {}, value = null, record = null) {
+    if (!this.findFieldConfig(fieldPath)) {
+      return true
+    }
+    return this.hasFieldAccess(fieldPath, userRole, context, value, record)
+  }
+  
   /**
    * Check if user role has access to a specific field
    * @param {string} fieldName - Field name to check
    * @param {string} userRole - User's role
    * @param {Object} context - Additional context
+   * @param {*} value - Field value, when checking a concrete record
+   * @param {Object} record - Record holding the field, or null for data-independent checks
    * @returns {boolean} True if user has access
    */
-  hasFieldAccess(fieldName, userRole, context = {}) {
-    // Find matching field configuration
-    const fieldConfig = this.findFieldConfig(fieldName)
+  hasFieldAccess(fieldName, userRole, context = {}, value = null, record = null) {
+    return this.checkAccess(fieldName, userRole, context, value, record).allowed
+  }
+  
+  /**
+   * Find field configuration that matches the field name
+   * Nested paths (billing.address.city, orders.0.total) are resolved by the
+   * full path first and fall back to the leaf key, so path rules take
+   * precedence over bare field rules. With registered field mappers, a rule
+   * under the other naming of the leaf (users.firstName for users.first_name)
+   * is used when the name itself has none
+   * @param {string} fieldName - Field name or dotted field path to match
+   * @returns {Object|null} Field configuration or null
+   */
+  findFieldConfig(fieldName) {
+    const config = this.matchFieldConfig(fieldName) || this.matchFieldAlias(fieldName)
+    if (config) {
+      return config
+    }
     
-    if (fieldConfig) {
-      // Explicitly denied
-      if (fieldConfig.deny === true) {
-        return false
-      }
-      // Check role permission
-      if (fieldConfig.minRole) {
-        return hasPermission(userRole, fieldConfig.minRole, this.config.roles)
-      }
-      // Check custom condition
-      if (fieldConfig.condition && typeof fieldConfig.condition === 'function') {
-        return fieldConfig.condition(fieldName, null, userRole, context)
+    const lastDot = fieldName.lastIndexOf('.')
+    if (lastDot !== -1) {
+      const leaf = fieldName.slice(lastDot + 1)
+      return this.matchFieldConfig(leaf) || this.matchFieldAlias(leaf)
+    }
+    
+    return null
+  }
+  
+  /**
+   * Match a field by the other namings of its leaf key
+   * @param {string} fieldName - Field name or path
+   * @returns {Object|null} Field configuration or null
+   */
+  matchFieldAlias(fieldName) {
+    if (this.fieldMappers.length === 0) {
+      return null
+    }
+    
+    const lastDot = fieldName.lastIndexOf('.')
+    const prefix = fieldName.slice(0, lastDot + 1)
+    const leaf = fieldName.slice(lastDot + 1)
+    
+    // The prefix names the table for table-scoped mappings (users.name)
+    const table = lastDot > 0 ? prefix.slice(0, -1) : null
+    
+    for (const mapper of this.fieldMappers) {
+      for (const alias of mapper.alternateNames(leaf, table)) {
+        const config = this.matchFieldConfig(prefix + alias)
+        if (config) {
+          return config
+        }
       }
-      // Default allow if no restrictions
-      return true
     }
     
-    // No explicit configuration - allow by default (configurable)
-    return this.config.security?.allowUnknownFields !== false
+    return null
   }
   
   /**
-   * Find field configuration that matches the field name
-   * @param {string} fieldName - Field name to match
+   * Let field rules target either naming of a field mapper
+   * Adapters mapping rows to semantic names register their mapper, so
+   * `firstName` and `first_name` rules both apply to the column
+   * @param {FieldMapper} mapper - Field mapper
+   * @returns {DSLEngine} Engine instance
+   */
+  registerFieldMapper(mapper) {
+    if (!this.fieldMappers.includes(mapper)) {
+      this.fieldMappers.push(mapper)
+      this.invalidateCache()
+    }
+    return this
+  }
+  
+  /**
+   * Set the audit logger receiving filter decisions
+   * @param {AuditLogger|null} logger - Audit logger, or null to stop auditing
+   * @returns {DSLEngine} Engine instance
+   */
+  setAuditLogger(logger) {
+    this.auditLogger = logger
+    return this
+  }
+  
+  /**
+   * Match a field name against configured field patterns
+   * @param {string} fieldName - Field name or path to match
    * @returns {Object|null} Field configuration or null
    */
-  findFieldConfig(fieldName) {
+  matchFieldConfig(fieldName) {
+    const cache = this.getPolicyCache()
+    if (cache) {
+      return cache.matchFieldConfig(fieldName, this.stats.cache.fieldLookups)
+    }
+    
     const fields = this.config.fields || {}
     
     // Check for exact match first
@@ -240,7 +800,7 @@ class DSLEngine {
   
   /**
    * Get all fields accessible to a role
-   * @param {string} userRole - User's role
+   * @param {string|Array<string>|Object} userRole - User's role, roles or principal
    * @param {string} category - Optional category filter
    * @returns {Set<string>} Set of accessible field names
    */
@@ -248,7 +808,9 @@ class DSLEngine {
     const allowedFields = new Set()
     const fields = this.config.fields || {}
     
-    Object.entries(fields).forEach(([fieldPattern, config]) => {
+    Object.entries(fields).forEach(([fieldPattern, fieldConfig]) => {
+      const config = resolveFieldRule(fieldConfig, 'read')
+      
       // Skip if category filter doesn't match
       if (category && config.category !== category) {
         return
@@ -259,6 +821,11 @@ class DSLEngine {
         return
       }
       
+      // Skip fields needing permissions the role lacks
+      if (config.requires && this.getMissingPermissions(userRole, config.requires).length > 0) {
+        return
+      }
+      
       // Check role permission
       if (config.minRole && hasPermission(userRole, config.minRole, this.config.roles)) {
         allowedFields.add(fieldPattern)
@@ -273,13 +840,94 @@ class DSLEngine {
   
   /**
    * Check access to a specific field with detailed result
+   * Role requirements are checked first; a condition, when configured, must
+   * also pass. Conditions are called as
+   * condition(fieldName, value, userRole, context, record) where record is the
+   * object holding the field, or null when no data is being checked
+   * @param {string} fieldName - Field to check
+   * @param {string|Array<string>|Object} userRole - User's role, roles or principal
+   * @param {Object} context - Additional context
+   * @param {*} value - Field value, when checking a concrete record
+   * @param {Object} record - Record holding the field, or null for data-independent checks
+   * @param {string} operation - read, create or update (INSERT/UPDATE accepted); selects the field's read/write rules
+   * @returns {Object} Access result with details
+   */
+  checkAccess(fieldName, userRole, context = {}, value = null, record = null, operation = 'read') {
+    const accessOperation = toAccessOperation(operation)
+    
+    if (userRole && typeof userRole === 'object') {
+      return this.checkPrincipalAccess(fieldName, userRole, context, value, record, accessOperation)
+    }
+    
+    const cache = this.getPolicyCache()
+    if (!cache) {
+      return this.evaluateAccess(fieldName, userRole, context, value, record, accessOperation)
+    }
+    
+    const decisionKey = accessOperation === 'read' ? fieldName : `${accessOperation}:${fieldName}`
+    const cached = cache.getDecision(userRole, decisionKey)
+    if (cached) {
+      this.stats.cache.decisions.hits++
+      return { ...cached }
+    }
+    
+    this.stats.cache.decisions.misses++
+    const result = this.evaluateAccess(fieldName, userRole, context, value, record, accessOperation)
+    
+    // Condition and ABAC outcomes depend on value, record and context, so only the rest is reused
+    if (!DYNAMIC_REASONS.has(result.reason)) {
+      cache.setDecision(userRole, decisionKey, result)
+      return { ...result }
+    }
+    
+    return result
+  }
+  
+  /**
+   * Check field access for a role list or principal object
+   * Access is the union of what the roles grant: the field is visible if any
+   * role sees it, and unmasked if any of those roles sees it unmasked. Explicit
+   * deny does not depend on the role, so it still wins
+   * @param {string} fieldName - Field to check
+   * @param {Array<string>|Object} principal - Roles or principal ({ id, roles, ... })
+   * @param {Object} context - Additional context
+   * @param {*} value - Field value, when checking a concrete record
+   * @param {Object} record - Record holding the field, or null for data-independent checks
+   * @param {string} operation - read, create or update
+   * @returns {Object} Access result of the deciding role, with `roles`
+   */
+  checkPrincipalAccess(fieldName, principal, context = {}, value = null, record = null, operation = 'read') {
+    const roles = resolveRoles(principal)
+    const principalContext = withPrincipal(context, principal)
+    
+    if (roles.length === 0) {
+      return { ...this.checkAccess(fieldName, null, principalContext, value, record, operation), roles }
+    }
+    
+    const results = roles.map(role => this.checkAccess(fieldName, role, principalContext, value, record, operation))
+    const granted = results.filter(result => result.allowed)
+    
+    // Explain a denial by a record-dependent rule if one ran, else by the highest role
+    const decision = granted.find(result => !result.mask) ||
+      granted[0] ||
+      results.find(result => DYNAMIC_REASONS.has(result.reason)) ||
+      results[roles.indexOf(getHighestRole(roles, this.config.roles))]
+    
+    return { ...decision, roles }
+  }
+  
+  /**
+   * Evaluate field access without the decision cache
    * @param {string} fieldName - Field to check
    * @param {string} userRole - User's role
    * @param {Object} context - Additional context
+   * @param {*} value - Field value, when checking a concrete record
+   * @param {Object} record - Record holding the field, or null for data-independent checks
+   * @param {string} operation - read, create or update
    * @returns {Object} Access result with details
    */
-  checkAccess(fieldName, userRole, context = {}) {
-    const fieldConfig = this.findFieldConfig(fieldName)
+  evaluateAccess(fieldName, userRole, context = {}, value = null, record = null, operation = 'read') {
+    const fieldConfig = resolveFieldRule(this.findFieldConfig(fieldName), operation)
     
     if (!fieldConfig) {
       return {
@@ -299,9 +947,16 @@ class DSLEngine {
       }
     }
     
+    let result = {
+      allowed: true,
+      reason: 'no_restrictions',
+      userRole,
+      fieldName
+    }
+    
     if (fieldConfig.minRole) {
       const hasAccess = hasPermission(userRole, fieldConfig.minRole, this.config.roles)
-      return {
+      result = {
         allowed: hasAccess,
         reason: hasAccess ? 'sufficient_role' : 'insufficient_role',
         requires: fieldConfig.minRole,
@@ -310,24 +965,252 @@ class DSLEngine {
         userLevel: getRoleLevel(userRole, this.config.roles),
         requiredLevel: getRoleLevel(fieldConfig.minRole, this.config.roles)
       }
+      
+      if (!hasAccess) {
+        return result
+      }
+    }
+    
+    if (fieldConfig.requires) {
+      const missing = this.getMissingPermissions(userRole, fieldConfig.requires)
+      result = {
+        ...result,
+        allowed: missing.length === 0,
+        reason: missing.length === 0 ? 'permission_granted' : 'missing_permission',
+        permissions: {
+          required: Array.isArray(fieldConfig.requires) ? fieldConfig.requires : [fieldConfig.requires],
+          missing
+        }
+      }
+      
+      if (missing.length > 0) {
+        return result
+      }
+    }
+    
+    if (fieldConfig.abac) {
+      const evaluation = this.evaluateAbac(fieldConfig.abac, userRole, context, record)
+      result = {
+        ...result,
+        allowed: evaluation.passed,
+        reason: evaluation.deferred ? 'abac_deferred' : (evaluation.passed ? 'abac_passed' : 'abac_failed'),
+        abac: evaluation
+      }
+      
+      if (!evaluation.passed) {
+        return result
+      }
     }
     
     if (fieldConfig.condition && typeof fieldConfig.condition === 'function') {
-      const hasAccess = fieldConfig.condition(fieldName, null, userRole, context)
-      return {
+      const hasAccess = Boolean(fieldConfig.condition(fieldName, value, userRole, context, record))
+      result = {
+        ...result,
         allowed: hasAccess,
         reason: hasAccess ? 'condition_passed' : 'condition_failed',
-        userRole,
-        fieldName
+        recordChecked: record !== null
       }
     }
     
-    return {
-      allowed: true,
-      reason: 'no_restrictions',
-      userRole,
-      fieldName
+    // Visible fields may still be redacted for this role
+    if (result.allowed && fieldConfig.mask && operation === 'read') {
+      const mask = resolveMask(fieldConfig.mask, userRole, this.config.roles)
+      if (mask) {
+        result.mask = mask
+        result.masked = getMaskName(mask)
+      }
+    }
+    
+    return result
+  }
+  
+  /**
+   * Check an inbound write (request body, INSERT or UPDATE values) field by field
+   * Refused fields are reported with their checkAccess result. The write
+   * policy decides what happens to them:
+   *   reject - throw a WriteDeniedError listing them
+   *   strip  - drop them from the returned data (default)
+   *   log    - drop them and warn through options.logger
+   * @param {Object} data - Values to write
+   * @param {string|Array<string>|Object} userRole - User's role, roles or principal
+   * @param {Object} options - Write options
+   * @param {string} options.table - Table, for table-qualified field rules and its writePolicy
+   * @param {string} options.operation - INSERT or UPDATE
+   * @param {string} options.mode - reject, strip or log (overrides the configured writePolicy)
+   * @param {Object} options.context - Request context
+   * @param {Function} options.logger - Logger for log mode (defaults to console.warn)
+   * @returns {Object} Write report ({ allowed, mode, table, operation, data, accepted, refused })
+   * @throws {WriteDeniedError} In reject mode, if any field is refused
+   */
+  validateWrite(data, userRole, options = {}) {
+    const table = options.table || null
+    const operation = options.operation || 'INSERT'
+    const mode = this.getWritePolicy(table, options.mode)
+    const context = options.context || {}
+    
+    const report = { allowed: true, mode, table, operation, data: {}, accepted: [], refused: [] }
+    
+    Object.entries(data || {}).forEach(([field, value]) => {
+      const access = this.checkAccess(table ? `${table}.${field}` : field, userRole, context, value, data, operation)
+      
+      if (access.allowed) {
+        report.data[field] = value
+        report.accepted.push(field)
+      } else {
+        report.refused.push({ ...access, field })
+      }
+    })
+    
+    report.allowed = report.refused.length === 0
+    
+    if (!report.allowed) {
+      const fields = report.refused.map(entry => entry.field)
+      debug('Write refused fields:', { table, operation, userRole, fields, mode })
+      
+      if (mode === 'reject') {
+        throw new WriteDeniedError(
+          `Write denied for field(s): ${fields.join(', ')}`,
+          table || 'data',
+          userRole,
+          report.refused
+        )
+      }
+      
+      if (mode === 'log') {
+        const logger = options.logger || console.warn
+        logger('DSL write policy stripped fields:', {
+          table,
+          operation,
+          userRole,
+          refused: report.refused.map(entry => ({ field: entry.field, reason: entry.reason }))
+        })
+      }
     }
+    
+    return report
+  }
+  
+  /**
+   * Get the write policy for a table
+   * @param {string|null} table - Table name
+   * @param {string} override - Explicit policy, if any
+   * @returns {string} reject, strip or log
+   * @throws {ValidationError} If the policy is unknown
+   */
+  getWritePolicy(table, override = null) {
+    const mode = override ||
+      (table && this.config.database?.tables?.[table]?.writePolicy) ||
+      this.config.security?.writePolicy ||
+      'strip'
+    
+    if (!WRITE_POLICIES.includes(mode)) {
+      throw new ValidationError(`Unknown write policy '${mode}'. Use one of: ${WRITE_POLICIES.join(', ')}`, 'writePolicy', mode)
+    }
+    
+    return mode
+  }
+  
+  /**
+   * Get the named permissions a role holds through the role graph
+   * @param {string|Array<string>|Object} userRole - User's role, roles or principal
+   * @returns {Array<string>} Granted permissions (may include wildcards)
+   */
+  getPermissions(userRole) {
+    const cache = this.getPolicyCache()
+    if (cache && typeof userRole === 'string') {
+      return cache.getPermissions(userRole, () => collectPermissions(userRole, this.config.roles))
+    }
+    return collectPermissions(userRole, this.config.roles)
+  }
+  
+  /**
+   * List the required permissions a role does not hold
+   * Like field access, requirements are met per role: with several roles the
+   * requirement is met if one of them holds every permission, otherwise the
+   * shortest missing list is returned
+   * @param {string|Array<string>|Object} userRole - User's role, roles or principal
+   * @param {string|Array<string>} required - Required permission(s)
+   * @returns {Array<string>} Missing permissions (empty if all are granted)
+   */
+  getMissingPermissions(userRole, required) {
+    if (!userRole || typeof userRole === 'string') {
+      return getMissingPermissions(this.getPermissions(userRole), required)
+    }
+    
+    const roles = resolveRoles(userRole)
+    const missingByRole = (roles.length > 0 ? roles : [null])
+      .map(role => getMissingPermissions(this.getPermissions(role), required))
+    
+    return missingByRole.reduce((shortest, missing) => missing.length < shortest.length ? missing : shortest)
+  }
+  
+  /**
+   * Evaluate an ABAC expression for a user and resource
+   * User attributes come from context.user (plus `role`, `roles` and any
+   * principal attributes; `role` is the highest of several roles), environment
+   * attributes from context.env (plus now, hour and weekday). Without a
+   * resource, expressions that read resource attributes are deferred (allowed)
+   * so that data-independent checks such as SELECT column lists do not drop
+   * fields that per-record filtering decides later
+   * @param {Object} expression - ABAC expression
+   * @param {string|Array<string>|Object} userRole - User's role, roles or principal
+   * @param {Object} context - Request context ({ user, env })
+   * @param {Object|null} resource - Resource attributes (the record for field rules)
+   * @returns {Object} Evaluation ({ passed, checks, deferred? })
+   */
+  evaluateAbac(expression, userRole, context = {}, resource = null) {
+    if (resource === null && referencesSource(expression, 'resource')) {
+      return { passed: true, deferred: true, checks: [] }
+    }
+    
+    const role = typeof userRole === 'string' ? userRole : getHighestRole(resolveRoles(userRole), this.config.roles)
+    return evaluateExpression(expression, buildAttributes(role, withPrincipal(context, userRole), resource))
+  }
+  
+  /**
+   * Get the compiled policy cache, rebuilding it if the configuration changed
+   * @returns {PolicyCache|null} Policy cache, or null when caching is disabled
+   */
+  getPolicyCache() {
+    if (!this.options.cacheEnabled || !this.config) {
+      return null
+    }
+    
+    if (!this.policyCache || this.policyCache.isStale(this.config, this.options.cacheTTL)) {
+      this.policyCache = new PolicyCache(this.config, { maxEntries: this.options.cacheMaxEntries })
+      this.stats.cache.compilations++
+      debug('Policy compiled:', this.policyCache.getSize())
+    }
+    
+    return this.policyCache
+  }
+  
+  /**
+   * Drop compiled rules and memoized decisions
+   * Needed after editing config.fields or config.roles in place
+   */
+  invalidateCache() {
+    this.policyCache = null
+    debug('Policy cache invalidated')
+  }
+  
+  /**
+   * Replace the engine configuration
+   * @param {Object} config - New configuration (see createConfig)
+   * @throws {ValidationError} If the configuration is invalid
+   */
+  updateConfig(config) {
+    const previous = this.config
+    this.config = config
+    
+    try {
+      this.validateConfiguration()
+    } catch (error) {
+      this.config = previous
+      throw error
+    }
+    
+    this.invalidateCache()
   }
   
   /**
@@ -367,9 +1250,17 @@ class DSLEngine {
       }
     }
     
+    if (options.rowsFiltered !== undefined) {
+      metadata.rowsFiltered = options.rowsFiltered
+    }
+    
+    if (options.maskedFields && options.maskedFields.size > 0) {
+      metadata.maskedFields = Array.from(options.maskedFields.values())
+    }
+    
     // Add field analysis if requested
     if (options.includeFieldNames || process.env.NODE_ENV === 'development') {
-      const analysis = this.analyzeFiltering(originalData, filteredData, userRole)
+      const analysis = this.analyzeFiltering(originalData, filteredData, userRole, options.context)
       Object.assign(metadata, analysis)
     }
     
@@ -384,9 +1275,10 @@ class DSLEngine {
    * @param {*} original - Original data
    * @param {*} filtered - Filtered data
    * @param {string} userRole - User's role
+   * @param {Object} context - Request context used for conditions
    * @returns {Object} Analysis results
    */
-  analyzeFiltering(original, filtered, userRole) {
+  analyzeFiltering(original, filtered, userRole, context = {}) {
     if (!original || typeof original !== 'object') {
       return { totalFields: 0, allowedFields: 0, filteredFields: [] }
     }
@@ -403,7 +1295,7 @@ class DSLEngine {
     const removedFields = originalFields.filter(field => !filteredFields.includes(field))
     
     const filteredFieldsDetails = removedFields.map(field => {
-      const access = this.checkAccess(field, userRole)
+      const access = this.checkAccess(field, userRole, context, sampleItem[field], sampleItem)
       return {
         field,
         reason: access.reason,
@@ -416,10 +1308,41 @@ class DSLEngine {
       totalFields: originalFields.length,
       allowedFields: filteredFields.length,
       filteredFields: filteredFieldsDetails,
+      conditionalFields: this.countConditionalDecisions(original, userRole, context),
       filteringPercentage: Math.round((removedFields.length / originalFields.length) * 100)
     }
   }
   
+  /**
+   * Count per-record condition and ABAC outcomes for top-level fields
+   * These can differ between records, so a single sample is not enough
+   * @param {Object|Array} original - Original data
+   * @param {string} userRole - User's role
+   * @param {Object} context - Request context
+   * @returns {Object} Map of field name to { passed, failed } counts
+   */
+  countConditionalDecisions(original, userRole, context = {}) {
+    const records = Array.isArray(original) ? original : [original]
+    const decisions = {}
+    
+    records.forEach(record => {
+      if (!record || typeof record !== 'object') return
+      
+      Object.entries(record).forEach(([field, value]) => {
+        const fieldConfig = this.findFieldConfig(field)
+        if (!fieldConfig || (typeof fieldConfig.condition !== 'function' && !fieldConfig.abac)) return
+        
+        const access = this.checkAccess(field, userRole, context, value, record)
+        if (!DYNAMIC_REASONS.has(access.reason)) return
+        
+        decisions[field] = decisions[field] || { passed: 0, failed: 0 }
+        decisions[field][access.allowed ? 'passed' : 'failed']++
+      })
+    })
+    
+    return decisions
+  }
+  
   /**
    * Get engine statistics
    * @returns {Object} Statistics object
@@ -429,9 +1352,56 @@ class DSLEngine {
       ? this.stats.totalFilterTime / this.stats.totalFilterOperations 
       : 0
     
+    const parallel = this.stats.parallel
+    const avgParallelTime = parallel.operations > 0 ? parallel.totalTime / parallel.operations : 0
+    
+    const { fieldLookups, decisions, compilations } = this.stats.cache
+    
     return {
       ...this.stats,
-      averageFilterTime: Math.round(avgFilterTime * 100) / 100
+      averageFilterTime: Math.round(avgFilterTime * 100) / 100,
+      cache: {
+        enabled: this.options.cacheEnabled,
+        compilations,
+        fieldLookups: { ...fieldLookups, hitRate: getHitRate(fieldLookups) },
+        decisions: { ...decisions, hitRate: getHitRate(decisions) },
+        hitRate: getHitRate({
+          hits: fieldLookups.hits + decisions.hits,
+          misses: fieldLookups.misses + decisions.misses
+        }),
+        size: this.policyCache ? this.policyCache.getSize() : null
+      },
+      parallel: {
+        ...parallel,
+        enabled: this.options.parallel,
+        averageTime: Math.round(avgParallelTime * 100) / 100,
+        pool: this.workerPool ? this.workerPool.getStats() : null
+      }
+    }
+  }
+  
+  /**
+   * Create empty statistics counters
+   * @returns {Object} Statistics object
+   */
+  createStats() {
+    return {
+      totalFilterOperations: 0,
+      totalFilterTime: 0,
+      itemsProcessed: 0,
+      cache: {
+        compilations: 0,
+        fieldLookups: { hits: 0, misses: 0 },
+        decisions: { hits: 0, misses: 0 }
+      },
+      parallel: {
+        operations: 0,
+        chunks: 0,
+        totalTime: 0,
+        workerTime: 0,
+        fallbacks: 0,
+        lastFallbackReason: null
+      }
     }
   }
   
@@ -461,6 +1431,32 @@ class DSLEngine {
         if (fieldConfig.minRole && !this.config.roles[fieldConfig.minRole]) {
           throw new ValidationError(`Field '${fieldPattern}' references undefined role: ${fieldConfig.minRole}`)
         }
+        
+        const ruleErrors = validateFieldRules(fieldConfig, this.config.roles)
+        if (ruleErrors.length > 0) {
+          throw new ValidationError(`Field '${fieldPattern}' has invalid read/write rules: ${ruleErrors.join(', ')}`)
+        }
+        
+        if (fieldConfig.requires) {
+          const requirementErrors = validateRequirement(fieldConfig.requires, 'requires')
+          if (requirementErrors.length > 0) {
+            throw new ValidationError(`Field '${fieldPattern}' has an invalid permission requirement: ${requirementErrors.join(', ')}`)
+          }
+        }
+        
+        if (fieldConfig.abac) {
+          const abacErrors = validateExpression(fieldConfig.abac)
+          if (abacErrors.length > 0) {
+            throw new ValidationError(`Field '${fieldPattern}' has an invalid ABAC rule: ${abacErrors.join(', ')}`)
+          }
+        }
+        
+        if (fieldConfig.mask) {
+          const maskErrors = validateMask(fieldConfig.mask, this.config.roles)
+          if (maskErrors.length > 0) {
+            throw new ValidationError(`Field '${fieldPattern}' has an invalid mask: ${maskErrors.join(', ')}`)
+          }
+        }
       })
     }
     
@@ -471,13 +1467,66 @@ class DSLEngine {
    * Reset engine statistics
    */
   resetStats() {
-    this.stats = {
-      totalFilterOperations: 0,
-      totalFilterTime: 0,
-      itemsProcessed: 0
-    }
+    this.stats = this.createStats()
     debug('Statistics reset')
   }
 }
 
+/**
+ * Add a principal's roles and attributes to the context's user attributes
+ * Explicit context.user values take precedence
+ * @param {Object} context - Request context
+ * @param {string|Array<string>|Object} principal - Role, roles or principal
+ * @returns {Object} Context for ABAC rules and conditions
+ */
+function withPrincipal(context = {}, principal) {
+  return {
+    ...context,
+    user: {
+      roles: resolveRoles(principal),
+      ...getPrincipalAttributes(principal),
+      ...context.user
+    }
+  }
+}
+
+/**
+ * Access reasons that depend on the value, record or context of a check
+ */
+const DYNAMIC_REASONS = new Set([
+  'condition_passed',
+  'condition_failed',
+  'abac_passed',
+  'abac_failed',
+  'abac_deferred'
+])
+
+/**
+ * Calculate a cache hit rate
+ * @param {Object} counters - Counters ({ hits, misses })
+ * @returns {number} Hit rate in percent (two decimals)
+ */
+function getHitRate(counters) {
+  const total = counters.hits + counters.misses
+  return total > 0 ? Math.round((counters.hits / total) * 10000) / 100 : 0
+}
+
+/**
+ * Check whether a value contains functions anywhere (functions cannot be sent to workers)
+ * @param {*} value - Value to inspect
+ * @param {Set} seen - Objects already visited
+ * @returns {boolean} True if a function was found
+ */
+function containsFunction(value, seen = new Set()) {
+  if (typeof value === 'function') {
+    return true
+  }
+  if (value === null || typeof value !== 'object' || seen.has(value)) {
+    return false
+  }
+  
+  seen.add(value)
+  return Object.values(value).some(item => containsFunction(item, seen))
+}
+
 module.exports = DSLEngine
\ No newline at end of file
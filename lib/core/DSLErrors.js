@@ -55,6 +55,18 @@ class ConfigurationError extends DSLError {
   }
 }
 
+/**
+ * Configuration error for a config that no longer matches the database schema
+ */
+class SchemaDriftError extends ConfigurationError {
+  constructor(message, report) {
+    super(message, report.issues)
+    this.name = 'SchemaDriftError'
+    this.code = 'SCHEMA_DRIFT'
+    this.report = report
+  }
+}
+
 /**
  * Access denied error for unauthorized field access
  */
@@ -73,6 +85,71 @@ class AccessDeniedError extends DSLError {
   }
 }
 
+/**
+ * Access denied error for an inbound write with refused fields
+ */
+class WriteDeniedError extends AccessDeniedError {
+  constructor(message, resource, userRole, refused = []) {
+    super(message, resource, userRole)
+    this.name = 'WriteDeniedError'
+    this.refused = refused
+    this.context.refused = refused
+  }
+}
+
+/**
+ * Access denied error for a query that filters, sorts, groups or joins on a
+ * field the role cannot read
+ */
+class FieldReferenceError extends AccessDeniedError {
+  constructor(message, field, userRole, clause, reason = null) {
+    super(message, field, userRole)
+    this.name = 'FieldReferenceError'
+    this.code = 'FIELD_REFERENCE_DENIED'
+    this.field = field
+    this.clause = clause
+    this.reason = reason
+    this.context.field = field
+    this.context.clause = clause
+    this.context.reason = reason
+  }
+}
+
+/**
+ * Access denied error for a write that would put a row outside the caller's
+ * row policies, or a raw query that would bypass them
+ */
+class RowPolicyError extends AccessDeniedError {
+  constructor(message, table, userRole, operation, fields = []) {
+    super(message, table, userRole)
+    this.name = 'RowPolicyError'
+    this.code = 'ROW_POLICY_DENIED'
+    this.table = table
+    this.operation = operation
+    this.fields = fields
+    this.context.operation = operation
+    this.context.fields = fields
+  }
+}
+
+/**
+ * Access denied error for a table the role may not use, or an operation it
+ * may not run on the table
+ */
+class TableAccessError extends AccessDeniedError {
+  constructor(message, table, userRole, operation, reason, details = {}) {
+    super(message, table, userRole, details.required || null)
+    this.name = 'TableAccessError'
+    this.code = 'TABLE_ACCESS_DENIED'
+    this.table = table
+    this.operation = operation
+    this.reason = reason
+    this.details = details
+    this.context.operation = operation
+    this.context.reason = reason
+  }
+}
+
 /**
  * Validation error for invalid input data
  */
@@ -243,7 +320,12 @@ function validateTypes(params, types) {
 module.exports = {
   DSLError,
   ConfigurationError,
+  SchemaDriftError,
   AccessDeniedError,
+  WriteDeniedError,
+  FieldReferenceError,
+  RowPolicyError,
+  TableAccessError,
   ValidationError,
   DatabaseError,
   PerformanceError,
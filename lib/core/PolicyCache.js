@@ -0,0 +1,168 @@
+/**
+ * @fileoverview Compiled Policy Cache
+ * Precompiled field patterns and memoized per-role access decisions
+ */
+
+const { patternToRegex } = require('../utils/FieldMatcher')
+
+/**
+ * Field rules compiled from a configuration snapshot
+ * Field lookups and role decisions are memoized until the configuration changes
+ */
+class PolicyCache {
+  /**
+   * Compile a configuration
+   * @param {Object} config - DSL configuration
+   * @param {Object} options - Cache options
+   * @param {number} options.maxEntries - Memo size limit per map (cleared when exceeded)
+   */
+  constructor(config, options = {}) {
+    this.config = config
+    this.fields = config.fields
+    this.roles = config.roles
+    this.security = config.security
+    this.maxEntries = options.maxEntries || 10000
+    this.compiledAt = Date.now()
+    
+    // Exact keys are checked first, then patterns in declaration order
+    this.exact = new Map()
+    this.patterns = []
+    
+    Object.entries(this.fields || {}).forEach(([pattern, fieldConfig]) => {
+      this.exact.set(pattern, fieldConfig)
+      
+      if (isPattern(pattern)) {
+        this.patterns.push({ pattern, regex: patternToRegex(pattern), config: fieldConfig })
+      }
+    })
+    
+    // Memo of field path -> matching config (null when nothing matches)
+    this.fieldMemo = new Map()
+    
+    // Memo of role -> field path -> access decision (condition-free fields only)
+    this.decisions = new Map()
+    
+    // Memo of role -> permissions granted through the role graph
+    this.permissions = new Map()
+  }
+  
+  /**
+   * Check whether the cache no longer reflects the engine configuration
+   * Replacing config, config.fields, config.roles or config.security is detected;
+   * in-place edits need DSLEngine.invalidateCache()
+   * @param {Object} config - Current engine configuration
+   * @param {number} ttl - Maximum cache age in ms (0 for no expiry)
+   * @returns {boolean} True if the cache must be rebuilt
+   */
+  isStale(config, ttl = 0) {
+    return config !== this.config ||
+      config.fields !== this.fields ||
+      config.roles !== this.roles ||
+      config.security !== this.security ||
+      (ttl > 0 && Date.now() - this.compiledAt > ttl)
+  }
+  
+  /**
+   * Match a field name against the compiled patterns
+   * @param {string} fieldName - Field name or path
+   * @param {Object} stats - Counters to update ({ hits, misses })
+   * @returns {Object|null} Field configuration or null
+   */
+  matchFieldConfig(fieldName, stats) {
+    if (this.fieldMemo.has(fieldName)) {
+      stats.hits++
+      return this.fieldMemo.get(fieldName)
+    }
+    
+    stats.misses++
+    
+    let match = this.exact.get(fieldName) || null
+    if (!match) {
+      const compiled = this.patterns.find(entry => entry.regex.test(fieldName))
+      match = compiled ? compiled.config : null
+    }
+    
+    if (this.fieldMemo.size >= this.maxEntries) {
+      this.fieldMemo.clear()
+    }
+    this.fieldMemo.set(fieldName, match)
+    
+    return match
+  }
+  
+  /**
+   * Get a memoized access decision
+   * @param {string} userRole - User's role
+   * @param {string} fieldName - Field name or path
+   * @returns {Object|undefined} Access result, if cached
+   */
+  getDecision(userRole, fieldName) {
+    const roleDecisions = this.decisions.get(userRole)
+    return roleDecisions ? roleDecisions.get(fieldName) : undefined
+  }
+  
+  /**
+   * Memoize an access decision
+   * @param {string} userRole - User's role
+   * @param {string} fieldName - Field name or path
+   * @param {Object} result - Access result
+   */
+  setDecision(userRole, fieldName, result) {
+    let roleDecisions = this.decisions.get(userRole)
+    
+    if (!roleDecisions) {
+      roleDecisions = new Map()
+      this.decisions.set(userRole, roleDecisions)
+    } else if (roleDecisions.size >= this.maxEntries) {
+      roleDecisions.clear()
+    }
+    
+    roleDecisions.set(fieldName, result)
+  }
+  
+  /**
+   * Get the permissions of a role, computing them on first use
+   * @param {string} userRole - User's role
+   * @param {Function} compute - Returns the role's permissions
+   * @returns {Array<string>} Granted permissions
+   */
+  getPermissions(userRole, compute) {
+    if (!this.permissions.has(userRole)) {
+      this.permissions.set(userRole, compute())
+    }
+    return this.permissions.get(userRole)
+  }
+  
+  /**
+   * Get cache size information
+   * @returns {Object} Entry counts
+   */
+  getSize() {
+    let decisions = 0
+    this.decisions.forEach(roleDecisions => {
+      decisions += roleDecisions.size
+    })
+    
+    return {
+      exactKeys: this.exact.size,
+      compiledPatterns: this.patterns.length,
+      memoizedPaths: this.fieldMemo.size,
+      roles: this.decisions.size,
+      decisions
+    }
+  }
+}
+
+/**
+ * Check whether a field key is a pattern rather than a plain field name
+ * (mirrors the pattern forms recognized by matchField)
+ * @param {string} key - Field key from config.fields
+ * @returns {boolean} True if the key needs regex matching
+ */
+function isPattern(key) {
+  return (key.startsWith('/') && key.endsWith('/')) ||
+    key.includes('*') ||
+    (key.includes('[') && key.includes(']'))
+}
+
+module.exports = PolicyCache
@@ -0,0 +1,219 @@
+/**
+ * @fileoverview Worker Thread Pool
+ * Small fixed-size worker_threads pool used for parallel filtering
+ */
+
+const { Worker } = require('worker_threads')
+const debug = require('debug')('dsandsl:workers')
+
+/**
+ * Fixed-size pool of worker threads running one task at a time each
+ */
+class WorkerPool {
+  /**
+   * Create a worker pool
+   * @param {string} workerFile - Absolute path of the worker script
+   * @param {Object} options - Pool options
+   * @param {number} options.size - Maximum number of workers
+   * @param {*} options.workerData - Data passed to every worker on startup
+   */
+  constructor(workerFile, options = {}) {
+    this.workerFile = workerFile
+    this.size = Math.max(1, options.size || 1)
+    this.workerData = options.workerData
+    
+    this.workers = []
+    this.idle = []
+    this.queue = []
+    this.tasks = new Map()
+    this.nextTaskId = 0
+    this.closed = false
+    this.draining = false
+    this.onIdle = null
+  }
+  
+  /**
+   * Run a task on the next free worker
+   * @param {Object} payload - Message sent to the worker (must be structured-cloneable)
+   * @returns {Promise<Object>} Worker response
+   */
+  run(payload) {
+    if (this.closed || this.draining) {
+      return Promise.reject(new Error('Worker pool is closed'))
+    }
+    
+    return new Promise((resolve, reject) => {
+      this.queue.push({ id: ++this.nextTaskId, payload, resolve, reject })
+      this.dispatch()
+    })
+  }
+  
+  /**
+   * Assign queued tasks to idle workers, starting workers up to the pool size
+   */
+  dispatch() {
+    while (this.queue.length > 0) {
+      if (this.idle.length === 0 && this.workers.length < this.size) {
+        this.idle.push(this.createWorker())
+      }
+      
+      const worker = this.idle.pop()
+      if (!worker) {
+        return
+      }
+      
+      const task = this.queue.shift()
+      worker.currentTask = task
+      this.tasks.set(task.id, task)
+      
+      // Keep the process alive only while work is in flight
+      worker.ref()
+      
+      try {
+        worker.postMessage({ id: task.id, ...task.payload })
+      } catch (error) {
+        // Uncloneable payloads fail synchronously; the worker is still usable
+        this.release(worker)
+        task.reject(error)
+      }
+    }
+  }
+  
+  /**
+   * Start a worker and wire up its events
+   * @returns {Worker} New worker
+   */
+  createWorker() {
+    const worker = new Worker(this.workerFile, { workerData: this.workerData })
+    worker.currentTask = null
+    
+    worker.on('message', (message) => {
+      const task = this.tasks.get(message.id)
+      this.release(worker)
+      
+      if (!task) {
+        return
+      }
+      
+      if (message.error) {
+        task.reject(new Error(message.error))
+      } else {
+        task.resolve(message)
+      }
+    })
+    
+    worker.on('error', (error) => {
+      debug('Worker error:', error.message)
+      this.discard(worker, error)
+    })
+    
+    worker.on('exit', (code) => {
+      if (!this.closed && code !== 0) {
+        this.discard(worker, new Error(`Worker exited with code ${code}`))
+      }
+    })
+    
+    this.workers.push(worker)
+    debug('Worker started:', { poolSize: this.workers.length, maxSize: this.size })
+    
+    return worker
+  }
+  
+  /**
+   * Return a worker to the idle list and pick up waiting tasks
+   * @param {Worker} worker - Worker that finished its task
+   */
+  release(worker) {
+    if (worker.currentTask) {
+      this.tasks.delete(worker.currentTask.id)
+      worker.currentTask = null
+    }
+    
+    worker.unref()
+    this.idle.push(worker)
+    this.dispatch()
+    this.checkIdle()
+  }
+  
+  /**
+   * Remove a failed worker, failing its current task
+   * @param {Worker} worker - Failed worker
+   * @param {Error} error - Failure reason
+   */
+  discard(worker, error) {
+    this.workers = this.workers.filter(w => w !== worker)
+    this.idle = this.idle.filter(w => w !== worker)
+    
+    if (worker.currentTask) {
+      this.tasks.delete(worker.currentTask.id)
+      worker.currentTask.reject(error)
+      worker.currentTask = null
+    }
+    
+    this.dispatch()
+    this.checkIdle()
+  }
+  
+  /**
+   * Wake a pending drain() once no task is queued or running
+   */
+  checkIdle() {
+    if (this.onIdle && this.queue.length === 0 && this.tasks.size === 0) {
+      const onIdle = this.onIdle
+      this.onIdle = null
+      onIdle()
+    }
+  }
+  
+  /**
+   * Stop taking tasks and close once the queued and running ones have settled
+   * @returns {Promise<void>}
+   */
+  async drain() {
+    this.draining = true
+    
+    if (this.queue.length > 0 || this.tasks.size > 0) {
+      await new Promise(resolve => {
+        this.onIdle = resolve
+      })
+    }
+    
+    await this.close()
+  }
+  
+  /**
+   * Terminate all workers and reject queued and running tasks
+   * @returns {Promise<void>}
+   */
+  async close() {
+    this.closed = true
+    
+    this.queue.forEach(task => task.reject(new Error('Worker pool is closed')))
+    this.queue = []
+    this.tasks.forEach(task => task.reject(new Error('Worker pool is closed')))
+    this.tasks.clear()
+    this.checkIdle()
+    
+    const workers = this.workers
+    this.workers = []
+    this.idle = []
+    
+    await Promise.all(workers.map(worker => worker.terminate()))
+    debug('Worker pool closed')
+  }
+  
+  /**
+   * Get pool statistics
+   * @returns {Object} Pool size and load
+   */
+  getStats() {
+    return {
+      maxWorkers: this.size,
+      workers: this.workers.length,
+      busy: this.workers.length - this.idle.length,
+      queued: this.queue.length
+    }
+  }
+}
+
+module.exports = WorkerPool
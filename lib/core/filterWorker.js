@@ -0,0 +1,38 @@
+/**
+ * @fileoverview Filter Worker
+ * worker_threads entry point that filters array chunks for DSLEngine.filterAsync
+ */
+
+const { parentPort, workerData } = require('worker_threads')
+const DSLEngine = require('./DSLEngine')
+const FieldMapper = require('../utils/FieldMapper')
+
+// The engine is rebuilt from the serializable policy (roles, fields, security, field mappers)
+const { fieldMappers, ...config } = workerData.policy
+const engine = new DSLEngine(config, workerData.options)
+fieldMappers.forEach(state => engine.registerFieldMapper(FieldMapper.fromState(state)))
+
+parentPort.on('message', ({ id, chunk, userRole, options }) => {
+  const startTime = performance.now()
+  
+  try {
+    const filterOptions = {
+      ...options,
+      maskedFields: options.includeMetadata || options.auditFields ? new Map() : null,
+      deniedFields: options.auditFields ? new Map() : null
+    }
+    
+    const allowedFields = engine.getAllowedFields(userRole)
+    const data = engine.processArrayData(chunk, allowedFields, userRole, filterOptions)
+    
+    parentPort.postMessage({
+      id,
+      data,
+      maskedFields: filterOptions.maskedFields ? Array.from(filterOptions.maskedFields.values()) : [],
+      deniedFields: filterOptions.deniedFields ? Array.from(filterOptions.deniedFields.values()) : [],
+      time: performance.now() - startTime
+    })
+  } catch (error) {
+    parentPort.postMessage({ id, error: error.message })
+  }
+})
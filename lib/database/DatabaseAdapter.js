@@ -3,8 +3,36 @@
  * Defines the contract for all database adapters
  */
 
-const { DSLError, DatabaseError } = require('../core/DSLErrors')
-const { hasPermission } = require('../utils/RoleUtils')
+const { DSLError, DatabaseError, AccessDeniedError, FieldReferenceError, RowPolicyError, TableAccessError, ValidationError } = require('../core/DSLErrors')
+const { PROJECTION_POLICIES } = require('../core/DSLConfig')
+const { hasPermission, resolveRoles, getPrincipalAttributes } = require('../utils/RoleUtils')
+const { getRequiredPermissions } = require('../utils/Permissions')
+const { getContextValue, findPolicyViolations } = require('../utils/RowPolicies')
+const { parseSql } = require('./SqlParser')
+const FieldMapper = require('../utils/FieldMapper')
+const { getRoleViewName } = require('./RoleViewGenerator')
+
+/**
+ * Denial reasons that may change once the record is known; such columns are
+ * still selected and left to result filtering
+ */
+const RECORD_REASONS = ['condition_failed', 'abac_deferred']
+
+/**
+ * Query option key the adapter methods use to say their SQL already carries
+ * the row policies; a symbol, so callers of query() cannot set it
+ */
+const ROW_POLICIES_APPLIED = Symbol('rowPoliciesApplied')
+
+/**
+ * Session context entries and the request context keys they are read from;
+ * the role entry is the caller's role
+ */
+const SESSION_CONTEXT_KEYS = {
+  user_id: 'user.id',
+  tenant_id: 'tenantId',
+  request_id: 'requestId'
+}
 
 /**
  * Base class for all database adapters
@@ -17,6 +45,10 @@ class DatabaseAdapter {
       validateTableAccess: options.validateTableAccess !== false,
       validateFieldAccess: options.validateFieldAccess !== false,
       autoFilter: options.autoFilter !== false,
+      mapResults: options.mapResults === true,
+      introspectColumns: options.introspectColumns === true,
+      sessionContext: options.sessionContext || false,
+      auditKeyColumns: options.auditKeyColumns || ['id'],
       logQueries: options.logQueries || false,
       ...options
     }
@@ -24,6 +56,18 @@ class DatabaseAdapter {
     this.connectionManager = null
     this.queryBuilder = null
     this.transactionHelper = null
+    this.columnCache = new Map()
+    
+    // Shared with the query builders, so results map back the way fields were mapped in
+    this.fieldMapper = options.fieldMapper || FieldMapper.createDefault({
+      fieldMappings: options.fieldMappings,
+      tables: FieldMapper.getTableMappings(dsl.config)
+    })
+    
+    // Rules may then name a column either way (firstName or first_name)
+    if (this.options.mapResults) {
+      dsl.registerFieldMapper(this.fieldMapper)
+    }
   }
   
   /**
@@ -48,26 +92,36 @@ class DatabaseAdapter {
    * @param {Array} params - Query parameters
    * @param {string} userRole - User's role
    * @param {Object} options - Query options
+   * @param {string} options.projectionPolicy - reject or rewrite (overrides the adapter and security settings)
+   * @param {string} options.table - Table whose field mappings name the result columns (with mapResults)
    * @returns {Promise<Object>} Query results
    */
   async query(sql, params, userRole, options = {}) {
     try {
-      // Validate table access if enabled
-      if (this.options.validateTableAccess) {
-        this.validateTableAccess(sql, userRole)
-      }
+      // Validate access and enforce the select list
+      const prepared = await this.prepareQuery(sql, userRole, options)
       
       // Execute query
-      const result = await this.executeQuery(sql, params, options)
+      const result = await this.executeQuery(prepared.sql, params, {
+        ...options,
+        session: options.session || this.getSessionContext(userRole, options.context)
+      })
       
       // Auto-filter results if enabled
       if (this.options.autoFilter && result.rows) {
-        result.rows = this.dsl.filter(result.rows, userRole)
+        result.rows = this.filterQueryRows(result.rows, prepared.outputs, userRole, options.context)
       }
       
+      result.rows = this.mapResultRows(result.rows, options.table)
       return result
       
     } catch (error) {
+      // Access errors keep their own type so callers can report the fields
+      if (error instanceof AccessDeniedError) {
+        this.auditDenied(error, { table: options.table, operation: options.operation }, userRole, options.context)
+        throw error
+      }
+      
       throw new DatabaseError(
         `Query execution failed: ${error.message}`,
         'query_execution',
@@ -85,7 +139,7 @@ class DatabaseAdapter {
    */
   async select(table, userRole, options = {}) {
     // Check table access
-    this.checkTableAccess(table, userRole)
+    this.checkTableAccess(table, userRole, 'SELECT', options.context)
     
     // Get allowed fields for this role
     const allowedFields = this.getAllowedFieldsForTable(table, userRole)
@@ -104,6 +158,8 @@ class DatabaseAdapter {
       query.where(options.where)
     }
     
+    this.applyRowPolicies(query, table, userRole, options.context)
+    
     if (options.orderBy) {
       query.orderBy(options.orderBy)
     }
@@ -120,7 +176,7 @@ class DatabaseAdapter {
     const { sql, params } = query.build()
     const result = await this.executeQuery(sql, params)
     
-    return result.rows || []
+    return this.mapResultRows(result.rows || [], table)
   }
   
   /**
@@ -128,15 +184,21 @@ class DatabaseAdapter {
    * @param {string} table - Table name
    * @param {Object} data - Data to insert
    * @param {string} userRole - User's role
-   * @param {Object} options - Insert options
-   * @returns {Promise<Object>} Insert result
+   * @param {Object} options - Insert options (writePolicy, context, returning)
+   * @returns {Promise<Object>} Insert result, with the writeReport
    */
   async insert(table, data, userRole, options = {}) {
     // Check table access
-    this.checkTableAccess(table, userRole, 'INSERT')
+    this.checkTableAccess(table, userRole, 'INSERT', options.context)
     
-    // Filter data to only allowed fields
-    const allowedData = this.filterDataForRole(table, data, userRole)
+    // Check each field against the write policy
+    const writeReport = this.dsl.validateWrite(data, userRole, {
+      table,
+      operation: 'INSERT',
+      mode: options.writePolicy,
+      context: options.context
+    })
+    const allowedData = writeReport.data
     
     if (Object.keys(allowedData).length === 0) {
       throw new DatabaseError(
@@ -154,9 +216,13 @@ class DatabaseAdapter {
       query.returning(options.returning)
     }
     
+    this.checkRowPolicyValues(table, allowedData, userRole, 'INSERT', options.context)
+    
     // Execute query
     const { sql, params } = query.build()
     const result = await this.executeQuery(sql, params)
+    result.rows = this.mapResultRows(result.rows, table)
+    result.writeReport = writeReport
     
     return result
   }
@@ -167,15 +233,21 @@ class DatabaseAdapter {
    * @param {Object} data - Data to update
    * @param {Object} where - WHERE conditions
    * @param {string} userRole - User's role
-   * @param {Object} options - Update options
-   * @returns {Promise<Object>} Update result
+   * @param {Object} options - Update options (writePolicy, context, returning)
+   * @returns {Promise<Object>} Update result, with the writeReport
    */
   async update(table, data, where, userRole, options = {}) {
     // Check table access
-    this.checkTableAccess(table, userRole, 'UPDATE')
+    this.checkTableAccess(table, userRole, 'UPDATE', options.context)
     
-    // Filter data to only allowed fields
-    const allowedData = this.filterDataForRole(table, data, userRole)
+    // Check each field against the write policy
+    const writeReport = this.dsl.validateWrite(data, userRole, {
+      table,
+      operation: 'UPDATE',
+      mode: options.writePolicy,
+      context: options.context
+    })
+    const allowedData = writeReport.data
     
     if (Object.keys(allowedData).length === 0) {
       throw new DatabaseError(
@@ -190,6 +262,9 @@ class DatabaseAdapter {
       .set(allowedData)
       .where(where)
     
+    this.applyRowPolicies(query, table, userRole, options.context)
+    this.checkRowPolicyValues(table, allowedData, userRole, 'UPDATE', options.context)
+    
     if (options.returning) {
       query.returning(options.returning)
     }
@@ -197,6 +272,8 @@ class DatabaseAdapter {
     // Execute query
     const { sql, params } = query.build()
     const result = await this.executeQuery(sql, params)
+    result.rows = this.mapResultRows(result.rows, table)
+    result.writeReport = writeReport
     
     return result
   }
@@ -211,7 +288,7 @@ class DatabaseAdapter {
    */
   async delete(table, where, userRole, options = {}) {
     // Check table access
-    this.checkTableAccess(table, userRole, 'DELETE')
+    this.checkTableAccess(table, userRole, 'DELETE', options.context)
     
     // Build delete query
     const query = this.queryBuilder
@@ -219,6 +296,8 @@ class DatabaseAdapter {
       .from(table)
       .where(where)
     
+    this.applyRowPolicies(query, table, userRole, options.context)
+    
     if (options.returning) {
       query.returning(options.returning)
     }
@@ -226,6 +305,7 @@ class DatabaseAdapter {
     // Execute query
     const { sql, params } = query.build()
     const result = await this.executeQuery(sql, params)
+    result.rows = this.mapResultRows(result.rows, table)
     
     return result
   }
@@ -252,42 +332,388 @@ class DatabaseAdapter {
    * @param {string} table - Table name
    * @param {string} userRole - User's role
    * @param {string} operation - Operation type (SELECT, INSERT, UPDATE, DELETE)
-   * @throws {DatabaseError} If access denied
+   * @param {Object} context - Request context for ABAC rules ({ user, env })
+   * @throws {TableAccessError} If access denied
    */
-  checkTableAccess(table, userRole, operation = 'SELECT') {
+  checkTableAccess(table, userRole, operation = 'SELECT', context = {}) {
     const tableConfig = this.dsl.config.database?.tables?.[table]
     
     if (!tableConfig) {
       // No explicit config - allow by default (configurable)
       if (this.dsl.config.database?.denyUnknownTables === true) {
-        throw new DatabaseError(
+        throw new TableAccessError(
           `Access denied to table: ${table}`,
-          'table_access_denied',
-          { table, userRole, operation }
+          table,
+          userRole,
+          operation,
+          'unknown_table'
         )
       }
       return
     }
     
     // Check role permission for table
-    const hasAccess = hasPermission(userRole, tableConfig.minRole, this.dsl.config.roles)
+    const hasAccess = !tableConfig.minRole || hasPermission(userRole, tableConfig.minRole, this.dsl.config.roles)
     
     if (!hasAccess) {
-      throw new DatabaseError(
+      throw new TableAccessError(
         `Insufficient permissions for table ${table}. Required: ${tableConfig.minRole}, User: ${userRole}`,
-        'table_access_denied',
-        { table, userRole, operation, required: tableConfig.minRole }
+        table,
+        userRole,
+        operation,
+        'insufficient_role',
+        { required: tableConfig.minRole }
       )
     }
     
     // Check operation-specific permissions
     if (tableConfig.operations && !tableConfig.operations.includes(operation)) {
-      throw new DatabaseError(
+      throw new TableAccessError(
         `Operation ${operation} not allowed on table ${table}`,
+        table,
+        userRole,
+        operation,
         'operation_not_allowed',
-        { table, userRole, operation, allowedOperations: tableConfig.operations }
+        { allowedOperations: tableConfig.operations }
+      )
+    }
+    
+    // Check named permissions, optionally keyed by operation
+    if (tableConfig.requires) {
+      const missing = this.dsl.getMissingPermissions(userRole, getRequiredPermissions(tableConfig.requires, operation))
+      
+      if (missing.length > 0) {
+        throw new TableAccessError(
+          `Missing permission(s) for ${operation} on table ${table}: ${missing.join(', ')}`,
+          table,
+          userRole,
+          operation,
+          'missing_permissions',
+          { missing }
+        )
+      }
+    }
+    
+    // Check attribute rules against the table's declared attributes
+    if (tableConfig.abac) {
+      const resource = { table, operation, ...tableConfig.attributes }
+      const evaluation = this.dsl.evaluateAbac(tableConfig.abac, userRole, context, resource)
+      
+      if (!evaluation.passed) {
+        throw new TableAccessError(
+          `Attribute rules deny ${operation} on table ${table}`,
+          table,
+          userRole,
+          operation,
+          'abac_failed',
+          { abac: evaluation }
+        )
+      }
+    }
+  }
+  
+  /**
+   * Add a table's row policies to a query's WHERE clause
+   * @param {QueryBuilder} query - Query being built
+   * @param {string} table - Table name
+   * @param {string} userRole - User's role
+   * @param {Object} context - Request context supplying policy values
+   * @returns {QueryBuilder} The same query
+   */
+  applyRowPolicies(query, table, userRole, context = {}) {
+    const conditions = this.dsl.getRowPolicies(table, userRole, context)
+    
+    if (conditions.length > 0) {
+      query.whereRowPolicies(conditions)
+    }
+    
+    return query
+  }
+  
+  /**
+   * Check that a write keeps its row inside the table's row policies
+   * An insert must create a row the role can see; an update may not set a
+   * policy column to a value outside the policies
+   * @param {string} table - Table name
+   * @param {Object} data - Values written (semantic or column names)
+   * @param {string} userRole - User's role
+   * @param {string} operation - INSERT or UPDATE
+   * @param {Object} context - Request context supplying policy values
+   * @throws {RowPolicyError} If a value violates a row policy
+   */
+  checkRowPolicyValues(table, data, userRole, operation, context = {}) {
+    const conditions = this.dsl.getRowPolicies(table, userRole, context)
+    if (conditions.length === 0) {
+      return
+    }
+    
+    const values = this.fieldMapper.mapToDatabase(data || {}, table)
+    const fields = findPolicyViolations(values, conditions, operation === 'UPDATE')
+    
+    if (fields.length > 0) {
+      throw new RowPolicyError(
+        `${operation} on ${table} violates its row policies on: ${fields.join(', ')}`,
+        table,
+        userRole,
+        operation,
+        fields
+      )
+    }
+  }
+  
+  /**
+   * Refuse raw statements on tables whose row policies apply to the role
+   * Raw SQL cannot be given the policy conditions reliably, so it must come
+   * from the adapter's own methods, which add the conditions themselves
+   * @param {Object} analysis - Statement analysis from parseSql
+   * @param {string} userRole - User's role
+   * @param {Object} context - Request context
+   * @throws {RowPolicyError} If a table of the statement has row policies for the role
+   */
+  checkRawRowPolicies(analysis, userRole, context = {}) {
+    analysis.tables.forEach(table => {
+      const name = this.resolveTableName(table)
+      const conditions = this.dsl.getRowPolicies(name, userRole, context)
+      
+      if (conditions.length > 0) {
+        throw new RowPolicyError(
+          `Raw ${table.operation} on ${name} would bypass its row policies; use the adapter methods`,
+          name,
+          userRole,
+          table.operation,
+          conditions.filter(condition => condition.field).map(condition => condition.field)
+        )
+      }
+    })
+  }
+  
+  /**
+   * Get the values pushed into the connection session (sessionContext option)
+   * Names carry the prefix (app.user_id); the managers set them per query or
+   * transaction, so triggers, audit tables and RLS policies can see who is acting
+   * @param {string|Array|Object} userRole - User's role, roles or principal
+   * @param {Object} context - Request context ({ user: { id }, tenantId, requestId })
+   * @returns {Object|null} Session values by name, or null when disabled
+   */
+  getSessionContext(userRole, context = {}) {
+    if (!this.options.sessionContext) {
+      return null
+    }
+    
+    const sessionOptions = typeof this.options.sessionContext === 'object' ? this.options.sessionContext : {}
+    const prefix = sessionOptions.prefix || 'app'
+    const values = { role: resolveRoles(userRole).join(',') || null }
+    
+    // A principal's attributes (id) fill in what context.user leaves out
+    const source = { ...context, user: { ...getPrincipalAttributes(userRole), ...context?.user } }
+    Object.entries(sessionOptions.keys || SESSION_CONTEXT_KEYS).forEach(([name, key]) => {
+      values[name] = getContextValue(source, key)
+    })
+    
+    const session = {}
+    Object.entries(values)
+      .filter(([, value]) => value !== undefined && value !== null)
+      .forEach(([name, value]) => {
+        session[`${prefix}.${name}`] = String(value)
+      })
+    
+    return session
+  }
+  
+  /**
+   * Get the audit logger of the adapter (auditLogger option, else the engine's)
+   * @returns {AuditLogger|null} Audit logger
+   */
+  getAuditLogger() {
+    return this.options.auditLogger || this.dsl.auditLogger || null
+  }
+  
+  /**
+   * Read the rows an update or delete is about to change, for the audit log
+   * Rows are read unfiltered with the write's conditions and row policies;
+   * nothing is read without an audit logger
+   * @param {string} table - Table name
+   * @param {Object} where - Write conditions
+   * @param {string} userRole - User's role
+   * @param {Object} options - Write options (context)
+   * @param {Function} execute - Runs (sql, params) on the write's connection (default executeQuery)
+   * @returns {Promise<Array<Object>|null>} Rows, or null when not auditing
+   */
+  async readAuditRows(table, where, userRole, options = {}, execute = null) {
+    if (!this.getAuditLogger()) {
+      return null
+    }
+    
+    // from() before select() keeps SELECT * from expanding to the role's fields
+    const qb = this.createQueryBuilder(userRole, { validateFields: false, autoFilter: false })
+      .from(table)
+      .select(['*'])
+    
+    this.applyRowPolicies(qb, table, userRole, options.context)
+    
+    if (where) {
+      qb.where(where)
+    }
+    
+    const { sql, params } = qb.build()
+    const result = execute
+      ? await execute(sql, params)
+      : await this.executeQuery(sql, params, { userRole, operation: 'SELECT', table })
+    
+    return result.rows
+  }
+  
+  /**
+   * Record a completed write in the audit log
+   * @param {string} operation - INSERT, UPDATE or DELETE
+   * @param {string} table - Table name
+   * @param {string} userRole - User's role
+   * @param {Object} options - Write options (context)
+   * @param {Object} details - { qb, data, before, result }
+   */
+  auditWrite(operation, table, userRole, options, details) {
+    const logger = this.getAuditLogger()
+    if (!logger) {
+      return
+    }
+    
+    // The validated data, as written (refused fields stripped)
+    const written = details.qb?.writeReport ? details.qb.writeReport.data : details.data
+    const data = written ? this.fieldMapper.mapToDatabase(written, table) : null
+    const before = details.before || null
+    const result = details.result || {}
+    
+    logger.recordWrite({
+      operation,
+      table,
+      data,
+      before,
+      affectedRows: result.affectedRows !== undefined ? result.affectedRows : result.rowCount,
+      keyColumns: this.options.auditKeyColumns,
+      deniedColumns: this.getDeniedColumns(table, [data || {}, ...(before || [])], userRole, options.context)
+    }, { userRole, context: options.context })
+  }
+  
+  /**
+   * List the columns of some rows the role may not read unmasked
+   * The audit log redacts their values, so the log shows no more than a select would
+   * @param {string} table - Table name
+   * @param {Array<Object>} rows - Rows (database column names)
+   * @param {string|Array|Object} userRole - User's role, roles or principal
+   * @param {Object} context - Request context
+   * @returns {Array<string>} Column names
+   */
+  getDeniedColumns(table, rows, userRole, context = {}) {
+    const columns = new Set(rows.flatMap(row => Object.keys(row)))
+    
+    return Array.from(columns).filter(column => {
+      const access = this.dsl.checkAccess(`${table}.${column}`, userRole, context || {})
+      return !access.allowed || Boolean(access.mask)
+    })
+  }
+  
+  /**
+   * Record an access denial in the audit log
+   * @param {AccessDeniedError} error - Denial
+   * @param {Object} details - { table, operation }
+   * @param {string} userRole - User's role
+   * @param {Object} context - Request context
+   */
+  auditDenied(error, details, userRole, context = {}) {
+    const logger = this.getAuditLogger()
+    if (logger) {
+      logger.recordDenied(error, details, { userRole, context })
+    }
+  }
+  
+  /**
+   * Get the relation a role's select reads from
+   * With the roleViews option this is the role's generated view (users__support).
+   * Views are generated per role, so callers with several roles are refused
+   * rather than sent to the base table
+   * @param {string} table - Table name
+   * @param {string|Array|Object} userRole - User's role, roles or principal
+   * @returns {string|null} View name, or null to read the table
+   * @throws {DatabaseError} If roleViews is on and the caller has no single role
+   */
+  getSelectSource(table, userRole) {
+    if (!this.options.roleViews) {
+      return null
+    }
+    
+    const roles = resolveRoles(userRole)
+    if (roles.length !== 1) {
+      throw new DatabaseError(
+        `No role view of ${table} for roles: ${roles.join(', ') || 'none'}; role views need a single role`,
+        'role_view_unavailable',
+        { table, userRole, roles }
       )
     }
+    
+    return getRoleViewName(table, roles[0], this.getRoleViewOptions())
+  }
+  
+  /**
+   * Get the table behind one of the caller's role views (roleViews option)
+   * Other roles' views are left alone, so they stay unknown tables
+   * @param {string} name - Table or view name from a statement
+   * @param {string|Array|Object} userRole - User's role, roles or principal
+   * @returns {string|null} Base table name, or null if name is not a view of the caller
+   */
+  getRoleViewTable(name, userRole) {
+    if (!this.options.roleViews || !name) {
+      return null
+    }
+    
+    const viewOptions = this.getRoleViewOptions()
+    for (const role of resolveRoles(userRole)) {
+      const suffix = getRoleViewName('', role, viewOptions)
+      if (name.length > suffix.length && name.endsWith(suffix)) {
+        return name.slice(0, -suffix.length)
+      }
+    }
+    return null
+  }
+  
+  /**
+   * Get the generator options of the roleViews adapter option ({ separator })
+   * @returns {Object} View options
+   */
+  getRoleViewOptions() {
+    return typeof this.options.roleViews === 'object' ? this.options.roleViews : {}
+  }
+  
+  /**
+   * Name the base tables in place of the caller's role views in a parsed statement
+   * Table, field and projection checks then apply the rules of the tables;
+   * relation keeps the view name, whose columns are the ones a star can expand to
+   * @param {Object} analysis - Statement analysis from parseSql
+   * @param {string|Array|Object} userRole - User's role, roles or principal
+   * @returns {Object} The analysis, with view names replaced
+   */
+  mapRoleViews(analysis, userRole) {
+    if (!this.options.roleViews) {
+      return analysis
+    }
+    
+    const mapName = name => this.getRoleViewTable(name, userRole) || name
+    const mapSource = source => ({
+      ...source,
+      table: mapName(source.table),
+      relation: source.table,
+      candidates: (source.candidates || []).map(mapName)
+    })
+    
+    return {
+      ...analysis,
+      tables: analysis.tables.map(table => ({ ...table, name: mapName(table.name) })),
+      references: analysis.references.map(mapSource),
+      selections: analysis.selections.map(selection => ({
+        ...selection,
+        sources: selection.sources.map(mapSource),
+        starSources: selection.starSources.map(source => ({ ...source, table: mapName(source.table), relation: source.table }))
+      }))
+    }
   }
   
   /**
@@ -324,45 +750,575 @@ class DatabaseAdapter {
   }
   
   /**
-   * Filter data object to only include allowed fields
+   * Filter data object to only include fields the role may write
+   * Uses the fields' create or update rules (falling back to write, then the base rule)
    * @param {string} table - Table name
    * @param {Object} data - Data to filter
    * @param {string} userRole - User's role
+   * @param {string} operation - INSERT or UPDATE
+   * @param {Object} context - Request context
    * @returns {Object} Filtered data
    */
-  filterDataForRole(table, data, userRole) {
-    const filtered = {}
-    const allowedFields = this.getAllowedFieldsForTable(table, userRole)
+  filterDataForRole(table, data, userRole, operation = 'INSERT', context = {}) {
+    return this.dsl.validateWrite(data, userRole, { table, operation, mode: 'strip', context }).data
+  }
+  
+  /**
+   * Validate table and field access in a raw SQL query
+   * Every table the statement touches is checked for the operation applied to
+   * it (SELECT for tables only read). With validateFieldAccess, columns used
+   * outside the select list must be readable and INSERT/UPDATE target columns
+   * writable; selected columns are checked by enforceProjection
+   * @param {string} sql - SQL query
+   * @param {string} userRole - User's role
+   * @param {Object} context - Request context for ABAC rules
+   * @returns {Object} Statement analysis (see SqlParser.parseSql)
+   * @throws {TableAccessError} If unauthorized table access detected
+   * @throws {FieldReferenceError} If a condition, join, sort or assignment uses an unreadable field
+   * @throws {WriteDeniedError} If the statement writes a field the role may not write
+   */
+  validateTableAccess(sql, userRole, context = {}) {
+    const analysis = this.mapRoleViews(parseSql(sql, { dialect: this.getDialect() }), userRole)
+    const checked = new Set()
     
-    Object.entries(data).forEach(([field, value]) => {
-      if (allowedFields.includes(field)) {
-        filtered[field] = value
+    // Check access to each table once per operation
+    analysis.tables.forEach(table => {
+      const name = this.resolveTableName(table)
+      const key = `${table.operation}:${name}`
+      
+      if (!checked.has(key)) {
+        checked.add(key)
+        this.checkTableAccess(name, userRole, table.operation, context)
       }
     })
     
-    return filtered
+    if (this.options.validateFieldAccess) {
+      this.validateFieldReferences(analysis, userRole, context)
+    }
+    
+    return analysis
   }
   
   /**
-   * Validate table access in SQL query
+   * Check the columns a parsed statement filters, joins, sorts or writes on
+   * @param {Object} analysis - Statement analysis from parseSql
+   * @param {string} userRole - User's role
+   * @param {Object} context - Request context
+   * @throws {FieldReferenceError} If a referenced column is not readable
+   * @throws {WriteDeniedError} If a written column is not writable
+   */
+  validateFieldReferences(analysis, userRole, context = {}) {
+    analysis.references.forEach(reference => {
+      // Selected and returned columns are removed from the rows by auto-filtering
+      if (reference.clause === 'SELECT' || reference.clause === 'RETURNING') {
+        return
+      }
+      
+      // An unqualified column is checked against every table it could belong to
+      const tables = reference.table ? [reference.table] : reference.candidates
+      const patterns = tables.length > 0
+        ? tables.map(table => `${table}.${reference.column}`)
+        : [reference.column]
+      
+      patterns.forEach(pattern => {
+        const access = this.dsl.checkAccess(pattern, userRole, context)
+        if (!access.allowed) {
+          throw new FieldReferenceError(
+            `Cannot use field '${pattern}' in ${reference.clause}`,
+            pattern,
+            userRole,
+            reference.clause,
+            access.reason
+          )
+        }
+      })
+    })
+    
+    // Raw SQL cannot be rewritten, so unwritable columns always reject
+    analysis.tables
+      .filter(table => (table.operation === 'INSERT' || table.operation === 'UPDATE') && table.columns.length > 0)
+      .forEach(table => {
+        const data = Object.fromEntries(table.columns.map(column => [column, null]))
+        this.dsl.validateWrite(data, userRole, {
+          table: this.resolveTableName(table),
+          operation: table.operation,
+          mode: 'reject',
+          context
+        })
+      })
+  }
+  
+  /**
+   * Check a raw query and enforce column access on its select list
+   * Used by query() and the transaction adapters before running the SQL
    * @param {string} sql - SQL query
    * @param {string} userRole - User's role
-   * @throws {DatabaseError} If unauthorized table access detected
+   * @param {Object} options - Query options (context, projectionPolicy; the adapter
+   *   methods also set ROW_POLICIES_APPLIED)
+   * @returns {Promise<Object>} { sql, outputs }: the SQL to run and the table
+   *   column behind each result column (null when the select list is not checked)
+   * @throws {AccessDeniedError} If a table or field may not be used
    */
-  validateTableAccess(sql, userRole) {
-    // Simple table extraction (could be improved with proper SQL parsing)
-    const tablePattern = /(?:FROM|JOIN|INTO|UPDATE)\s+([a-zA-Z_][a-zA-Z0-9_]*)/gi
-    const tables = []
-    let match
+  async prepareQuery(sql, userRole, options = {}) {
+    if (!this.options.validateTableAccess) {
+      return { sql, outputs: null }
+    }
+    
+    const analysis = this.validateTableAccess(sql, userRole, options.context)
     
-    while ((match = tablePattern.exec(sql)) !== null) {
-      tables.push(match[1].toLowerCase())
+    if (!options[ROW_POLICIES_APPLIED]) {
+      this.checkRawRowPolicies(analysis, userRole, options.context)
+    }
+    
+    if (!this.options.validateFieldAccess) {
+      return { sql, outputs: null }
+    }
+    
+    return this.enforceProjection(sql, analysis, userRole, options)
+  }
+  
+  /**
+   * Enforce column access on the select lists of a parsed statement
+   * Subqueries, CTEs and INSERT ... SELECT sources may only select columns the
+   * role reads unmasked, since their values cannot be filtered afterwards.
+   * Top-level items selecting an unreadable column, aliased or inside an
+   * expression, are rejected or removed by the projection policy, and stars
+   * are expanded to the readable columns (from getColumns) when a table has
+   * hidden ones. Masked columns are only selectable as plain columns, so the
+   * mask can be applied to the result
+   * @param {string} sql - SQL query
+   * @param {Object} analysis - Statement analysis from parseSql
+   * @param {string} userRole - User's role
+   * @param {Object} options - Query options (context, projectionPolicy)
+   * @returns {Promise<Object>} { sql, outputs } with outputs ({ columns, starTables }):
+   *   result column name (lower-cased) to field patterns, and the tables of
+   *   stars that could not be expanded
+   * @throws {FieldReferenceError} If a column may not be selected and cannot be removed
+   */
+  async enforceProjection(sql, analysis, userRole, options = {}) {
+    const policy = this.getProjectionPolicy(options)
+    const context = options.context || {}
+    const outputs = { columns: new Map(), starTables: [] }
+    
+    // Select lists feeding the statement rather than its result
+    for (const reference of analysis.references) {
+      if ((reference.clause !== 'SELECT' && reference.clause !== 'RETURNING') || reference.selection !== null) {
+        continue
+      }
+      
+      if (reference.column === '*') {
+        const table = this.resolveTableName({ name: reference.table, schema: null })
+        const columns = await this.getTableColumns(reference.relation || reference.table)
+        const known = columns.length > 0 ? columns : this.getConfiguredColumns(table)
+        const hidden = this.findHiddenColumn(table, known, userRole, context, true)
+        if (hidden) {
+          throw this.projectionError(hidden, userRole, `Cannot select field '${hidden.pattern}' through * in a subquery`)
+        }
+        continue
+      }
+      
+      const hidden = this.findHiddenPattern(this.getReferencePatterns(reference), userRole, context, true)
+      if (hidden) {
+        throw this.projectionError(hidden, userRole, `Cannot select field '${hidden.pattern}' in a subquery`)
+      }
     }
     
-    // Check access to each table
-    tables.forEach(table => {
-      this.checkTableAccess(table, userRole)
+    // Rebuild each select list that loses or expands an item
+    const cores = new Map()
+    analysis.selections.forEach(selection => {
+      if (!cores.has(selection.core)) {
+        cores.set(selection.core, [])
+      }
+      cores.get(selection.core).push(selection)
     })
+    
+    const edits = []
+    for (const selections of cores.values()) {
+      let changed = false
+      let denied = null
+      const texts = []
+      
+      for (const selection of selections) {
+        const result = selection.star
+          ? await this.projectStar(selection, userRole, context, outputs)
+          : this.projectItem(selection, userRole, context, outputs)
+        
+        if (result.denied) {
+          // Removing items from a compound, or ones holding placeholders or
+          // referred to by position, would change the statement's meaning
+          if (policy === 'reject' || result.rewritable === false || selection.compound ||
+              selection.positional || selection.parameters > 0) {
+            throw this.projectionError(result.denied, userRole, result.message)
+          }
+          denied = denied || result
+          changed = true
+        }
+        
+        if (result.text !== undefined) {
+          changed = changed || result.text !== selection.expression
+          if (result.text) {
+            texts.push(result.text)
+          }
+        } else {
+          texts.push(selection.expression)
+        }
+      }
+      
+      if (!changed) {
+        continue
+      }
+      if (texts.length === 0) {
+        throw this.projectionError(denied.denied, userRole, `No readable fields selected: ${denied.message}`)
+      }
+      
+      edits.push({
+        start: selections[0].start,
+        end: selections[selections.length - 1].end,
+        text: texts.join(', ')
+      })
+    }
+    
+    const rewritten = edits
+      .sort((a, b) => b.start - a.start)
+      .reduce((text, edit) => text.slice(0, edit.start) + edit.text + text.slice(edit.end), sql)
+    
+    return { sql: rewritten, outputs }
+  }
+  
+  /**
+   * Check a top-level select item that is not a star
+   * Plain columns may be masked or record-dependent, since their result column
+   * is filtered; expressions and compound parts need unmasked read access
+   * @param {Object} selection - Selection from parseSql
+   * @param {string} userRole - User's role
+   * @param {Object} context - Request context
+   * @param {Object} outputs - Receives the item's result column
+   * @returns {Object} {} if the item may be selected, else { denied, message, text: null }
+   */
+  projectItem(selection, userRole, context, outputs) {
+    const exact = !selection.plain || selection.compound
+    const patterns = selection.sources.flatMap(source => this.getReferencePatterns(source))
+    const hidden = this.findHiddenPattern(patterns, userRole, context, exact)
+    
+    if (hidden) {
+      return {
+        denied: hidden,
+        message: `Cannot select field '${hidden.pattern}' as '${selection.expression}'`,
+        text: null
+      }
+    }
+    
+    if (selection.plain && !selection.compound && selection.name) {
+      addOutput(outputs, selection.name, patterns)
+    }
+    return {}
+  }
+  
+  /**
+   * Check a top-level star, expanding it to the readable columns when a table has hidden ones
+   * @param {Object} selection - Selection from parseSql
+   * @param {string} userRole - User's role
+   * @param {Object} context - Request context
+   * @param {Object} outputs - Receives the result columns
+   * @returns {Promise<Object>} {} if nothing is hidden, else { denied, message, text, rewritable }
+   */
+  async projectStar(selection, userRole, context, outputs) {
+    const qualified = selection.star !== '*'
+    const single = selection.starSources.length === 1
+    const parts = []
+    let hidden = null
+    
+    for (const source of selection.starSources) {
+      const prefix = qualified
+        ? `${selection.expression.slice(0, selection.expression.lastIndexOf('.')).trim()}.`
+        : (single ? '' : `${this.escapeIdentifier(source.qualifier)}.`)
+      
+      if (source.derived) {
+        // Derived tables only expose columns their own select list was allowed
+        parts.push(source.qualifier.startsWith('(') ? '*' : `${prefix}*`)
+        continue
+      }
+      
+      const table = this.resolveTableName({ name: source.table, schema: source.schema })
+      const columns = await this.getTableColumns(source.relation || source.table)
+      
+      if (columns.length === 0) {
+        outputs.starTables.push(table)
+        parts.push(`${prefix}*`)
+        continue
+      }
+      
+      columns.forEach(column => {
+        const pattern = `${table}.${column}`
+        const denied = this.findHiddenPattern([pattern], userRole, context, selection.compound)
+        
+        if (denied) {
+          hidden = hidden || denied
+        } else {
+          addOutput(outputs, column, [pattern])
+          parts.push(`${prefix}${this.escapeIdentifier(column)}`)
+        }
+      })
+    }
+    
+    if (!hidden) {
+      return {}
+    }
+    
+    return {
+      denied: hidden,
+      message: `Cannot select field '${hidden.pattern}' through *`,
+      text: parts.join(', '),
+      // An unaliased derived table cannot be named next to the expanded columns
+      rewritable: !parts.includes('*')
+    }
+  }
+  
+  /**
+   * Find the first field pattern a select list may not expose
+   * @param {Array<string>} patterns - Field patterns (table.column)
+   * @param {string} userRole - User's role
+   * @param {Object} context - Request context
+   * @param {boolean} exact - Require unmasked access that does not depend on the record
+   * @returns {Object|null} { pattern, access } or null if all may be selected
+   */
+  findHiddenPattern(patterns, userRole, context, exact) {
+    for (const pattern of patterns) {
+      const access = this.dsl.checkAccess(pattern, userRole, context)
+      const visible = exact
+        ? access.allowed && !access.mask
+        : access.allowed || RECORD_REASONS.includes(access.reason)
+      
+      if (!visible) {
+        return { pattern, access }
+      }
+    }
+    return null
+  }
+  
+  /**
+   * Find a column of a table that a star may not expose
+   * @param {string} table - Table name
+   * @param {Array<string>} columns - Column names
+   * @param {string} userRole - User's role
+   * @param {Object} context - Request context
+   * @param {boolean} exact - Require unmasked access
+   * @returns {Object|null} { pattern, access } or null
+   */
+  findHiddenColumn(table, columns, userRole, context, exact) {
+    return this.findHiddenPattern(columns.map(column => `${table}.${column}`), userRole, context, exact)
+  }
+  
+  /**
+   * Field patterns a parsed column reference may resolve to
+   * @param {Object} reference - Reference or selection source ({ table, column, candidates })
+   * @returns {Array<string>} Field patterns
+   */
+  getReferencePatterns(reference) {
+    const tables = reference.table ? [reference.table] : reference.candidates
+    return tables.length > 0
+      ? tables.map(table => `${table}.${reference.column}`)
+      : [reference.column]
+  }
+  
+  /**
+   * Create the error for a column that may not be selected
+   * @param {Object} hidden - { pattern, access } from findHiddenPattern
+   * @param {string} userRole - User's role
+   * @param {string} message - Error message
+   * @returns {FieldReferenceError} Error
+   */
+  projectionError(hidden, userRole, message) {
+    return new FieldReferenceError(message, hidden.pattern, userRole, 'SELECT', hidden.access.mask ? 'masked' : hidden.access.reason)
+  }
+  
+  /**
+   * Get the projection policy for a raw query
+   * options.projectionPolicy, else the adapter's projectionPolicy, else
+   * security.projectionPolicy, else rewrite
+   * @param {Object} options - Query options
+   * @returns {string} reject or rewrite
+   * @throws {ValidationError} If the policy is unknown
+   */
+  getProjectionPolicy(options = {}) {
+    const policy = options.projectionPolicy ||
+      this.options.projectionPolicy ||
+      this.dsl.config.security?.projectionPolicy ||
+      'rewrite'
+    
+    if (!PROJECTION_POLICIES.includes(policy)) {
+      throw new ValidationError(`Unknown projection policy: ${policy}`, 'projectionPolicy', policy)
+    }
+    
+    return policy
+  }
+  
+  /**
+   * Filter raw query rows by the table columns behind their result columns
+   * Result columns traced to a table column (aliases included) are checked and
+   * masked as that column; the rest are filtered by name like any other data
+   * @param {Array<Object>} rows - Result rows
+   * @param {Object|null} outputs - Result columns from enforceProjection
+   * @param {string} userRole - User's role
+   * @param {Object} context - Request context
+   * @returns {Array<Object>} Filtered rows
+   */
+  filterQueryRows(rows, outputs, userRole, context = {}) {
+    if (!outputs || (outputs.columns.size === 0 && outputs.starTables.length === 0)) {
+      return this.dsl.filter(rows, userRole, { context })
+    }
+    
+    const patternsFor = key => outputs.columns.get(key.toLowerCase()) ||
+      (outputs.starTables.length > 0 ? outputs.starTables.map(table => `${table}.${key}`) : null)
+    
+    // Columns that could not be traced keep the usual name-based filtering
+    const untraced = this.dsl.filter(rows.map(row => Object.fromEntries(
+      Object.entries(row).filter(([key]) => !patternsFor(key))
+    )), userRole, { context })
+    
+    return rows.map((row, index) => {
+      const filtered = {}
+      
+      Object.entries(row).forEach(([key, value]) => {
+        const patterns = patternsFor(key)
+        if (!patterns) {
+          if (key in untraced[index]) {
+            filtered[key] = untraced[index][key]
+          }
+          return
+        }
+        
+        const results = patterns.map(pattern => this.dsl.checkAccess(pattern, userRole, context, value, row))
+        const masked = results.find(access => access.mask)
+        
+        if (results.every(access => access.allowed)) {
+          filtered[key] = masked
+            ? this.dsl.maskFieldValue(value, masked.mask, key, masked.userRole, { context }, row)
+            : value
+        } else if (!this.dsl.options.strict && this.dsl.isAlwaysAllowedField(key)) {
+          filtered[key] = value
+        }
+      })
+      
+      return filtered
+    })
+  }
+  
+  /**
+   * Map result rows to semantic field names (first_name to firstName)
+   * Only with the mapResults option; rows are returned as they are otherwise
+   * @param {Array<Object>|undefined} rows - Result rows with database column names
+   * @param {string|null} table - Table the rows come from, for table-scoped mappings
+   * @returns {Array<Object>|undefined} Rows with semantic names
+   */
+  mapResultRows(rows, table = null) {
+    if (!this.options.mapResults || !rows) {
+      return rows
+    }
+    
+    return this.fieldMapper.mapToSemantic(rows, table)
+  }
+  
+  /**
+   * Teach the field mapper the columns of each table (introspectColumns option)
+   * Covers the tables in config.database.tables, or every table of the database
+   * when none are configured; field names that resolve to a column the table
+   * lacks are then rejected by the query builder instead of by the database
+   * @returns {Promise<Array<string>>} Tables whose columns were loaded
+   */
+  async loadColumnMappings() {
+    let tables = Object.keys(this.dsl.config.database?.tables || {})
+    
+    if (tables.length === 0 && this.connectionManager?.getTables) {
+      const rows = await this.connectionManager.getTables()
+      tables = rows.map(row => row.table_name || row.tablename).filter(Boolean)
+    }
+    
+    const loaded = []
+    for (const table of tables) {
+      const columns = await this.getTableColumns(table)
+      if (columns.length > 0) {
+        this.fieldMapper.setTableColumns(table, columns)
+        loaded.push(table)
+      }
+    }
+    
+    return loaded
+  }
+  
+  /**
+   * Get the column names of a table (cached)
+   * @param {string} table - Table name
+   * @returns {Promise<Array<string>>} Column names, empty if unknown
+   */
+  async getTableColumns(table) {
+    if (!this.columnCache.has(table)) {
+      const columns = this.connectionManager && this.connectionManager.getColumns
+        ? await this.connectionManager.getColumns(table)
+        : []
+      
+      // Unknown tables are looked up again next time
+      if (!columns || columns.length === 0) {
+        return []
+      }
+      this.columnCache.set(table, columns.map(column => column.column_name))
+    }
+    
+    return this.columnCache.get(table)
+  }
+  
+  /**
+   * Forget cached table columns (after a schema change)
+   * @param {string} table - Table name, or omit to clear all
+   */
+  clearColumnCache(table) {
+    if (table) {
+      this.columnCache.delete(table)
+    } else {
+      this.columnCache.clear()
+    }
+  }
+  
+  /**
+   * Columns configured for a table through table-qualified field rules
+   * @param {string} table - Table name
+   * @returns {Array<string>} Column names
+   */
+  getConfiguredColumns(table) {
+    return Object.keys(this.dsl.config.fields || {})
+      .filter(pattern => pattern.startsWith(`${table}.`) && !pattern.includes('*'))
+      .map(pattern => pattern.slice(table.length + 1))
+  }
+  
+  /**
+   * Get the SQL dialect of the adapter
+   * @returns {string|undefined} postgresql, mysql or sqlite
+   */
+  getDialect() {
+    return this.dbOptions?.dialect || this.options.dialect
+  }
+  
+  /**
+   * Quote an identifier for the adapter's dialect
+   * @param {string} identifier - Column, table or alias name
+   * @returns {string} Quoted identifier
+   */
+  escapeIdentifier(identifier) {
+    if (this.getDialect() === 'mysql') {
+      return `\`${identifier.replace(/`/g, '``')}\``
+    }
+    return `"${identifier.replace(/"/g, '""')}"`
+  }
+  
+  /**
+   * Get the configured name of a parsed table
+   * Schema-qualified names (public.users) are used when configured, else the bare table name
+   * @param {Object} table - Table entry from parseSql
+   * @returns {string} Table name
+   */
+  resolveTableName(table) {
+    const qualified = table.schema ? `${table.schema}.${table.name}` : null
+    return qualified && this.dsl.config.database?.tables?.[qualified] ? qualified : table.name
   }
   
   /**
@@ -414,4 +1370,16 @@ class DatabaseAdapter {
   }
 }
 
-module.exports = DatabaseAdapter
\ No newline at end of file
+/**
+ * Record the field patterns behind a result column
+ * @param {Object} outputs - Outputs from enforceProjection
+ * @param {string} name - Result column name
+ * @param {Array<string>} patterns - Field patterns
+ */
+function addOutput(outputs, name, patterns) {
+  const key = name.toLowerCase()
+  outputs.columns.set(key, [...(outputs.columns.get(key) || []), ...patterns])
+}
+
+module.exports = DatabaseAdapter
+module.exports.ROW_POLICIES_APPLIED = ROW_POLICIES_APPLIED
\ No newline at end of file
@@ -0,0 +1,403 @@
+/**
+ * @fileoverview PostgreSQL Policy Generator
+ * Turns a DSL configuration into database roles, column GRANTs and Row Level
+ * Security policies, so PostgreSQL enforces the rules even for queries that
+ * bypass the adapter
+ *
+ * Each DSL role becomes a NOLOGIN role (dsl_user). Column privileges follow
+ * the field rules for read (SELECT), create (INSERT) and update (UPDATE);
+ * table privileges follow database.tables (minRole, operations, requires).
+ * Row policies become CREATE POLICY statements whose context keys are read
+ * from transaction settings (current_setting('app.tenant_id')). Rules that
+ * depend on request data (abac, condition functions) and masks cannot be
+ * expressed in SQL: the privilege is granted and the library keeps enforcing
+ * them, and each one is listed in the warnings
+ */
+
+const DSLEngine = require('../core/DSLEngine')
+const { ConfigurationError } = require('../core/DSLErrors')
+const { hasPermission } = require('../utils/RoleUtils')
+const { getRequiredPermissions } = require('../utils/Permissions')
+const { resolveFieldRule } = require('../utils/FieldRules')
+const { normalizeRules, getApplicablePolicies } = require('../utils/RowPolicies')
+const { resolveMask } = require('../utils/FieldMasker')
+
+/**
+ * Column privileges and the field rule operation deciding each
+ */
+const COLUMN_PRIVILEGES = [
+  { privilege: 'SELECT', operation: 'read' },
+  { privilege: 'INSERT', operation: 'create' },
+  { privilege: 'UPDATE', operation: 'update' }
+]
+
+const DEFAULT_ROLE_PREFIX = 'dsl_'
+const DEFAULT_SETTING_PREFIX = 'app'
+
+// Field rule keys naming one column of one table (users.email)
+const TABLE_COLUMN_KEY = /^([a-zA-Z_][a-zA-Z0-9_]*)\.([a-zA-Z_][a-zA-Z0-9_]*)$/
+
+/**
+ * Generate roles, GRANTs and row policies for a configuration
+ * @param {DSLEngine|Object} config - Engine or configuration
+ * @param {Object} options - Generator options
+ * @param {Array<Object>} options.schema - Tables from introspectSchema; defaults to
+ *   database.tables[t].columns of the config, then to the table.column field rules
+ * @param {string} options.schemaName - PostgreSQL schema of the tables (default 'public')
+ * @param {string} options.rolePrefix - Prefix of generated role names (default 'dsl_')
+ * @param {string} options.settingPrefix - Prefix of context settings (default 'app')
+ * @param {string|Array<string>} options.loginRole - Login role(s) allowed to SET ROLE to the generated roles
+ * @param {boolean} options.forceRowSecurity - Apply row policies to the table owner too
+ * @returns {Object} { sql, statements, warnings }
+ * @throws {ConfigurationError} If no table has known columns
+ */
+function generatePostgresPolicies(config, options = {}) {
+  const dsl = config instanceof DSLEngine ? config : new DSLEngine(config)
+  const roles = Object.keys(dsl.config.roles || {})
+  const schemaName = options.schemaName || 'public'
+  const statements = []
+  const warnings = []
+  const tables = getSchemaTables(dsl.config, options.schema, warnings)
+  
+  if (tables.length === 0) {
+    throw new ConfigurationError('No table columns known: pass options.schema, record database.tables[t].columns or add table.column field rules')
+  }
+  
+  const loginRoles = options.loginRole ? [].concat(options.loginRole) : []
+  const inserting = new Set()
+  
+  // Roles
+  roles.forEach(role => {
+    const name = getDatabaseRoleName(role, options)
+    statements.push(
+      `DO $$ BEGIN IF NOT EXISTS (SELECT 1 FROM pg_roles WHERE rolname = ${quoteLiteral(name)}) THEN CREATE ROLE ${quoteIdentifier(name)} NOLOGIN; END IF; END $$;`
+    )
+    loginRoles.forEach(login => statements.push(`GRANT ${quoteIdentifier(name)} TO ${quoteIdentifier(login)};`))
+    statements.push(`GRANT USAGE ON SCHEMA ${quoteIdentifier(schemaName)} TO ${quoteIdentifier(name)};`)
+  })
+  
+  // Table and column privileges
+  tables.forEach(table => {
+    const target = `${quoteIdentifier(schemaName)}.${quoteIdentifier(table.name)}`
+    const roleNames = roles.map(role => quoteIdentifier(getDatabaseRoleName(role, options)))
+    statements.push(`REVOKE ALL ON ${target} FROM ${roleNames.join(', ')};`)
+    
+    roles.forEach(role => {
+      const grantee = quoteIdentifier(getDatabaseRoleName(role, options))
+      
+      COLUMN_PRIVILEGES.forEach(({ privilege, operation }) => {
+        if (!checkTablePrivilege(dsl, table.name, role, privilege, warnings)) {
+          return
+        }
+        
+        const columns = table.columns.filter(column =>
+          checkColumnPrivilege(dsl, table.name, column.name, role, operation, warnings)
+        )
+        
+        if (columns.length > 0) {
+          statements.push(`GRANT ${privilege} (${columns.map(column => quoteIdentifier(column.name)).join(', ')}) ON ${target} TO ${grantee};`)
+          if (privilege === 'INSERT') {
+            inserting.add(grantee)
+          }
+        }
+      })
+      
+      if (checkTablePrivilege(dsl, table.name, role, 'DELETE', warnings)) {
+        statements.push(`GRANT DELETE ON ${target} TO ${grantee};`)
+      }
+    })
+  })
+  
+  // Serial columns need their sequences for INSERT
+  inserting.forEach(grantee => {
+    statements.push(`GRANT USAGE ON ALL SEQUENCES IN SCHEMA ${quoteIdentifier(schemaName)} TO ${grantee};`)
+  })
+  
+  // Row policies
+  tables.filter(table => dsl.config.rows?.[table.name]).forEach(table => {
+    const target = `${quoteIdentifier(schemaName)}.${quoteIdentifier(table.name)}`
+    const types = new Map(table.columns.map(column => [column.name, column.type]))
+    
+    statements.push(`ALTER TABLE ${target} ENABLE ROW LEVEL SECURITY;`)
+    if (options.forceRowSecurity) {
+      statements.push(`ALTER TABLE ${target} FORCE ROW LEVEL SECURITY;`)
+    }
+    
+    roles.forEach(role => {
+      const name = getDatabaseRoleName(role, options)
+      const policies = getApplicablePolicies(dsl.config.rows[table.name], role, dsl.config.roles)
+      const condition = policies.length > 0
+        ? policies.map(policy => buildPolicyCondition(policy, types.get(policy.field), options)).join(' AND ')
+        : 'true'
+      
+      // New and updated rows must satisfy the same policies, as in the library
+      statements.push(`DROP POLICY IF EXISTS ${quoteIdentifier(name)} ON ${target};`)
+      statements.push(`CREATE POLICY ${quoteIdentifier(name)} ON ${target} FOR ALL TO ${quoteIdentifier(name)} USING (${condition}) WITH CHECK (${condition});`)
+    })
+  })
+  
+  return { sql: statements.join('\n'), statements, warnings }
+}
+
+/**
+ * Get the database role for a DSL role
+ * @param {string} role - DSL role name
+ * @param {Object} options - Generator options (rolePrefix)
+ * @returns {string} Database role name
+ */
+function getDatabaseRoleName(role, options = {}) {
+  const prefix = options.rolePrefix !== undefined ? options.rolePrefix : DEFAULT_ROLE_PREFIX
+  return `${prefix}${role}`
+}
+
+/**
+ * Get the transaction setting that carries a context key
+ * @param {string} key - Context key from a row policy ('tenantId', 'user.id')
+ * @param {Object} options - Generator options (settingPrefix)
+ * @returns {string} Setting name ('app.tenantId', 'app.user_id')
+ */
+function getSettingName(key, options = {}) {
+  const prefix = options.settingPrefix || DEFAULT_SETTING_PREFIX
+  return `${prefix}.${key.replace(/\./g, '_')}`
+}
+
+/**
+ * Get the settings a transaction needs for the row policies of a configuration
+ * Values are read from the request context; arrays are joined with commas and
+ * missing keys are left unset, so policies using them match no rows
+ * @param {Object} config - DSL configuration
+ * @param {Object} context - Request context
+ * @param {Object} options - Generator options (settingPrefix)
+ * @returns {Object} Setting name to string value
+ */
+function getContextSettings(config, context = {}, options = {}) {
+  const settings = {}
+  
+  Object.values(config.rows || {}).forEach(tableRules => {
+    const policies = Array.isArray(tableRules) ? tableRules : tableRules.policies || []
+    
+    policies.filter(policy => policy.context !== undefined).forEach(policy => {
+      const value = policy.context.split('.').reduce((current, part) =>
+        current !== null && current !== undefined ? current[part] : undefined
+      , context)
+      
+      if (value !== undefined && value !== null) {
+        settings[getSettingName(policy.context, options)] = Array.isArray(value) ? value.join(',') : String(value)
+      }
+    })
+  })
+  
+  return settings
+}
+
+/**
+ * Collect the tables and columns the statements cover
+ * Without a schema, recorded column types are used first. Other tables take
+ * their columns from table.column field rules and row policy fields; columns
+ * only covered by patterns (users.*) are then unknown and get no privileges
+ * @param {Object} config - DSL configuration
+ * @param {Array<Object>|undefined} schema - Tables from introspectSchema
+ * @param {Array<string>} warnings - Warnings to add to
+ * @returns {Array<Object>} Tables ({ name, columns: [{ name, type }] })
+ */
+function getSchemaTables(config, schema, warnings) {
+  if (schema) {
+    return schema.filter(table => table.columns.length > 0)
+  }
+  
+  const tables = Object.entries(config.database?.tables || {})
+    .filter(([, tableConfig]) => tableConfig.columns && Object.keys(tableConfig.columns).length > 0)
+    .map(([name, tableConfig]) => ({
+      name,
+      columns: Object.entries(tableConfig.columns).map(([column, type]) => ({ name: column, type }))
+    }))
+  
+  const recorded = new Set(tables.map(table => table.name))
+  const derived = new Map()
+  
+  Object.keys(config.fields || {}).forEach(key => {
+    const match = TABLE_COLUMN_KEY.exec(key)
+    if (match && !recorded.has(match[1])) {
+      derived.set(match[1], (derived.get(match[1]) || new Set()).add(match[2]))
+    }
+  })
+  
+  derived.forEach((columns, name) => {
+    if (config.rows?.[name]) {
+      normalizeRules(config.rows[name]).policies.forEach(policy => columns.add(policy.field))
+    }
+    
+    tables.push({ name, columns: [...columns].map(column => ({ name: column, type: undefined })) })
+    addWarning(warnings, `${name}: columns taken from field rules; pass options.schema to cover columns without a ${name}.<column> rule`)
+  })
+  
+  return tables
+}
+
+/**
+ * Check the table rules for a privilege, as DatabaseAdapter.checkTableAccess does
+ * @param {DSLEngine} dsl - Engine
+ * @param {string} table - Table name
+ * @param {string} role - DSL role
+ * @param {string} privilege - SELECT, INSERT, UPDATE or DELETE
+ * @param {Array<string>} warnings - Warnings to add to
+ * @returns {boolean} True if the privilege is granted
+ */
+function checkTablePrivilege(dsl, table, role, privilege, warnings) {
+  const tableConfig = dsl.config.database?.tables?.[table]
+  
+  if (!tableConfig) {
+    return dsl.config.database?.denyUnknownTables !== true
+  }
+  
+  if (tableConfig.minRole && !hasPermission(role, tableConfig.minRole, dsl.config.roles)) {
+    return false
+  }
+  
+  if (tableConfig.operations && !tableConfig.operations.includes(privilege)) {
+    return false
+  }
+  
+  if (tableConfig.requires && dsl.getMissingPermissions(role, getRequiredPermissions(tableConfig.requires, privilege)).length > 0) {
+    return false
+  }
+  
+  if (tableConfig.abac) {
+    addWarning(warnings, `${privilege} on ${table} for ${role}: attribute rules are enforced by the library only`)
+  }
+  
+  return true
+}
+
+/**
+ * Check the field rules for a column privilege
+ * Only the parts that do not depend on the request are decided here
+ * @param {DSLEngine} dsl - Engine
+ * @param {string} table - Table name
+ * @param {string} column - Column name
+ * @param {string} role - DSL role
+ * @param {string} operation - read, create or update
+ * @param {Array<string>} warnings - Warnings to add to
+ * @returns {boolean} True if the column is granted
+ */
+function checkColumnPrivilege(dsl, table, column, role, operation, warnings) {
+  const field = `${table}.${column}`
+  const rule = resolveFieldRule(dsl.findFieldConfig(field), operation)
+  
+  if (!rule) {
+    return dsl.config.security?.allowUnknownFields !== false
+  }
+  
+  if (rule.deny === true) {
+    return false
+  }
+  
+  if (rule.minRole && !hasPermission(role, rule.minRole, dsl.config.roles)) {
+    return false
+  }
+  
+  if (rule.requires && dsl.getMissingPermissions(role, rule.requires).length > 0) {
+    return false
+  }
+  
+  if (rule.abac || typeof rule.condition === 'function') {
+    addWarning(warnings, `${field} (${operation}) for ${role}: conditional rules are enforced by the library only`)
+  }
+  
+  if (operation === 'read' && rule.mask && resolveMask(rule.mask, role, dsl.config.roles)) {
+    addWarning(warnings, `${field} for ${role}: masked by the library only, the column is readable in the database`)
+  }
+  
+  return true
+}
+
+/**
+ * Build the USING expression of one row policy
+ * @param {Object} policy - Row policy ({ field, operator, value, context })
+ * @param {string|undefined} type - Column type, used to cast context settings
+ * @param {Object} options - Generator options (settingPrefix)
+ * @returns {string} SQL condition
+ */
+function buildPolicyCondition(policy, type, options) {
+  const column = quoteIdentifier(policy.field)
+  const value = policy.value
+  const operator = policy.operator || (Array.isArray(value) ? 'in' : '=')
+  
+  if (policy.context !== undefined) {
+    const setting = `current_setting(${quoteLiteral(getSettingName(policy.context, options))}, true)`
+    
+    if (operator === 'in') {
+      return `${column}::text = ANY (string_to_array(${setting}, ','))`
+    }
+    
+    // A missing or empty setting is NULL, which matches no rows
+    return type && /^[a-zA-Z][a-zA-Z0-9_ ,()]*$/.test(type)
+      ? `${column} ${operator} NULLIF(${setting}, '')::${type}`
+      : `${column}::text ${operator} NULLIF(${setting}, '')`
+  }
+  
+  if (operator === 'in') {
+    return `${column} IN (${[].concat(value).map(toSqlLiteral).join(', ')})`
+  }
+  
+  if (value === null) {
+    return operator === '!=' ? `${column} IS NOT NULL` : `${column} IS NULL`
+  }
+  
+  return `${column} ${operator} ${toSqlLiteral(value)}`
+}
+
+/**
+ * Add a warning once
+ * @param {Array<string>} warnings - Warnings
+ * @param {string} warning - Warning text
+ */
+function addWarning(warnings, warning) {
+  if (!warnings.includes(warning)) {
+    warnings.push(warning)
+  }
+}
+
+/**
+ * Render a literal value
+ * @param {*} value - Number, boolean, string or null
+ * @returns {string} SQL literal
+ */
+function toSqlLiteral(value) {
+  if (value === null || value === undefined) {
+    return 'NULL'
+  }
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return String(value)
+  }
+  if (typeof value === 'boolean') {
+    return value ? 'TRUE' : 'FALSE'
+  }
+  return quoteLiteral(String(value))
+}
+
+/**
+ * Quote an identifier
+ * @param {string} name - Identifier
+ * @returns {string} Quoted identifier
+ */
+function quoteIdentifier(name) {
+  return `"${String(name).replace(/"/g, '""')}"`
+}
+
+/**
+ * Quote a string literal
+ * @param {string} value - String
+ * @returns {string} Quoted literal
+ */
+function quoteLiteral(value) {
+  return `'${String(value).replace(/'/g, "''")}'`
+}
+
+module.exports = {
+  generatePostgresPolicies,
+  getDatabaseRoleName,
+  getSettingName,
+  getContextSettings,
+  checkTablePrivilege
+}
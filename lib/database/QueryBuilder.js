@@ -3,7 +3,8 @@
  * SQL query builder with automatic field filtering based on user roles
  */
 
-const { DatabaseError } = require('../core/DSLErrors')
+const { DatabaseError, AccessDeniedError, FieldReferenceError, ValidationError } = require('../core/DSLErrors')
+const { FIELD_REFERENCE_POLICIES } = require('../core/DSLConfig')
 const FieldMapper = require('../utils/FieldMapper')
 const debug = require('debug')('dsandsl:querybuilder')
 
@@ -11,6 +12,12 @@ const debug = require('debug')('dsandsl:querybuilder')
  * Role-aware SQL query builder
  */
 class QueryBuilder {
+  /**
+   * Create a query builder
+   * @param {DSLEngine} dsl - DSL engine instance
+   * @param {string|Array<string>|Object} userRole - User's role, roles or principal
+   * @param {Object} options - Builder options
+   */
   constructor(dsl, userRole, options = {}) {
     this.dsl = dsl
     this.userRole = userRole
@@ -37,7 +44,9 @@ class QueryBuilder {
     this.query = {
       type: null,
       table: null,
+      source: null,
       fields: [],
+      selected: null,
       values: {},
       conditions: [],
       joins: [],
@@ -50,6 +59,7 @@ class QueryBuilder {
     }
     this.params = []
     this.paramIndex = 0
+    this.writeReport = null
     return this
   }
   
@@ -65,30 +75,45 @@ class QueryBuilder {
       fields = fields === '*' ? ['*'] : [fields]
     }
     
-    // Validate and map field names for security
-    if (fields[0] !== '*') {
-      fields = this.validateAndMapFields(fields)
+    if (fields[0] === '*') {
+      this.query.selected = null
+      this.query.fields = fields
+      return this
     }
     
-    // Auto-filter fields based on user role
-    if (this.options.autoFilter && fields[0] !== '*') {
-      fields = this.filterFieldsByRole(fields)
-    }
-    
-    this.query.fields = fields
+    // Semantic names are kept so from() and join() can map them per table
+    this.query.selected = fields
+    this.query.fields = this.mapSelectedFields()
     return this
   }
   
+  /**
+   * Map the selected semantic names to columns of the tables in scope
+   * @returns {Array<string>} Safe database field names, filtered by role
+   * @throws {DatabaseError} If field names are invalid
+   */
+  mapSelectedFields() {
+    // Validate and map field names for security
+    const fields = this.validateAndMapFields(this.query.selected)
+    
+    // Auto-filter fields based on user role
+    return this.options.autoFilter ? this.filterFieldsByRole(fields) : fields
+  }
+  
   /**
    * Set the table for the query
    * @param {string} table - Table name
+   * @param {string|null} source - Relation to read instead (a role view), aliased as the table
    * @returns {QueryBuilder} Builder instance
    */
-  from(table) {
+  from(table, source = null) {
     this.query.table = table
+    this.query.source = source
     
-    // Auto-populate allowed fields if SELECT * is used
-    if (this.query.type === 'SELECT' && this.query.fields[0] === '*') {
+    if (this.query.type === 'SELECT' && this.query.selected) {
+      this.query.fields = this.mapSelectedFields()
+    } else if (this.query.type === 'SELECT' && this.query.fields[0] === '*') {
+      // Auto-populate allowed fields if SELECT * is used
       const allowedFields = this.getAllowedFieldsForTable(table)
       this.query.fields = allowedFields.length > 0 ? allowedFields : ['*']
     }
@@ -96,6 +121,15 @@ class QueryBuilder {
     return this
   }
   
+  /**
+   * Get the tables whose mappings apply to field names: the FROM table, then joined tables
+   * @returns {Array<string>} Table names
+   */
+  getScopeTables() {
+    return [this.query.table, ...this.query.joins.map(join => String(join.table).trim().split(/\s+/)[0])]
+      .filter(Boolean)
+  }
+  
   /**
    * Start an INSERT query
    * @param {string} table - Table name
@@ -163,24 +197,31 @@ class QueryBuilder {
   
   /**
    * Add WHERE conditions
+   * Objects map fields to values (`= value`, `IS NULL` for null, `IN` for
+   * arrays) or to operator objects ({ $gte: 18, $lt: 65 }); `$and`, `$or` and
+   * `$not` group conditions. See WHERE_OPERATORS for the field operators
    * @param {Object|string} conditions - WHERE conditions
    * @param {Array} params - Parameters for string conditions
    * @returns {QueryBuilder} Builder instance
+   * @throws {DatabaseError} If a field is invalid or an operator is unknown
+   * @throws {FieldReferenceError} If a field is not readable and the policy is reject
    */
   where(conditions, params = []) {
     if (typeof conditions === 'object' && conditions !== null) {
-      // Validate and map field names in conditions
-      const safeConditions = this.validateAndMapConditions(conditions)
+      const group = this.parseConditions(conditions)
       
-      // Object-style conditions
-      Object.entries(safeConditions).forEach(([field, value]) => {
-        this.addCondition(field, '=', value)
-      })
+      // Top-level conditions stay separate so the WHERE clause reads field = value AND ...
+      if (group) {
+        group.children.forEach(node => {
+          this.query.conditions.push({ node })
+        })
+      }
     } else if (typeof conditions === 'string') {
       // Raw SQL conditions - NOTE: This should be avoided in production
       console.warn('Using raw SQL in WHERE clause - consider using object conditions for better security')
-      this.query.conditions.push({ raw: conditions, params })
-      this.params.push(...params)
+      if (this.checkConditionReferences(conditions, 'WHERE')) {
+        this.query.conditions.push({ raw: conditions, params })
+      }
     }
     
     return this
@@ -189,31 +230,343 @@ class QueryBuilder {
   /**
    * Add WHERE condition with operator
    * @param {string} field - Field name
-   * @param {string} operator - SQL operator
+   * @param {string} operator - SQL operator (=, !=, <>, <, <=, >, >=, LIKE, ILIKE, IN, NOT IN)
    * @param {any} value - Value to compare
    * @returns {QueryBuilder} Builder instance
+   * @throws {DatabaseError} If the operator is not supported
    */
   whereCondition(field, operator, value) {
-    this.addCondition(field, operator, value)
-    return this
+    const whereOperator = SQL_OPERATORS[String(operator).toUpperCase()]
+    if (!whereOperator) {
+      throw new DatabaseError(
+        `Unsupported WHERE operator: ${operator}`,
+        'invalid_where_operator',
+        { field, operator, userRole: this.userRole }
+      )
+    }
+    
+    return this.where({ [field]: { [whereOperator]: value } })
   }
   
   /**
    * Add OR WHERE condition
-   * @param {Object|string} conditions - OR conditions
+   * Each entry of the object is one alternative; entries may use operators
+   * @param {Object|Array<Object>} conditions - OR conditions
    * @returns {QueryBuilder} Builder instance
    */
   orWhere(conditions) {
-    // Implementation for OR conditions
-    if (typeof conditions === 'object') {
-      const orConditions = Object.entries(conditions).map(([field, value]) => {
-        return this.buildCondition(field, '=', value)
-      })
-      this.query.conditions.push({ or: orConditions })
+    if (typeof conditions === 'object' && conditions !== null) {
+      this.where({ $or: conditions })
     }
     return this
   }
   
+  /**
+   * Add row policy conditions resolved by DSLEngine.getRowPolicies
+   * @param {Array<Object>} conditions - Conditions ({ field, operator, value, unresolved })
+   * @returns {QueryBuilder} Builder instance
+   */
+  whereRowPolicies(conditions) {
+    conditions.forEach(condition => {
+      this.query.conditions.push({ policy: condition })
+    })
+    
+    return this
+  }
+  
+  /**
+   * Parse an object of conditions into an AND group
+   * Fields are validated, mapped to database names and checked for read access;
+   * under the drop policy unreadable fields are left out, along with groups
+   * that only held such fields
+   * @param {Object} conditions - Field conditions and $and/$or/$not groups
+   * @returns {Object|null} Condition node ({ type: 'group', joiner: 'AND', children }), or null if all were dropped
+   * @throws {DatabaseError} If a field or operator is invalid
+   */
+  parseConditions(conditions) {
+    if (typeof conditions !== 'object' || conditions === null || Array.isArray(conditions)) {
+      throw new DatabaseError(
+        'WHERE conditions must be an object',
+        'invalid_where_value',
+        { conditions, userRole: this.userRole }
+      )
+    }
+    
+    const entries = Object.entries(conditions)
+    const children = entries.map(([key, value]) => {
+      if (key === '$and' || key === '$or') {
+        const items = this.toConditionList(value)
+        const members = items.map(item => this.parseConditions(item)).filter(Boolean)
+        
+        if (items.length > 0 && members.length === 0) {
+          return null
+        }
+        return { type: 'group', joiner: key === '$and' ? 'AND' : 'OR', children: members }
+      }
+      
+      if (key === '$not') {
+        const child = this.parseConditions(value)
+        return child ? { type: 'not', child } : null
+      }
+      
+      if (key.startsWith('$')) {
+        throw new DatabaseError(
+          `Unknown WHERE operator: ${key}`,
+          'invalid_where_operator',
+          { operator: key, userRole: this.userRole }
+        )
+      }
+      
+      const field = this.mapWhereField(key)
+      if (!this.checkFieldReference(field, 'WHERE')) {
+        return null
+      }
+      
+      return this.parseFieldCondition(field, value)
+    }).filter(Boolean)
+    
+    if (entries.length > 0 && children.length === 0) {
+      return null
+    }
+    
+    return { type: 'group', joiner: 'AND', children }
+  }
+  
+  /**
+   * Parse the value side of a field condition
+   * @param {string} field - Database field name
+   * @param {any} value - Value, array (IN), null (IS NULL) or operator object
+   * @returns {Object} Condition node
+   * @throws {DatabaseError} If an operator or its value is invalid
+   */
+  parseFieldCondition(field, value) {
+    if (value === null) {
+      return { type: 'test', field, operator: '$null', value: true }
+    }
+    
+    if (Array.isArray(value)) {
+      return { type: 'test', field, operator: '$in', value }
+    }
+    
+    if (!isOperatorObject(value)) {
+      return { type: 'test', field, operator: '$eq', value }
+    }
+    
+    const children = Object.entries(value).map(([operator, operand]) => {
+      if (operator === '$not') {
+        return { type: 'not', child: this.parseFieldCondition(field, operand) }
+      }
+      
+      if (!WHERE_OPERATORS.includes(operator)) {
+        throw new DatabaseError(
+          `Unknown WHERE operator for field '${field}': ${operator}`,
+          'invalid_where_operator',
+          { field, operator, userRole: this.userRole }
+        )
+      }
+      
+      const invalid = ((operator === '$in' || operator === '$nin') && !Array.isArray(operand)) ||
+        (operator === '$between' && (!Array.isArray(operand) || operand.length !== 2)) ||
+        (operator === '$null' && typeof operand !== 'boolean')
+      
+      if (invalid) {
+        throw new DatabaseError(
+          `Invalid value for ${operator} on field '${field}'`,
+          'invalid_where_value',
+          { field, operator, userRole: this.userRole }
+        )
+      }
+      
+      return { type: 'test', field, operator, value: operand }
+    })
+    
+    return children.length === 1 ? children[0] : { type: 'group', joiner: 'AND', children }
+  }
+  
+  /**
+   * Normalize the operand of $and/$or to a list of condition objects
+   * An object becomes one condition per entry
+   * @param {Array<Object>|Object} value - Conditions
+   * @returns {Array<Object>} Condition objects
+   */
+  toConditionList(value) {
+    if (Array.isArray(value)) {
+      return value
+    }
+    
+    if (typeof value === 'object' && value !== null) {
+      return Object.entries(value).map(([key, item]) => ({ [key]: item }))
+    }
+    
+    throw new DatabaseError(
+      '$and/$or expect an array or object of conditions',
+      'invalid_where_value',
+      { value, userRole: this.userRole }
+    )
+  }
+  
+  /**
+   * Check that the role may read a field the query filters, sorts, groups or joins on
+   * Such a clause would otherwise reveal the field's values through which rows
+   * match and in what order, e.g. by narrowing WHERE salary > ? step by step
+   * @param {string} field - Database field name
+   * @param {string} clause - WHERE, ORDER BY, GROUP BY, HAVING or JOIN
+   * @param {string|null} table - Table the field belongs to (defaults to the query table)
+   * @returns {boolean} True if readable, false if it should be dropped
+   * @throws {FieldReferenceError} If the field is not readable and the policy is reject
+   */
+  checkFieldReference(field, clause, table = this.query.table) {
+    if (!this.options.autoFilter) {
+      return true
+    }
+    
+    const fieldPattern = table ? `${table}.${field}` : field
+    const access = this.dsl.checkAccess(fieldPattern, this.userRole, this.options.context || {})
+    
+    if (access.allowed) {
+      return true
+    }
+    
+    debug('Unreadable field referenced:', { field: fieldPattern, clause, userRole: this.userRole, reason: access.reason })
+    
+    // A join cannot be left out without changing the rows returned
+    if (this.getFieldReferencePolicy() === 'drop' && clause !== 'JOIN') {
+      return false
+    }
+    
+    throw new FieldReferenceError(
+      `Cannot use field '${fieldPattern}' in ${clause}`,
+      fieldPattern,
+      this.userRole,
+      clause,
+      access.reason
+    )
+  }
+  
+  /**
+   * Get the policy for unreadable fields in WHERE, ORDER BY, GROUP BY and HAVING
+   * options.fieldReferencePolicy, else security.fieldReferencePolicy, else reject
+   * @returns {string} reject or drop
+   * @throws {ValidationError} If the policy is unknown
+   */
+  getFieldReferencePolicy() {
+    const policy = this.options.fieldReferencePolicy ||
+      this.dsl.config.security?.fieldReferencePolicy ||
+      'reject'
+    
+    if (!FIELD_REFERENCE_POLICIES.includes(policy)) {
+      throw new ValidationError(`Unknown field reference policy: ${policy}`, 'fieldReferencePolicy', policy)
+    }
+    
+    return policy
+  }
+  
+  /**
+   * Check the columns referenced by a raw SQL condition (JOIN ... ON, HAVING)
+   * Qualified columns (table.column) are checked against their table, others
+   * against the query table
+   * @param {string} condition - SQL condition
+   * @param {string} clause - HAVING or JOIN
+   * @returns {boolean} True if every column is readable
+   * @throws {FieldReferenceError} If a column is not readable and the policy is reject
+   */
+  checkConditionReferences(condition, clause) {
+    return referencedColumns(condition).every(({ table, column }) =>
+      this.checkFieldReference(column, clause, table || this.query.table)
+    )
+  }
+  
+  /**
+   * Render a condition node, adding its parameters
+   * @param {Object} node - Condition node from parseConditions
+   * @returns {string} SQL condition
+   */
+  buildConditionNode(node) {
+    if (node.type === 'not') {
+      return `NOT (${this.buildConditionNode(node.child)})`
+    }
+    
+    if (node.type === 'group') {
+      // Empty groups are neutral: AND matches everything, OR matches nothing
+      if (node.children.length === 0) {
+        return node.joiner === 'AND' ? '1 = 1' : '1 = 0'
+      }
+      
+      const parts = node.children.map(child => this.buildConditionNode(child))
+      return parts.length === 1 ? parts[0] : `(${parts.join(` ${node.joiner} `)})`
+    }
+    
+    const column = this.escapeIdentifier(node.field)
+    const { operator, value } = node
+    
+    switch (operator) {
+      case '$eq':
+      case '$ne':
+        if (value === null) {
+          return `${column} ${operator === '$eq' ? 'IS NULL' : 'IS NOT NULL'}`
+        }
+        return this.buildCondition(node.field, COMPARISON_OPERATORS[operator], value)
+      case '$gt':
+      case '$gte':
+      case '$lt':
+      case '$lte':
+        return this.buildCondition(node.field, COMPARISON_OPERATORS[operator], value)
+      case '$in':
+      case '$nin':
+        if (value.length === 0) {
+          return operator === '$in' ? '1 = 0' : '1 = 1'
+        }
+        return `${column} ${operator === '$in' ? 'IN' : 'NOT IN'} (${value.map(item => this.addParameter(item)).join(', ')})`
+      case '$like':
+        return this.buildCondition(node.field, 'LIKE', value)
+      case '$ilike':
+        if (this.options.dialect === 'postgresql') {
+          return this.buildCondition(node.field, 'ILIKE', value)
+        }
+        return `LOWER(${column}) LIKE LOWER(${this.addParameter(value)})`
+      case '$between':
+        return `${column} BETWEEN ${this.addParameter(value[0])} AND ${this.addParameter(value[1])}`
+      case '$null':
+        return `${column} ${value ? 'IS NULL' : 'IS NOT NULL'}`
+      default:
+        throw new Error(`Unsupported WHERE operator: ${operator}`)
+    }
+  }
+  
+  /**
+   * Build the SQL for one row policy condition, adding its parameters
+   * Multi-role `any` conditions become an OR of each role's conditions
+   * @param {Object} condition - Resolved row policy condition
+   * @returns {string} SQL condition
+   */
+  buildRowPolicyClause(condition) {
+    if (condition.operator === 'any') {
+      const groups = condition.groups.map(group =>
+        `(${group.map(member => this.buildRowPolicyClause(member)).join(' AND ')})`
+      )
+      return `(${groups.join(' OR ')})`
+    }
+    
+    // A policy without a value (e.g. missing context) must match no rows
+    if (condition.unresolved || (condition.operator === 'in' && !condition.value?.length)) {
+      return '1 = 0'
+    }
+    
+    const [field] = Object.keys(this.validateAndMapConditions({ [condition.field]: true }))
+    
+    if (condition.operator === 'in') {
+      const placeholders = condition.value.map(item => this.addParameter(item))
+      return `${this.escapeIdentifier(field)} IN (${placeholders.join(', ')})`
+    }
+    
+    if (condition.value === null) {
+      const test = condition.operator === '!=' ? 'IS NOT NULL' : 'IS NULL'
+      return `${this.escapeIdentifier(field)} ${test}`
+    }
+    
+    return this.buildCondition(field, condition.operator, condition.value)
+  }
+  
   /**
    * Add JOIN clause
    * @param {string} table - Table to join
@@ -222,7 +575,14 @@ class QueryBuilder {
    * @returns {QueryBuilder} Builder instance
    */
   join(table, condition, type = 'INNER') {
+    this.checkConditionReferences(condition, 'JOIN')
     this.query.joins.push({ table, condition, type })
+    
+    // Selected names may map to a column of the joined table
+    if (this.query.type === 'SELECT' && this.query.selected) {
+      this.query.fields = this.mapSelectedFields()
+    }
+    
     return this
   }
   
@@ -241,15 +601,26 @@ class QueryBuilder {
    * @param {string|Object} field - Field name or object with field/direction
    * @param {string} direction - Sort direction (ASC, DESC)
    * @returns {QueryBuilder} Builder instance
+   * @throws {FieldReferenceError} If a field is not readable and the policy is reject
    */
   orderBy(field, direction = 'ASC') {
-    if (typeof field === 'object') {
-      Object.entries(field).forEach(([f, dir]) => {
-        this.query.orderBy.push({ field: f, direction: dir.toUpperCase() })
-      })
-    } else {
-      this.query.orderBy.push({ field, direction: direction.toUpperCase() })
-    }
+    const entries = typeof field === 'object' ? Object.entries(field) : [[field, direction]]
+    
+    entries.forEach(([name, dir]) => {
+      const sortDirection = String(dir).toUpperCase()
+      if (sortDirection !== 'ASC' && sortDirection !== 'DESC') {
+        throw new DatabaseError(
+          `Invalid sort direction: ${dir}`,
+          'invalid_sort_direction',
+          { field: name, userRole: this.userRole }
+        )
+      }
+      
+      const [databaseField] = this.validateAndMapFields([name])
+      if (this.checkFieldReference(databaseField, 'ORDER BY')) {
+        this.query.orderBy.push({ field: databaseField, direction: sortDirection })
+      }
+    })
     return this
   }
   
@@ -257,12 +628,17 @@ class QueryBuilder {
    * Add GROUP BY clause
    * @param {string|Array} fields - Fields to group by
    * @returns {QueryBuilder} Builder instance
+   * @throws {FieldReferenceError} If a field is not readable and the policy is reject
    */
   groupBy(fields) {
     if (typeof fields === 'string') {
       fields = [fields]
     }
-    this.query.groupBy.push(...fields)
+    
+    const readable = this.validateAndMapFields(fields)
+      .filter(field => this.checkFieldReference(field, 'GROUP BY'))
+    
+    this.query.groupBy.push(...readable)
     return this
   }
   
@@ -270,9 +646,12 @@ class QueryBuilder {
    * Add HAVING clause
    * @param {string} condition - Having condition
    * @returns {QueryBuilder} Builder instance
+   * @throws {FieldReferenceError} If a column is not readable and the policy is reject
    */
   having(condition) {
-    this.query.having.push(condition)
+    if (this.checkConditionReferences(condition, 'HAVING')) {
+      this.query.having.push(condition)
+    }
     return this
   }
   
@@ -306,6 +685,10 @@ class QueryBuilder {
       fields = [fields]
     }
     
+    if (fields[0] !== '*') {
+      fields = this.validateAndMapFields(fields)
+    }
+    
     if (this.options.autoFilter) {
       fields = this.filterFieldsByRole(fields)
     }
@@ -332,6 +715,10 @@ class QueryBuilder {
       return { sql, params }
       
     } catch (error) {
+      if (error instanceof AccessDeniedError) {
+        throw error
+      }
+      
       throw new DatabaseError(
         `Query build failed: ${error.message}`,
         'query_build_failed',
@@ -345,6 +732,10 @@ class QueryBuilder {
    * @returns {Object} Object with sql and params
    */
   buildQuery() {
+    // Parameters are added in SQL order, so '?' placeholders line up (SET before WHERE)
+    this.params = []
+    this.paramIndex = 0
+    
     switch (this.query.type) {
       case 'SELECT':
         return this.buildSelect()
@@ -372,8 +763,10 @@ class QueryBuilder {
     
     sql += this.query.fields.join(', ')
     
-    // FROM
-    sql += ` FROM ${this.escapeIdentifier(this.query.table)}`
+    // FROM (a role view keeps the table name as its alias)
+    sql += this.query.source
+      ? ` FROM ${this.escapeIdentifier(this.query.source)} AS ${this.escapeIdentifier(this.query.table)}`
+      : ` FROM ${this.escapeIdentifier(this.query.table)}`
     
     // JOINs
     if (this.query.joins.length > 0) {
@@ -504,29 +897,31 @@ class QueryBuilder {
   buildWhereClause() {
     return this.query.conditions.map(condition => {
       if (condition.raw) {
+        this.params.push(...condition.params)
         return condition.raw
       }
-      if (condition.or) {
-        return `(${condition.or.join(' OR ')})`
+      if (condition.policy) {
+        return this.buildRowPolicyClause(condition.policy)
       }
-      return condition.clause
+      return this.buildConditionNode(condition.node)
     }).join(' AND ')
   }
   
   /**
-   * Add a condition to the query
+   * Build a single condition
    */
-  addCondition(field, operator, value) {
-    const clause = this.buildCondition(field, operator, value)
-    this.query.conditions.push({ clause })
+  buildCondition(field, operator, value) {
+    return `${this.escapeIdentifier(field)} ${operator} ${this.addParameter(value)}`
   }
   
   /**
-   * Build a single condition
+   * Add a parameter and return its placeholder
+   * @param {any} value - Parameter value
+   * @returns {string} Placeholder
    */
-  buildCondition(field, operator, value) {
+  addParameter(value) {
     this.params.push(value)
-    return `${this.escapeIdentifier(field)} ${operator} ${this.getParameterPlaceholder()}`
+    return this.getParameterPlaceholder()
   }
   
   /**
@@ -577,22 +972,26 @@ class QueryBuilder {
   
   /**
    * Filter data object based on user role
+   * Refused fields follow the write policy (options.writePolicy, else the
+   * configured one); the report of the last call is kept in writeReport
+   * @param {Object} data - Values to write
+   * @returns {Object} Accepted values
+   * @throws {WriteDeniedError} If the write policy is reject and a field is refused
    */
   filterDataByRole(data) {
     if (!this.query.table) {
       return data
     }
     
-    const filtered = {}
-    Object.entries(data).forEach(([field, value]) => {
-      const fieldPattern = `${this.query.table}.${field}`
-      if (this.dsl.hasFieldAccess(fieldPattern, this.userRole) ||
-          this.dsl.hasFieldAccess(field, this.userRole)) {
-        filtered[field] = value
-      }
+    this.writeReport = this.dsl.validateWrite(data, this.userRole, {
+      table: this.query.table,
+      operation: this.query.type,
+      mode: this.options.writePolicy,
+      context: this.options.context,
+      logger: this.options.logger
     })
     
-    return filtered
+    return this.writeReport.data
   }
   
   /**
@@ -608,8 +1007,10 @@ class QueryBuilder {
           ? fieldPattern.split('.')[1] 
           : fieldPattern
         
-        if (this.dsl.hasFieldAccess(fieldPattern, this.userRole)) {
-          allowedFields.push(fieldName)
+        // Rules may use the semantic name; the column is selected once
+        const column = this.fieldMapper.toColumnName(fieldName, table)
+        if (this.dsl.hasFieldAccess(fieldPattern, this.userRole) && !allowedFields.includes(column)) {
+          allowedFields.push(column)
         }
       }
     })
@@ -638,8 +1039,8 @@ class QueryBuilder {
           throw new Error(`Invalid field name: ${field}`)
         }
         
-        // Map to safe database column name
-        const databaseField = this.fieldMapper.toDatabase(field)
+        // Map to safe database column name, using the mappings of the tables in scope
+        const databaseField = this.fieldMapper.resolveColumn(field, this.getScopeTables())
         safeFields.push(databaseField)
         
       } catch (error) {
@@ -667,27 +1068,36 @@ class QueryBuilder {
     const safeConditions = {}
     
     for (const [field, value] of Object.entries(conditions)) {
-      try {
-        // Validate and map field name
-        if (!this.fieldMapper.isValidFieldName(field)) {
-          throw new Error(`Invalid field name in WHERE clause: ${field}`)
-        }
-        
-        const databaseField = this.fieldMapper.toDatabase(field)
-        safeConditions[databaseField] = value
-        
-      } catch (error) {
-        throw new DatabaseError(
-          `WHERE clause validation failed: ${error.message}`,
-          'invalid_where_field',
-          { field, userRole: this.userRole }
-        )
-      }
+      safeConditions[this.mapWhereField(field)] = value
     }
     
     return safeConditions
   }
   
+  /**
+   * Validate and map one WHERE condition field
+   * @param {string} field - Semantic field name
+   * @returns {string} Safe database field name
+   * @throws {DatabaseError} If the field name is invalid
+   */
+  mapWhereField(field) {
+    try {
+      // Validate and map field name
+      if (!this.fieldMapper.isValidFieldName(field)) {
+        throw new Error(`Invalid field name in WHERE clause: ${field}`)
+      }
+      
+      return this.fieldMapper.resolveColumn(field, this.getScopeTables())
+      
+    } catch (error) {
+      throw new DatabaseError(
+        `WHERE clause validation failed: ${error.message}`,
+        'invalid_where_field',
+        { field, userRole: this.userRole }
+      )
+    }
+  }
+  
   /**
    * Validate and map data object fields
    * @param {Object} data - Data object with semantic field names
@@ -695,7 +1105,7 @@ class QueryBuilder {
    */
   validateAndMapData(data) {
     try {
-      return this.fieldMapper.mapToDatabase(data)
+      return this.fieldMapper.mapToDatabase(data, this.query.table)
     } catch (error) {
       throw new DatabaseError(
         `Data field validation failed: ${error.message}`,
@@ -713,4 +1123,86 @@ class QueryBuilder {
   }
 }
 
+/**
+ * Field operators accepted in object conditions
+ */
+const WHERE_OPERATORS = [
+  '$eq', '$ne', '$gt', '$gte', '$lt', '$lte',
+  '$in', '$nin', '$like', '$ilike', '$between', '$null', '$not'
+]
+
+/**
+ * SQL comparison for each comparison operator
+ */
+const COMPARISON_OPERATORS = {
+  $eq: '=',
+  $ne: '!=',
+  $gt: '>',
+  $gte: '>=',
+  $lt: '<',
+  $lte: '<='
+}
+
+/**
+ * Operators accepted by whereCondition and their object form
+ */
+const SQL_OPERATORS = {
+  '=': '$eq',
+  '!=': '$ne',
+  '<>': '$ne',
+  '>': '$gt',
+  '>=': '$gte',
+  '<': '$lt',
+  '<=': '$lte',
+  'LIKE': '$like',
+  'ILIKE': '$ilike',
+  'IN': '$in',
+  'NOT IN': '$nin'
+}
+
+/**
+ * Words in raw SQL conditions that are not column references
+ */
+const SQL_WORDS = new Set([
+  'AND', 'OR', 'NOT', 'NULL', 'IS', 'IN', 'LIKE', 'ILIKE', 'BETWEEN', 'TRUE', 'FALSE',
+  'AS', 'ASC', 'DESC', 'CASE', 'WHEN', 'THEN', 'ELSE', 'END', 'DISTINCT', 'EXISTS',
+  'ON', 'ANY', 'ALL', 'SOME'
+])
+
+/**
+ * List the columns referenced by a raw SQL condition
+ * String literals, function names and SQL words are skipped
+ * @param {string} condition - SQL condition (e.g. 'orders.user_id = users.id')
+ * @returns {Array<Object>} References ({ table, column }; table is null when unqualified)
+ */
+function referencedColumns(condition) {
+  const sql = String(condition)
+    .replace(/'(?:[^']|'')*'/g, "''")
+    .replace(/["`]/g, '')
+  const pattern = /(?<![\w.$])([A-Za-z_]\w*)(?:\.([A-Za-z_]\w*))?(\s*\()?/g
+  const references = []
+  let match
+  
+  while ((match = pattern.exec(sql)) !== null) {
+    const [, first, second, call] = match
+    if (call || (!second && SQL_WORDS.has(first.toUpperCase()))) {
+      continue
+    }
+    
+    references.push(second ? { table: first, column: second } : { table: null, column: first })
+  }
+  
+  return references
+}
+
+/**
+ * Check whether a condition value is an operator object ({ $gt: 1 })
+ * Dates, buffers and other instances are compared as values
+ * @param {any} value - Condition value
+ * @returns {boolean} True for plain objects
+ */
+function isOperatorObject(value) {
+  return typeof value === 'object' && value !== null && Object.getPrototypeOf(value) === Object.prototype
+}
+
 module.exports = QueryBuilder
\ No newline at end of file
@@ -0,0 +1,208 @@
+/**
+ * @fileoverview Per-Role View Generator
+ * Emits one SQL view per role and table for databases without row level
+ * security (MySQL, SQLite)
+ *
+ * users__support selects only the columns the support role may read, and
+ * row policies with literal values become its WHERE clause. Policies reading
+ * the request context stay with the adapter, so their columns are kept in the
+ * view. With the roleViews adapter option, select() reads from the role's view,
+ * and the database rejects columns the role cannot see.
+ * Each generation returns a manifest; diffRoleViews compares two manifests
+ * and emits only the statements needed to bring existing views up to date
+ */
+
+const DSLEngine = require('../core/DSLEngine')
+const { ConfigurationError } = require('../core/DSLErrors')
+const { getApplicablePolicies } = require('../utils/RowPolicies')
+const { checkTablePrivilege } = require('./PostgresPolicyGenerator')
+const QueryBuilder = require('./QueryBuilder')
+
+const VIEW_DIALECTS = ['mysql', 'sqlite']
+const DEFAULT_SEPARATOR = '__'
+
+/**
+ * Generate the views of every role and table
+ * Columns are the table's columns the role can read when they are known
+ * (options.schema or database.tables[t].columns), and the table's configured
+ * fields (QueryBuilder.getAllowedFieldsForTable) otherwise
+ * @param {DSLEngine|Object} config - Engine or configuration
+ * @param {Object} options - Generator options
+ * @param {string} options.dialect - mysql or sqlite
+ * @param {Array<Object>} options.schema - Tables from introspectSchema
+ * @param {Array<string>} options.tables - Tables to cover (default: schema or database.tables)
+ * @param {string} options.separator - Between table and role in view names (default '__')
+ * @returns {Object} { views, manifest, statements, sql, warnings }
+ * @throws {ConfigurationError} If the dialect is not supported
+ */
+function generateRoleViews(config, options = {}) {
+  const dsl = config instanceof DSLEngine ? config : new DSLEngine(config)
+  const dialect = options.dialect || 'sqlite'
+  
+  if (!VIEW_DIALECTS.includes(dialect)) {
+    throw new ConfigurationError(`Role views support ${VIEW_DIALECTS.join(', ')}, not ${dialect}`)
+  }
+  
+  const schema = new Map((options.schema || []).map(table => [table.name, table.columns.map(column => column.name)]))
+  const tableConfigs = dsl.config.database?.tables || {}
+  const tables = options.tables || (options.schema ? Array.from(schema.keys()) : Object.keys(tableConfigs))
+  const views = []
+  const warnings = []
+  
+  tables.forEach(table => {
+    const known = schema.get(table) || Object.keys(tableConfigs[table]?.columns || {})
+    
+    Object.keys(dsl.config.roles || {}).forEach(role => {
+      if (!checkTablePrivilege(dsl, table, role, 'SELECT', warnings)) {
+        return
+      }
+      
+      const columns = known.length > 0
+        ? known.filter(column => dsl.hasFieldAccess(`${table}.${column}`, role))
+        : new QueryBuilder(dsl, role, { dialect }).getAllowedFieldsForTable(table).filter(column => column !== '*')
+      
+      if (columns.length === 0) {
+        warnings.push(`${table} for ${role}: no readable columns, no view generated`)
+        return
+      }
+      
+      const policies = getApplicablePolicies(dsl.config.rows?.[table], role, dsl.config.roles)
+      const conditions = []
+      
+      policies.forEach(policy => {
+        if (policy.context !== undefined) {
+          // The adapter filters on this column, so the view must expose it
+          if (!columns.includes(policy.field)) {
+            columns.push(policy.field)
+          }
+          warnings.push(`${table} for ${role}: row policy on ${policy.field} reads the request context and is applied by the adapter only`)
+        } else {
+          conditions.push(buildCondition(policy, dialect))
+        }
+      })
+      
+      const name = getRoleViewName(table, role, options)
+      let sql = `CREATE VIEW ${quoteIdentifier(name, dialect)} AS SELECT ${columns.map(column => quoteIdentifier(column, dialect)).join(', ')} FROM ${quoteIdentifier(table, dialect)}`
+      if (conditions.length > 0) {
+        sql += ` WHERE ${conditions.join(' AND ')}`
+      }
+      
+      views.push({ name, table, role, columns, sql: `${sql};` })
+    })
+  })
+  
+  const manifest = {}
+  views.forEach(view => {
+    manifest[view.name] = view.sql
+  })
+  
+  const statements = []
+  views.forEach(view => {
+    statements.push(`DROP VIEW IF EXISTS ${quoteIdentifier(view.name, dialect)};`, view.sql)
+  })
+  
+  return { views, manifest, statements, sql: statements.join('\n'), warnings, dialect }
+}
+
+/**
+ * Compare the views of an earlier generation with the current ones
+ * @param {Object} previous - Manifest of the views in the database ({ name: createSql })
+ * @param {Object} next - Result of generateRoleViews
+ * @returns {Object} { created, changed, dropped, unchanged, statements, sql, manifest }
+ */
+function diffRoleViews(previous = {}, next) {
+  const dialect = next.dialect || 'sqlite'
+  const diff = { created: [], changed: [], dropped: [], unchanged: [], statements: [] }
+  
+  Object.keys(previous).filter(name => next.manifest[name] === undefined).forEach(name => {
+    diff.dropped.push(name)
+    diff.statements.push(`DROP VIEW IF EXISTS ${quoteIdentifier(name, dialect)};`)
+  })
+  
+  Object.entries(next.manifest).forEach(([name, sql]) => {
+    if (previous[name] === undefined) {
+      diff.created.push(name)
+      diff.statements.push(sql)
+    } else if (previous[name] !== sql) {
+      diff.changed.push(name)
+      diff.statements.push(`DROP VIEW IF EXISTS ${quoteIdentifier(name, dialect)};`, sql)
+    } else {
+      diff.unchanged.push(name)
+    }
+  })
+  
+  return { ...diff, sql: diff.statements.join('\n'), manifest: next.manifest }
+}
+
+/**
+ * Get the view name of a role's view of a table
+ * @param {string} table - Table name
+ * @param {string} role - Role name
+ * @param {Object} options - Generator options (separator)
+ * @returns {string} View name (users__support)
+ */
+function getRoleViewName(table, role, options = {}) {
+  return `${table}${options.separator || DEFAULT_SEPARATOR}${role}`
+}
+
+/**
+ * Build the WHERE condition of a literal row policy
+ * @param {Object} policy - Row policy ({ field, operator, value })
+ * @param {string} dialect - mysql or sqlite
+ * @returns {string} SQL condition
+ */
+function buildCondition(policy, dialect) {
+  const column = quoteIdentifier(policy.field, dialect)
+  const value = policy.value
+  const operator = policy.operator || (Array.isArray(value) ? 'in' : '=')
+  
+  if (operator === 'in') {
+    return `${column} IN (${[].concat(value).map(item => toSqlLiteral(item, dialect)).join(', ')})`
+  }
+  
+  if (value === null) {
+    return operator === '!=' ? `${column} IS NOT NULL` : `${column} IS NULL`
+  }
+  
+  return `${column} ${operator} ${toSqlLiteral(value, dialect)}`
+}
+
+/**
+ * Render a literal value
+ * @param {*} value - Number, boolean, string or null
+ * @param {string} dialect - mysql or sqlite
+ * @returns {string} SQL literal
+ */
+function toSqlLiteral(value, dialect) {
+  if (value === null || value === undefined) {
+    return 'NULL'
+  }
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return String(value)
+  }
+  if (typeof value === 'boolean') {
+    return value ? '1' : '0'
+  }
+  
+  // MySQL also treats backslashes in string literals as escapes
+  const text = dialect === 'mysql' ? String(value).replace(/\\/g, '\\\\') : String(value)
+  return `'${text.replace(/'/g, "''")}'`
+}
+
+/**
+ * Quote an identifier for the dialect
+ * @param {string} name - Identifier
+ * @param {string} dialect - mysql or sqlite
+ * @returns {string} Quoted identifier
+ */
+function quoteIdentifier(name, dialect) {
+  return dialect === 'mysql'
+    ? `\`${String(name).replace(/`/g, '``')}\``
+    : `"${String(name).replace(/"/g, '""')}"`
+}
+
+module.exports = {
+  generateRoleViews,
+  diffRoleViews,
+  getRoleViewName
+}
@@ -0,0 +1,184 @@
+/**
+ * @fileoverview Schema Drift Detection
+ * Compares a DSL configuration with the live database schema
+ *
+ * Columns added by a migration match no field rule, so with
+ * allowUnknownFields they are served to every role. The checker reports
+ * columns and tables the config does not cover, config entries naming columns
+ * or tables that no longer exist, and columns whose type differs from the
+ * baseline in config.database.tables[t].columns
+ */
+
+const DSLEngine = require('../core/DSLEngine')
+const { SchemaDriftError } = require('../core/DSLErrors')
+const { matchField } = require('../utils/FieldMatcher')
+const FieldMapper = require('../utils/FieldMapper')
+const { introspectSchema } = require('./SchemaScaffolder')
+
+/**
+ * Issue labels of the config entries that name columns
+ */
+const ENTRY_LABELS = {
+  fields: 'Field rule',
+  mapping: 'Field mapping',
+  columns: 'Column type'
+}
+
+/**
+ * Compare a configuration with the database schema
+ * @param {Object} source - Database adapter or connection manager (getTables/getColumns)
+ * @param {DSLEngine|Object} config - Engine or configuration to check (defaults to the adapter's engine)
+ * @param {Object} options - Drift options
+ * @param {Array<string>} options.tables - Only these tables
+ * @param {Array<string>} options.exclude - Skip these tables
+ * @param {Array<string>} options.ignore - Field patterns (table.column) to leave out of the report
+ * @param {boolean} options.failOnDrift - Throw when drift is found
+ * @returns {Promise<Object>} Drift report
+ * @throws {SchemaDriftError} If failOnDrift is set and drift is found
+ */
+async function detectSchemaDrift(source, config = null, options = {}) {
+  const dsl = config instanceof DSLEngine ? config : config ? new DSLEngine(config) : source.dsl
+  const tableConfigs = dsl.config.database?.tables || {}
+  const mapper = source.fieldMapper || FieldMapper.createDefault({ tables: FieldMapper.getTableMappings(dsl.config) })
+  const ignore = options.ignore || []
+  
+  const schema = await introspectSchema(source, options)
+  const existing = schema.filter(table => table.columns.length > 0)
+  const existingNames = new Set(existing.map(table => table.name))
+  const configured = getConfiguredTables(dsl.config, existingNames)
+  const exclude = new Set(options.exclude || [])
+  
+  const report = {
+    tables: existing.map(table => table.name),
+    unconfiguredTables: [],
+    missingTables: [],
+    unconfiguredColumns: [],
+    droppedColumns: [],
+    typeChanges: [],
+    issues: [],
+    hasDrift: false
+  }
+  
+  const isIgnored = (table, column) => ignore.some(pattern => matchField(`${table}.${column}`, pattern))
+  
+  // Configured tables the database no longer has
+  Object.keys(tableConfigs)
+    .filter(table => !existingNames.has(table) && !exclude.has(table) && (!options.tables || options.tables.includes(table)))
+    .forEach(table => {
+      report.missingTables.push(table)
+      report.issues.push(`Table '${table}' is configured but does not exist`)
+    })
+  
+  existing.forEach(table => {
+    const columns = new Map(table.columns.map(column => [column.name, column]))
+    
+    if (!configured.has(table.name)) {
+      report.unconfiguredTables.push(table.name)
+      report.issues.push(`Table '${table.name}' has no table or field configuration`)
+    }
+    
+    // Columns no field rule covers (under either naming)
+    table.columns.forEach(column => {
+      if (isIgnored(table.name, column.name) || dsl.isAlwaysAllowedField(column.name)) {
+        return
+      }
+      
+      const semantic = mapper.toSemantic(column.name, table.name)
+      if (!dsl.findFieldConfig(`${table.name}.${column.name}`) && !dsl.findFieldConfig(`${table.name}.${semantic}`)) {
+        report.unconfiguredColumns.push({ table: table.name, column: column.name, type: column.type })
+        report.issues.push(`Column '${table.name}.${column.name}' matches no field rule`)
+      }
+    })
+    
+    // Config entries naming columns the table no longer has
+    getColumnEntries(dsl.config, tableConfigs[table.name], table.name, mapper).forEach(entry => {
+      if (!columns.has(entry.column) && !isIgnored(table.name, entry.column)) {
+        report.droppedColumns.push({ table: table.name, ...entry })
+        report.issues.push(`${ENTRY_LABELS[entry.source]} '${entry.entry}' points at missing column '${table.name}.${entry.column}'`)
+      }
+    })
+    
+    // Type changes against the recorded baseline
+    Object.entries(tableConfigs[table.name]?.columns || {}).forEach(([name, expected]) => {
+      const column = columns.get(name)
+      if (column && column.type && normalizeType(column.type) !== normalizeType(expected) && !isIgnored(table.name, name)) {
+        report.typeChanges.push({ table: table.name, column: name, expected, actual: column.type })
+        report.issues.push(`Column '${table.name}.${name}' changed type from ${expected} to ${column.type}`)
+      }
+    })
+  })
+  
+  report.hasDrift = report.issues.length > 0
+  
+  if (report.hasDrift && options.failOnDrift) {
+    throw new SchemaDriftError(`Schema drift detected: ${report.issues.length} issue(s)`, report)
+  }
+  
+  return report
+}
+
+/**
+ * Get the tables a configuration covers: database.tables keys and the
+ * table prefix of table-qualified field patterns
+ * @param {Object} config - DSL configuration
+ * @param {Set<string>} tableNames - Tables of the database
+ * @returns {Set<string>} Configured table names
+ */
+function getConfiguredTables(config, tableNames) {
+  const tables = new Set(Object.keys(config.database?.tables || {}))
+  
+  Object.keys(config.fields || {}).forEach(pattern => {
+    const prefix = pattern.split('.')[0]
+    if (pattern.includes('.') && tableNames.has(prefix)) {
+      tables.add(prefix)
+    }
+  })
+  
+  return tables
+}
+
+/**
+ * List the config entries that name a column of a table: exact field rules
+ * (users.email), table field mappings and the type baseline
+ * @param {Object} config - DSL configuration
+ * @param {Object|undefined} tableConfig - config.database.tables[table]
+ * @param {string} table - Table name
+ * @param {FieldMapper} mapper - Mapper resolving semantic names
+ * @returns {Array<Object>} Entries ({ column, source, entry })
+ */
+function getColumnEntries(config, tableConfig, table, mapper) {
+  const entries = []
+  
+  Object.keys(config.fields || {}).forEach(pattern => {
+    if (!pattern.startsWith(`${table}.`) || /[*[\]/]/.test(pattern)) {
+      return
+    }
+    
+    // Nested paths (users.profile.city) name the column holding the document
+    const field = pattern.slice(table.length + 1).split('.')[0]
+    entries.push({ column: mapper.toColumnName(field, table), source: 'fields', entry: pattern })
+  })
+  
+  Object.entries(tableConfig?.fields || {}).forEach(([field, column]) => {
+    entries.push({ column, source: 'mapping', entry: `database.tables.${table}.fields.${field}` })
+  })
+  
+  Object.keys(tableConfig?.columns || {}).forEach(column => {
+    entries.push({ column, source: 'columns', entry: `database.tables.${table}.columns.${column}` })
+  })
+  
+  return entries
+}
+
+/**
+ * Normalize a column type for comparison (VARCHAR(255) and varchar(255) are equal)
+ * @param {string} type - Column type
+ * @returns {string} Normalized type
+ */
+function normalizeType(type) {
+  return String(type).toLowerCase().replace(/\s+/g, ' ').trim()
+}
+
+module.exports = {
+  detectSchemaDrift
+}
@@ -0,0 +1,245 @@
+/**
+ * @fileoverview Config Scaffolding
+ * Builds a starter DSL configuration from a live database schema
+ *
+ * Tables and columns come from the managers' getTables() and getColumns().
+ * Every column gets a field rule: columns whose names look sensitive
+ * (passwords, tokens, government ids, pay) are denied or raised to the most
+ * privileged role, the rest get the default role. snake_case columns also get
+ * a table field mapping so the FieldMapper can resolve their camelCase names,
+ * and column types are recorded as the baseline for drift detection.
+ * The output is a starting point to review, not a finished policy
+ */
+
+const { ConfigurationError } = require('../core/DSLErrors')
+const { getDefaultConfig } = require('../core/DSLConfig')
+const FieldMapper = require('../utils/FieldMapper')
+
+/**
+ * Column name heuristics, first match wins
+ * access is deny (never readable), sensitive (most privileged role) or
+ * default (default role); patterns are case-insensitive globs over the column name
+ */
+const SENSITIVITY_RULES = [
+  {
+    name: 'credential',
+    category: 'credential',
+    access: 'deny',
+    patterns: ['password*', '*_password*', '*passwd*', '*token*', '*secret*', '*api_key*', '*private_key*', '*otp_seed*']
+  },
+  {
+    name: 'government_id',
+    category: 'identity',
+    access: 'sensitive',
+    patterns: ['*ssn*', '*social_security*', '*tax_id*', '*passport*', '*national_id*', '*drivers_license*']
+  },
+  {
+    name: 'financial',
+    category: 'financial',
+    access: 'sensitive',
+    patterns: ['salary', '*salary*', '*wage*', '*compensation*', '*bank_account*', '*iban*', '*card_number*', '*routing_number*']
+  },
+  {
+    name: 'personal',
+    category: 'personal',
+    access: 'default',
+    patterns: ['email*', '*_email', '*phone*', '*address*', '*birth*', 'dob', '*_dob']
+  }
+]
+
+const ACCESS_LEVELS = ['deny', 'sensitive', 'default']
+
+/**
+ * Classify a column by its name
+ * @param {string} columnName - Column name
+ * @param {Array<Object>} rules - Sensitivity rules, defaults to SENSITIVITY_RULES
+ * @returns {Object|null} Matching rule ({ name, category, access, pattern }) or null
+ */
+function classifyColumn(columnName, rules = SENSITIVITY_RULES) {
+  const name = String(columnName).toLowerCase()
+  
+  for (const rule of rules) {
+    const pattern = rule.patterns.find(glob => globToRegExp(glob).test(name))
+    if (pattern) {
+      return { name: rule.name, category: rule.category, access: rule.access, pattern }
+    }
+  }
+  
+  return null
+}
+
+/**
+ * Read the tables and columns of a database
+ * @param {Object} source - Database adapter or connection manager (getTables/getColumns)
+ * @param {Object} options - Introspection options
+ * @param {Array<string>} options.tables - Only these tables
+ * @param {Array<string>} options.exclude - Skip these tables
+ * @returns {Promise<Array<Object>>} Tables ({ name, columns: [{ name, type, nullable, primaryKey }] })
+ * @throws {ConfigurationError} If the source cannot introspect its schema
+ */
+async function introspectSchema(source, options = {}) {
+  const manager = source && source.connectionManager ? source.connectionManager : source
+  
+  if (!manager || typeof manager.getTables !== 'function' || typeof manager.getColumns !== 'function') {
+    throw new ConfigurationError('Schema introspection needs a database adapter or connection manager with getTables() and getColumns()')
+  }
+  
+  const exclude = new Set(options.exclude || [])
+  let names = options.tables
+  
+  if (!names) {
+    const rows = await manager.getTables()
+    names = rows.map(row => row.table_name || row.tablename).filter(Boolean)
+  }
+  
+  const tables = []
+  for (const name of names.filter(table => !exclude.has(table))) {
+    const columns = await manager.getColumns(name)
+    
+    tables.push({
+      name,
+      columns: columns.map(column => ({
+        name: column.column_name,
+        type: column.data_type,
+        nullable: column.is_nullable !== 'NO',
+        primaryKey: column.primary_key === true || column.column_key === 'PRI'
+      }))
+    })
+  }
+  
+  return tables
+}
+
+/**
+ * Build a starter configuration from introspected tables
+ * @param {Array<Object>} tables - Tables from introspectSchema
+ * @param {Object} options - Generation options
+ * @param {Object} options.roles - Role hierarchy (defaults to the default config's roles)
+ * @param {string} options.defaultMinRole - minRole of tables and ordinary columns (default 'user')
+ * @param {string} options.sensitiveMinRole - minRole of sensitive columns (default: highest level role)
+ * @param {Array<Object>} options.sensitivityRules - Rules checked before the built-in ones
+ * @param {string} options.type - Database type for config.database.type
+ * @returns {Object} Configuration ({ roles, fields, database }); tables carry
+ *   minRole, fields (mappings) and columns (column types)
+ * @throws {ConfigurationError} If a role is not defined or a rule's access is unknown
+ */
+function generateConfig(tables, options = {}) {
+  const roles = options.roles || getDefaultConfig().roles
+  const defaultMinRole = options.defaultMinRole || 'user'
+  const sensitiveMinRole = options.sensitiveMinRole || getHighestRole(roles)
+  const rules = [...(options.sensitivityRules || []), ...SENSITIVITY_RULES]
+  
+  for (const role of [defaultMinRole, sensitiveMinRole]) {
+    if (!roles[role]) {
+      throw new ConfigurationError(`Role '${role}' is not defined`)
+    }
+  }
+  
+  rules.forEach(rule => {
+    if (!ACCESS_LEVELS.includes(rule.access)) {
+      throw new ConfigurationError(`Sensitivity rule '${rule.name}': access must be one of ${ACCESS_LEVELS.join(', ')}`)
+    }
+  })
+  
+  const mapper = new FieldMapper()
+  const fields = {}
+  const tableConfigs = {}
+  
+  tables.forEach(table => {
+    const mappings = {}
+    const columnTypes = {}
+    
+    table.columns.forEach(column => {
+      const classification = classifyColumn(column.name, rules)
+      fields[`${table.name}.${column.name}`] = createFieldRule(classification, defaultMinRole, sensitiveMinRole)
+      
+      const semantic = mapper.toCamelCase(column.name)
+      if (semantic !== column.name) {
+        mappings[semantic] = column.name
+      }
+      
+      if (column.type) {
+        columnTypes[column.name] = column.type
+      }
+    })
+    
+    tableConfigs[table.name] = { minRole: defaultMinRole }
+    if (Object.keys(mappings).length > 0) {
+      tableConfigs[table.name].fields = mappings
+    }
+    if (Object.keys(columnTypes).length > 0) {
+      tableConfigs[table.name].columns = columnTypes
+    }
+  })
+  
+  const database = { tables: tableConfigs }
+  if (options.type) {
+    database.type = options.type
+  }
+  
+  return { roles, fields, database }
+}
+
+/**
+ * Introspect a database and build a starter configuration
+ * @param {Object} source - Database adapter or connection manager
+ * @param {Object} options - introspectSchema and generateConfig options
+ * @returns {Promise<Object>} Configuration
+ */
+async function scaffoldConfig(source, options = {}) {
+  const tables = await introspectSchema(source, options)
+  const type = options.type || (source && typeof source.getDialect === 'function' ? source.getDialect() : undefined)
+  
+  return generateConfig(tables, { ...options, type })
+}
+
+/**
+ * Create the field rule for a classified column
+ * @param {Object|null} classification - Result of classifyColumn
+ * @param {string} defaultMinRole - Role for ordinary columns
+ * @param {string} sensitiveMinRole - Role for sensitive columns
+ * @returns {Object} Field rule
+ */
+function createFieldRule(classification, defaultMinRole, sensitiveMinRole) {
+  if (!classification) {
+    return { minRole: defaultMinRole }
+  }
+  
+  if (classification.access === 'deny') {
+    return { deny: true, category: classification.category }
+  }
+  
+  return {
+    minRole: classification.access === 'sensitive' ? sensitiveMinRole : defaultMinRole,
+    category: classification.category
+  }
+}
+
+/**
+ * Get the role with the highest level
+ * @param {Object} roles - Role hierarchy
+ * @returns {string|undefined} Role name
+ */
+function getHighestRole(roles) {
+  return Object.entries(roles)
+    .sort(([, a], [, b]) => (b.level || 0) - (a.level || 0))
+    .map(([name]) => name)[0]
+}
+
+/**
+ * Convert a glob (* wildcards) to an anchored, case-insensitive regular expression
+ * @param {string} glob - Glob pattern
+ * @returns {RegExp} Regular expression
+ */
+function globToRegExp(glob) {
+  const source = glob.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')
+  return new RegExp(`^${source}$`, 'i')
+}
+
+module.exports = {
+  SENSITIVITY_RULES,
+  classifyColumn,
+  introspectSchema,
+  generateConfig,
+  scaffoldConfig
+}
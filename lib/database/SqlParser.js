@@ -0,0 +1,1376 @@
+/**
+ * @fileoverview Lightweight SQL Parser
+ * Dialect-aware tokenizer and statement analysis for raw queries
+ *
+ * Not a full grammar: it finds the tables a statement touches, the operation
+ * applied to each, the columns it selects or writes and the columns its other
+ * clauses use. Quoted identifiers, schema-qualified names, comma joins,
+ * subqueries, CTEs and INSERT/UPDATE/DELETE targets are understood for
+ * PostgreSQL, MySQL and SQLite
+ *
+ * The items of the outermost select list (or RETURNING list) are reported as
+ * selections, with their source columns and offsets in the SQL text, so a
+ * caller can check the result columns and rewrite the list before running it
+ */
+
+const { DatabaseError } = require('../core/DSLErrors')
+
+/**
+ * Words that never name a column inside an expression
+ */
+const EXPRESSION_KEYWORDS = new Set([
+  'SELECT', 'FROM', 'WHERE', 'AND', 'OR', 'NOT', 'NULL', 'IS', 'IN', 'LIKE', 'ILIKE',
+  'BETWEEN', 'EXISTS', 'CASE', 'WHEN', 'THEN', 'ELSE', 'END', 'AS', 'ON', 'USING',
+  'JOIN', 'INNER', 'LEFT', 'RIGHT', 'FULL', 'OUTER', 'CROSS', 'NATURAL', 'DISTINCT',
+  'ALL', 'ANY', 'SOME', 'TRUE', 'FALSE', 'ASC', 'DESC', 'NULLS', 'GROUP', 'BY',
+  'ORDER', 'HAVING', 'LIMIT', 'OFFSET', 'UNION', 'INTERSECT', 'EXCEPT', 'INTERVAL',
+  'CAST', 'COLLATE', 'ESCAPE', 'SIMILAR', 'TO', 'DEFAULT', 'VALUES', 'SET', 'INTO',
+  'RETURNING', 'WITH', 'RECURSIVE', 'LATERAL', 'OVER', 'PARTITION', 'ROWS', 'RANGE',
+  'PRECEDING', 'FOLLOWING', 'UNBOUNDED', 'CURRENT', 'FILTER', 'WITHIN',
+  'CURRENT_DATE', 'CURRENT_TIME', 'CURRENT_TIMESTAMP', 'CURRENT_USER', 'SESSION_USER',
+  'LOCALTIME', 'LOCALTIMESTAMP', 'UNKNOWN', 'REGEXP', 'RLIKE', 'GLOB', 'MATCH',
+  'DIV', 'MOD', 'XOR', 'BINARY', 'ISNULL', 'NOTNULL', 'FETCH', 'ONLY', 'FOR', 'OF'
+])
+
+/**
+ * Words that end a table reference, so they are never read as its alias
+ */
+const ALIAS_STOP_WORDS = new Set([
+  ...EXPRESSION_KEYWORDS,
+  'STRAIGHT_JOIN', 'WINDOW', 'QUALIFY', 'USE', 'IGNORE', 'FORCE', 'INDEXED', 'DO',
+  'CONFLICT', 'DUPLICATE'
+])
+
+/**
+ * Join keywords between table references
+ */
+const JOIN_WORDS = new Set(['JOIN', 'INNER', 'LEFT', 'RIGHT', 'FULL', 'OUTER', 'CROSS', 'NATURAL', 'STRAIGHT_JOIN'])
+
+/**
+ * Clause keywords of each statement type
+ */
+const SELECT_CLAUSES = new Set(['SELECT', 'INTO', 'FROM', 'WHERE', 'GROUP', 'HAVING', 'WINDOW', 'QUALIFY', 'ORDER', 'LIMIT', 'OFFSET', 'FETCH', 'FOR'])
+const UPDATE_CLAUSES = new Set(['SET', 'FROM', 'WHERE', 'RETURNING', 'ORDER', 'LIMIT'])
+const DELETE_CLAUSES = new Set(['FROM', 'USING', 'WHERE', 'RETURNING', 'ORDER', 'LIMIT'])
+
+/**
+ * Statement modifiers skipped after INSERT, UPDATE and DELETE
+ */
+const MODIFIERS = new Set(['OR', 'IGNORE', 'REPLACE', 'ABORT', 'FAIL', 'ROLLBACK', 'LOW_PRIORITY', 'HIGH_PRIORITY', 'DELAYED', 'QUICK', 'ONLY'])
+
+const WORD = /[A-Za-z_\u00C0-\uFFFF][\w$\u00C0-\uFFFF]*/y
+const NUMBER = /(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/y
+const DOLLAR_TAG = /\$(?:[A-Za-z_][\w]*)?\$/y
+const PARAMETER = /(?:\$\d+|\?\d*|[:@$][A-Za-z_][\w]*)/y
+
+/**
+ * Split SQL into tokens
+ * @param {string} sql - SQL text
+ * @param {string} dialect - postgresql, mysql or sqlite
+ * @returns {Array<Object>} Tokens ({ type, value, upper, start, end }); type is word,
+ *   identifier (quoted), string, number, parameter, variable, punct or operator
+ * @throws {DatabaseError} If a string, identifier or comment is not terminated
+ */
+function tokenize(sql, dialect = 'postgresql') {
+  const text = String(sql)
+  const tokens = []
+  let position = 0
+  
+  while (position < text.length) {
+    const char = text[position]
+    const next = text[position + 1]
+    
+    if (/\s/.test(char)) {
+      position++
+      continue
+    }
+    
+    // Comments
+    if ((char === '-' && next === '-') || (char === '#' && dialect === 'mysql')) {
+      const end = text.indexOf('\n', position)
+      position = end === -1 ? text.length : end + 1
+      continue
+    }
+    if (char === '/' && next === '*') {
+      const end = text.indexOf('*/', position + 2)
+      if (end === -1) {
+        throw parseError('Unterminated comment', sql)
+      }
+      position = end + 2
+      continue
+    }
+    
+    // String literals, including E'', N'', X'' and B'' prefixes
+    if (char === '\'' || (char === '"' && dialect === 'mysql')) {
+      position = readQuoted(text, position, 'string', dialect === 'mysql', tokens)
+      continue
+    }
+    if (/[eEnNxXbB]/.test(char) && next === '\'' && !/[\w$]/.test(text[position - 1] || '')) {
+      position = readQuoted(text, position + 1, 'string', dialect === 'mysql' || /[eE]/.test(char), tokens)
+      tokens[tokens.length - 1].start--
+      continue
+    }
+    
+    // Quoted identifiers
+    if (char === '"' || (char === '`' && dialect !== 'postgresql')) {
+      position = readQuoted(text, position, 'identifier', false, tokens)
+      continue
+    }
+    if (char === '[' && dialect === 'sqlite') {
+      const end = text.indexOf(']', position)
+      if (end === -1) {
+        throw parseError('Unterminated identifier', sql)
+      }
+      tokens.push({ type: 'identifier', value: text.slice(position + 1, end), start: position, end: end + 1 })
+      position = end + 1
+      continue
+    }
+    
+    // PostgreSQL dollar-quoted strings ($$...$$, $tag$...$tag$)
+    if (char === '$' && dialect === 'postgresql') {
+      const tag = matchAt(DOLLAR_TAG, text, position)
+      if (tag) {
+        const end = text.indexOf(tag, position + tag.length)
+        if (end === -1) {
+          throw parseError('Unterminated dollar-quoted string', sql)
+        }
+        tokens.push({ type: 'string', value: text.slice(position + tag.length, end), start: position, end: end + tag.length })
+        position = end + tag.length
+        continue
+      }
+    }
+    
+    // Placeholders and variables ($1, ?, ?1, :name, @name)
+    if (char === '?' || char === '$' || (char === ':' && next !== ':' && dialect === 'sqlite') || char === '@') {
+      const parameter = matchAt(PARAMETER, text, position)
+      if (parameter) {
+        const variable = char === '@' && dialect === 'mysql'
+        tokens.push({ type: variable ? 'variable' : 'parameter', value: parameter, start: position, end: position + parameter.length })
+        position += parameter.length
+        continue
+      }
+    }
+    
+    const word = matchAt(WORD, text, position)
+    if (word) {
+      tokens.push({ type: 'word', value: word, upper: word.toUpperCase(), start: position, end: position + word.length })
+      position += word.length
+      continue
+    }
+    
+    const number = matchAt(NUMBER, text, position)
+    if (number) {
+      tokens.push({ type: 'number', value: number, start: position, end: position + number.length })
+      position += number.length
+      continue
+    }
+    
+    if ('(),;.'.includes(char)) {
+      tokens.push({ type: 'punct', value: char, start: position, end: position + 1 })
+      position++
+      continue
+    }
+    
+    // PostgreSQL casts keep their own token so type names are not read as columns
+    if (char === ':' && next === ':') {
+      tokens.push({ type: 'operator', value: '::', start: position, end: position + 2 })
+      position += 2
+      continue
+    }
+    
+    tokens.push({ type: 'operator', value: char, start: position, end: position + 1 })
+    position++
+  }
+  
+  return tokens
+}
+
+/**
+ * Analyze the statements in a SQL string
+ * @param {string} sql - SQL text (one or more statements)
+ * @param {Object} options - Parser options
+ * @param {string} options.dialect - postgresql (default), mysql or sqlite
+ * @returns {Object} Analysis ({ dialect, operation, operations, tables, references })
+ *   - tables: every table reference ({ name, schema, alias, operation, columns });
+ *     columns are the selected columns ('*' for a star) or, for INSERT and
+ *     UPDATE targets, the written columns
+ *   - references: columns used by each clause ({ table, column, clause, candidates, selection });
+ *     table is null when an unqualified column could belong to several tables,
+ *     which are listed in candidates; stars are reported with column '*';
+ *     selection is the index of the top-level selection using the column, else null
+ *   - selections: items of each statement's outermost select or RETURNING list
+ *     ({ index, core, clause, compound, positional, expression, alias, name, plain,
+ *     star, starSources, sources, parameters, start, end }); core groups the items
+ *     of one select list, compound marks UNION/INTERSECT/EXCEPT parts, positional
+ *     marks lists sorted or grouped by position (ORDER BY 2), name is the alias or
+ *     the column of a plain column reference, star is '*' or the star qualifier,
+ *     starSources lists the sources a star covers ({ qualifier, table, schema }
+ *     or { qualifier, derived: true }) and sources the columns the item reads
+ *     ({ table, column, candidates }); parameters counts the placeholders in the
+ *     item, and start and end are its offsets in the SQL text
+ * @throws {DatabaseError} If the SQL cannot be tokenized
+ */
+function parseSql(sql, options = {}) {
+  const dialect = options.dialect || 'postgresql'
+  const items = groupTokens(tokenize(sql, dialect), sql)
+  const result = { dialect, operation: null, operations: [], tables: [], references: [], selections: [] }
+  
+  splitOn(items, item => isPunct(item, ';')).forEach(statement => {
+    if (statement.length > 0) {
+      const ctx = { result, sql: String(sql), ctes: new Set(), scope: null, projection: true, selection: null }
+      result.operations.push(analyzeStatement(statement, ctx))
+    }
+  })
+  
+  result.operation = result.operations[0] || null
+  return result
+}
+
+/**
+ * Analyze one statement (or a CTE body / subquery)
+ * @param {Array<Object>} items - Grouped tokens
+ * @param {Object} ctx - Analysis context ({ result, sql, ctes, scope, projection, selection });
+ *   projection is true while analyzing the outermost query, whose select list is reported
+ * @returns {string} Statement operation (SELECT, INSERT, UPDATE, DELETE, ...)
+ */
+function analyzeStatement(items, ctx) {
+  let position = 0
+  const ctes = new Set(ctx.ctes)
+  
+  if (isWord(items[0], 'WITH')) {
+    position = isWord(items[1], 'RECURSIVE') ? 2 : 1
+    
+    while (position < items.length && isName(items[position])) {
+      // Added before the body so recursive CTEs can refer to themselves
+      ctes.add(nameOf(items[position]))
+      position++
+      
+      if (isGroup(items[position]) && !isQuery(items[position].children)) {
+        position++
+      }
+      while (isWord(items[position], 'AS') || isWord(items[position], 'NOT') || isWord(items[position], 'MATERIALIZED')) {
+        position++
+      }
+      if (isGroup(items[position])) {
+        analyzeStatement(items[position].children, { ...ctx, ctes, projection: false })
+        position++
+      }
+      if (!isPunct(items[position], ',')) {
+        break
+      }
+      position++
+    }
+  }
+  
+  const body = items.slice(position)
+  const statementCtx = { ...ctx, ctes }
+  const first = body[0]
+  
+  if (isGroup(first) || isWord(first, 'SELECT') || isWord(first, 'VALUES')) {
+    analyzeSelect(body, statementCtx)
+    return 'SELECT'
+  }
+  
+  const keyword = first && first.type === 'word' ? first.upper : null
+  
+  switch (keyword) {
+    case 'INSERT':
+    case 'REPLACE':
+      analyzeInsert(body, statementCtx)
+      return 'INSERT'
+    case 'UPDATE':
+      analyzeUpdate(body, statementCtx)
+      return 'UPDATE'
+    case 'DELETE':
+      analyzeDelete(body, statementCtx)
+      return 'DELETE'
+    case 'TRUNCATE':
+      analyzeTruncate(body, statementCtx)
+      return 'TRUNCATE'
+    case 'EXPLAIN': {
+      const start = body.findIndex(item => isWord(item, 'SELECT') || isWord(item, 'WITH') ||
+        isWord(item, 'INSERT') || isWord(item, 'UPDATE') || isWord(item, 'DELETE'))
+      return start === -1 ? 'EXPLAIN' : analyzeStatement(body.slice(start), { ...statementCtx, projection: false })
+    }
+    default:
+      analyzeOther(body, keyword, statementCtx)
+      return keyword
+  }
+}
+
+/**
+ * Analyze a SELECT, including UNION/INTERSECT/EXCEPT compounds
+ * @param {Array<Object>} items - Grouped tokens
+ * @param {Object} ctx - Analysis context
+ */
+function analyzeSelect(items, ctx) {
+  const parts = splitOn(items, item => isWord(item, 'UNION') || isWord(item, 'INTERSECT') || isWord(item, 'EXCEPT'))
+  const partCtx = parts.length > 1 ? { ...ctx, compound: true } : ctx
+  
+  parts.forEach(part => {
+    const core = isWord(part[0], 'ALL') || isWord(part[0], 'DISTINCT') ? part.slice(1) : part
+    
+    if (core.length === 1 && isGroup(core[0])) {
+      analyzeStatement(core[0].children, partCtx)
+    } else if (isWord(core[0], 'VALUES')) {
+      collectReferences(core.slice(1), 'VALUES', createScope(partCtx), partCtx)
+    } else if (core.length > 0) {
+      analyzeSelectCore(core, partCtx)
+    }
+  })
+}
+
+/**
+ * Analyze a single SELECT ... FROM ... WHERE ... block
+ * @param {Array<Object>} items - Grouped tokens starting with SELECT
+ * @param {Object} ctx - Analysis context
+ */
+function analyzeSelectCore(items, ctx) {
+  const scope = createScope(ctx)
+  const clauses = splitClauses(items, SELECT_CLAUSES)
+  
+  // Sources first, so the select list and conditions can be resolved against them
+  clauses.filter(clause => clause.keyword === 'FROM').forEach(clause => {
+    parseSources(clause.items, scope, ctx, 'SELECT')
+  })
+  
+  clauses.forEach(clause => {
+    switch (clause.keyword) {
+      case 'SELECT':
+        collectSelectList(clause.items, 'SELECT', scope, ctx)
+        break
+      case 'FROM':
+      case 'INTO':
+        break
+      case 'WHERE':
+      case 'GROUP BY':
+      case 'HAVING':
+      case 'ORDER BY':
+      case 'QUALIFY':
+        collectReferences(clause.items, clause.keyword, scope, ctx)
+        break
+      default:
+        // LIMIT, OFFSET, WINDOW, FOR ... (and a parenthesized query before ORDER BY): only subqueries matter
+        collectReferences(clause.items, clause.keyword || 'SELECT', scope, ctx)
+    }
+  })
+  
+  // GROUP BY 1 / ORDER BY 2 refer to select items by position
+  const positional = clauses.some(clause => (clause.keyword === 'GROUP BY' || clause.keyword === 'ORDER BY') &&
+    splitOn(clause.items, item => isPunct(item, ',')).some(list => list.length > 0 && list[0].type === 'number'))
+  if (positional && ctx.projection) {
+    const last = ctx.result.selections[ctx.result.selections.length - 1]
+    ctx.result.selections.filter(selection => last && selection.core === last.core).forEach(selection => {
+      selection.positional = true
+    })
+  }
+  
+  resolveScope(scope, ctx)
+}
+
+/**
+ * Analyze an INSERT (or REPLACE) statement
+ * @param {Array<Object>} items - Grouped tokens starting with INSERT
+ * @param {Object} ctx - Analysis context
+ */
+function analyzeInsert(items, ctx) {
+  let position = skipModifiers(items, 1)
+  if (isWord(items[position], 'INTO')) {
+    position++
+  }
+  
+  const { parts, next } = readQualifiedName(items, position)
+  if (!parts) {
+    return
+  }
+  position = next
+  
+  let alias = null
+  if (isWord(items[position], 'AS') && isName(items[position + 1])) {
+    alias = nameOf(items[position + 1])
+    position += 2
+  }
+  
+  const target = addTable(ctx, parts, alias, 'INSERT')
+  const scope = createScope(ctx)
+  scope.tables.push(target)
+  scope.sources.set(alias || target.name, target)
+  
+  if (isGroup(items[position]) && !isQuery(items[position].children)) {
+    target.columns.push(...columnList(items[position].children))
+    position++
+  }
+  
+  const rest = items.slice(position)
+  const conflict = rest.findIndex((item, index) => isWord(item, 'ON') &&
+    (isWord(rest[index + 1], 'CONFLICT') || isWord(rest[index + 1], 'DUPLICATE')))
+  const returning = rest.findIndex(item => isWord(item, 'RETURNING'))
+  const sourceEnd = [conflict, returning, rest.length].filter(index => index !== -1)[0]
+  
+  // VALUES (...) or a SELECT feeding the insert
+  analyzeInsertSource(rest.slice(0, sourceEnd), ctx, scope)
+  
+  if (conflict !== -1) {
+    const conflictEnd = returning === -1 ? rest.length : returning
+    const update = rest.slice(conflict, conflictEnd)
+    const set = update.findIndex(item => isWord(item, 'SET') || isWord(item, 'UPDATE'))
+    
+    // ON CONFLICT ... DO UPDATE SET / ON DUPLICATE KEY UPDATE update the target
+    if (set !== -1) {
+      const updated = addTable(ctx, parts, alias, 'UPDATE')
+      const assignments = splitClauses(update.slice(set + (isWord(update[set + 1], 'SET') ? 2 : 1)), new Set(['WHERE']))
+      assignments.forEach(clause => {
+        if (clause.keyword === 'WHERE') {
+          collectReferences(clause.items, 'WHERE', scope, ctx)
+        } else {
+          collectAssignments(clause.items, scope, ctx, updated)
+        }
+      })
+    }
+  }
+  
+  if (returning !== -1) {
+    collectSelectList(rest.slice(returning + 1), 'RETURNING', scope, ctx)
+  }
+  
+  resolveScope(scope, ctx)
+}
+
+/**
+ * Analyze the rows of an INSERT (VALUES lists or a query)
+ * @param {Array<Object>} items - Grouped tokens after the column list
+ * @param {Object} ctx - Analysis context
+ * @param {Object} scope - Scope of the insert target
+ */
+function analyzeInsertSource(items, ctx, scope) {
+  if (isWord(items[0], 'VALUES') || isWord(items[0], 'VALUE')) {
+    collectReferences(items.slice(1), 'VALUES', scope, ctx)
+  } else if (isWord(items[0], 'SET')) {
+    // MySQL INSERT ... SET col = value
+    collectAssignments(items.slice(1), scope, ctx, scope.tables[0])
+  } else if (items.length > 0 && !isWord(items[0], 'DEFAULT')) {
+    analyzeStatement(items, { ...ctx, projection: false })
+  }
+}
+
+/**
+ * Analyze an UPDATE statement
+ * @param {Array<Object>} items - Grouped tokens starting with UPDATE
+ * @param {Object} ctx - Analysis context
+ */
+function analyzeUpdate(items, ctx) {
+  const scope = createScope(ctx)
+  const start = skipModifiers(items, 1)
+  const clauses = splitClauses(items.slice(start), UPDATE_CLAUSES)
+  
+  // MySQL may update several joined tables; only those assigned to are updated
+  const targets = parseSources(clauses[0] && clauses[0].keyword === null ? clauses[0].items : [], scope, ctx, 'SELECT')
+  if (targets.length === 1) {
+    targets[0].operation = 'UPDATE'
+  }
+  
+  clauses.filter(clause => clause.keyword === 'FROM').forEach(clause => {
+    parseSources(clause.items, scope, ctx, 'SELECT')
+  })
+  
+  clauses.forEach(clause => {
+    if (clause.keyword === 'SET') {
+      collectAssignments(clause.items, scope, ctx, targets[0] || null)
+    } else if (clause.keyword === 'RETURNING') {
+      collectSelectList(clause.items, 'RETURNING', scope, ctx)
+    } else if (clause.keyword && clause.keyword !== 'FROM') {
+      collectReferences(clause.items, clause.keyword, scope, ctx)
+    }
+  })
+  
+  resolveScope(scope, ctx)
+}
+
+/**
+ * Analyze a DELETE statement
+ * @param {Array<Object>} items - Grouped tokens starting with DELETE
+ * @param {Object} ctx - Analysis context
+ */
+function analyzeDelete(items, ctx) {
+  const scope = createScope(ctx)
+  const start = skipModifiers(items, 1)
+  const clauses = splitClauses(items.slice(start), DELETE_CLAUSES)
+  
+  // MySQL multi-table form: DELETE t1, t2 FROM t1 JOIN t2 ...
+  const named = clauses[0] && clauses[0].keyword === null
+    ? splitOn(clauses[0].items, item => isPunct(item, ',')).map(list => readQualifiedName(list, 0).parts).filter(Boolean)
+    : []
+  
+  clauses.forEach(clause => {
+    if (clause.keyword === 'FROM') {
+      parseSources(clause.items, scope, ctx, named.length > 0 ? 'SELECT' : 'DELETE')
+    } else if (clause.keyword === 'USING') {
+      parseSources(clause.items, scope, ctx, 'SELECT')
+    }
+  })
+  
+  named.forEach(parts => {
+    const source = scope.sources.get(parts[parts.length - 1])
+    if (source) {
+      source.operation = 'DELETE'
+    }
+  })
+  
+  clauses.forEach(clause => {
+    if (clause.keyword === 'RETURNING') {
+      collectSelectList(clause.items, 'RETURNING', scope, ctx)
+    } else if (clause.keyword && clause.keyword !== 'FROM' && clause.keyword !== 'USING') {
+      collectReferences(clause.items, clause.keyword, scope, ctx)
+    }
+  })
+  
+  resolveScope(scope, ctx)
+}
+
+/**
+ * Analyze TRUNCATE [TABLE] a, b
+ * @param {Array<Object>} items - Grouped tokens starting with TRUNCATE
+ * @param {Object} ctx - Analysis context
+ */
+function analyzeTruncate(items, ctx) {
+  const start = isWord(items[1], 'TABLE') ? 2 : 1
+  
+  splitOn(items.slice(start), item => isPunct(item, ',')).forEach(list => {
+    const offset = isWord(list[0], 'ONLY') ? 1 : 0
+    const { parts } = readQualifiedName(list, offset)
+    if (parts) {
+      addTable(ctx, parts, null, 'DELETE')
+    }
+  })
+}
+
+/**
+ * Analyze other statements (DDL and the like): the table after TABLE is
+ * reported with the statement keyword as its operation, and an embedded
+ * query (CREATE TABLE/VIEW ... AS SELECT) is analyzed
+ * @param {Array<Object>} items - Grouped tokens
+ * @param {string|null} keyword - Statement keyword
+ * @param {Object} ctx - Analysis context
+ */
+function analyzeOther(items, keyword, ctx) {
+  const table = items.findIndex(item => isWord(item, 'TABLE'))
+  let position = 0
+  
+  if (keyword && table !== -1) {
+    position = table + 1
+    while (isWord(items[position], 'IF') || isWord(items[position], 'NOT') || isWord(items[position], 'EXISTS')) {
+      position++
+    }
+    
+    const { parts, next } = readQualifiedName(items, position)
+    if (parts) {
+      addTable(ctx, parts, null, keyword)
+      position = next
+    }
+  }
+  
+  const query = items.findIndex((item, index) => index >= position && (isWord(item, 'SELECT') || isWord(item, 'WITH')))
+  if (query !== -1) {
+    analyzeStatement(items.slice(query), { ...ctx, projection: false })
+  }
+}
+
+/**
+ * Parse table references (FROM lists, join chains, UPDATE targets)
+ * @param {Array<Object>} items - Grouped tokens of the clause
+ * @param {Object} scope - Scope receiving the sources
+ * @param {Object} ctx - Analysis context
+ * @param {string} operation - Operation applied to the base tables
+ * @returns {Array<Object>} Base table entries added
+ */
+function parseSources(items, scope, ctx, operation) {
+  const added = []
+  let position = 0
+  
+  while (position < items.length) {
+    const item = items[position]
+    
+    if (isPunct(item, ',') || (item.type === 'word' && JOIN_WORDS.has(item.upper)) ||
+        isWord(item, 'LATERAL') || isWord(item, 'ONLY')) {
+      position++
+      continue
+    }
+    
+    if (isWord(item, 'ON')) {
+      const end = findJoinEnd(items, position + 1)
+      collectReferences(items.slice(position + 1, end), 'JOIN', scope, ctx)
+      position = end
+      continue
+    }
+    
+    if (isWord(item, 'USING')) {
+      if (isGroup(items[position + 1])) {
+        columnList(items[position + 1].children).forEach(column => {
+          scope.pending.push({ parts: [column], clause: 'JOIN' })
+        })
+      }
+      position += 2
+      continue
+    }
+    
+    position = parseSource(items, position, scope, ctx, operation, added)
+  }
+  
+  return added
+}
+
+/**
+ * Parse one table reference: a table, subquery, table function or parenthesized join
+ * @param {Array<Object>} items - Grouped tokens
+ * @param {number} position - Index of the reference
+ * @param {Object} scope - Scope receiving the source
+ * @param {Object} ctx - Analysis context
+ * @param {string} operation - Operation applied to base tables
+ * @param {Array<Object>} added - Receives base table entries
+ * @returns {number} Index after the reference
+ */
+function parseSource(items, position, scope, ctx, operation, added) {
+  const item = items[position]
+  
+  if (isGroup(item)) {
+    if (isQuery(item.children)) {
+      analyzeStatement(item.children, nestedContext(ctx, scope))
+      const { alias, next } = readAlias(items, position + 1)
+      scope.sources.set(alias || `(subquery ${position})`, null)
+      return next
+    }
+    
+    added.push(...parseSources(item.children, scope, ctx, operation))
+    return readAlias(items, position + 1).next
+  }
+  
+  const { parts, next } = readQualifiedName(items, position)
+  if (!parts) {
+    return position + 1
+  }
+  
+  // Table functions: generate_series(...), json_each(...)
+  if (isGroup(items[next])) {
+    collectReferences(items[next].children, 'FROM', scope, ctx)
+    const { alias, next: after } = readAlias(items, next + 1)
+    scope.sources.set(alias || parts[parts.length - 1], null)
+    return after
+  }
+  
+  const { alias, next: after } = readAlias(items, next)
+  const name = parts[parts.length - 1]
+  
+  if (parts.length === 1 && ctx.ctes.has(name)) {
+    scope.sources.set(alias || name, null)
+    return after
+  }
+  
+  const entry = addTable(ctx, parts, alias, operation)
+  scope.tables.push(entry)
+  scope.sources.set(alias || name, entry)
+  added.push(entry)
+  
+  return skipIndexHints(items, after)
+}
+
+/**
+ * Collect a select (or RETURNING) list: stars, column references and output aliases
+ * In the outermost query each item is also recorded as a selection
+ * @param {Array<Object>} items - Grouped tokens after SELECT or RETURNING
+ * @param {string} clause - SELECT or RETURNING
+ * @param {Object} scope - Current scope
+ * @param {Object} ctx - Analysis context
+ */
+function collectSelectList(items, clause, scope, ctx) {
+  const selections = ctx.result.selections
+  const core = selections.length > 0 ? selections[selections.length - 1].core + 1 : 0
+  
+  splitOn(items, item => isPunct(item, ',')).forEach(expression => {
+    let list = expression
+    while (list[0] && list[0].type === 'word' && ['DISTINCT', 'ALL'].includes(list[0].upper)) {
+      list = isWord(list[1], 'ON') && isGroup(list[2]) ? list.slice(3) : list.slice(1)
+    }
+    if (list.length === 0) {
+      return
+    }
+    
+    const { alias, expression: body } = splitOutputAlias(list)
+    const selection = ctx.projection ? addSelection(ctx, list, body, alias, core, clause) : null
+    const itemCtx = selection ? { ...ctx, selection: selection.index } : ctx
+    
+    if (list.length === 1 && isOperator(list[0], '*')) {
+      scope.pending.push({ star: true, parts: [], clause, selection: itemCtx.selection })
+      return
+    }
+    
+    if (list.length >= 3 && isOperator(list[list.length - 1], '*') && isPunct(list[list.length - 2], '.')) {
+      scope.pending.push({ star: true, parts: list.filter(isName).map(nameOf), clause, selection: itemCtx.selection })
+      return
+    }
+    
+    if (alias) {
+      scope.aliases.add(alias)
+    }
+    
+    collectReferences(body, clause, scope, itemCtx)
+  })
+}
+
+/**
+ * Record an item of the outermost select list
+ * @param {Object} ctx - Analysis context
+ * @param {Array<Object>} list - Grouped tokens of the item
+ * @param {Array<Object>} body - Item without its output alias
+ * @param {string|null} alias - Output alias
+ * @param {number} core - Select list number
+ * @param {string} clause - SELECT or RETURNING
+ * @returns {Object} Selection
+ */
+function addSelection(ctx, list, body, alias, core, clause) {
+  const start = list[0].start
+  const end = list[list.length - 1].end
+  const plain = body.length % 2 === 1 &&
+    body.every((item, index) => index % 2 === 0 ? isName(item) : isPunct(item, '.'))
+  
+  let star = null
+  if (list.length === 1 && isOperator(list[0], '*')) {
+    star = '*'
+  } else if (list.length >= 3 && isOperator(list[list.length - 1], '*') && isPunct(list[list.length - 2], '.')) {
+    star = nameOf(list[list.length - 3])
+  }
+  
+  const selection = {
+    index: ctx.result.selections.length,
+    core,
+    clause,
+    compound: Boolean(ctx.compound),
+    positional: false,
+    expression: ctx.sql.slice(start, end),
+    alias,
+    name: alias || (plain ? nameOf(body[body.length - 1]) : null),
+    plain: plain && !star,
+    star,
+    starSources: [],
+    sources: [],
+    parameters: countParameters(list),
+    start,
+    end
+  }
+  
+  ctx.result.selections.push(selection)
+  return selection
+}
+
+/**
+ * Collect SET assignments (col = expr, (a, b) = (...))
+ * @param {Array<Object>} items - Grouped tokens of the assignment list
+ * @param {Object} scope - Current scope
+ * @param {Object} ctx - Analysis context
+ * @param {Object|null} target - Default target table entry
+ */
+function collectAssignments(items, scope, ctx, target) {
+  splitOn(items, item => isPunct(item, ',')).forEach(assignment => {
+    const equals = assignment.findIndex(item => isOperator(item, '='))
+    const left = equals === -1 ? assignment : assignment.slice(0, equals)
+    
+    const columns = isGroup(left[0])
+      ? columnList(left[0].children).map(column => [column])
+      : [left.filter(isName).map(nameOf)]
+    
+    columns.filter(parts => parts.length > 0).forEach(parts => {
+      const column = parts[parts.length - 1]
+      const source = parts.length > 1 ? lookupSource(scope, parts[parts.length - 2]) : target
+      
+      if (source) {
+        source.operation = source.operation === 'SELECT' ? 'UPDATE' : source.operation
+        addColumn(source, column)
+      }
+    })
+    
+    if (equals !== -1) {
+      collectReferences(assignment.slice(equals + 1), 'SET', scope, ctx)
+    }
+  })
+}
+
+/**
+ * Collect column references in an expression, analyzing any subqueries
+ * @param {Array<Object>} items - Grouped tokens
+ * @param {string} clause - Clause the expression belongs to
+ * @param {Object} scope - Current scope
+ * @param {Object} ctx - Analysis context
+ */
+function collectReferences(items, clause, scope, ctx) {
+  for (let position = 0; position < items.length; position++) {
+    const item = items[position]
+    const previous = items[position - 1]
+    
+    if (isGroup(item)) {
+      if (isQuery(item.children)) {
+        analyzeStatement(item.children, nestedContext(ctx, scope))
+      } else {
+        // EXTRACT(YEAR FROM ...) names a date part, not a column
+        const children = isWord(previous, 'EXTRACT') ? item.children.slice(1) : item.children
+        collectReferences(children, clause, scope, ctx)
+      }
+      continue
+    }
+    
+    if (!isName(item) || (item.type === 'word' && EXPRESSION_KEYWORDS.has(item.upper))) {
+      continue
+    }
+    
+    // Type names after ::, aliases and CAST types after AS, NULLS FIRST/LAST, CURRENT ROW
+    if (isOperator(previous, '::') || isWord(previous, 'AS') || isWord(previous, 'NULLS') || isWord(previous, 'CURRENT')) {
+      continue
+    }
+    
+    const parts = [nameOf(item)]
+    let end = position
+    while (isPunct(items[end + 1], '.') && (isName(items[end + 2]) || isOperator(items[end + 2], '*'))) {
+      parts.push(isName(items[end + 2]) ? nameOf(items[end + 2]) : '*')
+      end += 2
+    }
+    
+    const next = items[end + 1]
+    position = end
+    
+    // Function calls and typed literals (DATE '2024-01-01')
+    if (isGroup(next) || (next && next.type === 'string' && parts.length === 1)) {
+      continue
+    }
+    
+    if (parts[parts.length - 1] !== '*') {
+      scope.pending.push({ parts, clause, selection: ctx.selection })
+    }
+  }
+}
+
+/**
+ * Resolve a scope's pending references to tables and record them
+ * @param {Object} scope - Scope to resolve
+ * @param {Object} ctx - Analysis context
+ */
+function resolveScope(scope, ctx) {
+  const derived = Array.from(scope.sources.values()).some(source => source === null)
+  
+  scope.pending.forEach(({ parts, clause, star, selection = null }) => {
+    if (star) {
+      resolveStar(scope, ctx, parts, clause, selection)
+      return
+    }
+    
+    const column = parts[parts.length - 1]
+    
+    if (parts.length === 1) {
+      // ORDER BY, GROUP BY and HAVING may name an output alias
+      if (['GROUP BY', 'HAVING', 'ORDER BY', 'QUALIFY'].includes(clause) && scope.aliases.has(column)) {
+        return
+      }
+      
+      if (scope.tables.length === 1 && !derived) {
+        recordReference(ctx, scope.tables[0], column, clause, selection)
+      } else if (scope.tables.length > 0) {
+        addReference(ctx, {
+          table: null,
+          column,
+          clause,
+          candidates: scope.tables.map(entry => entry.name),
+          selection
+        })
+      } else if (!derived && scope.parent === null) {
+        addReference(ctx, { table: null, column, clause, candidates: [], selection })
+      }
+      return
+    }
+    
+    const qualifier = parts[parts.length - 2]
+    const source = lookupSource(scope, qualifier)
+    
+    if (source) {
+      recordReference(ctx, source, column, clause, selection)
+    } else if (source === undefined) {
+      // Not a known alias: schema.table.column or a table outside the FROM list
+      addReference(ctx, { table: qualifier, column, clause, candidates: [], selection })
+    }
+  })
+  
+  scope.pending = []
+}
+
+/**
+ * Count the placeholders in grouped tokens
+ * @param {Array<Object>} items - Grouped tokens
+ * @returns {number} Number of parameter tokens
+ */
+function countParameters(items) {
+  return items.reduce((count, item) => {
+    if (isGroup(item)) {
+      return count + countParameters(item.children)
+    }
+    return count + (item.type === 'parameter' ? 1 : 0)
+  }, 0)
+}
+
+/**
+ * Resolve a star (* or alias.*) to the sources it expands to
+ * @param {Object} scope - Scope of the select list
+ * @param {Object} ctx - Analysis context
+ * @param {Array<string>} parts - Qualifier parts (empty for a bare star)
+ * @param {string} clause - SELECT or RETURNING
+ * @param {number|null} selection - Top-level selection index
+ */
+function resolveStar(scope, ctx, parts, clause, selection) {
+  const qualifier = parts.length > 0 ? parts[parts.length - 1] : null
+  const sources = qualifier
+    ? [[qualifier, lookupSource(scope, qualifier)]]
+    : Array.from(scope.sources.entries())
+  
+  sources.forEach(([name, entry]) => {
+    if (entry) {
+      if (clause === 'SELECT' && entry.operation === 'SELECT') {
+        addColumn(entry, '*')
+      }
+      addReference(ctx, { table: entry.name, column: '*', clause, candidates: [], selection })
+    }
+    
+    if (selection !== null) {
+      ctx.result.selections[selection].starSources.push(entry
+        ? { qualifier: name, table: entry.name, schema: entry.schema }
+        : { qualifier: name, derived: true })
+    }
+  })
+}
+
+/**
+ * Record a resolved column reference
+ * @param {Object} ctx - Analysis context
+ * @param {Object} entry - Table entry
+ * @param {string} column - Column name
+ * @param {string} clause - Clause using the column
+ * @param {number|null} selection - Top-level selection index
+ */
+function recordReference(ctx, entry, column, clause, selection = null) {
+  addReference(ctx, { table: entry.name, column, clause, candidates: [], selection })
+  
+  if (clause === 'SELECT' && entry.operation === 'SELECT') {
+    addColumn(entry, column)
+  }
+}
+
+/**
+ * Add a column reference, and the source of a top-level selection
+ * @param {Object} ctx - Analysis context
+ * @param {Object} reference - Reference ({ table, column, clause, candidates, selection })
+ */
+function addReference(ctx, reference) {
+  ctx.result.references.push(reference)
+  
+  if (reference.selection !== null && reference.column !== '*') {
+    const { table, column, candidates } = reference
+    ctx.result.selections[reference.selection].sources.push({ table, column, candidates })
+  }
+}
+
+/**
+ * Find a source by alias or table name, searching enclosing scopes for correlated subqueries
+ * @param {Object} scope - Innermost scope
+ * @param {string} name - Alias or table name
+ * @returns {Object|null|undefined} Table entry, null for CTEs and derived tables, undefined if unknown
+ */
+function lookupSource(scope, name) {
+  for (let current = scope; current; current = current.parent) {
+    if (current.sources.has(name)) {
+      return current.sources.get(name)
+    }
+  }
+  return undefined
+}
+
+/**
+ * Context for a subquery: its select list is not part of the statement's result
+ * @param {Object} ctx - Analysis context
+ * @param {Object} scope - Enclosing scope
+ * @returns {Object} Subquery context
+ */
+function nestedContext(ctx, scope) {
+  return { ...ctx, scope, projection: false, selection: null, compound: false }
+}
+
+/**
+ * Create a scope for a query block
+ * @param {Object} ctx - Analysis context (its scope becomes the parent)
+ * @returns {Object} Scope ({ sources, tables, aliases, pending, parent })
+ */
+function createScope(ctx) {
+  return { sources: new Map(), tables: [], aliases: new Set(), pending: [], parent: ctx.scope || null }
+}
+
+/**
+ * Add a table entry to the analysis
+ * @param {Object} ctx - Analysis context
+ * @param {Array<string>} parts - Name parts (schema.table)
+ * @param {string|null} alias - Alias
+ * @param {string} operation - Operation applied to the table
+ * @returns {Object} Table entry
+ */
+function addTable(ctx, parts, alias, operation) {
+  const entry = {
+    name: parts[parts.length - 1],
+    schema: parts.length > 1 ? parts[parts.length - 2] : null,
+    alias: alias || null,
+    operation,
+    columns: []
+  }
+  
+  ctx.result.tables.push(entry)
+  return entry
+}
+
+/**
+ * Add a column to a table entry once
+ * @param {Object} entry - Table entry
+ * @param {string} column - Column name
+ */
+function addColumn(entry, column) {
+  if (!entry.columns.includes(column)) {
+    entry.columns.push(column)
+  }
+}
+
+/**
+ * Split a select item into its expression and output alias
+ * @param {Array<Object>} items - Grouped tokens of one select item
+ * @returns {Object} { expression, alias }
+ */
+function splitOutputAlias(items) {
+  const last = items[items.length - 1]
+  const previous = items[items.length - 2]
+  
+  if (items.length < 2 || !isName(last) || (last.type === 'word' && ALIAS_STOP_WORDS.has(last.upper))) {
+    return { expression: items, alias: null }
+  }
+  
+  if (isWord(previous, 'AS')) {
+    return { expression: items.slice(0, -2), alias: nameOf(last) }
+  }
+  
+  // Implicit alias: an operand directly followed by a name
+  const operand = isGroup(previous) || isName(previous) || ['string', 'number', 'parameter'].includes(previous.type)
+  if (operand && !(previous.type === 'word' && EXPRESSION_KEYWORDS.has(previous.upper))) {
+    return { expression: items.slice(0, -1), alias: nameOf(last) }
+  }
+  
+  return { expression: items, alias: null }
+}
+
+/**
+ * Read an optional table alias ([AS] name [(columns)])
+ * @param {Array<Object>} items - Grouped tokens
+ * @param {number} position - Index after the table reference
+ * @returns {Object} { alias, next }
+ */
+function readAlias(items, position) {
+  let next = position
+  const explicit = isWord(items[next], 'AS')
+  if (explicit) {
+    next++
+  }
+  
+  const item = items[next]
+  if (!isName(item) || (!explicit && item.type === 'word' && ALIAS_STOP_WORDS.has(item.upper))) {
+    return { alias: null, next }
+  }
+  
+  next++
+  if (isGroup(items[next]) && !isQuery(items[next].children)) {
+    next++
+  }
+  
+  return { alias: nameOf(item), next }
+}
+
+/**
+ * Read a dotted name (schema.table)
+ * @param {Array<Object>} items - Grouped tokens
+ * @param {number} position - Index of the first part
+ * @returns {Object} { parts, next }; parts is null if no name starts there
+ */
+function readQualifiedName(items, position) {
+  if (!isName(items[position]) || (items[position].type === 'word' && ALIAS_STOP_WORDS.has(items[position].upper))) {
+    return { parts: null, next: position }
+  }
+  
+  const parts = [nameOf(items[position])]
+  let next = position + 1
+  
+  while (isPunct(items[next], '.') && isName(items[next + 1])) {
+    parts.push(nameOf(items[next + 1]))
+    next += 2
+  }
+  
+  return { parts, next }
+}
+
+/**
+ * Skip MySQL index hints (USE INDEX (...), FORCE KEY FOR JOIN (...)) and SQLite INDEXED BY
+ * @param {Array<Object>} items - Grouped tokens
+ * @param {number} position - Index after the table reference
+ * @returns {number} Index after the hints
+ */
+function skipIndexHints(items, position) {
+  let next = position
+  
+  while (isWord(items[next], 'USE') || isWord(items[next], 'IGNORE') || isWord(items[next], 'FORCE') ||
+         isWord(items[next], 'INDEXED') || (isWord(items[next], 'NOT') && isWord(items[next + 1], 'INDEXED'))) {
+    if (isWord(items[next], 'INDEXED') || isWord(items[next], 'NOT')) {
+      next += isWord(items[next], 'NOT') ? 2 : 3
+      continue
+    }
+    
+    while (next < items.length && !isGroup(items[next])) {
+      next++
+    }
+    next++
+  }
+  
+  return next
+}
+
+/**
+ * Skip statement modifiers (INSERT OR IGNORE, UPDATE LOW_PRIORITY, DELETE QUICK, ...)
+ * @param {Array<Object>} items - Grouped tokens
+ * @param {number} position - Index after the statement keyword
+ * @returns {number} Index of the first non-modifier
+ */
+function skipModifiers(items, position) {
+  let next = position
+  while (items[next] && items[next].type === 'word' && MODIFIERS.has(items[next].upper)) {
+    next++
+  }
+  return next
+}
+
+/**
+ * Find the end of a JOIN ... ON condition
+ * @param {Array<Object>} items - Grouped tokens
+ * @param {number} position - Index after ON
+ * @returns {number} Index of the next join keyword or comma
+ */
+function findJoinEnd(items, position) {
+  let end = position
+  while (end < items.length && !isPunct(items[end], ',') &&
+         !(items[end].type === 'word' && JOIN_WORDS.has(items[end].upper))) {
+    end++
+  }
+  return end
+}
+
+/**
+ * Split grouped tokens into clauses at the given keywords
+ * GROUP and ORDER take their BY, so the clause keywords are 'GROUP BY' and 'ORDER BY'
+ * @param {Array<Object>} items - Grouped tokens
+ * @param {Set<string>} keywords - Clause keywords
+ * @returns {Array<Object>} Clauses ({ keyword, items }); a leading clause has keyword null
+ */
+function splitClauses(items, keywords) {
+  const clauses = []
+  let current = { keyword: null, items: [] }
+  
+  for (let position = 0; position < items.length; position++) {
+    const item = items[position]
+    
+    if (item.type === 'word' && keywords.has(item.upper)) {
+      if (current.keyword !== null || current.items.length > 0) {
+        clauses.push(current)
+      }
+      
+      const withBy = (item.upper === 'GROUP' || item.upper === 'ORDER') && isWord(items[position + 1], 'BY')
+      current = { keyword: withBy ? `${item.upper} BY` : item.upper, items: [] }
+      position += withBy ? 1 : 0
+      continue
+    }
+    
+    current.items.push(item)
+  }
+  
+  clauses.push(current)
+  return clauses
+}
+
+/**
+ * Split grouped tokens at separator items
+ * @param {Array<Object>} items - Grouped tokens
+ * @param {Function} isSeparator - Separator predicate
+ * @returns {Array<Array<Object>>} Parts
+ */
+function splitOn(items, isSeparator) {
+  const parts = [[]]
+  
+  items.forEach(item => {
+    if (isSeparator(item)) {
+      parts.push([])
+    } else {
+      parts[parts.length - 1].push(item)
+    }
+  })
+  
+  return parts
+}
+
+/**
+ * Nest parenthesized tokens into group items ({ type: 'group', children, start, end })
+ * @param {Array<Object>} tokens - Tokens
+ * @param {string} sql - Original SQL (for errors)
+ * @returns {Array<Object>} Grouped tokens
+ * @throws {DatabaseError} If parentheses are unbalanced
+ */
+function groupTokens(tokens, sql) {
+  const root = []
+  const stack = [root]
+  
+  const groups = []
+  
+  tokens.forEach(token => {
+    if (isPunct(token, '(')) {
+      const group = { type: 'group', children: [], start: token.start, end: null }
+      stack[stack.length - 1].push(group)
+      stack.push(group.children)
+      groups.push(group)
+    } else if (isPunct(token, ')')) {
+      if (stack.length === 1) {
+        throw parseError('Unbalanced parentheses', sql)
+      }
+      stack.pop()
+      groups.pop().end = token.end
+    } else {
+      stack[stack.length - 1].push(token)
+    }
+  })
+  
+  if (stack.length !== 1) {
+    throw parseError('Unbalanced parentheses', sql)
+  }
+  
+  return root
+}
+
+/**
+ * Names in a parenthesized column list
+ * @param {Array<Object>} items - Group children
+ * @returns {Array<string>} Column names
+ */
+function columnList(items) {
+  return splitOn(items, item => isPunct(item, ','))
+    .map(list => list.filter(isName).map(nameOf).pop())
+    .filter(Boolean)
+}
+
+/**
+ * Check whether grouped tokens start a query
+ * @param {Array<Object>} items - Grouped tokens
+ * @returns {boolean} True for SELECT, WITH, VALUES or a parenthesized query
+ */
+function isQuery(items) {
+  const first = items[0]
+  return isWord(first, 'SELECT') || isWord(first, 'WITH') || isWord(first, 'VALUES') ||
+    (isGroup(first) && isQuery(first.children))
+}
+
+function isWord(item, upper) {
+  return Boolean(item) && item.type === 'word' && item.upper === upper
+}
+
+function isPunct(item, value) {
+  return Boolean(item) && item.type === 'punct' && item.value === value
+}
+
+function isOperator(item, value) {
+  return Boolean(item) && item.type === 'operator' && item.value === value
+}
+
+function isGroup(item) {
+  return Boolean(item) && item.type === 'group'
+}
+
+function isName(item) {
+  return Boolean(item) && (item.type === 'word' || item.type === 'identifier')
+}
+
+/**
+ * Identifier value; unquoted names are case-insensitive and lower-cased
+ * @param {Object} item - Word or identifier token
+ * @returns {string} Name
+ */
+function nameOf(item) {
+  return item.type === 'identifier' ? item.value : item.value.toLowerCase()
+}
+
+/**
+ * Read a quoted string or identifier, handling doubled quotes and optional backslash escapes
+ * @param {string} text - SQL text
+ * @param {number} start - Index of the opening quote
+ * @param {string} type - Token type (string or identifier)
+ * @param {boolean} backslash - Whether backslash escapes apply
+ * @param {Array<Object>} tokens - Receives the token
+ * @returns {number} Index after the closing quote
+ * @throws {DatabaseError} If the quote is not terminated
+ */
+function readQuoted(text, start, type, backslash, tokens) {
+  const quote = text[start]
+  let value = ''
+  let position = start + 1
+  
+  while (position < text.length) {
+    const char = text[position]
+    
+    if (backslash && char === '\\') {
+      value += text[position + 1] || ''
+      position += 2
+      continue
+    }
+    
+    if (char === quote) {
+      if (text[position + 1] === quote) {
+        value += quote
+        position += 2
+        continue
+      }
+      tokens.push({ type, value, start, end: position + 1 })
+      return position + 1
+    }
+    
+    value += char
+    position++
+  }
+  
+  throw parseError(`Unterminated ${type === 'string' ? 'string literal' : 'quoted identifier'}`, text)
+}
+
+/**
+ * Match a sticky pattern at a position
+ * @param {RegExp} pattern - Sticky pattern
+ * @param {string} text - Text
+ * @param {number} position - Index
+ * @returns {string|null} Matched text
+ */
+function matchAt(pattern, text, position) {
+  pattern.lastIndex = position
+  const match = pattern.exec(text)
+  return match ? match[0] : null
+}
+
+/**
+ * Create a parse error
+ * @param {string} message - Error message
+ * @param {string} sql - SQL text
+ * @returns {DatabaseError} Error
+ */
+function parseError(message, sql) {
+  return new DatabaseError(`SQL parse failed: ${message}`, 'sql_parse_failed', { sql: String(sql).substring(0, 200) })
+}
+
+module.exports = {
+  tokenize,
+  parseSql
+}
@@ -4,9 +4,10 @@
  */
 
 const DatabaseAdapter = require('../DatabaseAdapter')
+const { ROW_POLICIES_APPLIED } = DatabaseAdapter
 const MySQLManager = require('../managers/MySQLManager')
 const QueryBuilder = require('../QueryBuilder')
-const { DatabaseError } = require('../../core/DSLErrors')
+const { DatabaseError, AccessDeniedError } = require('../../core/DSLErrors')
 const debug = require('debug')('dsandsl:mysql-adapter')
 
 /**
@@ -30,6 +31,10 @@ class MySQLAdapter extends DatabaseAdapter {
     try {
       await this.connectionManager.initialize()
       
+      if (this.options.introspectColumns) {
+        await this.loadColumnMappings()
+      }
+      
       debug('MySQL adapter initialized:', {
         validateTableAccess: this.options.validateTableAccess,
         validateFieldAccess: this.options.validateFieldAccess,
@@ -79,6 +84,7 @@ class MySQLAdapter extends DatabaseAdapter {
       dialect: 'mysql',
       validateFields: this.options.validateFieldAccess,
       autoFilter: this.options.autoFilter,
+      fieldMapper: this.fieldMapper,
       ...options
     })
   }
@@ -93,12 +99,15 @@ class MySQLAdapter extends DatabaseAdapter {
   async select(table, userRole, options = {}) {
     try {
       // Check table access
-      this.checkTableAccess(table, userRole, 'SELECT')
+      this.checkTableAccess(table, userRole, 'SELECT', options.context)
       
       // Create query builder
-      const qb = this.createQueryBuilder(userRole)
+      const qb = this.createQueryBuilder(userRole, { context: options.context })
         .select(options.fields || ['*'])
-        .from(table)
+        .from(table, this.getSelectSource(table, userRole))
+      
+      // Restrict rows by policy
+      this.applyRowPolicies(qb, table, userRole, options.context)
       
       // Apply conditions
       if (options.where) {
@@ -135,7 +144,10 @@ class MySQLAdapter extends DatabaseAdapter {
       const { sql, params } = qb.build()
       const result = await this.query(sql, params, userRole, {
         operation: 'SELECT',
-        table
+        table,
+        [ROW_POLICIES_APPLIED]: true,
+        context: options.context,
+        session: this.getSessionContext(userRole, options.context)
       })
       
       debug('SELECT completed:', {
@@ -148,6 +160,12 @@ class MySQLAdapter extends DatabaseAdapter {
       return result.rows
       
     } catch (error) {
+      // Access errors keep their own type so callers can report the fields
+      if (error instanceof AccessDeniedError) {
+        this.auditDenied(error, { table, operation: 'SELECT' }, userRole, options.context)
+        throw error
+      }
+      
       throw new DatabaseError(
         `MySQL SELECT failed: ${error.message}`,
         'select_failed',
@@ -162,30 +180,38 @@ class MySQLAdapter extends DatabaseAdapter {
   async insert(table, data, userRole, options = {}) {
     try {
       // Check table access
-      this.checkTableAccess(table, userRole, 'INSERT')
+      this.checkTableAccess(table, userRole, 'INSERT', options.context)
       
       // Create query builder (MySQL doesn't support RETURNING)
-      const qb = this.createQueryBuilder(userRole)
+      const qb = this.createQueryBuilder(userRole, { writePolicy: options.writePolicy, context: options.context })
         .insert(table)
         .values(data)
       
+      this.checkRowPolicyValues(table, qb.query.values, userRole, 'INSERT', options.context)
+      
       // Build and execute query
       const { sql, params } = qb.build()
       const result = await this.executeQuery(sql, params, {
         userRole,
         operation: 'INSERT',
-        table
+        table,
+        context: options.context,
+        session: this.getSessionContext(userRole, options.context)
       })
+      this.auditWrite('INSERT', table, userRole, options, { qb, data, result })
       
       // For MySQL, if returning fields are requested, fetch them
       if (options.returning && result.insertId) {
         const selectResult = await this.select(table, userRole, {
           where: { id: result.insertId },
-          fields: options.returning
+          fields: options.returning,
+          context: options.context
         })
         result.rows = selectResult
       }
       
+      result.writeReport = qb.writeReport
+      
       debug('INSERT completed:', {
         table,
         userRole,
@@ -196,6 +222,12 @@ class MySQLAdapter extends DatabaseAdapter {
       return result
       
     } catch (error) {
+      // Access errors keep their own type so callers can report the fields
+      if (error instanceof AccessDeniedError) {
+        this.auditDenied(error, { table, operation: 'INSERT' }, userRole, options.context)
+        throw error
+      }
+      
       throw new DatabaseError(
         `MySQL INSERT failed: ${error.message}`,
         'insert_failed',
@@ -210,37 +242,49 @@ class MySQLAdapter extends DatabaseAdapter {
   async update(table, data, where, userRole, options = {}) {
     try {
       // Check table access
-      this.checkTableAccess(table, userRole, 'UPDATE')
+      this.checkTableAccess(table, userRole, 'UPDATE', options.context)
       
       // For MySQL RETURNING simulation, get records before update
       let beforeUpdate = []
       if (options.returning) {
-        beforeUpdate = await this.select(table, userRole, { where })
+        beforeUpdate = await this.select(table, userRole, { where, context: options.context })
       }
       
       // Create query builder
-      const qb = this.createQueryBuilder(userRole)
+      const qb = this.createQueryBuilder(userRole, { writePolicy: options.writePolicy, context: options.context })
         .update(table)
         .set(data)
         .where(where)
       
+      this.applyRowPolicies(qb, table, userRole, options.context)
+      this.checkRowPolicyValues(table, qb.query.values, userRole, 'UPDATE', options.context)
+      
+      // Rows as they were, for the audit log
+      const before = await this.readAuditRows(table, where, userRole, options)
+      
       // Build and execute query
       const { sql, params } = qb.build()
       const result = await this.executeQuery(sql, params, {
         userRole,
         operation: 'UPDATE',
-        table
+        table,
+        context: options.context,
+        session: this.getSessionContext(userRole, options.context)
       })
+      this.auditWrite('UPDATE', table, userRole, options, { qb, data, before, result })
       
       // For MySQL, simulate RETURNING by fetching updated records
       if (options.returning && result.affectedRows > 0) {
         const selectResult = await this.select(table, userRole, {
           where,
-          fields: options.returning
+          fields: options.returning,
+          context: options.context
         })
         result.rows = selectResult
       }
       
+      result.writeReport = qb.writeReport
+      
       debug('UPDATE completed:', {
         table,
         userRole,
@@ -250,6 +294,12 @@ class MySQLAdapter extends DatabaseAdapter {
       return result
       
     } catch (error) {
+      // Access errors keep their own type so callers can report the fields
+      if (error instanceof AccessDeniedError) {
+        this.auditDenied(error, { table, operation: 'UPDATE' }, userRole, options.context)
+        throw error
+      }
+      
       throw new DatabaseError(
         `MySQL UPDATE failed: ${error.message}`,
         'update_failed',
@@ -264,27 +314,35 @@ class MySQLAdapter extends DatabaseAdapter {
   async delete(table, where, userRole, options = {}) {
     try {
       // Check table access
-      this.checkTableAccess(table, userRole, 'DELETE')
+      this.checkTableAccess(table, userRole, 'DELETE', options.context)
       
       // For MySQL RETURNING simulation, get records before delete
       let beforeDelete = []
       if (options.returning) {
-        beforeDelete = await this.select(table, userRole, { where })
+        beforeDelete = await this.select(table, userRole, { where, context: options.context })
       }
       
       // Create query builder
-      const qb = this.createQueryBuilder(userRole)
+      const qb = this.createQueryBuilder(userRole, { context: options.context })
         .delete()
         .from(table)
         .where(where)
       
+      this.applyRowPolicies(qb, table, userRole, options.context)
+      
+      // Rows as they were, for the audit log
+      const before = await this.readAuditRows(table, where, userRole, options)
+      
       // Build and execute query
       const { sql, params } = qb.build()
       const result = await this.executeQuery(sql, params, {
         userRole,
         operation: 'DELETE',
-        table
+        table,
+        context: options.context,
+        session: this.getSessionContext(userRole, options.context)
       })
+      this.auditWrite('DELETE', table, userRole, options, { qb, before, result })
       
       // For MySQL, simulate RETURNING with pre-delete data
       if (options.returning && beforeDelete.length > 0) {
@@ -300,6 +358,12 @@ class MySQLAdapter extends DatabaseAdapter {
       return result
       
     } catch (error) {
+      // Access errors keep their own type so callers can report the fields
+      if (error instanceof AccessDeniedError) {
+        this.auditDenied(error, { table, operation: 'DELETE' }, userRole, options.context)
+        throw error
+      }
+      
       throw new DatabaseError(
         `MySQL DELETE failed: ${error.message}`,
         'delete_failed',
@@ -310,6 +374,11 @@ class MySQLAdapter extends DatabaseAdapter {
   
   /**
    * Execute query within a transaction
+   * @param {Function} callback - Transaction callback
+   * @param {Object} options - Transaction options
+   * @param {string} options.userRole - Role stored in the session context (sessionContext option)
+   * @param {Object} options.context - Request context for the session context
+   * @returns {Promise<any>} Transaction result
    */
   async transaction(callback, options = {}) {
     try {
@@ -317,7 +386,7 @@ class MySQLAdapter extends DatabaseAdapter {
         // Create a transaction-aware adapter
         const transactionAdapter = new MySQLTransactionAdapter(this, transactionWrapper)
         return await callback(transactionAdapter)
-      }, options)
+      }, { ...options, session: this.getSessionContext(options.userRole, options.context) })
       
     } catch (error) {
       throw new DatabaseError(
@@ -386,19 +455,24 @@ class MySQLTransactionAdapter {
    */
   async query(sql, params, userRole, options = {}) {
     try {
-      if (this.options.validateTableAccess) {
-        this.adapter.validateTableAccess(sql, userRole)
-      }
+      const prepared = await this.adapter.prepareQuery(sql, userRole, options)
       
-      const result = await this.transactionWrapper.query(sql, params)
+      const result = await this.transactionWrapper.query(prepared.sql, params)
       
       if (this.options.autoFilter && result.rows) {
-        result.rows = this.dsl.filter(result.rows, userRole)
+        result.rows = this.adapter.filterQueryRows(result.rows, prepared.outputs, userRole, options.context)
       }
       
+      result.rows = this.adapter.mapResultRows(result.rows, options.table)
       return result
       
     } catch (error) {
+      // Access errors keep their own type so callers can report the fields
+      if (error instanceof AccessDeniedError) {
+        this.adapter.auditDenied(error, { table: options.table, operation: options.operation }, userRole, options.context)
+        throw error
+      }
+      
       throw new DatabaseError(
         `Transaction query failed: ${error.message}`,
         'transaction_query_failed',
@@ -418,9 +492,11 @@ class MySQLTransactionAdapter {
    * Select within transaction
    */
   async select(table, userRole, options = {}) {
-    const qb = this.createQueryBuilder(userRole)
+    const qb = this.createQueryBuilder(userRole, { context: options.context })
       .select(options.fields || ['*'])
-      .from(table)
+      .from(table, this.adapter.getSelectSource(table, userRole))
+    
+    this.adapter.applyRowPolicies(qb, table, userRole, options.context)
     
     if (options.where) qb.where(options.where)
     if (options.orderBy) qb.orderBy(options.orderBy)
@@ -428,7 +504,7 @@ class MySQLTransactionAdapter {
     if (options.offset) qb.offset(options.offset)
     
     const { sql, params } = qb.build()
-    const result = await this.query(sql, params, userRole, { table, operation: 'SELECT' })
+    const result = await this.query(sql, params, userRole, { table, operation: 'SELECT', [ROW_POLICIES_APPLIED]: true, context: options.context })
     
     return result.rows
   }
@@ -437,18 +513,23 @@ class MySQLTransactionAdapter {
    * Insert within transaction
    */
   async insert(table, data, userRole, options = {}) {
-    const qb = this.createQueryBuilder(userRole)
+    const qb = this.createQueryBuilder(userRole, { writePolicy: options.writePolicy, context: options.context })
       .insert(table)
       .values(data)
     
+    this.adapter.checkRowPolicyValues(table, qb.query.values, userRole, 'INSERT', options.context)
+    
     const { sql, params } = qb.build()
-    const result = await this.query(sql, params, userRole, { table, operation: 'INSERT' })
+    const result = await this.query(sql, params, userRole, { table, operation: 'INSERT', [ROW_POLICIES_APPLIED]: true, context: options.context })
+    this.adapter.auditWrite('INSERT', table, userRole, options, { qb, data, result })
+    result.writeReport = qb.writeReport
     
     // Simulate RETURNING for MySQL
     if (options.returning && result.insertId) {
       const selectResult = await this.select(table, userRole, {
         where: { id: result.insertId },
-        fields: options.returning
+        fields: options.returning,
+        context: options.context
       })
       result.rows = selectResult
     }
@@ -463,22 +544,30 @@ class MySQLTransactionAdapter {
     // Get before-update data for RETURNING simulation
     let beforeUpdate = []
     if (options.returning) {
-      beforeUpdate = await this.select(table, userRole, { where })
+      beforeUpdate = await this.select(table, userRole, { where, context: options.context })
     }
     
-    const qb = this.createQueryBuilder(userRole)
+    const qb = this.createQueryBuilder(userRole, { writePolicy: options.writePolicy, context: options.context })
       .update(table)
       .set(data)
       .where(where)
     
+    this.adapter.applyRowPolicies(qb, table, userRole, options.context)
+    this.adapter.checkRowPolicyValues(table, qb.query.values, userRole, 'UPDATE', options.context)
+    
+    const before = await this.adapter.readAuditRows(table, where, userRole, options, (sql, params) => this.transactionWrapper.query(sql, params))
+    
     const { sql, params } = qb.build()
-    const result = await this.query(sql, params, userRole, { table, operation: 'UPDATE' })
+    const result = await this.query(sql, params, userRole, { table, operation: 'UPDATE', [ROW_POLICIES_APPLIED]: true, context: options.context })
+    this.adapter.auditWrite('UPDATE', table, userRole, options, { qb, data, before, result })
+    result.writeReport = qb.writeReport
     
     // Simulate RETURNING for MySQL
     if (options.returning && result.affectedRows > 0) {
       const selectResult = await this.select(table, userRole, {
         where,
-        fields: options.returning
+        fields: options.returning,
+        context: options.context
       })
       result.rows = selectResult
     }
@@ -493,16 +582,21 @@ class MySQLTransactionAdapter {
     // Get before-delete data for RETURNING simulation
     let beforeDelete = []
     if (options.returning) {
-      beforeDelete = await this.select(table, userRole, { where })
+      beforeDelete = await this.select(table, userRole, { where, context: options.context })
     }
     
-    const qb = this.createQueryBuilder(userRole)
+    const qb = this.createQueryBuilder(userRole, { context: options.context })
       .delete()
       .from(table)
       .where(where)
     
+    this.adapter.applyRowPolicies(qb, table, userRole, options.context)
+    
+    const before = await this.adapter.readAuditRows(table, where, userRole, options, (sql, params) => this.transactionWrapper.query(sql, params))
+    
     const { sql, params } = qb.build()
-    const result = await this.query(sql, params, userRole, { table, operation: 'DELETE' })
+    const result = await this.query(sql, params, userRole, { table, operation: 'DELETE', [ROW_POLICIES_APPLIED]: true, context: options.context })
+    this.adapter.auditWrite('DELETE', table, userRole, options, { qb, before, result })
     
     // Simulate RETURNING for MySQL
     if (options.returning && beforeDelete.length > 0) {
@@ -4,9 +4,11 @@
  */
 
 const DatabaseAdapter = require('../DatabaseAdapter')
+const { ROW_POLICIES_APPLIED } = DatabaseAdapter
 const PostgreSQLManager = require('../managers/PostgreSQLManager')
 const QueryBuilder = require('../QueryBuilder')
-const { DatabaseError } = require('../../core/DSLErrors')
+const { getDatabaseRoleName, getContextSettings } = require('../PostgresPolicyGenerator')
+const { DatabaseError, AccessDeniedError } = require('../../core/DSLErrors')
 const debug = require('debug')('dsandsl:postgresql-adapter')
 
 /**
@@ -30,6 +32,10 @@ class PostgreSQLAdapter extends DatabaseAdapter {
     try {
       await this.connectionManager.initialize()
       
+      if (this.options.introspectColumns) {
+        await this.loadColumnMappings()
+      }
+      
       debug('PostgreSQL adapter initialized:', {
         validateTableAccess: this.options.validateTableAccess,
         validateFieldAccess: this.options.validateFieldAccess,
@@ -79,6 +85,7 @@ class PostgreSQLAdapter extends DatabaseAdapter {
       dialect: 'postgresql',
       validateFields: this.options.validateFieldAccess,
       autoFilter: this.options.autoFilter,
+      fieldMapper: this.fieldMapper,
       ...options
     })
   }
@@ -93,13 +100,16 @@ class PostgreSQLAdapter extends DatabaseAdapter {
   async select(table, userRole, options = {}) {
     try {
       // Check table access
-      this.checkTableAccess(table, userRole, 'SELECT')
+      this.checkTableAccess(table, userRole, 'SELECT', options.context)
       
       // Create query builder
-      const qb = this.createQueryBuilder(userRole)
+      const qb = this.createQueryBuilder(userRole, { context: options.context })
         .select(options.fields || ['*'])
         .from(table)
       
+      // Restrict rows by policy
+      this.applyRowPolicies(qb, table, userRole, options.context)
+      
       // Apply conditions
       if (options.where) {
         qb.where(options.where)
@@ -135,7 +145,10 @@ class PostgreSQLAdapter extends DatabaseAdapter {
       const { sql, params } = qb.build()
       const result = await this.query(sql, params, userRole, {
         operation: 'SELECT',
-        table
+        table,
+        [ROW_POLICIES_APPLIED]: true,
+        context: options.context,
+        session: this.getSessionContext(userRole, options.context)
       })
       
       debug('SELECT completed:', {
@@ -148,6 +161,12 @@ class PostgreSQLAdapter extends DatabaseAdapter {
       return result.rows
       
     } catch (error) {
+      // Access errors keep their own type so callers can report the fields
+      if (error instanceof AccessDeniedError) {
+        this.auditDenied(error, { table, operation: 'SELECT' }, userRole, options.context)
+        throw error
+      }
+      
       throw new DatabaseError(
         `PostgreSQL SELECT failed: ${error.message}`,
         'select_failed',
@@ -162,10 +181,10 @@ class PostgreSQLAdapter extends DatabaseAdapter {
   async insert(table, data, userRole, options = {}) {
     try {
       // Check table access
-      this.checkTableAccess(table, userRole, 'INSERT')
+      this.checkTableAccess(table, userRole, 'INSERT', options.context)
       
       // Create query builder
-      const qb = this.createQueryBuilder(userRole)
+      const qb = this.createQueryBuilder(userRole, { writePolicy: options.writePolicy, context: options.context })
         .insert(table)
         .values(data)
       
@@ -173,13 +192,21 @@ class PostgreSQLAdapter extends DatabaseAdapter {
         qb.returning(options.returning)
       }
       
+      this.checkRowPolicyValues(table, qb.query.values, userRole, 'INSERT', options.context)
+      
       // Build and execute query
       const { sql, params } = qb.build()
       const result = await this.executeQuery(sql, params, {
         userRole,
         operation: 'INSERT',
-        table
+        table,
+        context: options.context,
+        session: this.getSessionContext(userRole, options.context)
       })
+      this.auditWrite('INSERT', table, userRole, options, { qb, data, result })
+      result.rows = this.mapResultRows(result.rows, table)
+      
+      result.writeReport = qb.writeReport
       
       debug('INSERT completed:', {
         table,
@@ -190,6 +217,12 @@ class PostgreSQLAdapter extends DatabaseAdapter {
       return result
       
     } catch (error) {
+      // Access errors keep their own type so callers can report the fields
+      if (error instanceof AccessDeniedError) {
+        this.auditDenied(error, { table, operation: 'INSERT' }, userRole, options.context)
+        throw error
+      }
+      
       throw new DatabaseError(
         `PostgreSQL INSERT failed: ${error.message}`,
         'insert_failed',
@@ -204,25 +237,37 @@ class PostgreSQLAdapter extends DatabaseAdapter {
   async update(table, data, where, userRole, options = {}) {
     try {
       // Check table access
-      this.checkTableAccess(table, userRole, 'UPDATE')
+      this.checkTableAccess(table, userRole, 'UPDATE', options.context)
       
       // Create query builder
-      const qb = this.createQueryBuilder(userRole)
+      const qb = this.createQueryBuilder(userRole, { writePolicy: options.writePolicy, context: options.context })
         .update(table)
         .set(data)
         .where(where)
       
+      this.applyRowPolicies(qb, table, userRole, options.context)
+      this.checkRowPolicyValues(table, qb.query.values, userRole, 'UPDATE', options.context)
+      
       if (options.returning) {
         qb.returning(options.returning)
       }
       
+      // Rows as they were, for the audit log
+      const before = await this.readAuditRows(table, where, userRole, options)
+      
       // Build and execute query
       const { sql, params } = qb.build()
       const result = await this.executeQuery(sql, params, {
         userRole,
         operation: 'UPDATE',
-        table
+        table,
+        context: options.context,
+        session: this.getSessionContext(userRole, options.context)
       })
+      this.auditWrite('UPDATE', table, userRole, options, { qb, data, before, result })
+      result.rows = this.mapResultRows(result.rows, table)
+      
+      result.writeReport = qb.writeReport
       
       debug('UPDATE completed:', {
         table,
@@ -233,6 +278,12 @@ class PostgreSQLAdapter extends DatabaseAdapter {
       return result
       
     } catch (error) {
+      // Access errors keep their own type so callers can report the fields
+      if (error instanceof AccessDeniedError) {
+        this.auditDenied(error, { table, operation: 'UPDATE' }, userRole, options.context)
+        throw error
+      }
+      
       throw new DatabaseError(
         `PostgreSQL UPDATE failed: ${error.message}`,
         'update_failed',
@@ -247,25 +298,34 @@ class PostgreSQLAdapter extends DatabaseAdapter {
   async delete(table, where, userRole, options = {}) {
     try {
       // Check table access
-      this.checkTableAccess(table, userRole, 'DELETE')
+      this.checkTableAccess(table, userRole, 'DELETE', options.context)
       
       // Create query builder
-      const qb = this.createQueryBuilder(userRole)
+      const qb = this.createQueryBuilder(userRole, { context: options.context })
         .delete()
         .from(table)
         .where(where)
       
+      this.applyRowPolicies(qb, table, userRole, options.context)
+      
       if (options.returning) {
         qb.returning(options.returning)
       }
       
+      // Rows as they were, for the audit log
+      const before = await this.readAuditRows(table, where, userRole, options)
+      
       // Build and execute query
       const { sql, params } = qb.build()
       const result = await this.executeQuery(sql, params, {
         userRole,
         operation: 'DELETE',
-        table
+        table,
+        context: options.context,
+        session: this.getSessionContext(userRole, options.context)
       })
+      this.auditWrite('DELETE', table, userRole, options, { qb, before, result })
+      result.rows = this.mapResultRows(result.rows, table)
       
       debug('DELETE completed:', {
         table,
@@ -276,6 +336,12 @@ class PostgreSQLAdapter extends DatabaseAdapter {
       return result
       
     } catch (error) {
+      // Access errors keep their own type so callers can report the fields
+      if (error instanceof AccessDeniedError) {
+        this.auditDenied(error, { table, operation: 'DELETE' }, userRole, options.context)
+        throw error
+      }
+      
       throw new DatabaseError(
         `PostgreSQL DELETE failed: ${error.message}`,
         'delete_failed',
@@ -286,8 +352,21 @@ class PostgreSQLAdapter extends DatabaseAdapter {
   
   /**
    * Execute query within a transaction
+   * With the databaseRoles option the transaction runs as the generated role
+   * of options.userRole, with options.context in the settings row policies read
+   * @param {Function} callback - Transaction callback
+   * @param {Object} options - Transaction options
+   * @param {string} options.userRole - DSL role the database enforces (databaseRoles option)
+   * @param {Object} options.context - Request context for row policy settings and the session context
+   * @returns {Promise<any>} Transaction result
+   * @throws {DatabaseError} If databaseRoles is set and no single userRole is given
    */
   async transaction(callback, options = {}) {
+    if (this.options.databaseRoles) {
+      options = { ...options, ...this.getDatabaseRoleSettings(options) }
+    }
+    options = { ...options, session: this.getSessionContext(options.userRole, options.context) }
+    
     try {
       return await this.connectionManager.transaction(async (client) => {
         // Create a transaction-aware adapter
@@ -304,6 +383,32 @@ class PostgreSQLAdapter extends DatabaseAdapter {
     }
   }
   
+  /**
+   * Get the role and settings a transaction runs with under databaseRoles
+   * @param {Object} options - Transaction options ({ userRole, context, settings })
+   * @returns {Object} { role, settings } for PostgreSQLManager.transaction
+   * @throws {DatabaseError} If no single userRole is given
+   */
+  getDatabaseRoleSettings(options) {
+    if (typeof options.userRole !== 'string') {
+      throw new DatabaseError(
+        'Transactions need a single userRole when databaseRoles is enabled',
+        'database_role_required',
+        { userRole: options.userRole }
+      )
+    }
+    
+    const roleOptions = typeof this.options.databaseRoles === 'object' ? this.options.databaseRoles : {}
+    
+    return {
+      role: getDatabaseRoleName(options.userRole, roleOptions),
+      settings: {
+        ...getContextSettings(this.dsl.config, options.context, roleOptions),
+        ...options.settings
+      }
+    }
+  }
+  
   /**
    * Get database version and info
    */
@@ -362,19 +467,24 @@ class PostgreSQLTransactionAdapter {
    */
   async query(sql, params, userRole, options = {}) {
     try {
-      if (this.options.validateTableAccess) {
-        this.adapter.validateTableAccess(sql, userRole)
-      }
+      const prepared = await this.adapter.prepareQuery(sql, userRole, options)
       
-      const result = await this.client.query(sql, params)
+      const result = await this.client.query(prepared.sql, params)
       
       if (this.options.autoFilter && result.rows) {
-        result.rows = this.dsl.filter(result.rows, userRole)
+        result.rows = this.adapter.filterQueryRows(result.rows, prepared.outputs, userRole, options.context)
       }
       
+      result.rows = this.adapter.mapResultRows(result.rows, options.table)
       return result
       
     } catch (error) {
+      // Access errors keep their own type so callers can report the fields
+      if (error instanceof AccessDeniedError) {
+        this.adapter.auditDenied(error, { table: options.table, operation: options.operation }, userRole, options.context)
+        throw error
+      }
+      
       throw new DatabaseError(
         `Transaction query failed: ${error.message}`,
         'transaction_query_failed',
@@ -394,17 +504,19 @@ class PostgreSQLTransactionAdapter {
    * Select within transaction
    */
   async select(table, userRole, options = {}) {
-    const qb = this.createQueryBuilder(userRole)
+    const qb = this.createQueryBuilder(userRole, { context: options.context })
       .select(options.fields || ['*'])
       .from(table)
     
+    this.adapter.applyRowPolicies(qb, table, userRole, options.context)
+    
     if (options.where) qb.where(options.where)
     if (options.orderBy) qb.orderBy(options.orderBy)
     if (options.limit) qb.limit(options.limit)
     if (options.offset) qb.offset(options.offset)
     
     const { sql, params } = qb.build()
-    const result = await this.query(sql, params, userRole, { table, operation: 'SELECT' })
+    const result = await this.query(sql, params, userRole, { table, operation: 'SELECT', [ROW_POLICIES_APPLIED]: true, context: options.context })
     
     return result.rows
   }
@@ -413,44 +525,66 @@ class PostgreSQLTransactionAdapter {
    * Insert within transaction
    */
   async insert(table, data, userRole, options = {}) {
-    const qb = this.createQueryBuilder(userRole)
+    const qb = this.createQueryBuilder(userRole, { writePolicy: options.writePolicy, context: options.context })
       .insert(table)
       .values(data)
     
     if (options.returning) qb.returning(options.returning)
     
+    this.adapter.checkRowPolicyValues(table, qb.query.values, userRole, 'INSERT', options.context)
+    
     const { sql, params } = qb.build()
-    return await this.query(sql, params, userRole, { table, operation: 'INSERT' })
+    const result = await this.query(sql, params, userRole, { table, operation: 'INSERT', [ROW_POLICIES_APPLIED]: true, context: options.context })
+    this.adapter.auditWrite('INSERT', table, userRole, options, { qb, data, result })
+    result.writeReport = qb.writeReport
+    
+    return result
   }
   
   /**
    * Update within transaction
    */
   async update(table, data, where, userRole, options = {}) {
-    const qb = this.createQueryBuilder(userRole)
+    const qb = this.createQueryBuilder(userRole, { writePolicy: options.writePolicy, context: options.context })
       .update(table)
       .set(data)
       .where(where)
     
+    this.adapter.applyRowPolicies(qb, table, userRole, options.context)
+    this.adapter.checkRowPolicyValues(table, qb.query.values, userRole, 'UPDATE', options.context)
+    
     if (options.returning) qb.returning(options.returning)
     
+    const before = await this.adapter.readAuditRows(table, where, userRole, options, (sql, params) => this.client.query(sql, params))
+    
     const { sql, params } = qb.build()
-    return await this.query(sql, params, userRole, { table, operation: 'UPDATE' })
+    const result = await this.query(sql, params, userRole, { table, operation: 'UPDATE', [ROW_POLICIES_APPLIED]: true, context: options.context })
+    this.adapter.auditWrite('UPDATE', table, userRole, options, { qb, data, before, result })
+    result.writeReport = qb.writeReport
+    
+    return result
   }
   
   /**
    * Delete within transaction
    */
   async delete(table, where, userRole, options = {}) {
-    const qb = this.createQueryBuilder(userRole)
+    const qb = this.createQueryBuilder(userRole, { context: options.context })
       .delete()
       .from(table)
       .where(where)
     
+    this.adapter.applyRowPolicies(qb, table, userRole, options.context)
+    
     if (options.returning) qb.returning(options.returning)
     
+    const before = await this.adapter.readAuditRows(table, where, userRole, options, (sql, params) => this.client.query(sql, params))
+    
     const { sql, params } = qb.build()
-    return await this.query(sql, params, userRole, { table, operation: 'DELETE' })
+    const result = await this.query(sql, params, userRole, { table, operation: 'DELETE', [ROW_POLICIES_APPLIED]: true, context: options.context })
+    this.adapter.auditWrite('DELETE', table, userRole, options, { qb, before, result })
+    
+    return result
   }
 }
 
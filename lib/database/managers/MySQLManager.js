@@ -104,9 +104,12 @@ class MySQLManager {
   
   /**
    * Execute a query with performance monitoring
+   * With context.session the query runs on a checked-out connection with the
+   * session values in user variables (app.user_id becomes @app_user_id)
    * @param {string} sql - SQL query
    * @param {Array} params - Query parameters
    * @param {Object} context - Query context for monitoring
+   * @param {Object} context.session - Session values by name
    * @returns {Promise<Object>} Query result
    */
   async query(sql, params = [], context = {}) {
@@ -127,7 +130,9 @@ class MySQLManager {
         context
       })
       
-      const [rows, fields] = await this.pool.execute(sql, params)
+      const [rows, fields] = context.session && Object.keys(context.session).length > 0
+        ? await this.executeWithSession(sql, params, context.session)
+        : await this.pool.execute(sql, params)
       const executionTime = performance.now() - startTime
       
       // Update statistics
@@ -199,10 +204,75 @@ class MySQLManager {
     return await this.pool.getConnection()
   }
   
+  /**
+   * Run a statement on a connection carrying session variables
+   * @param {string} sql - SQL query
+   * @param {Array} params - Query parameters
+   * @param {Object} session - Session values by name
+   * @returns {Promise<Array>} [rows, fields]
+   */
+  async executeWithSession(sql, params, session) {
+    const connection = await this.getConnection()
+    
+    try {
+      await this.setSessionVariables(connection, session)
+      return await connection.execute(sql, params)
+    } finally {
+      await this.releaseWithSession(connection, session)
+    }
+  }
+  
+  /**
+   * Set session values as user variables
+   * @param {Object} connection - Pooled connection
+   * @param {Object} session - Session values by name
+   */
+  async setSessionVariables(connection, session) {
+    const entries = Object.entries(session || {})
+    
+    if (entries.length > 0) {
+      await connection.query(
+        `SET ${entries.map(([name]) => `${this.getSessionVariable(name)} = ?`).join(', ')}`,
+        entries.map(([, value]) => String(value))
+      )
+    }
+  }
+  
+  /**
+   * Release a connection after clearing its session variables
+   * User variables outlive the checkout, so a connection that cannot be
+   * cleared is destroyed instead of returned to the pool
+   * @param {Object} connection - Pooled connection
+   * @param {Object} session - Session values by name
+   */
+  async releaseWithSession(connection, session) {
+    const names = Object.keys(session || {})
+    
+    try {
+      if (names.length > 0) {
+        await connection.query(`SET ${names.map(name => `${this.getSessionVariable(name)} = NULL`).join(', ')}`)
+      }
+      connection.release()
+    } catch (error) {
+      debug('Could not clear MySQL session variables, discarding connection:', error.message)
+      connection.destroy()
+    }
+  }
+  
+  /**
+   * Get the user variable of a session value
+   * @param {string} name - Session value name (app.user_id)
+   * @returns {string} User variable (@app_user_id)
+   */
+  getSessionVariable(name) {
+    return `@${String(name).replace(/[^A-Za-z0-9_]/g, '_')}`
+  }
+  
   /**
    * Execute a query within a transaction
    * @param {Function} callback - Transaction callback function
    * @param {Object} options - Transaction options
+   * @param {Object} options.session - Session values, set as user variables for the transaction
    * @returns {Promise<any>} Transaction result
    */
   async transaction(callback, options = {}) {
@@ -210,6 +280,7 @@ class MySQLManager {
     
     try {
       await connection.beginTransaction()
+      await this.setSessionVariables(connection, options.session)
       debug('MySQL transaction started')
       
       // Create a connection wrapper for queries
@@ -243,7 +314,7 @@ class MySQLManager {
         error
       )
     } finally {
-      connection.release()
+      await this.releaseWithSession(connection, options.session)
     }
   }
   
@@ -151,9 +151,12 @@ class PostgreSQLManager {
   
   /**
    * Execute a query with performance monitoring
+   * With context.session the query runs in its own transaction on a
+   * checked-out client, with the session values set transaction-locally
    * @param {string} text - SQL query
    * @param {Array} params - Query parameters
    * @param {Object} context - Query context for monitoring
+   * @param {Object} context.session - Session values (app.user_id), read through current_setting()
    * @returns {Promise<Object>} Query result
    */
   async query(text, params = [], context = {}) {
@@ -174,7 +177,9 @@ class PostgreSQLManager {
         context
       })
       
-      const result = await this.pool.query(text, params)
+      const result = context.session && Object.keys(context.session).length > 0
+        ? await this.queryWithSession(text, params, context.session)
+        : await this.pool.query(text, params)
       const executionTime = performance.now() - startTime
       
       // Update statistics
@@ -227,6 +232,103 @@ class PostgreSQLManager {
     }
   }
   
+  /**
+   * Run a query in a transaction carrying session values
+   * @param {string} text - SQL query
+   * @param {Array} params - Query parameters
+   * @param {Object} session - Session values by setting name
+   * @returns {Promise<Object>} Query result
+   */
+  async queryWithSession(text, params, session) {
+    const client = await this.pool.connect()
+    
+    try {
+      await client.query('BEGIN')
+      await this.applySettings(client, session)
+      
+      const result = await client.query(text, params)
+      await client.query('COMMIT')
+      
+      return result
+      
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {})
+      throw error
+    } finally {
+      client.release()
+    }
+  }
+  
+  /**
+   * Set transaction-local settings (reset when the transaction ends)
+   * @param {Object} client - Client inside a transaction
+   * @param {Object} settings - Values by setting name
+   */
+  async applySettings(client, settings) {
+    for (const [name, value] of Object.entries(settings || {})) {
+      await client.query('SELECT set_config($1, $2, true)', [name, String(value)])
+    }
+  }
+  
+  /**
+   * Iterate over SELECT results through a server-side cursor
+   * Rows are fetched in batches (context.batchSize, default 500) on a
+   * dedicated client inside a read transaction, so memory use stays constant
+   * @param {string} text - SELECT query
+   * @param {Array} params - Query parameters
+   * @param {Object} context - Query context ({ batchSize } plus monitoring data)
+   * @returns {AsyncGenerator<Object>} Result rows
+   */
+  async * iterate(text, params = [], context = {}) {
+    const batchSize = parseInt(context.batchSize) || 500
+    const cursorName = `dsl_cursor_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
+    const client = await this.getClient()
+    let finished = false
+    
+    this.stats.totalQueries++
+    
+    debug('Iterating PostgreSQL query:', {
+      cursorName,
+      sql: text.substring(0, 100) + (text.length > 100 ? '...' : ''),
+      paramCount: params.length,
+      batchSize
+    })
+    
+    try {
+      await client.query('BEGIN')
+      await client.query(`DECLARE ${cursorName} NO SCROLL CURSOR FOR ${text}`, params)
+      
+      let rows
+      do {
+        const result = await client.query(`FETCH ${batchSize} FROM ${cursorName}`)
+        rows = result.rows
+        
+        for (const row of rows) {
+          yield row
+        }
+      } while (rows.length === batchSize)
+      
+      await client.query(`CLOSE ${cursorName}`)
+      await client.query('COMMIT')
+      finished = true
+      this.stats.successfulQueries++
+      
+    } catch (error) {
+      this.stats.failedQueries++
+      throw new DatabaseError(
+        `PostgreSQL iteration failed: ${error.message}`,
+        'query_failed',
+        error
+      )
+    } finally {
+      // Errors and early exits (break out of for await) leave the transaction open
+      if (!finished) {
+        await client.query('ROLLBACK').catch(() => {})
+      }
+      client.release()
+    }
+  }
+  
   /**
    * Get a client for transaction use
    * @returns {Promise<Object>} Database client
@@ -243,6 +345,10 @@ class PostgreSQLManager {
    * Execute a query within a transaction
    * @param {Function} callback - Transaction callback function
    * @param {Object} options - Transaction options
+   * @param {string} options.role - Database role for the transaction (SET LOCAL ROLE)
+   * @param {Object} options.settings - Settings for the transaction (set_config(name, value, true)),
+   *   read by row policies through current_setting()
+   * @param {Object} options.session - Session values (app.user_id), set like settings
    * @returns {Promise<any>} Transaction result
    */
   async transaction(callback, options = {}) {
@@ -252,6 +358,12 @@ class PostgreSQLManager {
       await client.query('BEGIN')
       debug('PostgreSQL transaction started')
       
+      // Both reset when the transaction ends
+      if (options.role) {
+        await client.query(`SET LOCAL ROLE "${String(options.role).replace(/"/g, '""')}"`)
+      }
+      await this.applySettings(client, { ...options.session, ...options.settings })
+      
       const result = await callback(client)
       
       await client.query('COMMIT')
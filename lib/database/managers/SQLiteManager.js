@@ -7,6 +7,11 @@ const sqlite3 = require('sqlite3').verbose()
 const debug = require('debug')('dsandsl:sqlite')
 const { DatabaseError } = require('../../core/DSLErrors')
 
+/**
+ * Temporary table holding the session values of the running statement
+ */
+const SESSION_TABLE = 'dsl_session'
+
 /**
  * SQLite connection manager with monitoring
  */
@@ -181,9 +186,12 @@ class SQLiteManager {
   
   /**
    * Execute a query with performance monitoring
+   * With context.session the values are written to temp.dsl_session for the
+   * duration of the statement
    * @param {string} sql - SQL query
    * @param {Array} params - Query parameters
    * @param {Object} context - Query context for monitoring
+   * @param {Object} context.session - Session values by name (app.user_id)
    * @returns {Promise<Object>} Query result
    */
   async query(sql, params = [], context = {}) {
@@ -207,23 +215,57 @@ class SQLiteManager {
         
         // Determine query type
         const queryType = sql.trim().toUpperCase().split(' ')[0]
+        const session = context.session && Object.keys(context.session).length > 0 ? context.session : null
+        let sessionError = null
         
-        if (queryType === 'SELECT') {
-          // SELECT queries return multiple rows
-          this.db.all(sql, params, (err, rows) => {
-            this.handleQueryResult(err, { rows }, startTime, queryId, sql, resolve, reject)
+        const execute = () => {
+          if (queryType === 'SELECT' || queryType === 'PRAGMA') {
+            // SELECT queries (and PRAGMA table_info, ...) return multiple rows
+            this.db.all(sql, params, (err, rows) => {
+              this.handleQueryResult(err || sessionError, { rows }, startTime, queryId, sql, resolve, reject)
+            })
+          } else if (/\sRETURNING\s/i.test(sql)) {
+            // Writes with RETURNING give their rows only through all(), which
+            // reports no changes or lastID; they are read right after it
+            let returned = null
+            this.db.serialize(() => {
+              this.db.all(sql, params, (err, rows) => {
+                returned = { err, rows }
+              })
+              this.db.get('SELECT changes() AS changes, last_insert_rowid() AS lastID', [], (err, statement = {}) => {
+                const result = {
+                  rows: returned.rows,
+                  rowCount: statement.changes,
+                  affectedRows: statement.changes,
+                  lastInsertId: statement.lastID
+                }
+                this.handleQueryResult(returned.err || err || sessionError, result, startTime, queryId, sql, resolve, reject)
+              })
+            })
+          } else {
+            // INSERT, UPDATE, DELETE queries
+            const manager = this
+            // sqlite3 reports changes and lastID on the statement passed as this
+            // (undefined when the statement failed)
+            this.db.run(sql, params, function(err) {
+              const statement = this || {}
+              const result = {
+                rows: [],
+                rowCount: statement.changes,
+                affectedRows: statement.changes,
+                lastInsertId: statement.lastID
+              }
+              manager.handleQueryResult(err || sessionError, result, startTime, queryId, sql, resolve, reject)
+            })
+          }
+        }
+        
+        if (session) {
+          this.runWithSession(session, execute, error => {
+            sessionError = sessionError || error
           })
         } else {
-          // INSERT, UPDATE, DELETE queries
-          this.db.run(sql, params, function(err) {
-            const result = {
-              rows: [],
-              rowCount: this.changes,
-              affectedRows: this.changes,
-              lastInsertId: this.lastID
-            }
-            this.handleQueryResult.call(this, err, result, startTime, queryId, sql, resolve, reject)
-          }.bind(this))
+          execute()
         }
         
       } catch (error) {
@@ -246,6 +288,92 @@ class SQLiteManager {
     })
   }
   
+  /**
+   * Queue a statement between writing and clearing the session values
+   * The three run serialized, so no other statement sees the values
+   * @param {Object} session - Session values by name
+   * @param {Function} execute - Queues the statement
+   * @param {Function} onError - Receives errors of the session statements
+   */
+  runWithSession(session, execute, onError) {
+    const entries = Object.entries(session)
+    const done = error => error && onError(error)
+    
+    this.db.serialize(() => {
+      this.db.run(`CREATE TEMP TABLE IF NOT EXISTS ${SESSION_TABLE} (key TEXT PRIMARY KEY, value TEXT)`, done)
+      this.db.run(
+        `INSERT OR REPLACE INTO temp.${SESSION_TABLE} (key, value) VALUES ${entries.map(() => '(?, ?)').join(', ')}`,
+        entries.flatMap(([name, value]) => [name, String(value)]),
+        done
+      )
+      execute()
+      this.db.run(`DELETE FROM temp.${SESSION_TABLE}`, done)
+    })
+  }
+  
+  /**
+   * Create the session table, so TEMP triggers reading it can be created
+   * before the first query with session values
+   * @returns {Promise<Object>} Query result
+   */
+  async createSessionTable() {
+    return await this.query(`CREATE TEMP TABLE IF NOT EXISTS ${SESSION_TABLE} (key TEXT PRIMARY KEY, value TEXT)`)
+  }
+  
+  /**
+   * Iterate over SELECT results one row at a time
+   * Rows are stepped from a prepared statement, so memory use stays constant
+   * and the next row is only read when the consumer asks for it
+   * @param {string} sql - SELECT query
+   * @param {Array} params - Query parameters
+   * @param {Object} context - Query context for monitoring
+   * @returns {AsyncGenerator<Object>} Result rows
+   */
+  async * iterate(sql, params = [], context = {}) {
+    if (!this.isInitialized) {
+      await this.initialize()
+    }
+    
+    this.stats.totalQueries++
+    
+    debug('Iterating SQLite query:', {
+      sql: sql.substring(0, 100) + (sql.length > 100 ? '...' : ''),
+      paramCount: params.length,
+      context
+    })
+    
+    let statement = null
+    
+    try {
+      statement = await new Promise((resolve, reject) => {
+        const prepared = this.db.prepare(sql, params, (err) => err ? reject(err) : resolve(prepared))
+      })
+      
+      const step = () => new Promise((resolve, reject) => {
+        statement.get((err, row) => err ? reject(err) : resolve(row))
+      })
+      
+      let row
+      while ((row = await step()) !== undefined) {
+        yield row
+      }
+      
+      this.stats.successfulQueries++
+      
+    } catch (error) {
+      this.stats.failedQueries++
+      throw new DatabaseError(
+        `SQLite iteration failed: ${error.message}`,
+        'query_failed',
+        error
+      )
+    } finally {
+      if (statement) {
+        statement.finalize()
+      }
+    }
+  }
+  
   /**
    * Handle query result (shared between SELECT and modification queries)
    */
@@ -308,6 +436,7 @@ class SQLiteManager {
    * Execute a query within a transaction
    * @param {Function} callback - Transaction callback function
    * @param {Object} options - Transaction options
+   * @param {Object} options.session - Session values, kept in temp.dsl_session until the transaction ends
    * @returns {Promise<any>} Transaction result
    */
   async transaction(callback, options = {}) {
@@ -321,6 +450,15 @@ class SQLiteManager {
         await this.query('BEGIN TRANSACTION')
         debug('SQLite transaction started')
         
+        const session = Object.entries(options.session || {})
+        if (session.length > 0) {
+          await this.createSessionTable()
+          await this.query(
+            `INSERT OR REPLACE INTO temp.${SESSION_TABLE} (key, value) VALUES ${session.map(() => '(?, ?)').join(', ')}`,
+            session.flatMap(([name, value]) => [name, String(value)])
+          )
+        }
+        
         // Create a transaction wrapper
         const transactionWrapper = {
           query: async (sql, params) => {
@@ -331,7 +469,10 @@ class SQLiteManager {
         try {
           const result = await callback(transactionWrapper)
           
-          // Commit transaction
+          // Commit transaction (a rollback discards the session values itself)
+          if (session.length > 0) {
+            await this.query(`DELETE FROM temp.${SESSION_TABLE}`)
+          }
           await this.query('COMMIT')
           debug('SQLite transaction committed')
           
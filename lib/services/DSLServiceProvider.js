@@ -8,6 +8,8 @@ const { createConfig } = require('../core/DSLConfig')
 const PostgreSQLAdapter = require('../database/adapters/PostgreSQLAdapter')
 const MySQLAdapter = require('../database/adapters/MySQLAdapter')
 const SQLiteAdapter = require('../database/adapters/SQLiteAdapter')
+const { SchemaDriftError } = require('../core/DSLErrors')
+const { detectSchemaDrift } = require('../database/SchemaDrift')
 
 class DSLServiceProvider {
   constructor() {
@@ -15,6 +17,7 @@ class DSLServiceProvider {
     this.adapter = null
     this.config = null
     this.initialized = false
+    this.driftReport = null
   }
 
   /**
@@ -23,8 +26,11 @@ class DSLServiceProvider {
    * @param {Object} dslConfig - DSL configuration object
    * @param {Object} adapterConfig - Database adapter configuration
    * @param {string} adapterConfig.type - Database type: 'postgresql', 'mysql', 'sqlite'
+   * @param {Object} options - Startup options
+   * @param {boolean|Object} options.schemaDrift - Check the config against the schema
+   *   (true, or detectSchemaDrift options such as { failOnDrift: true })
    */
-  async initialize(dslConfig, adapterConfig) {
+  async initialize(dslConfig, adapterConfig, options = {}) {
     if (this.initialized) {
       console.warn('DSL Service Provider already initialized')
       return
@@ -56,6 +62,18 @@ class DSLServiceProvider {
       await this.adapter.initialize()
       
       this.initialized = true
+      
+      // Unconfigured columns would otherwise be served to every role
+      if (options.schemaDrift) {
+        try {
+          await this.checkSchemaDrift(options.schemaDrift === true ? {} : options.schemaDrift)
+        } catch (error) {
+          this.initialized = false
+          await this.adapter.close()
+          throw error
+        }
+      }
+      
       console.log(`✅ DSL Service Provider initialized with ${type} adapter`)
       
     } catch (error) {
@@ -126,6 +144,28 @@ class DSLServiceProvider {
     return this.dsl
   }
 
+  /**
+   * Compare the configuration with the database schema
+   * Drift is logged as a warning; with failOnDrift it throws instead
+   * @param {Object} options - detectSchemaDrift options
+   * @returns {Promise<Object>} Drift report (also kept in driftReport)
+   * @throws {SchemaDriftError} If failOnDrift is set and drift is found
+   */
+  async checkSchemaDrift(options = {}) {
+    this.ensureInitialized()
+    
+    this.driftReport = await detectSchemaDrift(this.adapter, this.dsl, { ...options, failOnDrift: false })
+    
+    if (this.driftReport.hasDrift) {
+      if (options.failOnDrift) {
+        throw new SchemaDriftError(`Schema drift detected: ${this.driftReport.issues.length} issue(s)`, this.driftReport)
+      }
+      console.warn(`⚠️ Schema drift detected:\n  - ${this.driftReport.issues.join('\n  - ')}`)
+    }
+    
+    return this.driftReport
+  }
+
   /**
    * Health check for the service
    * @returns {Promise<boolean>} Health status
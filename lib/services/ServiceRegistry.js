@@ -15,8 +15,9 @@ class ServiceRegistry {
    * Initialize the service registry
    * @param {Object} dslConfig - DSL configuration
    * @param {Object} adapterConfig - Database adapter configuration
+   * @param {Object} options - Startup options for DSLServiceProvider.initialize
    */
-  async initialize(dslConfig, adapterConfig) {
+  async initialize(dslConfig, adapterConfig, options = {}) {
     if (this.initialized) {
       console.warn('Service Registry already initialized')
       return
@@ -24,7 +25,7 @@ class ServiceRegistry {
 
     try {
       // Initialize core DSL provider
-      await DSLProvider.initialize(dslConfig, adapterConfig)
+      await DSLProvider.initialize(dslConfig, adapterConfig, options)
 
       this.initialized = true
       console.log('✅ Service Registry initialized')
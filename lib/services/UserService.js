@@ -4,6 +4,7 @@
  */
 
 const BaseService = require('./BaseService')
+const { TableAccessError } = require('../core/DSLErrors')
 
 class UserService extends BaseService {
   
@@ -28,7 +29,7 @@ class UserService extends BaseService {
       // Build WHERE conditions
       const where = {}
       if (search) {
-        where.name = { like: `%${search}%` }
+        where.name = { $like: `%${search}%` }
       }
       if (department) {
         where.department_id = department
@@ -87,7 +88,7 @@ class UserService extends BaseService {
       return users[0] || null
       
     } catch (error) {
-      if (error.code === 'table_access_denied') {
+      if (error instanceof TableAccessError) {
         return null // User doesn't have permission to view users
       }
       throw this.handleError(error, 'Get user by ID', 'user_fetch_failed')
@@ -281,9 +282,9 @@ class UserService extends BaseService {
       
       // Build search conditions
       const searchConditions = {
-        or: [
-          { name: { like: `%${query}%` } },
-          { email: { like: `%${query}%` } }
+        $or: [
+          { name: { $like: `%${query}%` } },
+          { email: { $like: `%${query}%` } }
         ]
       }
       
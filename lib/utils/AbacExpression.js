@@ -0,0 +1,315 @@
+/**
+ * @fileoverview Attribute-Based Access Control Expressions
+ * Declarative rules over user, resource and environment attributes
+ *
+ * Expressions:
+ *   { all: [expr, ...] }   every sub-expression passes
+ *   { any: [expr, ...] }   at least one sub-expression passes
+ *   { not: expr }          sub-expression fails
+ *   { user: 'department', eq: { resource: 'department' } }
+ *   { env: 'hour', gte: 9 }
+ *
+ * A comparison names one attribute (user, resource or env, dotted paths allowed)
+ * and one operator. The operand is a literal or another attribute reference.
+ * Missing attributes never match, except with `exists: false`
+ */
+
+const SOURCES = ['user', 'resource', 'env']
+const OPERATORS = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in', 'contains', 'exists', 'matches']
+
+const regexCache = new Map()
+
+/**
+ * Build the attribute sets an expression is evaluated against
+ * @param {string} userRole - User's role (exposed as user.role)
+ * @param {Object} context - Request context ({ user, env })
+ * @param {Object|null} resource - Resource attributes (record, or table attributes)
+ * @returns {Object} Attributes ({ user, resource, env })
+ */
+function buildAttributes(userRole, context = {}, resource = null) {
+  const now = new Date()
+  
+  return {
+    user: { role: userRole, ...context.user },
+    resource,
+    env: {
+      now: now.getTime(),
+      hour: now.getHours(),
+      weekday: now.getDay(),
+      ...context.env
+    }
+  }
+}
+
+/**
+ * Evaluate an expression
+ * @param {Object} expression - ABAC expression
+ * @param {Object} attributes - Attributes from buildAttributes()
+ * @returns {Object} Evaluation ({ passed, checks }) where checks lists each comparison made
+ */
+function evaluateExpression(expression, attributes) {
+  const checks = []
+  const passed = evaluateNode(expression, attributes, checks)
+  return { passed, checks }
+}
+
+/**
+ * Evaluate one expression node, recording comparisons
+ * @param {Object} node - Expression node
+ * @param {Object} attributes - Attributes
+ * @param {Array} checks - Comparison log
+ * @returns {boolean} Node result
+ */
+function evaluateNode(node, attributes, checks) {
+  if (node.all) {
+    return node.all.every(child => evaluateNode(child, attributes, checks))
+  }
+  if (node.any) {
+    return node.any.some(child => evaluateNode(child, attributes, checks))
+  }
+  if (node.not) {
+    return !evaluateNode(node.not, attributes, checks)
+  }
+  
+  const source = SOURCES.find(key => node[key] !== undefined)
+  const operator = OPERATORS.find(key => node[key] !== undefined)
+  const left = readAttribute(attributes, source, node[source])
+  const operand = node[operator]
+  const right = isReference(operand)
+    ? readAttribute(attributes, getReferenceSource(operand), operand[getReferenceSource(operand)])
+    : operand
+  
+  const passed = compare(left, operator, right)
+  
+  checks.push({
+    expression: `${source}.${node[source]} ${operator} ${describeOperand(operand)}`,
+    actual: left,
+    expected: right,
+    passed
+  })
+  
+  return passed
+}
+
+/**
+ * Apply a comparison operator
+ * @param {*} left - Attribute value
+ * @param {string} operator - Operator name
+ * @param {*} right - Operand value
+ * @returns {boolean} Comparison result
+ */
+function compare(left, operator, right) {
+  if (operator === 'exists') {
+    return (left !== undefined && left !== null) === Boolean(right)
+  }
+  
+  if (left === undefined || left === null || right === undefined) {
+    return false
+  }
+  
+  switch (operator) {
+    case 'eq':
+      return valuesEqual(left, right)
+    case 'ne':
+      return !valuesEqual(left, right)
+    case 'gt':
+      return toComparable(left) > toComparable(right)
+    case 'gte':
+      return toComparable(left) >= toComparable(right)
+    case 'lt':
+      return toComparable(left) < toComparable(right)
+    case 'lte':
+      return toComparable(left) <= toComparable(right)
+    case 'in':
+      return Array.isArray(right) && right.some(item => valuesEqual(left, item))
+    case 'contains':
+      if (Array.isArray(left)) {
+        return left.some(item => valuesEqual(item, right))
+      }
+      return String(left).includes(String(right))
+    case 'matches':
+      return getRegex(right).test(String(left))
+    default:
+      return false
+  }
+}
+
+/**
+ * Compare two attribute values (numbers and strings compare by text)
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if equal
+ */
+function valuesEqual(a, b) {
+  return a === b || String(a) === String(b)
+}
+
+/**
+ * Convert dates to timestamps so they order like numbers
+ * @param {*} value - Value to compare
+ * @returns {*} Comparable value
+ */
+function toComparable(value) {
+  return value instanceof Date ? value.getTime() : value
+}
+
+/**
+ * Get a compiled regex for a `matches` operand
+ * @param {string} pattern - Regex source
+ * @returns {RegExp} Compiled regex
+ */
+function getRegex(pattern) {
+  if (!regexCache.has(pattern)) {
+    regexCache.set(pattern, new RegExp(pattern))
+  }
+  return regexCache.get(pattern)
+}
+
+/**
+ * Read a dotted attribute path
+ * @param {Object} attributes - Attributes
+ * @param {string} source - user, resource or env
+ * @param {string} attributePath - Dotted path
+ * @returns {*} Attribute value (undefined if missing)
+ */
+function readAttribute(attributes, source, attributePath) {
+  return String(attributePath).split('.').reduce((current, part) =>
+    current !== null && current !== undefined ? current[part] : undefined
+  , attributes[source])
+}
+
+/**
+ * Check whether an operand refers to another attribute ({ resource: 'owner' })
+ * @param {*} operand - Operand value
+ * @returns {boolean} True for attribute references
+ */
+function isReference(operand) {
+  return operand !== null &&
+    typeof operand === 'object' &&
+    !Array.isArray(operand) &&
+    Object.keys(operand).length === 1 &&
+    SOURCES.includes(Object.keys(operand)[0])
+}
+
+/**
+ * Get the source of an attribute reference
+ * @param {Object} operand - Attribute reference
+ * @returns {string} user, resource or env
+ */
+function getReferenceSource(operand) {
+  return Object.keys(operand)[0]
+}
+
+/**
+ * Describe an operand for explanations
+ * @param {*} operand - Operand value
+ * @returns {string} Readable operand
+ */
+function describeOperand(operand) {
+  if (isReference(operand)) {
+    const source = getReferenceSource(operand)
+    return `${source}.${operand[source]}`
+  }
+  return JSON.stringify(operand)
+}
+
+/**
+ * Check whether an expression reads attributes from a source
+ * @param {Object} expression - ABAC expression
+ * @param {string} source - user, resource or env
+ * @returns {boolean} True if any comparison uses the source
+ */
+function referencesSource(expression, source) {
+  if (!expression || typeof expression !== 'object') {
+    return false
+  }
+  if (expression.all || expression.any) {
+    return (expression.all || expression.any).some(child => referencesSource(child, source))
+  }
+  if (expression.not) {
+    return referencesSource(expression.not, source)
+  }
+  
+  const operator = OPERATORS.find(key => expression[key] !== undefined)
+  const operand = operator ? expression[operator] : undefined
+  
+  return expression[source] !== undefined ||
+    (isReference(operand) && getReferenceSource(operand) === source)
+}
+
+/**
+ * Validate an expression
+ * @param {*} expression - ABAC expression
+ * @param {string} label - Error prefix (config path)
+ * @returns {Array<string>} Validation errors (empty if valid)
+ */
+function validateExpression(expression, label = 'abac') {
+  const errors = []
+  
+  if (!expression || typeof expression !== 'object' || Array.isArray(expression)) {
+    return [`${label}: Must be an expression object`]
+  }
+  
+  if (expression.all !== undefined || expression.any !== undefined) {
+    const combinator = expression.all !== undefined ? 'all' : 'any'
+    const children = expression[combinator]
+    
+    if (!Array.isArray(children) || children.length === 0) {
+      return [`${label}.${combinator}: Must be a non-empty array`]
+    }
+    
+    children.forEach((child, index) => {
+      errors.push(...validateExpression(child, `${label}.${combinator}[${index}]`))
+    })
+    return errors
+  }
+  
+  if (expression.not !== undefined) {
+    return validateExpression(expression.not, `${label}.not`)
+  }
+  
+  const sources = SOURCES.filter(key => expression[key] !== undefined)
+  const operators = OPERATORS.filter(key => expression[key] !== undefined)
+  const unknown = Object.keys(expression).filter(key => !SOURCES.includes(key) && !OPERATORS.includes(key))
+  
+  if (unknown.length > 0) {
+    errors.push(`${label}: Unknown key(s) ${unknown.join(', ')}`)
+  }
+  
+  if (sources.length !== 1 || typeof expression[sources[0]] !== 'string') {
+    errors.push(`${label}: Needs exactly one attribute (${SOURCES.join(', ')}) naming a path`)
+  }
+  
+  if (operators.length !== 1) {
+    errors.push(`${label}: Needs exactly one operator (${OPERATORS.join(', ')})`)
+    return errors
+  }
+  
+  const operator = operators[0]
+  const operand = expression[operator]
+  
+  if (operator === 'in' && !Array.isArray(operand) && !isReference(operand)) {
+    errors.push(`${label}.in: Must be an array or an attribute reference`)
+  }
+  if (operator === 'exists' && typeof operand !== 'boolean') {
+    errors.push(`${label}.exists: Must be a boolean`)
+  }
+  if (operator === 'matches') {
+    try {
+      getRegex(String(operand))
+    } catch (error) {
+      errors.push(`${label}.matches: Invalid regular expression`)
+    }
+  }
+  
+  return errors
+}
+
+module.exports = {
+  SOURCES,
+  OPERATORS,
+  buildAttributes,
+  evaluateExpression,
+  referencesSource,
+  validateExpression
+}
@@ -14,6 +14,8 @@ class FieldMapper {
    * Create a field mapper with predefined field mappings
    * @param {Object} fieldMappings - Map of semantic names to database columns
    * @param {Object} options - Configuration options
+   * @param {Object} options.tables - Per-table mappings ({ users: { name: 'full_name' } }),
+   *   used before the global ones when the table is known
    */
   constructor(fieldMappings = {}, options = {}) {
     this.fieldMappings = fieldMappings
@@ -29,20 +31,107 @@ class FieldMapper {
     Object.entries(this.fieldMappings).forEach(([semantic, database]) => {
       this.reverseMappings[database] = semantic
     })
+    
+    // Table-scoped mappings and the known columns of introspected tables
+    this.tableMappings = {}
+    this.tableReverseMappings = {}
+    this.tableColumns = {}
+    Object.entries(options.tables || {}).forEach(([table, mappings]) => {
+      this.addTableMappings(table, mappings)
+    })
+  }
+  
+  /**
+   * Add semantic → column mappings that only apply to one table
+   * @param {string} table - Table name
+   * @param {Object} mappings - Map of semantic names to the table's columns
+   * @returns {FieldMapper} Mapper instance
+   */
+  addTableMappings(table, mappings) {
+    this.tableMappings[table] = { ...this.tableMappings[table], ...mappings }
+    this.tableReverseMappings[table] = this.tableReverseMappings[table] || {}
+    
+    Object.entries(mappings).forEach(([semantic, database]) => {
+      this.tableReverseMappings[table][database] = semantic
+    })
+    
+    return this
+  }
+  
+  /**
+   * Record the columns of a table (from getColumns() introspection)
+   * Each column becomes mappable by its camelCase name, and names resolving
+   * to a column the table lacks are rejected before any SQL is sent
+   * @param {string} table - Table name
+   * @param {Array<string|Object>} columns - Column names, or getColumns() rows ({ column_name })
+   * @returns {FieldMapper} Mapper instance
+   */
+  setTableColumns(table, columns) {
+    const names = columns.map(column => typeof column === 'string' ? column : column.column_name)
+    this.tableColumns[table] = names
+    
+    // Explicit table mappings win over the derived camelCase names
+    const derived = {}
+    names.forEach(column => {
+      const semantic = this.toCamelCase(column)
+      if (semantic !== column && !this.tableReverseMappings[table]?.[column] && !this.tableMappings[table]?.[semantic]) {
+        derived[semantic] = column
+      }
+    })
+    
+    return this.addTableMappings(table, derived)
   }
   
   /**
    * Convert semantic field name to safe database column name
    * @param {string} semanticName - Semantic field name (e.g., 'firstName', 'user-id')
+   * @param {string|null} table - Table the field belongs to, for table mappings and known columns
    * @returns {string} Safe database column name
    * @throws {Error} If field name is invalid or not allowed
    */
-  toDatabase(semanticName) {
+  toDatabase(semanticName, table = null) {
+    return this.resolveColumn(semanticName, table ? [table] : [])
+  }
+  
+  /**
+   * Convert a semantic field name to a column of one of the tables in scope
+   * The first table with a mapping for the name wins (the FROM table, then
+   * joined tables); otherwise the global mapping or naming convention applies,
+   * and the column must exist in one of the introspected tables
+   * @param {string} semanticName - Semantic field name
+   * @param {Array<string>} tables - Tables in scope, FROM table first
+   * @returns {string} Safe database column name
+   * @throws {Error} If the field name is invalid, not allowed or not a known column
+   */
+  resolveColumn(semanticName, tables = []) {
     // Validate field name format
     if (!this.isValidFieldName(semanticName)) {
       throw new Error(`Invalid field name: ${semanticName}`)
     }
     
+    // Table mappings first, then the global ones
+    const scoped = tables.find(table => this.tableMappings[table]?.[semanticName])
+    if (scoped) {
+      return this.tableMappings[scoped][semanticName]
+    }
+    
+    const column = this.toGlobalColumn(semanticName)
+    
+    const known = tables.filter(table => this.tableColumns[table])
+    if (known.length > 0 && !known.some(table => this.tableColumns[table].includes(column))) {
+      throw new Error(`Unknown column: ${known.length === 1 ? `${known[0]}.` : ''}${column}`)
+    }
+    
+    return column
+  }
+  
+  /**
+   * Map a validated semantic name through the global mappings
+   * @param {string} semanticName - Semantic field name
+   * @returns {string} Database column name
+   * @throws {Error} In strict mode, if the field is not mapped
+   */
+  toGlobalColumn(semanticName) {
     // Check explicit mapping first
     if (this.fieldMappings[semanticName]) {
       return this.fieldMappings[semanticName]
@@ -65,9 +154,15 @@ class FieldMapper {
   /**
    * Convert database column name to semantic field name
    * @param {string} databaseName - Database column name
+   * @param {string|null} table - Table the column belongs to, for table mappings
    * @returns {string} Semantic field name
    */
-  toSemantic(databaseName) {
+  toSemantic(databaseName, table = null) {
+    // Table mappings first, then the global reverse mapping
+    if (table && this.tableReverseMappings[table]?.[databaseName]) {
+      return this.tableReverseMappings[table][databaseName]
+    }
+    
     // Check reverse mapping first
     if (this.reverseMappings[databaseName]) {
       return this.reverseMappings[databaseName]
@@ -82,6 +177,39 @@ class FieldMapper {
     return databaseName
   }
   
+  /**
+   * Get the other names of a field: its semantic name for a database column,
+   * or its database column for a semantic name
+   * @param {string} fieldName - Semantic or database field name
+   * @param {string|null} table - Table the field belongs to, for table mappings
+   * @returns {Array<string>} Other names (empty if the name maps to itself)
+   */
+  alternateNames(fieldName, table = null) {
+    const names = new Set([this.toSemantic(fieldName, table), this.toColumnName(fieldName, table)])
+    names.delete(fieldName)
+    return Array.from(names)
+  }
+  
+  /**
+   * Get the database column for a field named either way, without validation
+   * Unlike toDatabase this never throws, so it suits trusted names from the config
+   * @param {string} fieldName - Semantic or database field name
+   * @param {string|null} table - Table the field belongs to, for table mappings
+   * @returns {string} Database column name
+   */
+  toColumnName(fieldName, table = null) {
+    if (table && this.tableMappings[table]?.[fieldName]) {
+      return this.tableMappings[table][fieldName]
+    }
+    if (this.fieldMappings[fieldName]) {
+      return this.fieldMappings[fieldName]
+    }
+    
+    return this.options.autoConvert && this.isValidFieldName(fieldName)
+      ? this.toSnakeCase(fieldName)
+      : fieldName
+  }
+  
   /**
    * Validate that a field name is safe and follows allowed patterns
    * @param {string} fieldName - Field name to validate
@@ -131,11 +259,12 @@ class FieldMapper {
   /**
    * Map object keys from semantic to database format
    * @param {Object} obj - Object with semantic field names
+   * @param {string|null} table - Table of the top-level keys, for table mappings
    * @returns {Object} Object with database column names
    */
-  mapToDatabase(obj) {
+  mapToDatabase(obj, table = null) {
     if (Array.isArray(obj)) {
-      return obj.map(item => this.mapToDatabase(item))
+      return obj.map(item => this.mapToDatabase(item, table))
     }
     
     if (obj === null || typeof obj !== 'object') {
@@ -150,7 +279,7 @@ class FieldMapper {
     const result = {}
     for (const [semanticKey, value] of Object.entries(obj)) {
       try {
-        const databaseKey = this.toDatabase(semanticKey)
+        const databaseKey = this.toDatabase(semanticKey, table)
         result[databaseKey] = typeof value === 'object' ? this.mapToDatabase(value) : value
       } catch (error) {
         // Skip invalid field names in non-strict mode
@@ -168,11 +297,12 @@ class FieldMapper {
   /**
    * Map object keys from database to semantic format
    * @param {Object} obj - Object with database column names
+   * @param {string|null} table - Table of the top-level keys, for table mappings
    * @returns {Object} Object with semantic field names
    */
-  mapToSemantic(obj) {
+  mapToSemantic(obj, table = null) {
     if (Array.isArray(obj)) {
-      return obj.map(item => this.mapToSemantic(item))
+      return obj.map(item => this.mapToSemantic(item, table))
     }
     
     if (obj === null || typeof obj !== 'object') {
@@ -186,7 +316,7 @@ class FieldMapper {
     
     const result = {}
     for (const [databaseKey, value] of Object.entries(obj)) {
-      const semanticKey = this.toSemantic(databaseKey)
+      const semanticKey = this.toSemantic(databaseKey, table)
       
       if (value instanceof Date) {
         result[semanticKey] = value
@@ -233,6 +363,47 @@ class FieldMapper {
     return str.replace(/_([a-z])/g, (_, letter) => letter.toUpperCase())
   }
   
+  /**
+   * Export the mapper's mappings as plain data (for worker threads)
+   * @returns {Object} State accepted by FieldMapper.fromState
+   */
+  toState() {
+    const { tables, ...options } = this.options
+    
+    return {
+      fieldMappings: this.fieldMappings,
+      options,
+      tableMappings: this.tableMappings,
+      tableColumns: this.tableColumns
+    }
+  }
+  
+  /**
+   * Rebuild a mapper exported with toState
+   * @param {Object} state - Mapper state
+   * @returns {FieldMapper} Field mapper
+   */
+  static fromState(state) {
+    const mapper = new FieldMapper(state.fieldMappings, { ...state.options, tables: state.tableMappings })
+    mapper.tableColumns = { ...state.tableColumns }
+    return mapper
+  }
+  
+  /**
+   * Collect the per-table mappings of config.database.tables[t].fields
+   * @param {Object} config - DSL configuration
+   * @returns {Object} Table name to { field: column } map, for the tables option
+   */
+  static getTableMappings(config) {
+    const tables = {}
+    Object.entries(config.database?.tables || {}).forEach(([table, tableConfig]) => {
+      if (tableConfig.fields) {
+        tables[table] = tableConfig.fields
+      }
+    })
+    return tables
+  }
+  
   /**
    * Create a default field mapper for common database patterns
    * @param {Object} options - Configuration options
@@ -0,0 +1,230 @@
+/**
+ * @fileoverview Field Masking Utilities
+ * Redaction strategies for fields a role may see only partially
+ */
+
+const crypto = require('crypto')
+const { hasPermission, getRoleLevel } = require('./RoleUtils')
+
+/**
+ * Built-in masking strategies
+ * Each strategy receives the field value and its options and returns the masked value
+ */
+const strategies = {
+  /**
+   * Keep the first/last characters and mask the rest
+   * Options: showFirst (0), showLast (4), char ('*'), maskLength (hidden length), separator ('')
+   */
+  partial(value, options = {}) {
+    const str = String(value)
+    const showFirst = options.showFirst || 0
+    const showLast = options.showLast !== undefined ? options.showLast : 4
+    const char = options.char || '*'
+    const separator = options.separator || ''
+    
+    if (str.length <= showFirst + showLast) {
+      return char.repeat(options.maskLength || str.length)
+    }
+    
+    const hiddenLength = options.maskLength || str.length - showFirst - showLast
+    const last = showLast > 0 ? str.slice(-showLast) : ''
+    
+    return `${str.slice(0, showFirst)}${char.repeat(hiddenLength)}${last ? separator : ''}${last}`
+  },
+  
+  /**
+   * Mask the local part of an email address (j***@example.com)
+   * Options: showFirst (1), char ('*'), maskLength (3)
+   */
+  email(value, options = {}) {
+    const str = String(value)
+    const atIndex = str.lastIndexOf('@')
+    const char = options.char || '*'
+    const showFirst = options.showFirst !== undefined ? options.showFirst : 1
+    const maskLength = options.maskLength || 3
+    
+    if (atIndex <= 0) {
+      return strategies.partial(str, { showFirst, showLast: 0, char })
+    }
+    
+    return `${str.slice(0, Math.min(showFirst, atIndex))}${char.repeat(maskLength)}${str.slice(atIndex)}`
+  },
+  
+  /**
+   * Replace the value with a one-way hash (stable, so values can still be correlated)
+   * Options: algorithm ('sha256'), salt (''), length (full digest)
+   */
+  hash(value, options = {}) {
+    const digest = crypto
+      .createHash(options.algorithm || 'sha256')
+      .update(`${options.salt || ''}${String(value)}`)
+      .digest('hex')
+    
+    return options.length ? digest.slice(0, options.length) : digest
+  },
+  
+  /**
+   * Replace the value with a fixed string
+   * Options: value ('[REDACTED]')
+   */
+  fixed(value, options = {}) {
+    return options.value !== undefined ? options.value : '[REDACTED]'
+  },
+  
+  /**
+   * Keep the field but drop its value
+   */
+  null() {
+    return null
+  },
+  
+  /**
+   * Keep the first characters only
+   * Options: length (3), suffix ('...')
+   */
+  truncate(value, options = {}) {
+    const str = String(value)
+    const length = options.length !== undefined ? options.length : 3
+    const suffix = options.suffix !== undefined ? options.suffix : '...'
+    
+    return str.length > length ? `${str.slice(0, length)}${suffix}` : str
+  }
+}
+
+/**
+ * Check if a mask specification is a role map ({ support: 'partial', admin: false })
+ * @param {*} maskSpec - Mask specification
+ * @returns {boolean} True if the spec maps role names to masks
+ */
+function isRoleMap(maskSpec) {
+  return maskSpec !== null &&
+    typeof maskSpec === 'object' &&
+    !Array.isArray(maskSpec) &&
+    maskSpec.strategy === undefined
+}
+
+/**
+ * Resolve the mask that applies to a role
+ * Role maps pick the entry of the most privileged role the user satisfies; users
+ * below every listed role get the least privileged entry (the strictest mask)
+ * @param {*} maskSpec - Mask specification from the field config
+ * @param {string} userRole - User's role
+ * @param {Object} roleHierarchy - Role hierarchy configuration
+ * @returns {string|Function|Object|null} Mask to apply, or null for the raw value
+ */
+function resolveMask(maskSpec, userRole, roleHierarchy) {
+  if (!maskSpec) {
+    return null
+  }
+  
+  if (!isRoleMap(maskSpec)) {
+    return maskSpec
+  }
+  
+  const entries = Object.keys(maskSpec).sort((a, b) =>
+    getRoleLevel(b, roleHierarchy) - getRoleLevel(a, roleHierarchy)
+  )
+  
+  if (entries.length === 0) {
+    return null
+  }
+  
+  const matchedRole = entries.find(role => hasPermission(userRole, role, roleHierarchy))
+  const mask = maskSpec[matchedRole !== undefined ? matchedRole : entries[entries.length - 1]]
+  
+  return mask || null
+}
+
+/**
+ * Get a display name for a mask (used in filter metadata)
+ * @param {string|Function|Object} mask - Resolved mask
+ * @returns {string} Strategy name
+ */
+function getMaskName(mask) {
+  if (typeof mask === 'function') {
+    return 'custom'
+  }
+  if (typeof mask === 'string') {
+    return mask
+  }
+  return typeof mask.strategy === 'function' ? 'custom' : mask.strategy
+}
+
+/**
+ * Apply a resolved mask to a value
+ * @param {*} value - Field value
+ * @param {string|Function|Object} mask - Resolved mask
+ * @param {Object} info - Field information passed to custom masks
+ *   ({ fieldName, userRole, context, record })
+ * @returns {*} Masked value
+ */
+function applyMask(value, mask, info = {}) {
+  if (value === null || value === undefined) {
+    return value
+  }
+  
+  if (typeof mask === 'function') {
+    return mask(value, info)
+  }
+  
+  const { strategy, ...options } = typeof mask === 'string' ? { strategy: mask } : mask
+  
+  if (typeof strategy === 'function') {
+    return strategy(value, { ...info, options })
+  }
+  
+  const maskFunction = strategies[strategy]
+  if (!maskFunction) {
+    throw new Error(`Unknown mask strategy: ${strategy}`)
+  }
+  
+  return maskFunction(value instanceof Date ? value.toISOString() : value, options)
+}
+
+/**
+ * Validate a mask specification
+ * @param {*} maskSpec - Mask specification from the field config
+ * @param {Object} roleHierarchy - Role hierarchy configuration
+ * @returns {Array<string>} Validation errors (empty if valid)
+ */
+function validateMask(maskSpec, roleHierarchy = {}) {
+  const errors = []
+  
+  const validateSingle = (mask, label) => {
+    if (mask === false || mask === null || typeof mask === 'function') {
+      return
+    }
+    
+    const strategy = typeof mask === 'string' ? mask : mask && mask.strategy
+    
+    if (typeof strategy === 'function') {
+      return
+    }
+    
+    if (typeof strategy !== 'string' || !strategies[strategy]) {
+      errors.push(`${label}: Unknown mask strategy '${strategy}' (expected one of ${Object.keys(strategies).join(', ')} or a function)`)
+    }
+  }
+  
+  if (isRoleMap(maskSpec)) {
+    Object.entries(maskSpec).forEach(([role, mask]) => {
+      if (!roleHierarchy[role]) {
+        errors.push(`mask.${role}: Role '${role}' not defined`)
+        return
+      }
+      validateSingle(mask, `mask.${role}`)
+    })
+  } else {
+    validateSingle(maskSpec, 'mask')
+  }
+  
+  return errors
+}
+
+module.exports = {
+  strategies,
+  resolveMask,
+  applyMask,
+  getMaskName,
+  validateMask
+}
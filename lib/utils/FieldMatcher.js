@@ -42,21 +42,7 @@ function matchField(fieldName, pattern) {
  * @returns {boolean} True if field matches pattern
  */
 function matchWildcardPattern(fieldName, pattern) {
-  // Convert wildcard pattern to regex
-  // * matches any characters except dots (single level)
-  // ** matches any characters including dots (multiple levels)
-  
-  let regexPattern = pattern
-    .replace(/\*\*/g, '§DOUBLESTAR§') // Temporary placeholder
-    .replace(/\*/g, '[^.]*') // Single * matches anything except dots
-    .replace(/§DOUBLESTAR§/g, '.*') // Double ** matches anything including dots
-    .replace(/\./g, '\\.') // Escape dots
-  
-  // Anchor the pattern
-  regexPattern = `^${regexPattern}$`
-  
-  const regex = new RegExp(regexPattern)
-  return regex.test(fieldName)
+  return patternToRegex(pattern).test(fieldName)
 }
 
 /**
@@ -66,20 +52,50 @@ function matchWildcardPattern(fieldName, pattern) {
  * @returns {boolean} True if field matches pattern
  */
 function matchArrayPattern(fieldName, pattern) {
-  // Convert array patterns to regex
-  // field[].subfield matches field.0.subfield, field.1.subfield, etc.
-  // field[*].subfield matches field.any.subfield
+  return patternToRegex(pattern).test(fieldName)
+}
+
+/**
+ * Convert a field pattern to an anchored regular expression
+ * Field paths use dot notation with array indices as segments (orders.0.total)
+ *   *    matches a single path segment
+ *   **   matches any number of segments ('**.ssn' also matches a top-level 'ssn')
+ *   []   matches a numeric array index (orders[].total -> orders.0.total)
+ *   [*]  matches any single key
+ * @param {string} pattern - Wildcard or array pattern
+ * @returns {RegExp} Compiled regex
+ */
+function patternToRegex(pattern) {
+  if (pattern.startsWith('/') && pattern.endsWith('/')) {
+    return new RegExp(pattern.slice(1, -1))
+  }
   
-  let regexPattern = pattern
-    .replace(/\[\]/g, '\\.[0-9]+') // [] matches array indices
-    .replace(/\[\*\]/g, '\\.[^.]+') // [*] matches any array key
-    .replace(/\./g, '\\.') // Escape remaining dots
+  let regexPattern = ''
+  let i = 0
   
-  // Anchor the pattern
-  regexPattern = `^${regexPattern}$`
+  while (i < pattern.length) {
+    if (pattern.startsWith('**.', i)) {
+      regexPattern += '(?:.*\\.)?'
+      i += 3
+    } else if (pattern.startsWith('**', i)) {
+      regexPattern += '.*'
+      i += 2
+    } else if (pattern.startsWith('[]', i)) {
+      regexPattern += '\\.[0-9]+'
+      i += 2
+    } else if (pattern.startsWith('[*]', i)) {
+      regexPattern += '\\.[^.]+'
+      i += 3
+    } else if (pattern[i] === '*') {
+      regexPattern += '[^.]*'
+      i += 1
+    } else {
+      regexPattern += pattern[i].replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+      i += 1
+    }
+  }
   
-  const regex = new RegExp(regexPattern)
-  return regex.test(fieldName)
+  return new RegExp(`^${regexPattern}$`)
 }
 
 /**
@@ -209,13 +225,7 @@ function createMatcher(pattern) {
  * @returns {RegExp} Compiled regex
  */
 function createWildcardRegex(pattern) {
-  let regexPattern = pattern
-    .replace(/\*\*/g, '§DOUBLESTAR§')
-    .replace(/\*/g, '[^.]*')
-    .replace(/§DOUBLESTAR§/g, '.*')
-    .replace(/\./g, '\\.')
-  
-  return new RegExp(`^${regexPattern}$`)
+  return patternToRegex(pattern)
 }
 
 /**
@@ -224,12 +234,7 @@ function createWildcardRegex(pattern) {
  * @returns {RegExp} Compiled regex
  */
 function createArrayRegex(pattern) {
-  let regexPattern = pattern
-    .replace(/\[\]/g, '\\.[0-9]+')
-    .replace(/\[\*\]/g, '\\.[^.]+')
-    .replace(/\./g, '\\.')
-  
-  return new RegExp(`^${regexPattern}$`)
+  return patternToRegex(pattern)
 }
 
 /**
@@ -315,6 +320,7 @@ module.exports = {
   matchField,
   matchWildcardPattern,
   matchArrayPattern,
+  patternToRegex,
   extractFields,
   getAllFieldPaths,
   normalizePattern,
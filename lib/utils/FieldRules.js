@@ -0,0 +1,135 @@
+/**
+ * @fileoverview Operation-Specific Field Rules
+ * `read`, `write`, `create` and `update` rules layered over a field's base rule
+ *
+ * Each rule is a role name (minRole shorthand), `false` (never allowed) or an
+ * object with any of minRole, requires, abac, condition and deny. Rules are
+ * merged over the base field config, so `deny: true` on the base still wins.
+ * Reads use `read`; inserts use `create`, else `write`; updates use `update`,
+ * else `write`. Without a matching rule the base config applies
+ */
+
+const { validateRequirement } = require('./Permissions')
+const { validateExpression } = require('./AbacExpression')
+
+/**
+ * Rule keys a field config may carry
+ */
+const RULE_KEYS = ['read', 'write', 'create', 'update']
+
+/**
+ * Access operations and the rule keys consulted for each, most specific first
+ */
+const OPERATION_RULES = {
+  read: ['read'],
+  create: ['create', 'write'],
+  update: ['update', 'write']
+}
+
+/**
+ * Map SQL statement types to access operations
+ */
+const STATEMENT_OPERATIONS = {
+  SELECT: 'read',
+  INSERT: 'create',
+  UPDATE: 'update'
+}
+
+/**
+ * Resolve the effective field config for an operation
+ * @param {Object|null} fieldConfig - Base field configuration
+ * @param {string} operation - read, create or update
+ * @returns {Object|null} Field configuration for the operation
+ */
+function resolveFieldRule(fieldConfig, operation = 'read') {
+  if (!fieldConfig) {
+    return null
+  }
+  
+  const keys = OPERATION_RULES[operation] || OPERATION_RULES.read
+  const rule = keys.map(key => fieldConfig[key]).find(candidate => candidate !== undefined)
+  
+  if (rule === undefined) {
+    return fieldConfig
+  }
+  if (rule === false) {
+    return { ...fieldConfig, deny: true }
+  }
+  if (typeof rule === 'string') {
+    return { ...fieldConfig, minRole: rule }
+  }
+  
+  const merged = { ...fieldConfig, ...rule }
+  if (fieldConfig.deny === true) {
+    merged.deny = true
+  }
+  return merged
+}
+
+/**
+ * Normalize an operation name (SQL statement types are accepted)
+ * @param {string} operation - read, create, update, SELECT, INSERT or UPDATE
+ * @returns {string} read, create or update
+ */
+function toAccessOperation(operation) {
+  if (!operation) {
+    return 'read'
+  }
+  
+  return STATEMENT_OPERATIONS[operation] || (OPERATION_RULES[operation] ? operation : 'read')
+}
+
+/**
+ * Validate the operation rules of a field
+ * @param {Object} fieldConfig - Field configuration
+ * @param {Object} roleHierarchy - Role hierarchy configuration
+ * @returns {Array<string>} Validation errors, relative to the field (empty if valid)
+ */
+function validateFieldRules(fieldConfig, roleHierarchy = {}) {
+  const errors = []
+  
+  RULE_KEYS.forEach(key => {
+    const rule = fieldConfig[key]
+    if (rule === undefined || rule === false) {
+      return
+    }
+    
+    if (typeof rule === 'string') {
+      if (!roleHierarchy[rule]) {
+        errors.push(`${key}: Role '${rule}' not defined`)
+      }
+      return
+    }
+    
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+      errors.push(`${key}: Must be a role name, false or a rule object`)
+      return
+    }
+    
+    if (rule.minRole !== undefined && !roleHierarchy[rule.minRole]) {
+      errors.push(`${key}.minRole: Role '${rule.minRole}' not defined`)
+    }
+    if (rule.deny !== undefined && typeof rule.deny !== 'boolean') {
+      errors.push(`${key}.deny: Must be a boolean`)
+    }
+    if (rule.condition !== undefined && typeof rule.condition !== 'function') {
+      errors.push(`${key}.condition: Must be a function`)
+    }
+    if (rule.requires !== undefined) {
+      errors.push(...validateRequirement(rule.requires, `${key}.requires`))
+    }
+    if (rule.abac !== undefined) {
+      errors.push(...validateExpression(rule.abac, `${key}.abac`))
+    }
+  })
+  
+  return errors
+}
+
+module.exports = {
+  RULE_KEYS,
+  OPERATION_RULES,
+  resolveFieldRule,
+  toAccessOperation,
+  validateFieldRules
+}
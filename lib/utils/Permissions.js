@@ -0,0 +1,144 @@
+/**
+ * @fileoverview Permission Strings
+ * Named permissions (`hr.salary.read`) granted through role customPermissions
+ *
+ * Granted permissions may use `*` as a wildcard: `hr.*` covers
+ * `hr.salary.read`, `users:read:*` covers `users:read:salary` and `*` covers
+ * everything. Required permissions are always literal
+ */
+
+const { resolveRoles, flattenRole } = require('./RoleUtils')
+
+/**
+ * Operations a table requirement may be keyed by ('*' applies to all others)
+ */
+const OPERATIONS = ['SELECT', 'INSERT', 'UPDATE', 'DELETE', '*']
+
+const regexCache = new Map()
+
+/**
+ * Collect the permissions held by a role, role list or principal
+ * Inherited roles contribute their customPermissions; several roles contribute all of theirs
+ * @param {string|Array<string>|Object} userRole - User's role, roles or principal
+ * @param {Object} roleHierarchy - Role hierarchy configuration
+ * @returns {Array<string>} Granted permissions (may include wildcards)
+ */
+function collectPermissions(userRole, roleHierarchy = {}) {
+  const permissions = new Set()
+  
+  resolveRoles(userRole).forEach(role => {
+    const flattened = flattenRole(role, roleHierarchy)
+    if (flattened) {
+      flattened.customPermissions.forEach(permission => permissions.add(permission))
+    }
+  })
+  
+  return Array.from(permissions)
+}
+
+/**
+ * Check whether a granted permission covers a required one
+ * @param {string} granted - Granted permission, possibly with wildcards
+ * @param {string} required - Required permission
+ * @returns {boolean} True if covered
+ */
+function matchPermission(granted, required) {
+  if (granted === required || granted === '*') {
+    return true
+  }
+  
+  if (!granted.includes('*')) {
+    return false
+  }
+  
+  if (!regexCache.has(granted)) {
+    const source = granted.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')
+    regexCache.set(granted, new RegExp(`^${source}$`))
+  }
+  
+  return regexCache.get(granted).test(required)
+}
+
+/**
+ * List the required permissions that are not granted
+ * @param {Array<string>} granted - Granted permissions
+ * @param {string|Array<string>} required - Required permission(s); all must be granted
+ * @returns {Array<string>} Missing permissions (empty if all are granted)
+ */
+function getMissingPermissions(granted, required) {
+  return toList(required).filter(permission =>
+    !granted.some(grant => matchPermission(grant, permission))
+  )
+}
+
+/**
+ * Get the permissions a table requirement asks for an operation
+ * @param {string|Array<string>|Object} requires - Requirement, or a map keyed by operation
+ * @param {string} operation - SELECT, INSERT, UPDATE or DELETE
+ * @returns {Array<string>} Required permissions
+ */
+function getRequiredPermissions(requires, operation) {
+  if (requires && typeof requires === 'object' && !Array.isArray(requires)) {
+    return toList(requires[operation] !== undefined ? requires[operation] : requires['*'])
+  }
+  
+  return toList(requires)
+}
+
+/**
+ * Normalize a requirement to a list
+ * @param {string|Array<string>|undefined} requires - Requirement
+ * @returns {Array<string>} Permission list
+ */
+function toList(requires) {
+  if (!requires) {
+    return []
+  }
+  
+  return Array.isArray(requires) ? requires : [requires]
+}
+
+/**
+ * Validate a permission requirement
+ * @param {*} requires - Requirement from a field or table config
+ * @param {string} label - Error prefix (config path)
+ * @param {Object} options - Validation options
+ * @param {boolean} options.byOperation - Allow a map keyed by operation (tables)
+ * @returns {Array<string>} Validation errors (empty if valid)
+ */
+function validateRequirement(requires, label, options = {}) {
+  if (options.byOperation && requires && typeof requires === 'object' && !Array.isArray(requires)) {
+    const errors = []
+    
+    Object.entries(requires).forEach(([operation, permissions]) => {
+      if (!OPERATIONS.includes(operation)) {
+        errors.push(`${label}.${operation}: Must be one of ${OPERATIONS.join(', ')}`)
+      } else {
+        errors.push(...validateRequirement(permissions, `${label}.${operation}`))
+      }
+    })
+    
+    return errors
+  }
+  
+  const list = Array.isArray(requires) ? requires : [requires]
+  
+  if (list.length === 0 || list.some(permission => typeof permission !== 'string' || permission.length === 0)) {
+    return [`${label}: Must be a permission string or an array of permission strings`]
+  }
+  
+  if (list.some(permission => permission.includes('*'))) {
+    return [`${label}: Required permissions cannot contain wildcards`]
+  }
+  
+  return []
+}
+
+module.exports = {
+  OPERATIONS,
+  collectPermissions,
+  matchPermission,
+  getMissingPermissions,
+  getRequiredPermissions,
+  validateRequirement
+}
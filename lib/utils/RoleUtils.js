@@ -5,7 +5,8 @@
 
 /**
  * Check if user role has required permission level
- * @param {string} userRole - User's role
+ * A role list or principal object has the permission if any of its roles does
+ * @param {string|Array<string>|Object} userRole - User's role, roles or principal
  * @param {string} requiredRole - Required role level
  * @param {Object} roleHierarchy - Role hierarchy configuration
  * @returns {boolean} True if user has sufficient permissions
@@ -15,6 +16,10 @@ function hasPermission(userRole, requiredRole, roleHierarchy) {
     return false
   }
   
+  if (typeof userRole !== 'string') {
+    return resolveRoles(userRole).some(role => hasPermission(role, requiredRole, roleHierarchy))
+  }
+  
   const userLevel = getRoleLevel(userRole, roleHierarchy)
   const requiredLevel = getRoleLevel(requiredRole, roleHierarchy)
   
@@ -29,11 +34,16 @@ function hasPermission(userRole, requiredRole, roleHierarchy) {
 
 /**
  * Get numeric level for a role
- * @param {string} role - Role name
+ * Role lists and principals use the level of their highest role
+ * @param {string|Array<string>|Object} role - Role name, roles or principal
  * @param {Object} roleHierarchy - Role hierarchy configuration
  * @returns {number} Role level (0 if not found)
  */
 function getRoleLevel(role, roleHierarchy) {
+  if (role && typeof role !== 'string') {
+    return getRoleLevel(getHighestRole(resolveRoles(role), roleHierarchy), roleHierarchy)
+  }
+  
   if (!role || !roleHierarchy || !roleHierarchy[role]) {
     return 0
   }
@@ -142,6 +152,47 @@ function getHighestRole(roles, roleHierarchy) {
   return highestRole
 }
 
+/**
+ * Normalize a role, role list or principal object to a list of role names
+ * Principals name their roles in `roles` and/or `role`
+ * @param {string|Array<string>|Object} principal - Role, roles or principal ({ id, roles, ... })
+ * @returns {Array<string>} Distinct role names
+ */
+function resolveRoles(principal) {
+  if (!principal) {
+    return []
+  }
+  
+  if (typeof principal === 'string') {
+    return [principal]
+  }
+  
+  if (Array.isArray(principal)) {
+    return [...new Set(principal.filter(role => typeof role === 'string' && role.length > 0))]
+  }
+  
+  if (typeof principal === 'object') {
+    const roles = Array.isArray(principal.roles) ? principal.roles : []
+    return resolveRoles(principal.role ? [principal.role, ...roles] : roles)
+  }
+  
+  return []
+}
+
+/**
+ * Get the attributes of a principal object other than its roles
+ * @param {string|Array<string>|Object} principal - Role, roles or principal
+ * @returns {Object} Principal attributes (empty for plain roles)
+ */
+function getPrincipalAttributes(principal) {
+  if (!principal || typeof principal !== 'object' || Array.isArray(principal)) {
+    return {}
+  }
+  
+  const { role, roles, ...attributes } = principal
+  return attributes
+}
+
 /**
  * Check if role hierarchy has circular dependencies
  * @param {Object} roleHierarchy - Role hierarchy configuration
@@ -361,6 +412,8 @@ module.exports = {
   compareRoles,
   getAccessibleRoles,
   getHighestRole,
+  resolveRoles,
+  getPrincipalAttributes,
   validateRoleHierarchy,
   flattenRole,
   createRoleGraph,
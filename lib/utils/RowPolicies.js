@@ -0,0 +1,277 @@
+/**
+ * @fileoverview Row-Level Security Policies
+ * Resolve `rows` config into conditions usable both in SQL and on loaded records
+ */
+
+const { hasPermission } = require('./RoleUtils')
+
+/**
+ * Operators a row policy may use
+ */
+const OPERATORS = ['=', '!=', '<', '<=', '>', '>=', 'in']
+
+/**
+ * Normalize a table's row rules (an array of policies is shorthand for { policies })
+ * @param {Object|Array} tableRules - Rules from config.rows[table]
+ * @returns {Object} Rules with a policies array
+ */
+function normalizeRules(tableRules) {
+  if (Array.isArray(tableRules)) {
+    return { policies: tableRules }
+  }
+  
+  return { ...tableRules, policies: tableRules.policies || [] }
+}
+
+/**
+ * Get the policies that apply to a role
+ * A policy limited to roles applies to those roles and to every role that
+ * outranks or inherits from one of them
+ * @param {Object|Array} tableRules - Rules from config.rows[table]
+ * @param {string} userRole - User's role
+ * @param {Object} roleHierarchy - Role hierarchy configuration
+ * @returns {Array<Object>} Applicable policies (empty if the role bypasses them)
+ */
+function getApplicablePolicies(tableRules, userRole, roleHierarchy) {
+  if (!tableRules) {
+    return []
+  }
+  
+  const rules = normalizeRules(tableRules)
+  
+  if (rules.bypassRole && hasPermission(userRole, rules.bypassRole, roleHierarchy)) {
+    return []
+  }
+  
+  return rules.policies.filter(policy =>
+    !policy.roles || policy.roles.some(role => hasPermission(userRole, role, roleHierarchy))
+  )
+}
+
+/**
+ * Read a dotted key from the request context
+ * @param {Object} context - Request context
+ * @param {string} key - Key such as 'tenantId' or 'user.department'
+ * @returns {*} Context value (undefined if missing)
+ */
+function getContextValue(context, key) {
+  return key.split('.').reduce((current, part) =>
+    current !== null && current !== undefined ? current[part] : undefined
+  , context)
+}
+
+/**
+ * Resolve policies against the request context
+ * A policy whose context value is missing resolves to `unresolved`, which matches no rows
+ * @param {Array<Object>} policies - Applicable policies
+ * @param {Object} context - Request context
+ * @returns {Array<Object>} Conditions ({ field, operator, value, unresolved })
+ */
+function resolvePolicies(policies, context = {}) {
+  return policies.map(policy => {
+    const value = policy.context !== undefined
+      ? getContextValue(context, policy.context)
+      : policy.value
+    
+    return {
+      field: policy.field,
+      operator: policy.operator || (Array.isArray(value) ? 'in' : '='),
+      value,
+      unresolved: value === undefined
+    }
+  })
+}
+
+/**
+ * Combine the resolved conditions of several roles
+ * A record visible to any role is visible, so one unrestricted role lifts every
+ * policy, and differing sets become a single `any` condition whose groups are ORed
+ * @param {Array<Array<Object>>} conditionSets - Resolved conditions per role
+ * @returns {Array<Object>} Combined conditions (empty if unrestricted)
+ */
+function combineConditionSets(conditionSets) {
+  if (conditionSets.length === 0 || conditionSets.some(set => set.length === 0)) {
+    return []
+  }
+  
+  const distinct = new Set(conditionSets.map(set => JSON.stringify(set)))
+  if (distinct.size === 1) {
+    return conditionSets[0]
+  }
+  
+  return [{ operator: 'any', groups: conditionSets }]
+}
+
+/**
+ * Compare a record value with a policy value
+ * Numbers and strings compare by text so '42' from a header matches 42 from the database
+ * @param {*} actual - Record value
+ * @param {*} expected - Policy value
+ * @returns {boolean} True if equal
+ */
+function valuesEqual(actual, expected) {
+  if (actual === expected) {
+    return true
+  }
+  if (actual === null || actual === undefined || expected === null || expected === undefined) {
+    return false
+  }
+  return String(actual) === String(expected)
+}
+
+/**
+ * Check whether a record satisfies every resolved condition
+ * @param {Object} record - Record to test
+ * @param {Array<Object>} conditions - Resolved conditions
+ * @returns {boolean} True if the record is visible
+ */
+function matchesPolicies(record, conditions) {
+  if (!record || typeof record !== 'object') {
+    return false
+  }
+  
+  return conditions.every(condition => {
+    if (condition.operator === 'any') {
+      return condition.groups.some(group => matchesPolicies(record, group))
+    }
+    
+    if (condition.unresolved) {
+      return false
+    }
+    
+    const actual = record[condition.field]
+    const expected = condition.value
+    
+    switch (condition.operator) {
+      case '=':
+        return valuesEqual(actual, expected)
+      case '!=':
+        return !valuesEqual(actual, expected)
+      case '<':
+        return actual < expected
+      case '<=':
+        return actual <= expected
+      case '>':
+        return actual > expected
+      case '>=':
+        return actual >= expected
+      case 'in':
+        return Array.isArray(expected) && expected.some(item => valuesEqual(actual, item))
+      default:
+        return false
+    }
+  })
+}
+
+/**
+ * Check the values a write sets against resolved conditions
+ * An inserted record must be visible under the conditions; an update is only
+ * checked on the fields it sets (partial), so it cannot move a row out of scope
+ * @param {Object} values - Values written, by column
+ * @param {Array<Object>} conditions - Resolved conditions
+ * @param {boolean} partial - Skip conditions on fields the values do not set
+ * @returns {Array<string>} Fields whose values violate the conditions (empty if allowed)
+ */
+function findPolicyViolations(values, conditions, partial = false) {
+  const violations = []
+  
+  conditions.forEach(condition => {
+    if (condition.operator === 'any') {
+      // One role's policies accepting the values is enough
+      const results = condition.groups.map(group => findPolicyViolations(values, group, partial))
+      if (results.every(fields => fields.length > 0)) {
+        results[0].filter(field => !violations.includes(field)).forEach(field => violations.push(field))
+      }
+      return
+    }
+    
+    if (partial && !(condition.field in values)) {
+      return
+    }
+    
+    if (!matchesPolicies(values, [condition]) && !violations.includes(condition.field)) {
+      violations.push(condition.field)
+    }
+  })
+  
+  return violations
+}
+
+/**
+ * Validate the rows configuration section
+ * @param {Object} rows - Rows configuration
+ * @param {Object} roleHierarchy - Role hierarchy configuration
+ * @returns {Array<string>} Validation errors (empty if valid)
+ */
+function validateRowPolicies(rows, roleHierarchy = {}) {
+  const errors = []
+  
+  if (typeof rows !== 'object' || Array.isArray(rows)) {
+    return ['rows: Must be an object']
+  }
+  
+  Object.entries(rows).forEach(([table, tableRules]) => {
+    const prefix = `rows["${table}"]`
+    
+    if (!tableRules || typeof tableRules !== 'object') {
+      errors.push(`${prefix}: Must be an object or an array of policies`)
+      return
+    }
+    
+    const rules = normalizeRules(tableRules)
+    
+    if (rules.bypassRole && !roleHierarchy[rules.bypassRole]) {
+      errors.push(`${prefix}.bypassRole: Role '${rules.bypassRole}' not defined`)
+    }
+    
+    if (!Array.isArray(rules.policies)) {
+      errors.push(`${prefix}.policies: Must be an array`)
+      return
+    }
+    
+    rules.policies.forEach((policy, index) => {
+      const label = `${prefix}.policies[${index}]`
+      
+      if (!policy || typeof policy.field !== 'string' || policy.field.length === 0) {
+        errors.push(`${label}.field: Must be a non-empty string`)
+        return
+      }
+      
+      if (policy.operator !== undefined && !OPERATORS.includes(policy.operator)) {
+        errors.push(`${label}.operator: Must be one of ${OPERATORS.join(', ')}`)
+      }
+      
+      if ((policy.context === undefined) === (policy.value === undefined)) {
+        errors.push(`${label}: Exactly one of 'value' or 'context' is required`)
+      }
+      
+      if (policy.context !== undefined && typeof policy.context !== 'string') {
+        errors.push(`${label}.context: Must be a string`)
+      }
+      
+      if (policy.roles !== undefined) {
+        if (!Array.isArray(policy.roles)) {
+          errors.push(`${label}.roles: Must be an array`)
+        } else {
+          policy.roles.filter(role => !roleHierarchy[role]).forEach(role => {
+            errors.push(`${label}.roles: Role '${role}' not defined`)
+          })
+        }
+      }
+    })
+  })
+  
+  return errors
+}
+
+module.exports = {
+  OPERATORS,
+  normalizeRules,
+  getApplicablePolicies,
+  getContextValue,
+  resolvePolicies,
+  combineConditionSets,
+  matchesPolicies,
+  findPolicyViolations,
+  validateRowPolicies
+}
@@ -60,13 +60,27 @@ async function testSQLInjectionProtection() {
     )
   `, [])
   
-  // Insert test data
-  await adapter.insert('users', {
-    name: 'Test User',
-    email: 'test@example.com',
-    password_hash: 'hashed_password_123',
-    admin_notes: 'Admin only information'
-  }, 'admin')
+  // password_hash is denied to every role, so the adapter must refuse to write it
+  try {
+    await adapter.insert('users', {
+      name: 'Test User',
+      email: 'test@example.com',
+      password_hash: 'hashed_password_123',
+      admin_notes: 'Admin only information'
+    }, 'admin', { writePolicy: 'reject' })
+    throw new Error('password_hash was written through the adapter')
+  } catch (error) {
+    if (error.name !== 'WriteDeniedError' || !error.refused.some(entry => entry.field === 'password_hash')) {
+      throw error
+    }
+    console.log('✅ Adapter INSERT of password_hash refused')
+  }
+  
+  // Seed the row directly; the schema requires password_hash
+  await adapter.executeQuery(
+    'INSERT INTO users (name, email, password_hash, admin_notes) VALUES (?, ?, ?, ?)',
+    ['Test User', 'test@example.com', 'hashed_password_123', 'Admin only information']
+  )
   
   console.log('✅ Test data setup completed\n')
   
@@ -0,0 +1,119 @@
+const { DSLEngine, createConfig, ConfigurationError } = require('../index')
+const { createSqliteAdapter, readTable } = require('./helpers/sqlite')
+
+const config = createConfig({
+  roles: {
+    admin: { level: 100 },
+    manager: { level: 50 },
+    user: { level: 10 }
+  },
+  fields: {
+    'staff.*': { minRole: 'user' },
+    'payroll.*': { minRole: 'user' },
+    'staff.salary': {
+      minRole: 'manager',
+      abac: { user: 'department', eq: { resource: 'department' } }
+    },
+    'staff.notes': {
+      minRole: 'user',
+      abac: {
+        any: [
+          { user: 'id', eq: { resource: 'author_id' } },
+          { user: 'role', eq: 'admin' }
+        ]
+      }
+    }
+  },
+  database: {
+    tables: {
+      staff: { minRole: 'user' },
+      payroll: {
+        minRole: 'user',
+        attributes: { department: 'hr' },
+        abac: { user: 'department', eq: { resource: 'department' } }
+      }
+    }
+  }
+})
+
+const hr = { user: { id: 7, department: 'hr' } }
+
+describe('ABAC rules in DSLEngine', () => {
+  test('validateConfig rejects malformed expressions', () => {
+    expect(() => createConfig({
+      roles: { user: { level: 10 } },
+      fields: { notes: { abac: { user: 'id', bogus: 1 } } }
+    })).toThrow(ConfigurationError)
+  })
+
+  test('checkAccess explains the decision', () => {
+    const dsl = new DSLEngine(config)
+    const record = { department: 'it', salary: 1 }
+
+    const denied = dsl.checkAccess('staff.salary', 'manager', hr, 1, record)
+    expect(denied.allowed).toBe(false)
+    expect(denied.abac.passed).toBe(false)
+
+    expect(dsl.checkAccess('staff.salary', 'manager', hr, 1, { department: 'hr' }).allowed).toBe(true)
+    expect(dsl.checkAccess('staff.salary', 'manager', hr)).toMatchObject({ allowed: true, reason: 'abac_deferred' })
+    expect(dsl.checkAccess('staff.salary', 'user', hr, 1, { department: 'hr' }).allowed).toBe(false)
+  })
+
+  test('the user role attribute follows the caller', () => {
+    const dsl = new DSLEngine(config)
+    const record = { author_id: 1, notes: 'n' }
+
+    expect(dsl.checkAccess('staff.notes', 'admin', hr, 'n', record).allowed).toBe(true)
+    expect(dsl.checkAccess('staff.notes', 'manager', hr, 'n', record).allowed).toBe(false)
+  })
+})
+
+describe('ABAC rules in the database adapters', () => {
+  let adapter
+
+  beforeEach(async () => {
+    adapter = await createSqliteAdapter(config, {}, [
+      'CREATE TABLE staff (id INTEGER PRIMARY KEY, name TEXT, department TEXT, salary INTEGER, author_id INTEGER, notes TEXT)',
+      "INSERT INTO staff VALUES (1, 'Ann', 'hr', 100, 7, 'mine'), (2, 'Bob', 'it', 200, 8, 'theirs')",
+      'CREATE TABLE payroll (id INTEGER PRIMARY KEY, amount INTEGER)',
+      'INSERT INTO payroll VALUES (1, 10)'
+    ])
+  })
+
+  afterEach(async () => {
+    await adapter.close()
+  })
+
+  test('select evaluates record rules against the request context', async () => {
+    const rows = await adapter.select('staff', 'manager', { context: hr, orderBy: 'id' })
+
+    expect(rows[0]).toMatchObject({ salary: 100, notes: 'mine' })
+    expect(rows[1]).not.toHaveProperty('salary')
+    expect(rows[1]).not.toHaveProperty('notes')
+  })
+
+  test('select inside a transaction sees the context too', async () => {
+    const rows = await adapter.transaction(tx => tx.select('staff', 'manager', { context: hr, orderBy: 'id' }))
+
+    expect(rows[0]).toMatchObject({ salary: 100, notes: 'mine' })
+    expect(rows[1]).not.toHaveProperty('salary')
+  })
+
+  test('table rules use the request context for every operation', async () => {
+    await expect(adapter.select('payroll', 'user', { context: { user: { department: 'it' } } })).rejects.toThrow()
+    expect(await adapter.select('payroll', 'user', { context: hr })).toEqual([{ id: 1, amount: 10 }])
+
+    await adapter.update('payroll', { amount: 20 }, { id: 1 }, 'user', { context: hr })
+    expect((await readTable(adapter, 'payroll'))[0].amount).toBe(20)
+
+    await expect(adapter.delete('payroll', { id: 1 }, 'user', { context: { user: { department: 'it' } } })).rejects.toThrow()
+    await adapter.delete('payroll', { id: 1 }, 'user', { context: hr })
+    expect(await readTable(adapter, 'payroll')).toEqual([])
+  })
+
+  test('raw queries filter result rows with the context', async () => {
+    const result = await adapter.query('SELECT id, department, salary FROM staff ORDER BY id', [], 'manager', { context: hr })
+
+    expect(result.rows).toEqual([{ id: 1, department: 'hr', salary: 100 }, { id: 2, department: 'it' }])
+  })
+})
@@ -0,0 +1,309 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { DSLEngine, createConfig, AuditLogger, MemoryAuditSink, FileAuditSink, DatabaseAuditSink, ConfigurationError } = require('../index')
+const { createSqliteAdapter } = require('./helpers/sqlite')
+
+const config = createConfig({
+  roles: {
+    admin: { level: 100 },
+    user: { level: 10 }
+  },
+  fields: {
+    'users.email': { minRole: 'user', update: 'user' },
+    'users.phone': { minRole: 'user', mask: 'partial' },
+    'users.password_hash': { minRole: 'admin', update: 'user' }
+  }
+})
+
+const statements = [
+  'CREATE TABLE users (id INTEGER PRIMARY KEY, email TEXT, phone TEXT, password_hash TEXT)',
+  "INSERT INTO users VALUES (1, 'a@example.com', '555-0100', 'secret-hash')"
+]
+
+/**
+ * Run a write on an audited adapter and return the changes of its entry
+ * @param {Object} loggerOptions - AuditLogger options
+ * @param {Function} write - Receives the adapter
+ * @returns {Promise<Object>} Changes by column
+ */
+async function auditedChanges (loggerOptions, write) {
+  const sink = new MemoryAuditSink()
+  const logger = new AuditLogger({ sinks: [sink], ...loggerOptions })
+  const adapter = await createSqliteAdapter(config, { auditLogger: logger }, statements)
+
+  await write(adapter)
+  await logger.flush()
+  await adapter.close()
+
+  const [entry] = sink.entries.filter(item => item.type === 'write')
+  return Object.fromEntries(entry.rows[0].changes.map(change => [change.column, change]))
+}
+
+describe('audit log', () => {
+  test('deleted rows keep the values the actor may read', async () => {
+    const changes = await auditedChanges({}, adapter => adapter.delete('users', { id: 1 }, 'user'))
+
+    expect(changes.email.before).toBe('a@example.com')
+    expect(changes.password_hash.before).toBe('[REDACTED]')
+    expect(changes.phone.before).toBe('[REDACTED]')
+  })
+
+  test('written values the actor may not read are redacted', async () => {
+    const changes = await auditedChanges({}, adapter =>
+      adapter.update('users', { email: 'b@example.com', password_hash: 'new-hash' }, { id: 1 }, 'user'))
+
+    expect(changes.email).toEqual({ column: 'email', before: 'a@example.com', after: 'b@example.com' })
+    expect(changes.password_hash).toEqual({ column: 'password_hash', before: '[REDACTED]', after: '[REDACTED]' })
+  })
+
+  test('a role that may read a column sees its values', async () => {
+    const changes = await auditedChanges({}, adapter => adapter.delete('users', { id: 1 }, 'admin'))
+
+    expect(changes.password_hash.before).toBe('secret-hash')
+  })
+
+  test('redactDenied: false records every value', async () => {
+    const changes = await auditedChanges({ redactDenied: false }, adapter => adapter.delete('users', { id: 1 }, 'user'))
+
+    expect(changes.password_hash.before).toBe('secret-hash')
+    expect(changes.phone.before).toBe('555-0100')
+  })
+
+  test('redact patterns still apply to readable columns', async () => {
+    const changes = await auditedChanges({ redact: ['users.email'] }, adapter => adapter.delete('users', { id: 1 }, 'user'))
+
+    expect(changes.email.before).toBe('[REDACTED]')
+  })
+
+  test('recordWrite without deniedColumns keeps the values', () => {
+    const sink = new MemoryAuditSink()
+    const logger = new AuditLogger({ sinks: [sink] })
+
+    const entry = logger.recordWrite({ operation: 'INSERT', table: 'users', data: { id: 2, email: 'c@example.com' } }, { userRole: 'user' })
+
+    expect(entry.rows[0].changes).toContainEqual({ column: 'email', after: 'c@example.com' })
+  })
+})
+
+describe('audit events', () => {
+  let sink
+  let logger
+  let adapter
+
+  beforeEach(async () => {
+    sink = new MemoryAuditSink()
+    logger = new AuditLogger({ sinks: [sink] })
+    adapter = await createSqliteAdapter(config, { auditLogger: logger }, statements)
+  })
+
+  afterEach(async () => {
+    await adapter.close()
+  })
+
+  test('writes record the rows they changed', async () => {
+    await adapter.update('users', { email: 'b@example.com' }, { id: 1 }, 'user', { context: { user: { id: 9 }, requestId: 'r1' } })
+    await logger.flush()
+
+    expect(sink.entries).toEqual([expect.objectContaining({
+      seq: 1,
+      type: 'write',
+      operation: 'UPDATE',
+      table: 'users',
+      userRole: 'user',
+      userId: 9,
+      requestId: 'r1',
+      affectedRows: 1,
+      rows: [{ key: { id: 1 }, changes: [{ column: 'email', before: 'a@example.com', after: 'b@example.com' }] }]
+    })])
+  })
+
+  test('inserts record their affected rows', async () => {
+    await adapter.insert('users', { id: 2, email: 'c@example.com' }, 'user')
+    await logger.flush()
+
+    expect(sink.entries[0]).toMatchObject({ operation: 'INSERT', affectedRows: 1 })
+  })
+
+  test('access denials are recorded once', async () => {
+    await expect(adapter.query('SELECT password_hash FROM users', [], 'user')).rejects.toThrow()
+    await logger.flush()
+
+    expect(sink.entries).toEqual([expect.objectContaining({
+      type: 'denied',
+      error: 'FieldReferenceError',
+      code: 'FIELD_REFERENCE_DENIED',
+      field: 'users.password_hash',
+      clause: 'SELECT',
+      userRole: 'user'
+    })])
+  })
+
+  test('filter calls record denied and masked fields', async () => {
+    const dsl = new DSLEngine(config, { auditLogger: logger })
+
+    dsl.filter([
+      { users: { email: 'a@example.com', phone: '555-0100', password_hash: 'x' } },
+      { users: { email: 'b@example.com', phone: '555-0101', password_hash: 'y' } }
+    ], 'user')
+    await logger.flush()
+
+    const [entry] = sink.entries
+    expect(entry).toMatchObject({ type: 'filter', records: 2, userRole: 'user' })
+    expect(entry.denied).toEqual([expect.objectContaining({ field: 'users.password_hash', count: 2 })])
+    expect(entry.masked).toEqual([expect.objectContaining({ field: 'users.phone', count: 2 })])
+  })
+
+  test('filter calls that hide nothing are not recorded', async () => {
+    const dsl = new DSLEngine(config, { auditLogger: logger })
+
+    dsl.filter({ users: { email: 'a@example.com' } }, 'user')
+    await logger.flush()
+
+    expect(sink.entries).toEqual([])
+  })
+})
+
+describe('audit sampling', () => {
+  const write = { operation: 'INSERT', table: 'users', data: { id: 1 } }
+  const denial = { name: 'AccessDeniedError', code: 'ACCESS_DENIED', message: 'denied' }
+
+  test('sampleRate drops events above the rate', () => {
+    const draws = [0.2, 0.8]
+    const logger = new AuditLogger({ sampleRate: 0.5, random: () => draws.shift() })
+
+    expect(logger.recordWrite(write, { userRole: 'user' })).toMatchObject({ seq: 1 })
+    expect(logger.recordWrite(write, { userRole: 'user' })).toBeNull()
+    expect(logger.getStats()).toMatchObject({ recorded: 1, sampledOut: 1, seq: 1 })
+  })
+
+  test('per-type rates override sampleRate and keep the sequence unbroken', () => {
+    const logger = new AuditLogger({ sampleRate: 0, sample: { denied: 1 } })
+
+    expect(logger.recordWrite(write, { userRole: 'user' })).toBeNull()
+    expect(logger.recordDenied({ ...denial }, {}, { userRole: 'user' })).toMatchObject({ seq: 1, type: 'denied' })
+    expect(logger.recordDenied({ ...denial }, {}, { userRole: 'user' })).toMatchObject({ seq: 2 })
+  })
+
+  test('invalid rates and event types are configuration errors', () => {
+    expect(() => new AuditLogger({ sampleRate: 2 })).toThrow(ConfigurationError)
+    expect(() => new AuditLogger({ sample: { reads: 0.5 } })).toThrow(ConfigurationError)
+    expect(() => new AuditLogger({ sinks: [{}] })).toThrow(ConfigurationError)
+  })
+})
+
+describe('audit hash chain', () => {
+  /**
+   * Record some writes into a chained memory sink
+   * @param {number} count - Entries to record
+   * @returns {Promise<Array<Object>>} Entries
+   */
+  async function chainedEntries (count) {
+    const sink = new MemoryAuditSink()
+    const logger = new AuditLogger({ sinks: [sink], hashChain: true })
+
+    for (let i = 1; i <= count; i++) {
+      logger.recordWrite({ operation: 'INSERT', table: 'users', data: { id: i } }, { userRole: 'user' })
+    }
+    await logger.flush()
+
+    return sink.entries
+  }
+
+  test('entries link to their predecessor', async () => {
+    const entries = await chainedEntries(3)
+
+    expect(entries[0].prevHash).toBeNull()
+    expect(entries[1].prevHash).toBe(entries[0].hash)
+    expect(AuditLogger.verifyChain(entries)).toEqual({ valid: true, checked: 3, brokenAt: null, reason: null })
+  })
+
+  test('an edited entry breaks the chain', async () => {
+    const entries = await chainedEntries(3)
+    entries[1].userRole = 'admin'
+
+    expect(AuditLogger.verifyChain(entries)).toEqual({ valid: false, checked: 1, brokenAt: 2, reason: 'hash does not match the entry' })
+  })
+
+  test('a removed entry breaks the chain', async () => {
+    const entries = await chainedEntries(3)
+    entries.splice(1, 1)
+
+    expect(AuditLogger.verifyChain(entries)).toMatchObject({ valid: false, brokenAt: 3, reason: 'prevHash does not match the previous entry' })
+  })
+})
+
+describe('audit sinks', () => {
+  let dir
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dsandsl-audit-'))
+  })
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true })
+  })
+
+  test('FileAuditSink appends one JSON entry per line', async () => {
+    const file = path.join(dir, 'audit.ndjson')
+    const logger = new AuditLogger({ sinks: [new FileAuditSink({ path: file })] })
+
+    logger.recordWrite({ operation: 'INSERT', table: 'users', data: { id: 1 } }, { userRole: 'user' })
+    logger.recordWrite({ operation: 'DELETE', table: 'users', before: [{ id: 1 }] }, { userRole: 'admin' })
+    await logger.close()
+
+    const lines = fs.readFileSync(file, 'utf8').split('\n')
+    expect(lines).toHaveLength(3)
+    expect(lines[2]).toBe('')
+    expect(lines.slice(0, 2).map(line => JSON.parse(line))).toEqual([
+      expect.objectContaining({ seq: 1, operation: 'INSERT', userRole: 'user' }),
+      expect.objectContaining({ seq: 2, operation: 'DELETE', userRole: 'admin' })
+    ])
+  })
+
+  test('initialize() continues the sequence and chain of a stored log', async () => {
+    const file = path.join(dir, 'audit.ndjson')
+    const first = new AuditLogger({ sinks: [new FileAuditSink({ path: file })], hashChain: true })
+    first.recordWrite({ operation: 'INSERT', table: 'users', data: { id: 1 } }, { userRole: 'user' })
+    first.recordWrite({ operation: 'INSERT', table: 'users', data: { id: 2 } }, { userRole: 'user' })
+    await first.close()
+
+    const sink = new FileAuditSink({ path: file })
+    const restarted = await new AuditLogger({ sinks: [sink], hashChain: true }).initialize()
+    const entry = restarted.recordWrite({ operation: 'INSERT', table: 'users', data: { id: 3 } }, { userRole: 'user' })
+    await restarted.close()
+
+    const entries = await sink.readEntries()
+    expect(entry.seq).toBe(3)
+    expect(entry.prevHash).toBe(entries[1].hash)
+    expect(AuditLogger.verifyChain(entries)).toMatchObject({ valid: true, checked: 3 })
+  })
+
+  test('DatabaseAuditSink stores entries in a table without auditing them', async () => {
+    const sink = new MemoryAuditSink()
+    const logger = new AuditLogger({ sinks: [sink], hashChain: true })
+    const adapter = await createSqliteAdapter(config, { auditLogger: logger }, statements)
+    const tableSink = new DatabaseAuditSink(adapter)
+    logger.sinks.push(tableSink)
+    await logger.initialize()
+
+    try {
+      await adapter.update('users', { email: 'b@example.com' }, { id: 1 }, 'user')
+      await adapter.delete('users', { id: 1 }, 'admin')
+      await logger.flush()
+
+      const stored = await tableSink.readEntries()
+      expect(stored).toEqual(sink.entries)
+      expect(stored.map(entry => entry.operation)).toEqual(['UPDATE', 'DELETE'])
+      expect(AuditLogger.verifyChain(stored).valid).toBe(true)
+
+      const rows = await adapter.connectionManager.query('SELECT seq, type, user_role, table_name, operation FROM dsl_audit_log ORDER BY seq', [])
+      expect(rows.rows).toEqual([
+        { seq: 1, type: 'write', user_role: 'user', table_name: 'users', operation: 'UPDATE' },
+        { seq: 2, type: 'write', user_role: 'admin', table_name: 'users', operation: 'DELETE' }
+      ])
+    } finally {
+      await adapter.close()
+    }
+  })
+})
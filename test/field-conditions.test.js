@@ -0,0 +1,106 @@
+const { DSLEngine, createConfig } = require('../index')
+const { createSqliteAdapter } = require('./helpers/sqlite')
+
+const config = createConfig({
+  roles: {
+    admin: { level: 100 },
+    manager: { level: 50 },
+    user: { level: 10 }
+  },
+  fields: {
+    email: {
+      minRole: 'user',
+      condition: (fieldName, value, userRole, context, record) =>
+        record === null || record.ownerId === context.userId
+    },
+    salary: {
+      minRole: 'user',
+      condition: (fieldName, value, userRole) => userRole !== 'user' || value <= 150000
+    },
+    ownerId: { minRole: 'user' }
+  }
+})
+
+const records = [
+  { id: 1, ownerId: 7, email: 'own@example.com', salary: 90000 },
+  { id: 2, ownerId: 8, email: 'other@example.com', salary: 200000 }
+]
+
+describe('value and record aware conditions', () => {
+  test('conditions see the record and the request context', () => {
+    const dsl = new DSLEngine(config)
+    const result = dsl.filter(records, 'user', { context: { userId: 7 } })
+
+    expect(result[0].email).toBe('own@example.com')
+    expect(result[1]).not.toHaveProperty('email')
+  })
+
+  test('conditions see the field value', () => {
+    const dsl = new DSLEngine(config)
+    const result = dsl.filter(records, 'user', { context: { userId: 7 } })
+
+    expect(result[0].salary).toBe(90000)
+    expect(result[1]).not.toHaveProperty('salary')
+    expect(dsl.filter(records, 'manager')[1].salary).toBe(200000)
+  })
+
+  test('checkAccess reports condition outcomes', () => {
+    const dsl = new DSLEngine(config)
+
+    const denied = dsl.checkAccess('email', 'user', { userId: 7 }, 'other@example.com', records[1])
+    expect(denied).toMatchObject({ allowed: false, reason: 'condition_failed', recordChecked: true })
+
+    const unchecked = dsl.checkAccess('email', 'user', { userId: 7 })
+    expect(unchecked).toMatchObject({ allowed: true, reason: 'condition_passed', recordChecked: false })
+  })
+
+  test('condition decisions are not reused across records', () => {
+    const dsl = new DSLEngine(config)
+
+    expect(dsl.checkAccess('salary', 'user', {}, 200000, records[1]).allowed).toBe(false)
+    expect(dsl.checkAccess('salary', 'user', {}, 90000, records[0]).allowed).toBe(true)
+  })
+
+  test('filter metadata counts per-record decisions', () => {
+    const dsl = new DSLEngine(config)
+    const result = dsl.filter(records, 'user', {
+      context: { userId: 7 },
+      includeMetadata: true,
+      includeFieldNames: true
+    })
+
+    expect(result.metadata.conditionalFields.email).toEqual({ passed: 1, failed: 1 })
+    expect(result.metadata.conditionalFields.salary).toEqual({ passed: 1, failed: 1 })
+  })
+})
+
+describe('conditions in the database adapters', () => {
+  test('adapter selects pass the request context to conditions', async () => {
+    const adapter = await createSqliteAdapter({
+      ...config,
+      fields: {
+        'accounts.id': { minRole: 'user' },
+        'accounts.owner_id': { minRole: 'user' },
+        'accounts.email': {
+          minRole: 'user',
+          condition: (fieldName, value, userRole, context, record) =>
+            record === null || record.owner_id === context.userId
+        }
+      }
+    }, {}, [
+      'CREATE TABLE accounts (id INTEGER PRIMARY KEY, owner_id INTEGER, email TEXT)',
+      "INSERT INTO accounts VALUES (1, 7, 'own@example.com'), (2, 8, 'other@example.com')"
+    ])
+
+    try {
+      const rows = await adapter.select('accounts', 'user', { orderBy: 'id', context: { userId: 7 } })
+
+      expect(rows).toEqual([
+        { id: 1, owner_id: 7, email: 'own@example.com' },
+        { id: 2, owner_id: 8 }
+      ])
+    } finally {
+      await adapter.close()
+    }
+  })
+})
@@ -0,0 +1,105 @@
+const { DSLEngine, createConfig, QueryBuilder, FieldReferenceError, AccessDeniedError } = require('../index')
+const { createSqliteAdapter } = require('./helpers/sqlite')
+
+const fields = {
+  'users.*': { minRole: 'user' },
+  'users.salary': { minRole: 'admin' },
+  'departments.*': { minRole: 'user' },
+  'departments.budget': { minRole: 'admin' }
+}
+const roles = { admin: { level: 100 }, user: { level: 10 } }
+const config = createConfig({ roles, fields })
+
+const builder = (role = 'user', options = {}) =>
+  new QueryBuilder(new DSLEngine(config), role, { dialect: 'sqlite', ...options }).select(['name']).from('users')
+
+/**
+ * Capture the error thrown by a function
+ * @param {Function} fn - Function expected to throw
+ * @returns {Error|undefined} Thrown error
+ */
+function thrown (fn) {
+  try {
+    fn()
+  } catch (error) {
+    return error
+  }
+}
+
+describe('hidden fields in query clauses', () => {
+  // Raw WHERE strings warn on every use
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  test.each([
+    ['WHERE', qb => qb.where({ salary: 200000 })],
+    ['WHERE', qb => qb.whereCondition('salary', '>', 1)],
+    ['WHERE', qb => qb.where('salary > 100000')],
+    ['WHERE', qb => qb.where('name = ? OR users.salary > ?', ['a', 1])],
+    ['ORDER BY', qb => qb.orderBy('salary')],
+    ['GROUP BY', qb => qb.groupBy(['name', 'salary'])],
+    ['HAVING', qb => qb.groupBy('name').having('SUM(salary) > 5')],
+    ['JOIN', qb => qb.join('departments', 'departments.id = users.department_id AND departments.budget > 5')]
+  ])('%s on a hidden field is rejected', (clause, use) => {
+    const error = thrown(() => use(builder()).build())
+
+    expect(error).toBeInstanceOf(FieldReferenceError)
+    expect(error).toBeInstanceOf(AccessDeniedError)
+    expect(error).toMatchObject({ code: 'FIELD_REFERENCE_DENIED', clause, reason: 'insufficient_role' })
+  })
+
+  test('roles that can read the field may use it', () => {
+    expect(() => builder('admin').where({ salary: 1 }).orderBy('salary').groupBy('salary').build()).not.toThrow()
+  })
+
+  test('the drop policy leaves hidden references out', () => {
+    const { sql, params } = builder('user', { fieldReferencePolicy: 'drop' })
+      .where({ name: 'a', salary: { $gt: 1 } })
+      .orderBy('salary')
+      .groupBy('salary')
+      .build()
+
+    expect(sql).toBe('SELECT name FROM "users" WHERE "name" = ?')
+    expect(params).toEqual(['a'])
+  })
+
+  test('the drop policy leaves out raw WHERE strings on hidden fields', () => {
+    const { sql, params } = builder('user', { fieldReferencePolicy: 'drop' })
+      .where('salary > ?', [100000])
+      .where('name = ?', ['a'])
+      .build()
+
+    expect(sql).toBe('SELECT name FROM "users" WHERE name = ?')
+    expect(params).toEqual(['a'])
+  })
+
+  test('the policy can come from the security config', () => {
+    const dsl = new DSLEngine(createConfig({ roles, fields, security: { fieldReferencePolicy: 'drop' } }))
+    const { sql } = new QueryBuilder(dsl, 'user', { dialect: 'sqlite' }).select(['name']).from('users').orderBy('salary').build()
+
+    expect(sql).toBe('SELECT name FROM "users"')
+  })
+})
+
+describe('hidden fields through the adapters', () => {
+  test('adapter selects rethrow the error unwrapped', async () => {
+    const adapter = await createSqliteAdapter(config, {}, [
+      'CREATE TABLE users (id INTEGER PRIMARY KEY, name TEXT, salary INTEGER)',
+      "INSERT INTO users VALUES (1, 'Ann', 100)"
+    ])
+
+    try {
+      await expect(adapter.select('users', 'user', { fields: ['name'], where: { salary: { $gt: 50 } } }))
+        .rejects.toThrow(FieldReferenceError)
+      await expect(adapter.select('users', 'user', { fields: ['name'], orderBy: 'salary' }))
+        .rejects.toThrow(FieldReferenceError)
+    } finally {
+      await adapter.close()
+    }
+  })
+})
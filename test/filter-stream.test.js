@@ -0,0 +1,148 @@
+const { Readable, Writable } = require('stream')
+const { pipeline } = require('stream/promises')
+const { DSLEngine, createConfig, DSLError } = require('../index')
+const { createSqliteAdapter } = require('./helpers/sqlite')
+
+const config = createConfig({
+  roles: {
+    admin: { level: 100 },
+    user: { level: 10 }
+  },
+  fields: {
+    title: { minRole: 'user' },
+    tenant_id: { minRole: 'user' },
+    salary: { minRole: 'admin' }
+  },
+  rows: {
+    staff: [{ field: 'tenant_id', context: 'tenantId' }]
+  }
+})
+
+const records = Array.from({ length: 6 }, (_, i) => ({
+  id: i,
+  title: `Title ${i}`,
+  tenant_id: i % 2,
+  salary: 1000 * i
+}))
+
+/**
+ * Collect the records written to an object-mode stream
+ * @param {Array} sink - Array receiving the records
+ * @returns {Writable} Writable stream
+ */
+function collect (sink) {
+  return new Writable({
+    objectMode: true,
+    write (record, encoding, callback) {
+      sink.push(record)
+      callback()
+    }
+  })
+}
+
+describe('createFilterStream', () => {
+  test('filters records like filter()', async () => {
+    const dsl = new DSLEngine(config)
+    const output = []
+
+    await pipeline(Readable.from(records), dsl.createFilterStream('user'), collect(output))
+
+    expect(output).toEqual(dsl.filter(records, 'user'))
+    expect(output[0]).not.toHaveProperty('salary')
+  })
+
+  test('drops rows hidden by row policies and counts them', async () => {
+    const dsl = new DSLEngine(config)
+    const stream = dsl.createFilterStream('user', { table: 'staff', context: { tenantId: 1 } })
+    const output = []
+
+    await pipeline(Readable.from(records), stream, collect(output))
+
+    expect(output.map(record => record.id)).toEqual([1, 3, 5])
+    expect(stream.stats).toEqual({ recordsIn: 6, recordsOut: 3, rowsFiltered: 3 })
+  })
+
+  test('applies backpressure to the source', async () => {
+    const dsl = new DSLEngine(config)
+    let pulled = 0
+    const source = Readable.from((function * () {
+      for (let i = 0; i < 1000; i++) {
+        pulled++
+        yield { id: i, title: 'x' }
+      }
+    })(), { highWaterMark: 1 })
+    const stream = dsl.createFilterStream('user', { highWaterMark: 2 })
+
+    source.pipe(stream)
+    await new Promise(resolve => setTimeout(resolve, 20))
+
+    expect(pulled).toBeLessThan(20)
+    source.destroy()
+    stream.destroy()
+  })
+
+  test('emits filter errors on the stream', async () => {
+    const dsl = new DSLEngine(createConfig({
+      roles: { user: { level: 10 } },
+      fields: { title: { minRole: 'user', condition: () => { throw new Error('boom') } } }
+    }))
+
+    await expect(pipeline(Readable.from(records), dsl.createFilterStream('user'), collect([])))
+      .rejects.toThrow(DSLError)
+  })
+})
+
+describe('filterIterable', () => {
+  test('filters sync and async iterables', async () => {
+    const dsl = new DSLEngine(config)
+    const fromSync = []
+    const fromAsync = []
+
+    for await (const record of dsl.filterIterable(records, 'user')) {
+      fromSync.push(record)
+    }
+    for await (const record of dsl.filterIterable(Readable.from(records), 'user')) {
+      fromAsync.push(record)
+    }
+
+    expect(fromSync).toEqual(dsl.filter(records, 'user'))
+    expect(fromAsync).toEqual(fromSync)
+  })
+
+  test('pulls records lazily', async () => {
+    const dsl = new DSLEngine(config)
+    let pulled = 0
+    const source = (function * () {
+      for (const record of records) {
+        pulled++
+        yield record
+      }
+    })()
+
+    const iterator = dsl.filterIterable(source, 'user')
+    await iterator.next()
+    await iterator.next()
+
+    expect(pulled).toBe(2)
+    await iterator.return()
+  })
+
+  test('filters rows read from a database cursor', async () => {
+    const adapter = await createSqliteAdapter(config, {}, [
+      'CREATE TABLE staff (id INTEGER PRIMARY KEY, title TEXT, tenant_id INTEGER, salary INTEGER)',
+      "INSERT INTO staff VALUES (1, 'A', 1, 100), (2, 'B', 0, 200), (3, 'C', 1, 300)"
+    ])
+
+    try {
+      const rows = adapter.connectionManager.iterate('SELECT * FROM staff ORDER BY id')
+      const output = []
+      for await (const record of adapter.dsl.filterIterable(rows, 'user', { table: 'staff', context: { tenantId: 1 } })) {
+        output.push(record)
+      }
+
+      expect(output).toEqual([{ id: 1, title: 'A', tenant_id: 1 }, { id: 3, title: 'C', tenant_id: 1 }])
+    } finally {
+      await adapter.close()
+    }
+  })
+})
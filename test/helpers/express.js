@@ -0,0 +1,53 @@
+/**
+ * Create a minimal Express request
+ * @param {Object} props - Request properties (user, body, method, path)
+ * @returns {Object} Request
+ */
+function createRequest (props = {}) {
+  return { method: 'GET', path: '/', headers: {}, ...props }
+}
+
+/**
+ * Create a minimal Express response recording status and body
+ * @returns {Object} Response
+ */
+function createResponse () {
+  const res = {
+    statusCode: 200,
+    body: undefined,
+    status (code) {
+      res.statusCode = code
+      return res
+    },
+    json (body) {
+      res.body = body
+      return res
+    }
+  }
+  return res
+}
+
+/**
+ * Run a middleware and resolve once it responds or calls next
+ * @param {Function} middleware - Express middleware
+ * @param {Object} req - Request
+ * @param {Object} res - Response
+ * @returns {Promise<Object>} { nextCalled, error }
+ */
+function runMiddleware (middleware, req, res = createResponse()) {
+  return new Promise(resolve => {
+    const json = res.json
+    res.json = body => {
+      json(body)
+      resolve({ nextCalled: false, res })
+      return res
+    }
+    middleware(req, res, error => resolve({ nextCalled: true, error, res }))
+  })
+}
+
+module.exports = {
+  createRequest,
+  createResponse,
+  runMiddleware
+}
@@ -0,0 +1,36 @@
+const { DSLEngine, SQLiteAdapter } = require('../../index')
+
+/**
+ * Create an initialized adapter on an in-memory SQLite database
+ * @param {DSLEngine|Object} config - Engine or configuration
+ * @param {Object} options - Adapter options
+ * @param {Array<string>} statements - SQL run on the raw connection first (schema, seed rows)
+ * @returns {Promise<SQLiteAdapter>} Adapter
+ */
+async function createSqliteAdapter (config, options = {}, statements = []) {
+  const dsl = config instanceof DSLEngine ? config : new DSLEngine(config)
+  const adapter = new SQLiteAdapter(dsl, { connection: { filename: ':memory:' }, ...options })
+  await adapter.initialize()
+
+  for (const sql of statements) {
+    await adapter.connectionManager.query(sql, [])
+  }
+
+  return adapter
+}
+
+/**
+ * Read every row of a table on the raw connection, bypassing the DSL
+ * @param {SQLiteAdapter} adapter - Adapter
+ * @param {string} table - Table name
+ * @returns {Promise<Array<Object>>} Rows ordered by id
+ */
+async function readTable (adapter, table) {
+  const result = await adapter.connectionManager.query(`SELECT * FROM "${table}" ORDER BY id`, [])
+  return result.rows
+}
+
+module.exports = {
+  createSqliteAdapter,
+  readTable
+}
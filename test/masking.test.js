@@ -0,0 +1,81 @@
+const { DSLEngine, createConfig, ConfigurationError, utils } = require('../index')
+
+const config = createConfig({
+  roles: {
+    admin: { level: 100 },
+    manager: { level: 50 },
+    support: { level: 20 },
+    user: { level: 10 }
+  },
+  fields: {
+    email: { minRole: 'support', mask: 'email' },
+    phone: { minRole: 'support', mask: { strategy: 'partial', showLast: 4 } },
+    'payments[].cardNumber': {
+      minRole: 'support',
+      mask: {
+        support: { strategy: 'partial', showLast: 4, maskLength: 4, separator: ' ' },
+        admin: false
+      }
+    },
+    ssn: { minRole: 'manager', mask: { manager: 'null', admin: { strategy: 'fixed', value: '***-**-****' } } },
+    notes: { mask: { strategy: 'truncate', length: 5 } },
+    token: { mask: (value, info) => `${info.userRole}:${String(value).length}` }
+  }
+})
+
+const customer = {
+  email: 'john@example.com',
+  phone: '555-123-9876',
+  payments: [{ cardNumber: '4111111111114242' }, { cardNumber: '5500000000000004' }],
+  ssn: '123-45-6789',
+  notes: 'Prefers phone contact',
+  token: 'abcdef'
+}
+
+describe('field masking', () => {
+  test('built-in strategies redact values for support staff', () => {
+    const dsl = new DSLEngine(config)
+    const result = dsl.filter(customer, 'support')
+
+    expect(result.email).toBe('j***@example.com')
+    expect(result.phone).toBe('********9876')
+    expect(result.payments[0].cardNumber).toBe('**** 4242')
+    expect(result.notes).toBe('Prefe...')
+    expect(result.token).toBe('support:6')
+    expect(result).not.toHaveProperty('ssn')
+  })
+
+  test('role maps pick the mask of the most privileged role', () => {
+    const dsl = new DSLEngine(config)
+
+    expect(dsl.filter(customer, 'manager').ssn).toBeNull()
+    expect(dsl.filter(customer, 'admin').ssn).toBe('***-**-****')
+    expect(dsl.filter(customer, 'admin').payments[1].cardNumber).toBe('5500000000000004')
+  })
+
+  test('metadata lists masked fields with collapsed array paths', () => {
+    const dsl = new DSLEngine(config)
+    const { metadata } = dsl.filter(customer, 'support', { includeMetadata: true })
+
+    expect(metadata.maskedFields).toEqual(expect.arrayContaining([
+      { field: 'email', strategy: 'email', count: 1 },
+      { field: 'payments[].cardNumber', strategy: 'partial', count: 2 },
+      { field: 'token', strategy: 'custom', count: 1 }
+    ]))
+  })
+
+  test('hash masks are stable and salted', () => {
+    const hashed = utils.applyMask('10.0.0.1', { strategy: 'hash', salt: 's', length: 16 })
+
+    expect(hashed).toHaveLength(16)
+    expect(utils.applyMask('10.0.0.1', { strategy: 'hash', salt: 's', length: 16 })).toBe(hashed)
+    expect(utils.applyMask('10.0.0.1', { strategy: 'hash', salt: 't', length: 16 })).not.toBe(hashed)
+  })
+
+  test('unknown strategies are rejected by the configuration', () => {
+    expect(() => createConfig({
+      roles: { user: { level: 10 } },
+      fields: { email: { mask: 'scramble' } }
+    })).toThrow(ConfigurationError)
+  })
+})
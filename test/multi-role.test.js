@@ -0,0 +1,112 @@
+const { DSLEngine, createConfig, ExpressAdapter } = require('../index')
+const { getHighestRole } = require('../lib/utils/RoleUtils')
+const { createSqliteAdapter } = require('./helpers/sqlite')
+const { createRequest, runMiddleware } = require('./helpers/express')
+
+const config = createConfig({
+  roles: {
+    admin: { level: 100 },
+    support: { level: 30 },
+    billing_viewer: { level: 20, customPermissions: ['billing.read'] },
+    user: { level: 10 }
+  },
+  fields: {
+    subject: { minRole: 'user' },
+    customer_email: { minRole: 'support' },
+    invoice_total: { requires: 'billing.read' },
+    internal_notes: { minRole: 'user', deny: true }
+  },
+  security: { allowUnknownFields: false }
+})
+
+const ticket = {
+  id: 1,
+  subject: 'Refund',
+  customer_email: 'c@example.com',
+  invoice_total: 120,
+  internal_notes: 'vip'
+}
+
+describe('multiple roles', () => {
+  test('filter grants the union of the roles', () => {
+    const dsl = new DSLEngine(config)
+
+    expect(dsl.filter(ticket, 'support')).not.toHaveProperty('invoice_total')
+    expect(dsl.filter(ticket, 'billing_viewer')).not.toHaveProperty('customer_email')
+
+    const both = dsl.filter(ticket, ['support', 'billing_viewer'])
+    expect(both).toMatchObject({ customer_email: 'c@example.com', invoice_total: 120 })
+  })
+
+  test('principal objects are accepted', () => {
+    const dsl = new DSLEngine(config)
+    const principal = { id: 42, roles: ['support', 'billing_viewer'] }
+
+    expect(dsl.filter(ticket, principal)).toEqual(dsl.filter(ticket, ['support', 'billing_viewer']))
+    expect(dsl.filter(ticket, { role: 'support' })).toEqual(dsl.filter(ticket, 'support'))
+  })
+
+  test('explicit deny wins over every role', () => {
+    const dsl = new DSLEngine(config)
+
+    expect(dsl.filter(ticket, ['admin', 'support'])).not.toHaveProperty('internal_notes')
+    expect(dsl.checkAccess('internal_notes', ['admin', 'user']).allowed).toBe(false)
+  })
+
+  test('getAllowedFields and checkAccess use the union', () => {
+    const dsl = new DSLEngine(config)
+
+    expect([...dsl.getAllowedFields(['support', 'billing_viewer'])].sort())
+      .toEqual(['customer_email', 'invoice_total', 'subject'])
+
+    const access = dsl.checkAccess('invoice_total', ['user', 'billing_viewer'])
+    expect(access.allowed).toBe(true)
+  })
+
+  test('getHighestRole picks the single level', () => {
+    expect(getHighestRole(['user', 'support', 'billing_viewer'], config.roles)).toBe('support')
+    expect(new DSLEngine(config).checkAccess('customer_email', ['user', 'support']).userLevel).toBe(30)
+  })
+
+  test('an empty role list sees nothing restricted', () => {
+    const dsl = new DSLEngine(config)
+
+    expect(dsl.filter(ticket, [])).toEqual({ id: 1 })
+  })
+})
+
+describe('multiple roles in adapters', () => {
+  test('query builder and adapter select use the union', async () => {
+    const adapter = await createSqliteAdapter(config, {}, [
+      'CREATE TABLE tickets (id INTEGER PRIMARY KEY, subject TEXT, customer_email TEXT, invoice_total INTEGER)',
+      "INSERT INTO tickets VALUES (1, 'Refund', 'c@example.com', 120)"
+    ])
+
+    try {
+      const rows = await adapter.select('tickets', ['support', 'billing_viewer'], {
+        fields: ['subject', 'customer_email', 'invoice_total']
+      })
+      expect(rows).toEqual([{ subject: 'Refund', customer_email: 'c@example.com', invoice_total: 120 }])
+
+      expect(() => adapter.createQueryBuilder(['user']).select(['id']).from('tickets').where({ invoice_total: 1 }))
+        .toThrow()
+      expect(() => adapter.createQueryBuilder(['user', 'billing_viewer']).select(['id']).from('tickets').where({ invoice_total: 1 }))
+        .not.toThrow()
+    } finally {
+      await adapter.close()
+    }
+  })
+
+  test('Express middleware accepts role lists and principals', async () => {
+    const dsl = new DSLEngine(config)
+    const middleware = ExpressAdapter.middleware(dsl)
+    const req = createRequest({ user: { id: 42, roles: ['support', 'billing_viewer'] } })
+
+    const { nextCalled } = await runMiddleware(middleware, req)
+
+    expect(nextCalled).toBe(true)
+    expect(req.dsl.userRoles).toEqual(['support', 'billing_viewer'])
+    expect(req.dsl.userRole).toBe('support')
+    expect(req.dsl.filter(ticket)).toMatchObject({ customer_email: 'c@example.com', invoice_total: 120 })
+  })
+})
@@ -0,0 +1,66 @@
+const { DSLEngine, createConfig, utils } = require('../index')
+
+const config = createConfig({
+  roles: {
+    admin: { level: 100 },
+    user: { level: 10 }
+  },
+  fields: {
+    address: { minRole: 'user' },
+    'billing.address': { minRole: 'admin' },
+    'orders[].card.number': { deny: true },
+    '**.ssn': { minRole: 'admin' },
+    internal: { minRole: 'admin' }
+  },
+  security: { allowUnknownFields: true }
+})
+
+const payload = {
+  ssn: '111-11-1111',
+  billing: { address: '1 Billing St' },
+  shipping: { address: '2 Shipping Rd' },
+  profile: { ssn: '222-22-2222' },
+  orders: [{ total: 10, card: { number: '4111', brand: 'visa' } }],
+  internal: { margin: 0.4 }
+}
+
+describe('nested field paths', () => {
+  test('path rules override bare field rules', () => {
+    const dsl = new DSLEngine(config)
+    const result = dsl.filter(payload, 'user')
+
+    expect(result.shipping).toEqual({ address: '2 Shipping Rd' })
+    expect(result.billing).toEqual({})
+  })
+
+  test('** matches a field at any depth, including the top level', () => {
+    const dsl = new DSLEngine(config)
+    const result = dsl.filter(payload, 'user')
+
+    expect(result).not.toHaveProperty('ssn')
+    expect(result.profile).not.toHaveProperty('ssn')
+    expect(dsl.filter(payload, 'admin').profile.ssn).toBe('222-22-2222')
+  })
+
+  test('[] matches every array element', () => {
+    const dsl = new DSLEngine(config)
+    const [order] = dsl.filter(payload, 'admin').orders
+
+    expect(order.card).toEqual({ brand: 'visa' })
+    expect(order.total).toBe(10)
+  })
+
+  test('a rule on a container gates the whole subtree', () => {
+    const dsl = new DSLEngine(config)
+
+    expect(dsl.filter(payload, 'user')).not.toHaveProperty('internal')
+    expect(dsl.filter(payload, 'admin').internal).toEqual({ margin: 0.4 })
+  })
+
+  test('matchField understands ** and []', () => {
+    expect(utils.matchField('user.profile.ssn', '**.ssn')).toBe(true)
+    expect(utils.matchField('ssn', '**.ssn')).toBe(true)
+    expect(utils.matchField('orders.0.card.number', 'orders[].card.*')).toBe(true)
+    expect(utils.matchField('orders.card.number', 'orders[].card.*')).toBe(false)
+  })
+})
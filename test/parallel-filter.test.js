@@ -0,0 +1,124 @@
+const { DSLEngine, createConfig } = require('../index')
+const FieldMapper = require('../lib/utils/FieldMapper')
+
+const config = createConfig({
+  roles: {
+    admin: { level: 100 },
+    user: { level: 10 }
+  },
+  fields: {
+    id: { minRole: 'user' },
+    name: { minRole: 'user' },
+    'profile.bio': { minRole: 'user' },
+    'profile.ssn': { minRole: 'admin' },
+    secret: { minRole: 'user' },
+    'secret.token': { minRole: 'admin' },
+    email: { minRole: 'user', mask: 'email' }
+  },
+  security: { allowUnknownFields: false }
+})
+
+const records = Array.from({ length: 20 }, (_, i) => ({
+  id: i,
+  name: `User ${i}`,
+  email: `user${i}@example.com`,
+  profile: { bio: `Bio ${i}`, ssn: '123-45-6789' },
+  secret: { token: `t${i}` },
+  internal: 'hidden'
+}))
+
+describe('filterAsync', () => {
+  let dsl
+
+  beforeEach(() => {
+    dsl = new DSLEngine(config, { parallel: true, parallelThreshold: 10, chunkSize: 5, maxWorkers: 1 })
+  })
+
+  afterEach(async () => {
+    await dsl.close()
+  })
+
+  test('matches filter on nested data', async () => {
+    const parallel = await dsl.filterAsync(records, 'user')
+
+    expect(dsl.getStats().parallel.operations).toBe(1)
+    expect(parallel).toEqual(dsl.filter(records, 'user'))
+    expect(parallel[0].secret).toEqual({})
+  })
+
+  test('forwards preserveStructure to the workers', async () => {
+    const parallel = await dsl.filterAsync(records, 'user', { preserveStructure: false })
+
+    expect(dsl.getStats().parallel.operations).toBe(1)
+    expect(parallel).toEqual(dsl.filter(records, 'user', { preserveStructure: false }))
+    expect(parallel[0]).not.toHaveProperty('secret')
+  })
+
+  test('matches filter with metadata', async () => {
+    const parallel = await dsl.filterAsync(records, 'user', { includeMetadata: true })
+    const sync = dsl.filter(records, 'user', { includeMetadata: true })
+
+    expect(parallel.data).toEqual(sync.data)
+    expect(parallel.metadata.maskedFields).toEqual(sync.metadata.maskedFields)
+  })
+
+  test('a policy change lets running calls finish on the old pool', async () => {
+    const expected = dsl.filter(records, 'user')
+    const running = dsl.filterAsync(records, 'user')
+
+    dsl.updateConfig(createConfig({ ...config, fields: { ...config.fields, email: { minRole: 'admin' } } }))
+    const next = dsl.filterAsync(records, 'user')
+
+    await expect(running).resolves.toEqual(expected)
+    const result = await next
+    expect(result[0]).not.toHaveProperty('email')
+    expect(result[0].id).toBe(0)
+  })
+
+  test('close() settles running calls', async () => {
+    const running = dsl.filterAsync(records, 'user').catch(error => error)
+
+    await dsl.close()
+
+    expect((await running).message).toContain('Worker pool is closed')
+  })
+
+  test('stays on the main thread below the threshold', async () => {
+    const result = await dsl.filterAsync(records.slice(0, 3), 'admin')
+
+    expect(dsl.getStats().parallel.operations).toBe(0)
+    expect(result).toEqual(dsl.filter(records.slice(0, 3), 'admin'))
+  })
+})
+
+describe('filterAsync with field mappers', () => {
+  test('workers match rules through the registered mappers', async () => {
+    const dsl = new DSLEngine(createConfig({
+      roles: { admin: { level: 100 }, user: { level: 10 } },
+      fields: {
+        firstName: { minRole: 'admin' },
+        displayName: { minRole: 'user' },
+        'users.nick': { minRole: 'admin' }
+      }
+    }), { parallel: true, parallelThreshold: 10, chunkSize: 5, maxWorkers: 1 })
+    dsl.registerFieldMapper(new FieldMapper({}, { tables: { users: { nick: 'nick_name' } } }))
+
+    const rows = Array.from({ length: 20 }, (_, i) => ({
+      id: i,
+      first_name: `First ${i}`,
+      display_name: `User ${i}`,
+      users: { nick_name: `n${i}` }
+    }))
+
+    try {
+      const parallel = await dsl.filterAsync(rows, 'user')
+
+      expect(dsl.getStats().parallel.operations).toBe(1)
+      expect(parallel).toEqual(dsl.filter(rows, 'user'))
+      expect(parallel[0]).not.toHaveProperty('first_name')
+      expect(parallel[0].users).toEqual({})
+    } finally {
+      await dsl.close()
+    }
+  })
+})
@@ -0,0 +1,106 @@
+const { DSLEngine, createConfig, ConfigurationError, TableAccessError } = require('../index')
+const { createSqliteAdapter } = require('./helpers/sqlite')
+
+const config = createConfig({
+  roles: {
+    admin: { level: 100 },
+    user: { level: 10 },
+    hr_viewer: { level: 10, inherits: ['user'], customPermissions: ['hr.salary.read'] },
+    hr_admin: { level: 40, inherits: ['hr_viewer'], customPermissions: ['hr.*'] },
+    auditor: { level: 10, customPermissions: ['users:read:*'] }
+  },
+  fields: {
+    name: { minRole: 'user' },
+    salary: { requires: 'hr.salary.read' },
+    bonus: { requires: ['hr.salary.read', 'hr.bonus.read'] },
+    ssn: { minRole: 'user', requires: 'users:read:ssn' },
+    'payroll.*': { minRole: 'user' }
+  },
+  database: {
+    tables: {
+      payroll: { requires: { SELECT: 'hr.salary.read', '*': 'hr.payroll.write' } }
+    }
+  }
+})
+
+const employee = { name: 'Ann', salary: 100, bonus: 10, ssn: '123' }
+
+describe('permission strings', () => {
+  test('permissions are inherited through the role graph', () => {
+    const dsl = new DSLEngine(config)
+
+    expect(dsl.filter(employee, 'user')).toEqual({ name: 'Ann' })
+    expect(dsl.filter(employee, 'hr_viewer')).toEqual({ name: 'Ann', salary: 100 })
+    expect(dsl.filter(employee, 'hr_admin')).toEqual({ name: 'Ann', salary: 100, bonus: 10 })
+  })
+
+  test('wildcards in granted permissions match required ones', () => {
+    const dsl = new DSLEngine(config)
+
+    expect(dsl.checkAccess('ssn', 'auditor').allowed).toBe(true)
+    expect(dsl.checkAccess('bonus', 'hr_admin').allowed).toBe(true)
+  })
+
+  test('minRole is checked before permissions', () => {
+    const dsl = new DSLEngine(createConfig({
+      roles: { user: { level: 10 }, intern: { level: 1, customPermissions: ['users:read:ssn'] } },
+      fields: { ssn: { minRole: 'user', requires: 'users:read:ssn' } }
+    }))
+
+    expect(dsl.checkAccess('ssn', 'intern')).toMatchObject({ allowed: false, reason: 'insufficient_role' })
+  })
+
+  test('checkAccess reports the missing permissions', () => {
+    const dsl = new DSLEngine(config)
+
+    expect(dsl.checkAccess('bonus', 'hr_viewer')).toMatchObject({
+      allowed: false,
+      reason: 'missing_permission',
+      permissions: { required: ['hr.salary.read', 'hr.bonus.read'], missing: ['hr.bonus.read'] }
+    })
+  })
+
+  test('with several roles one role must hold every permission', () => {
+    const dsl = new DSLEngine(createConfig({
+      roles: {
+        a: { level: 10, customPermissions: ['x.read'] },
+        b: { level: 10, customPermissions: ['y.read'] },
+        c: { level: 10, customPermissions: ['x.read', 'y.read'] }
+      },
+      fields: { secret: { requires: ['x.read', 'y.read'] } }
+    }))
+
+    expect(dsl.checkAccess('secret', ['a', 'b']).allowed).toBe(false)
+    expect(dsl.checkAccess('secret', ['a', 'c']).allowed).toBe(true)
+  })
+
+  test('requirements are validated', () => {
+    expect(() => createConfig({
+      roles: { user: { level: 10 } },
+      fields: { salary: { requires: 42 } }
+    })).toThrow(ConfigurationError)
+  })
+})
+
+describe('table permissions', () => {
+  test('tables require permissions per operation', async () => {
+    const adapter = await createSqliteAdapter(config, {}, [
+      'CREATE TABLE payroll (id INTEGER PRIMARY KEY, amount INTEGER)',
+      'INSERT INTO payroll VALUES (1, 10)'
+    ])
+
+    const fields = ['id', 'amount']
+
+    try {
+      await expect(adapter.select('payroll', 'user', { fields })).rejects.toThrow(TableAccessError)
+      expect(await adapter.select('payroll', 'hr_viewer', { fields })).toEqual([{ id: 1, amount: 10 }])
+
+      await expect(adapter.update('payroll', { amount: 20 }, { id: 1 }, 'hr_viewer'))
+        .rejects.toThrow(/permission/i)
+      await adapter.update('payroll', { amount: 20 }, { id: 1 }, 'hr_admin')
+      expect(await adapter.select('payroll', 'hr_admin', { fields })).toEqual([{ id: 1, amount: 20 }])
+    } finally {
+      await adapter.close()
+    }
+  })
+})
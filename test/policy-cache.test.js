@@ -0,0 +1,84 @@
+const { DSLEngine, createConfig } = require('../index')
+
+const baseConfig = {
+  roles: {
+    admin: { level: 100 },
+    manager: { level: 50 },
+    user: { level: 10 }
+  },
+  fields: {
+    title: { minRole: 'user' },
+    'user.*': { minRole: 'user' },
+    'user.salary': { minRole: 'manager' },
+    '*.internal': { minRole: 'admin' },
+    email: { minRole: 'user', condition: (fieldName, value, userRole, context) => context.canSeeEmail === true }
+  }
+}
+
+const records = [
+  { title: 'Ann', email: 'ann@example.com', user: { id: 1, salary: 1000 }, audit: { internal: 'x' } },
+  { title: 'Bob', email: 'bob@example.com', user: { id: 2, salary: 2000 }, audit: { internal: 'y' } }
+]
+
+describe('compiled policy cache', () => {
+  test('cached and uncached engines make the same decisions', () => {
+    const cached = new DSLEngine(createConfig(baseConfig))
+    const uncached = new DSLEngine(createConfig({ ...baseConfig, performance: { cacheEnabled: false } }))
+
+    for (const role of ['user', 'manager', 'admin']) {
+      for (const context of [{}, { canSeeEmail: true }]) {
+        expect(cached.filter(records, role, { context })).toEqual(uncached.filter(records, role, { context }))
+      }
+    }
+
+    expect(uncached.getStats().cache).toMatchObject({ enabled: false, compilations: 0, size: null })
+  })
+
+  test('compiles exact keys and patterns and reports hit rates', () => {
+    const dsl = new DSLEngine(createConfig(baseConfig))
+
+    dsl.filter(records, 'user')
+    const stats = dsl.getStats().cache
+
+    expect(stats.compilations).toBe(1)
+    expect(stats.size).toMatchObject({ exactKeys: 5, compiledPatterns: 2, roles: 1 })
+    expect(stats.fieldLookups.hits).toBeGreaterThan(0)
+    expect(stats.decisions.hits).toBeGreaterThan(0)
+    expect(stats.hitRate).toBeGreaterThan(0)
+    expect(stats.hitRate).toBeLessThanOrEqual(100)
+  })
+
+  test('condition fields are evaluated on every record', () => {
+    const dsl = new DSLEngine(createConfig(baseConfig))
+
+    expect(dsl.filter(records[0], 'user', { context: { canSeeEmail: true } })).toHaveProperty('email')
+    expect(dsl.filter(records[0], 'user')).not.toHaveProperty('email')
+  })
+
+  test('updateConfig invalidates compiled decisions', () => {
+    const dsl = new DSLEngine(createConfig(baseConfig))
+    expect(dsl.filter(records[0], 'user').user).not.toHaveProperty('salary')
+
+    dsl.updateConfig(createConfig({
+      ...baseConfig,
+      fields: { ...baseConfig.fields, 'user.salary': { minRole: 'user' } }
+    }))
+
+    expect(dsl.filter(records[0], 'user').user).toHaveProperty('salary', 1000)
+    expect(dsl.getStats().cache.compilations).toBe(2)
+  })
+
+  test('replacing config.fields is detected and in-place edits need invalidateCache', () => {
+    const dsl = new DSLEngine(createConfig(baseConfig))
+    dsl.filter(records[0], 'user')
+
+    dsl.config.fields = { ...dsl.config.fields, title: { minRole: 'admin' } }
+    expect(dsl.filter(records[0], 'user')).not.toHaveProperty('title')
+
+    dsl.config.fields.title = { minRole: 'user' }
+    expect(dsl.checkAccess('title', 'user').allowed).toBe(false)
+
+    dsl.invalidateCache()
+    expect(dsl.checkAccess('title', 'user').allowed).toBe(true)
+  })
+})
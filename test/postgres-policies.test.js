@@ -0,0 +1,72 @@
+const { createConfig, generatePostgresPolicies, ConfigurationError } = require('../index')
+
+const roles = {
+  admin: { level: 100 },
+  user: { level: 10 }
+}
+
+const config = createConfig({
+  roles,
+  fields: {
+    'users.email': { minRole: 'user', update: 'admin' },
+    'users.salary': { minRole: 'admin' },
+    'users.notes': { minRole: 'user', mask: 'partial' }
+  },
+  rows: {
+    users: { bypassRole: 'admin', policies: [{ field: 'tenant_id', context: 'tenantId' }] }
+  },
+  database: {
+    tables: { users: { minRole: 'user', operations: ['SELECT', 'INSERT', 'UPDATE'] } }
+  }
+})
+
+describe('generatePostgresPolicies', () => {
+  test('derives columns from table.column rules without a schema', () => {
+    const { statements, warnings } = generatePostgresPolicies(config)
+
+    expect(statements).toContain('GRANT SELECT ("email", "notes", "tenant_id") ON "public"."users" TO "dsl_user";')
+    expect(statements).toContain('GRANT UPDATE ("notes", "tenant_id") ON "public"."users" TO "dsl_user";')
+    expect(statements).toContain('GRANT SELECT ("email", "salary", "notes", "tenant_id") ON "public"."users" TO "dsl_admin";')
+    expect(warnings).toEqual(expect.arrayContaining([expect.stringContaining('users: columns taken from field rules')]))
+  })
+
+  test('uses the schema when one is given', () => {
+    const { statements, warnings } = generatePostgresPolicies(config, {
+      schema: [{ name: 'users', columns: [{ name: 'email', type: 'text' }, { name: 'tenant_id', type: 'integer' }] }],
+      loginRole: 'app'
+    })
+
+    expect(statements).toContain('GRANT SELECT ("email", "tenant_id") ON "public"."users" TO "dsl_user";')
+    expect(statements).toContain('GRANT "dsl_user" TO "app";')
+    expect(statements.join('\n')).toContain('"tenant_id" = NULLIF(current_setting(\'app.tenantId\', true), \'\')::integer')
+    expect(warnings.some(warning => warning.includes('columns taken from field rules'))).toBe(false)
+  })
+
+  test('writes row policies per role', () => {
+    const { statements } = generatePostgresPolicies(config)
+
+    expect(statements).toContain('ALTER TABLE "public"."users" ENABLE ROW LEVEL SECURITY;')
+    expect(statements.find(statement => statement.startsWith('CREATE POLICY "dsl_admin"'))).toContain('USING (true)')
+    expect(statements.find(statement => statement.startsWith('CREATE POLICY "dsl_user"'))).toContain('"tenant_id"::text')
+  })
+
+  test('checks new rows against the same policy', () => {
+    const { statements } = generatePostgresPolicies(config)
+    const policy = statements.find(statement => statement.startsWith('CREATE POLICY "dsl_user"'))
+    const [, using, check] = policy.match(/USING \((.*)\) WITH CHECK \((.*)\);$/)
+
+    expect(check).toBe(using)
+    expect(check).not.toBe('true')
+  })
+
+  test('lists rules SQL cannot enforce', () => {
+    const { warnings } = generatePostgresPolicies(config)
+
+    expect(warnings.some(warning => warning.includes('users.notes'))).toBe(true)
+  })
+
+  test('throws when no columns are known', () => {
+    expect(() => generatePostgresPolicies(createConfig({ roles, fields: { 'users.*': { minRole: 'user' } } })))
+      .toThrow(ConfigurationError)
+  })
+})
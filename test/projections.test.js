@@ -0,0 +1,76 @@
+const { createConfig, FieldReferenceError } = require('../index')
+const { createSqliteAdapter } = require('./helpers/sqlite')
+
+const config = createConfig({
+  roles: { admin: { level: 100 }, user: { level: 10 } },
+  fields: {
+    'users.id': { minRole: 'user' },
+    'users.name': { minRole: 'user' },
+    'users.email': { minRole: 'user', mask: 'email' },
+    'users.salary': { minRole: 'admin' }
+  },
+  database: {
+    tables: { users: { minRole: 'user' } }
+  }
+})
+
+describe('raw query projections', () => {
+  let adapter
+
+  beforeEach(async () => {
+    adapter = await createSqliteAdapter(config, {}, [
+      'CREATE TABLE users (id INTEGER PRIMARY KEY, name TEXT, email TEXT, salary INTEGER)',
+      "INSERT INTO users VALUES (1, 'Ann', 'ann@example.com', 100)"
+    ])
+  })
+
+  afterEach(async () => {
+    await adapter.close()
+  })
+
+  test('aliased hidden columns are removed before the query runs', async () => {
+    const result = await adapter.query('SELECT name, salary AS s FROM users', [], 'user')
+
+    expect(result.rows).toEqual([{ name: 'Ann' }])
+  })
+
+  test('the reject policy throws for hidden projections', async () => {
+    await expect(adapter.query('SELECT name, salary AS s FROM users', [], 'user', { projectionPolicy: 'reject' }))
+      .rejects.toMatchObject({ name: 'FieldReferenceError', clause: 'SELECT', field: 'users.salary' })
+  })
+
+  test('aliased columns keep their masks', async () => {
+    const result = await adapter.query('SELECT email AS contact FROM users', [], 'user')
+
+    expect(result.rows[0].contact).not.toBe('ann@example.com')
+    expect(result.rows[0].contact).toMatch(/@example\.com$/)
+  })
+
+  test('expressions may only use unmasked readable columns', async () => {
+    await expect(adapter.query('SELECT max(salary) AS top FROM users', [], 'user', { projectionPolicy: 'reject' }))
+      .rejects.toThrow(FieldReferenceError)
+    await expect(adapter.query('SELECT upper(email) AS e FROM users', [], 'user', { projectionPolicy: 'reject' }))
+      .rejects.toThrow(FieldReferenceError)
+
+    const result = await adapter.query('SELECT upper(name) AS n FROM users', [], 'user')
+    expect(result.rows).toEqual([{ n: 'ANN' }])
+  })
+
+  test('stars expand to the readable columns', async () => {
+    const result = await adapter.query('SELECT * FROM users', [], 'user')
+
+    expect(Object.keys(result.rows[0]).sort()).toEqual(['email', 'id', 'name'])
+    expect((await adapter.query('SELECT * FROM users', [], 'admin')).rows[0]).toHaveProperty('salary', 100)
+  })
+
+  test('subqueries and unions always reject hidden columns', async () => {
+    await expect(adapter.query('SELECT name FROM (SELECT name, salary FROM users) t', [], 'user'))
+      .rejects.toThrow(FieldReferenceError)
+    await expect(adapter.query('SELECT name FROM users UNION SELECT salary FROM users', [], 'user'))
+      .rejects.toThrow(FieldReferenceError)
+  })
+
+  test('a select list with nothing readable is rejected', async () => {
+    await expect(adapter.query('SELECT salary FROM users', [], 'user')).rejects.toThrow(FieldReferenceError)
+  })
+})
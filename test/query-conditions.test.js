@@ -0,0 +1,98 @@
+const { DSLEngine, createConfig, QueryBuilder } = require('../index')
+const { DatabaseError } = require('../lib/core/DSLErrors')
+const { createSqliteAdapter } = require('./helpers/sqlite')
+
+const config = createConfig({
+  roles: {
+    admin: { level: 100 },
+    user: { level: 10 }
+  },
+  fields: {
+    'users.*': { minRole: 'user' },
+    'users.salary': { minRole: 'admin' }
+  }
+})
+
+const build = (where, dialect = 'postgresql', role = 'user') =>
+  new QueryBuilder(new DSLEngine(config), role, { dialect }).select(['id']).from('users').where(where).build()
+
+describe('QueryBuilder.where operators', () => {
+  test('comparison, list and null operators', () => {
+    const { sql, params } = build({
+      age: { $gte: 18, $lt: 65 },
+      departmentId: [1, 2],
+      deletedAt: null,
+      status: { $ne: 'closed', $nin: ['archived'] },
+      score: { $between: [1, 5] },
+      email: { $null: false }
+    })
+
+    expect(sql).toBe('SELECT id FROM "users" WHERE ("age" >= $1 AND "age" < $2) AND "department_id" IN ($3, $4)' +
+      ' AND "deleted_at" IS NULL AND ("status" != $5 AND "status" NOT IN ($6)) AND "score" BETWEEN $7 AND $8' +
+      ' AND "email" IS NOT NULL')
+    expect(params).toEqual([18, 65, 1, 2, 'closed', 'archived', 1, 5])
+  })
+
+  test('nested $and, $or and $not groups', () => {
+    const { sql, params } = build({
+      $or: [
+        { name: { $like: 'a%' } },
+        { $and: [{ active: true }, { role: { $not: { $in: ['admin'] } } }] }
+      ]
+    })
+
+    expect(sql).toBe('SELECT id FROM "users" WHERE ("name" LIKE $1 OR ("active" = $2 AND NOT ("role" IN ($3))))')
+    expect(params).toEqual(['a%', true, 'admin'])
+  })
+
+  test('$ilike depends on the dialect', () => {
+    expect(build({ name: { $ilike: 'ann%' } }).sql).toContain('"name" ILIKE $1')
+    expect(build({ name: { $ilike: 'ann%' } }, 'sqlite').sql).toContain('LOWER("name") LIKE LOWER(?)')
+  })
+
+  test('unknown operators and malformed operands are refused', () => {
+    expect(() => build({ age: { $regex: 'x' } })).toThrow(DatabaseError)
+    expect(() => build({ age: { $between: [1] } })).toThrow()
+  })
+
+  test('field names are validated and need read access', () => {
+    expect(() => build({ 'name; DROP TABLE users': 1 })).toThrow()
+    expect(() => build({ $or: [{ name: 'a' }, { salary: { $gt: 1 } }] })).toThrow(/salary/)
+    expect(build({ salary: { $gt: 1 } }, 'postgresql', 'admin').params).toEqual([1])
+  })
+
+  test('orWhere and whereCondition build the same conditions', () => {
+    const qb = new QueryBuilder(new DSLEngine(config), 'user', { dialect: 'sqlite' })
+      .select(['id'])
+      .from('users')
+      .whereCondition('age', '>=', 18)
+      .orWhere({ name: 'a', email: { $like: '%@x' } })
+
+    expect(qb.build()).toEqual({
+      sql: 'SELECT id FROM "users" WHERE "age" >= ? AND ("name" = ? OR "email" LIKE ?)',
+      params: [18, 'a', '%@x']
+    })
+  })
+})
+
+describe('where operators against SQLite', () => {
+  test('conditions select the expected rows', async () => {
+    const adapter = await createSqliteAdapter(config, {}, [
+      'CREATE TABLE users (id INTEGER PRIMARY KEY, name TEXT, age INTEGER, deleted_at TEXT)',
+      "INSERT INTO users VALUES (1, 'Ann', 30, NULL), (2, 'anna', 17, NULL), (3, 'Bob', 40, '2024-01-01')"
+    ])
+
+    try {
+      const rows = await adapter.select('users', 'user', {
+        fields: ['id'],
+        where: { deletedAt: null, $or: [{ name: { $ilike: 'ann%' } }, { age: { $between: [35, 45] } }] }
+      })
+      expect(rows.map(row => row.id).sort()).toEqual([1, 2])
+
+      const adults = await adapter.select('users', 'user', { fields: ['id'], where: { age: { $gte: 18 }, name: { $not: { $like: 'B%' } } } })
+      expect(adults.map(row => row.id)).toEqual([1])
+    } finally {
+      await adapter.close()
+    }
+  })
+})
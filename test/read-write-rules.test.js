@@ -0,0 +1,92 @@
+const { DSLEngine, createConfig } = require('../index')
+const { createSqliteAdapter, readTable } = require('./helpers/sqlite')
+
+const config = createConfig({
+  roles: {
+    admin: { level: 100 },
+    manager: { level: 50 },
+    user: { level: 10 },
+    hr: { level: 50, customPermissions: ['hr.salary.write'] }
+  },
+  fields: {
+    'people.id': { minRole: 'user' },
+    'people.email': { minRole: 'user', write: 'admin' },
+    'people.created_by': { minRole: 'user', update: false },
+    'people.notes': { minRole: 'admin', create: 'user' },
+    'people.salary': { minRole: 'manager', update: { requires: 'hr.salary.write' } },
+    'people.ssn': { minRole: 'user', deny: true, write: 'user' }
+  },
+  database: {
+    tables: { people: { minRole: 'user' } }
+  }
+})
+
+describe('read and write rules', () => {
+  test('checkAccess uses the rule of the operation', () => {
+    const dsl = new DSLEngine(config)
+
+    expect(dsl.checkAccess('people.email', 'user').allowed).toBe(true)
+    expect(dsl.checkAccess('people.email', 'user', {}, null, null, 'update').allowed).toBe(false)
+    expect(dsl.checkAccess('people.email', 'admin', {}, null, null, 'INSERT').allowed).toBe(true)
+  })
+
+  test('create and update override write', () => {
+    const dsl = new DSLEngine(config)
+
+    expect(dsl.checkAccess('people.created_by', 'admin', {}, null, null, 'create').allowed).toBe(true)
+    expect(dsl.checkAccess('people.created_by', 'admin', {}, null, null, 'update').allowed).toBe(false)
+    expect(dsl.checkAccess('people.notes', 'user', {}, null, null, 'create').allowed).toBe(true)
+    expect(dsl.checkAccess('people.notes', 'user').allowed).toBe(false)
+  })
+
+  test('operation rules merge over the base rule', () => {
+    const dsl = new DSLEngine(config)
+
+    expect(dsl.checkAccess('people.salary', 'manager', {}, null, null, 'update').allowed).toBe(false)
+    expect(dsl.checkAccess('people.salary', 'hr', {}, null, null, 'update').allowed).toBe(true)
+    expect(dsl.checkAccess('people.salary', 'user', {}, null, null, 'update').allowed).toBe(false)
+  })
+
+  test('deny on the base rule denies every operation', () => {
+    const dsl = new DSLEngine(config)
+
+    expect(dsl.checkAccess('people.ssn', 'admin', {}, null, null, 'create').allowed).toBe(false)
+  })
+
+  test('filter uses the read rule', () => {
+    const dsl = new DSLEngine(config)
+    const record = { people: { email: 'a@example.com', notes: 'n' } }
+
+    expect(dsl.filter(record, 'user')).toEqual({ people: { email: 'a@example.com' } })
+  })
+
+  test('validateWrite uses the write side', () => {
+    const dsl = new DSLEngine(config)
+    const values = { email: 'b@example.com', created_by: 1, notes: 'n' }
+
+    expect(dsl.validateWrite(values, 'user', { table: 'people', operation: 'INSERT' }).accepted)
+      .toEqual(['created_by', 'notes'])
+    expect(dsl.validateWrite(values, 'admin', { table: 'people', operation: 'UPDATE' }).accepted)
+      .toEqual(['email', 'notes'])
+  })
+})
+
+describe('read and write rules in the database adapters', () => {
+  test('insert and update apply create and update rules', async () => {
+    const adapter = await createSqliteAdapter(config, {}, [
+      'CREATE TABLE people (id INTEGER PRIMARY KEY, email TEXT, created_by INTEGER, notes TEXT, salary INTEGER)'
+    ])
+
+    try {
+      await adapter.insert('people', { id: 1, email: 'a@example.com', created_by: 7, notes: 'n' }, 'user')
+      expect(await readTable(adapter, 'people')).toEqual([
+        { id: 1, email: null, created_by: 7, notes: 'n', salary: null }
+      ])
+
+      await adapter.update('people', { created_by: 8, email: 'b@example.com' }, { id: 1 }, 'admin')
+      expect((await readTable(adapter, 'people'))[0]).toMatchObject({ created_by: 7, email: 'b@example.com' })
+    } finally {
+      await adapter.close()
+    }
+  })
+})
@@ -0,0 +1,92 @@
+const { createConfig } = require('../index')
+const { createSqliteAdapter, readTable } = require('./helpers/sqlite')
+
+const config = createConfig({
+  roles: { admin: { level: 100 }, user: { level: 10 } },
+  fields: {
+    'users.*': { minRole: 'user', update: 'user' }
+  },
+  database: {
+    tables: {
+      users: { minRole: 'user', fields: { name: 'full_name' } }
+    }
+  }
+})
+
+const schema = [
+  'CREATE TABLE users (id INTEGER PRIMARY KEY, full_name TEXT, first_name TEXT, postal_code TEXT)',
+  "INSERT INTO users VALUES (1, 'Ann Lee', 'Ann', '10115')"
+]
+
+const options = { mapResults: true, fieldMappings: { zip: 'postal_code' } }
+
+describe('result rows mapped back through the FieldMapper', () => {
+  let adapter
+
+  beforeEach(async () => {
+    adapter = await createSqliteAdapter(config, options, schema)
+  })
+
+  afterEach(async () => {
+    await adapter.close()
+  })
+
+  test('select returns semantic names', async () => {
+    const rows = await adapter.select('users', 'user', { fields: ['id', 'name', 'firstName', 'zip'] })
+
+    expect(rows).toEqual([{ id: 1, name: 'Ann Lee', firstName: 'Ann', zip: '10115' }])
+  })
+
+  test('insert, update and delete map their RETURNING rows', async () => {
+    const inserted = await adapter.insert('users', { name: 'Bo Kim', firstName: 'Bo', zip: '20095' }, 'user', {
+      returning: ['id', 'full_name', 'first_name', 'postal_code']
+    })
+    expect(inserted.rows).toEqual([{ id: 2, name: 'Bo Kim', firstName: 'Bo', zip: '20095' }])
+    expect(inserted).toMatchObject({ rowCount: 1, lastInsertId: 2 })
+
+    const updated = await adapter.update('users', { zip: '80331' }, { id: 2 }, 'user', { returning: ['id', 'postal_code'] })
+    expect(updated.rows).toEqual([{ id: 2, zip: '80331' }])
+
+    const deleted = await adapter.delete('users', { id: 2 }, 'user', { returning: ['first_name'] })
+    expect(deleted.rows).toEqual([{ firstName: 'Bo' }])
+    expect(await readTable(adapter, 'users')).toHaveLength(1)
+  })
+
+  test('raw queries use the mappings of the table option', async () => {
+    const sql = 'SELECT full_name, first_name, postal_code FROM users'
+
+    expect((await adapter.query(sql, [], 'user', { table: 'users' })).rows)
+      .toEqual([{ name: 'Ann Lee', firstName: 'Ann', zip: '10115' }])
+    expect((await adapter.query(sql, [], 'user')).rows)
+      .toEqual([{ fullName: 'Ann Lee', firstName: 'Ann', zip: '10115' }])
+  })
+
+  test('transaction results are mapped too', async () => {
+    const rows = await adapter.transaction(tx => tx.select('users', 'user', { fields: ['firstName'] }))
+
+    expect(rows).toEqual([{ firstName: 'Ann' }])
+  })
+})
+
+describe('result rows without mapResults', () => {
+  let adapter
+
+  beforeEach(async () => {
+    adapter = await createSqliteAdapter(config, { fieldMappings: options.fieldMappings }, schema)
+  })
+
+  afterEach(async () => {
+    await adapter.close()
+  })
+
+  test('keep their column names', async () => {
+    expect(await adapter.select('users', 'user', { fields: ['name', 'firstName', 'zip'] }))
+      .toEqual([{ full_name: 'Ann Lee', first_name: 'Ann', postal_code: '10115' }])
+
+    const inserted = await adapter.insert('users', { firstName: 'Bo' }, 'user', { returning: ['id', 'first_name'] })
+    expect(inserted.rows).toEqual([{ id: 2, first_name: 'Bo' }])
+
+    const result = await adapter.query('SELECT first_name FROM users WHERE id = 1', [], 'user', { table: 'users' })
+    expect(result.rows).toEqual([{ first_name: 'Ann' }])
+  })
+})
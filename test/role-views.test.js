@@ -0,0 +1,88 @@
+const { createConfig, generateRoleViews } = require('../index')
+const { ROW_POLICIES_APPLIED } = require('../lib/database/DatabaseAdapter')
+const { createSqliteAdapter } = require('./helpers/sqlite')
+
+const config = createConfig({
+  roles: {
+    admin: { level: 100 },
+    user: { level: 10 }
+  },
+  fields: {
+    'users.id': { minRole: 'user' },
+    'users.email': { minRole: 'user' },
+    'users.salary': { minRole: 'admin' }
+  },
+  rows: {
+    users: { bypassRole: 'admin', policies: [{ field: 'active', value: 1 }] }
+  },
+  database: {
+    denyUnknownTables: true,
+    tables: { users: { minRole: 'user' } }
+  }
+})
+
+const schema = [{
+  name: 'users',
+  columns: ['id', 'email', 'salary', 'active'].map(name => ({ name, type: 'text' }))
+}]
+
+const statements = [
+  'CREATE TABLE users (id INTEGER PRIMARY KEY, email TEXT, salary INTEGER, active INTEGER)',
+  "INSERT INTO users VALUES (1, 'a@example.com', 100, 1), (2, 'b@example.com', 200, 0)",
+  ...generateRoleViews(config, { dialect: 'sqlite', schema }).statements
+]
+
+describe('role views', () => {
+  let adapter
+
+  beforeEach(async () => {
+    adapter = await createSqliteAdapter(config, { roleViews: true }, statements)
+  })
+
+  afterEach(async () => {
+    await adapter.close()
+  })
+
+  test('select reads the role view with unknown tables denied', async () => {
+    const rows = await adapter.select('users', 'user', { fields: ['id', 'email'] })
+
+    expect(rows).toEqual([{ id: 1, email: 'a@example.com' }])
+  })
+
+  test('the view is checked against the base table rules', async () => {
+    await expect(adapter.query('SELECT email FROM users__user', [], 'user'))
+      .rejects.toMatchObject({ code: 'ROW_POLICY_DENIED', table: 'users' })
+    await expect(adapter.query('SELECT salary FROM users__user', [], 'user', { [ROW_POLICIES_APPLIED]: true }))
+      .rejects.toMatchObject({ code: 'FIELD_REFERENCE_DENIED', field: 'users.salary' })
+  })
+
+  test('views of other roles stay unknown tables', async () => {
+    await expect(adapter.query('SELECT email FROM users__admin', [], 'user'))
+      .rejects.toThrow('Access denied to table: users__admin')
+  })
+
+  test('a single-role principal reads its role view', async () => {
+    const rows = await adapter.select('users', { id: 7, roles: ['user'] }, { fields: ['id', 'email'] })
+
+    expect(rows).toEqual([{ id: 1, email: 'a@example.com' }])
+  })
+
+  test('callers with several roles are refused', async () => {
+    await expect(adapter.select('users', ['user', 'admin'], { fields: ['id'] }))
+      .rejects.toMatchObject({ name: 'DatabaseError' })
+    await expect(adapter.select('users', ['user', 'admin'], { fields: ['id'] }))
+      .rejects.toThrow('role views need a single role')
+  })
+
+  test('transaction selects read the role view', async () => {
+    // A view holding only row 2 tells it apart from the table, where row 1 matches the policy
+    await adapter.connectionManager.query('DROP VIEW users__user', [])
+    await adapter.connectionManager.query('CREATE VIEW users__user AS SELECT id, email FROM users WHERE id = 2', [])
+
+    const rows = await adapter.transaction(tx => tx.select('users', 'admin', { fields: ['id'] }))
+    expect(rows).toEqual([{ id: 1 }, { id: 2 }])
+
+    const viewRows = await adapter.transaction(tx => tx.select('users', 'user', { fields: ['id', 'email'] }))
+    expect(viewRows).toEqual([])
+  })
+})
@@ -0,0 +1,144 @@
+const { DSLEngine, createConfig, RowPolicyError } = require('../index')
+const { createSqliteAdapter, readTable } = require('./helpers/sqlite')
+
+const config = createConfig({
+  roles: {
+    admin: { level: 100 },
+    manager: { level: 50 },
+    agent: { level: 20 },
+    contractor: { level: 5, inherits: ['agent'] },
+    user: { level: 10 }
+  },
+  fields: {
+    'orders.*': { minRole: 'contractor' }
+  },
+  rows: {
+    orders: {
+      bypassRole: 'admin',
+      policies: [
+        { field: 'tenant_id', context: 'tenantId' },
+        { field: 'region', context: 'region', roles: ['agent'] }
+      ]
+    }
+  },
+  database: {
+    tables: { orders: { minRole: 'contractor' } }
+  }
+})
+
+const schema = [
+  'CREATE TABLE orders (id INTEGER PRIMARY KEY, tenant_id INTEGER, region TEXT, status TEXT)',
+  "INSERT INTO orders VALUES (1, 1, 'eu', 'new'), (2, 1, 'us', 'new'), (3, 2, 'eu', 'new')"
+]
+
+describe('row policies in DSLEngine', () => {
+  test('filter drops records outside the policies when the table is named', () => {
+    const dsl = new DSLEngine(config)
+    const rows = [{ id: 1, tenant_id: 1 }, { id: 3, tenant_id: 2 }]
+
+    expect(dsl.filter(rows, 'user', { table: 'orders', context: { tenantId: 1 } })).toEqual([{ id: 1, tenant_id: 1 }])
+    expect(dsl.filter(rows, 'admin', { table: 'orders' })).toHaveLength(2)
+  })
+
+  test('a missing context value matches no rows', () => {
+    const dsl = new DSLEngine(config)
+
+    expect(dsl.filter([{ id: 1, tenant_id: 1 }], 'user', { table: 'orders' })).toEqual([])
+  })
+
+  test('role-limited policies follow the role hierarchy', () => {
+    const dsl = new DSLEngine(config)
+    const context = { tenantId: 1, region: 'eu' }
+
+    expect(dsl.getRowPolicies('orders', 'user', context).map(c => c.field)).toEqual(['tenant_id'])
+    expect(dsl.getRowPolicies('orders', 'agent', context).map(c => c.field)).toEqual(['tenant_id', 'region'])
+    expect(dsl.getRowPolicies('orders', 'manager', context).map(c => c.field)).toEqual(['tenant_id', 'region'])
+    expect(dsl.getRowPolicies('orders', 'contractor', context).map(c => c.field)).toEqual(['tenant_id', 'region'])
+    expect(dsl.getRowPolicies('orders', 'admin', context)).toEqual([])
+  })
+})
+
+describe('row policies in the database adapters', () => {
+  let adapter
+
+  beforeEach(async () => {
+    adapter = await createSqliteAdapter(config, {}, schema)
+  })
+
+  afterEach(async () => {
+    await adapter.close()
+  })
+
+  test('select only returns rows inside the policies', async () => {
+    const rows = await adapter.select('orders', 'agent', { context: { tenantId: 1, region: 'eu' } })
+
+    expect(rows.map(row => row.id)).toEqual([1])
+  })
+
+  test('insert refuses rows outside the policies', async () => {
+    const context = { tenantId: 1, region: 'eu' }
+
+    await expect(adapter.insert('orders', { id: 4, tenant_id: 2, region: 'eu' }, 'agent', { context }))
+      .rejects.toThrow(RowPolicyError)
+    await expect(adapter.insert('orders', { id: 4, region: 'eu' }, 'agent', { context }))
+      .rejects.toMatchObject({ name: 'RowPolicyError', fields: ['tenant_id'] })
+
+    await adapter.insert('orders', { id: 4, tenant_id: 1, region: 'eu' }, 'agent', { context })
+    expect((await readTable(adapter, 'orders')).map(row => row.id)).toEqual([1, 2, 3, 4])
+  })
+
+  test('update cannot move a row out of scope', async () => {
+    const context = { tenantId: 1, region: 'eu' }
+
+    await expect(adapter.update('orders', { tenant_id: 2 }, { id: 1 }, 'agent', { context }))
+      .rejects.toMatchObject({ name: 'RowPolicyError', operation: 'UPDATE', fields: ['tenant_id'] })
+
+    await adapter.update('orders', { status: 'shipped' }, { id: 1 }, 'agent', { context })
+    const [row] = await readTable(adapter, 'orders')
+    expect(row).toMatchObject({ tenant_id: 1, status: 'shipped' })
+  })
+
+  test('update and delete leave rows outside the policies alone', async () => {
+    const context = { tenantId: 1, region: 'eu' }
+
+    await adapter.update('orders', { status: 'shipped' }, { id: 3 }, 'agent', { context })
+    await adapter.delete('orders', { id: 2 }, 'agent', { context })
+
+    const rows = await readTable(adapter, 'orders')
+    expect(rows.map(row => row.id)).toEqual([1, 2, 3])
+    expect(rows[2].status).toBe('new')
+  })
+
+  test('raw queries on policy tables are refused', async () => {
+    await expect(adapter.query('SELECT id FROM orders', [], 'user', { context: { tenantId: 1 } }))
+      .rejects.toThrow(RowPolicyError)
+    await expect(adapter.query('UPDATE orders SET status = ? WHERE id = ?', ['x', 3], 'user', { context: { tenantId: 1 } }))
+      .rejects.toThrow(RowPolicyError)
+  })
+
+  test('raw queries run for bypassing roles', async () => {
+    const all = await adapter.query('SELECT id FROM orders', [], 'admin')
+    expect(all.rows).toHaveLength(3)
+  })
+
+  test('callers cannot mark raw queries as carrying the policies', async () => {
+    const { sql, params } = adapter.createQueryBuilder('user')
+      .select(['id'])
+      .from('orders')
+      .whereRowPolicies(adapter.dsl.getRowPolicies('orders', 'user', { tenantId: 2 }))
+      .build()
+
+    await expect(adapter.query(sql, params, 'user', { rowPoliciesApplied: true }))
+      .rejects.toThrow(RowPolicyError)
+    await expect(adapter.query('SELECT id FROM orders', [], 'user', { rowPoliciesApplied: true, context: { tenantId: 2 } }))
+      .rejects.toThrow(RowPolicyError)
+  })
+
+  test('transaction writes are checked too', async () => {
+    const context = { tenantId: 1, region: 'eu' }
+
+    await expect(adapter.transaction(tx => tx.insert('orders', { id: 5, tenant_id: 2, region: 'eu' }, 'agent', { context })))
+      .rejects.toThrow(/violates its row policies/)
+    expect(await readTable(adapter, 'orders')).toHaveLength(3)
+  })
+})
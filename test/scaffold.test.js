@@ -0,0 +1,84 @@
+const { DSLEngine, createConfig, scaffoldConfig, generateConfig, utils } = require('../index')
+const { createSqliteAdapter } = require('./helpers/sqlite')
+
+const schema = [
+  'CREATE TABLE users (id INTEGER PRIMARY KEY, full_name TEXT, password_hash TEXT, ssn TEXT, salary INTEGER, email TEXT, api_token TEXT)',
+  'CREATE TABLE migrations (id INTEGER)'
+]
+
+describe('classifyColumn', () => {
+  test('classifies column names by sensitivity', () => {
+    expect(utils.classifyColumn('Password')).toMatchObject({ name: 'credential', access: 'deny' })
+    expect(utils.classifyColumn('reset_token_expires')).toMatchObject({ name: 'credential' })
+    expect(utils.classifyColumn('employee_ssn')).toMatchObject({ name: 'government_id' })
+    expect(utils.classifyColumn('base_salary')).toMatchObject({ name: 'financial' })
+    expect(utils.classifyColumn('phone_number')).toMatchObject({ name: 'personal' })
+    expect(utils.classifyColumn('nickname')).toBeNull()
+  })
+})
+
+describe('scaffoldConfig', () => {
+  let adapter
+
+  beforeEach(async () => {
+    adapter = await createSqliteAdapter({ roles: { admin: { level: 100 }, user: { level: 10 } }, fields: {} }, {}, schema)
+  })
+
+  afterEach(async () => {
+    await adapter.close()
+  })
+
+  test('generates rules, tables and mappings from the live schema', async () => {
+    const config = await scaffoldConfig(adapter, { exclude: ['migrations'] })
+
+    expect(Object.keys(config.database.tables)).toEqual(['users'])
+    expect(config.fields).toMatchObject({
+      'users.id': { minRole: 'user' },
+      'users.password_hash': { deny: true, category: 'credential' },
+      'users.api_token': { deny: true },
+      'users.ssn': { minRole: 'admin' },
+      'users.salary': { minRole: 'admin', category: 'financial' },
+      'users.email': { minRole: 'user', category: 'personal' }
+    })
+    expect(config.database.tables.users).toMatchObject({
+      minRole: 'user',
+      fields: { fullName: 'full_name' },
+      columns: { salary: 'INTEGER', email: 'TEXT' }
+    })
+  })
+
+  test('the generated config is valid and enforces the classification', async () => {
+    const config = createConfig(await scaffoldConfig(adapter, { exclude: ['migrations'] }))
+    const dsl = new DSLEngine(config)
+    const row = { users: { id: 1, full_name: 'Ann', password_hash: 'x', salary: 1, email: 'a@example.com' } }
+
+    expect(dsl.filter(row, 'user')).toEqual({ users: { id: 1, full_name: 'Ann', email: 'a@example.com' } })
+    expect(dsl.filter(row, 'admin').users).not.toHaveProperty('password_hash')
+  })
+
+  test('options set the roles and extra sensitivity rules', async () => {
+    const config = await scaffoldConfig(adapter, {
+      tables: ['users'],
+      defaultMinRole: 'manager',
+      sensitiveMinRole: 'manager',
+      sensitivityRules: [{ name: 'naming', category: 'naming', access: 'sensitive', patterns: ['*name*'] }]
+    })
+
+    expect(config.fields['users.full_name']).toEqual({ minRole: 'manager', category: 'naming' })
+    expect(config.fields['users.ssn'].minRole).toBe('manager')
+    expect(config.database.tables.users.minRole).toBe('manager')
+  })
+
+  test('generateConfig works on introspected tables without a database', () => {
+    const config = generateConfig([{
+      name: 'orders',
+      columns: [{ name: 'bank_account', type: 'text' }, { name: 'total', type: 'integer' }]
+    }], { type: 'postgresql' })
+
+    expect(config.fields).toEqual({
+      'orders.bank_account': { minRole: 'admin', category: 'financial' },
+      'orders.total': { minRole: 'user' }
+    })
+    expect(config.database).toMatchObject({ type: 'postgresql', tables: { orders: { fields: { bankAccount: 'bank_account' } } } })
+  })
+})
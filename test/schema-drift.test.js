@@ -0,0 +1,96 @@
+const { createConfig, detectSchemaDrift, DSLServiceProvider, SchemaDriftError } = require('../index')
+const { createSqliteAdapter } = require('./helpers/sqlite')
+
+const config = createConfig({
+  roles: { admin: { level: 100 }, user: { level: 10 } },
+  fields: {
+    'users.id': { minRole: 'user' },
+    'users.name': { minRole: 'user' },
+    'users.nickname': { minRole: 'user' },
+    'users.salary': { minRole: 'admin' }
+  },
+  database: {
+    tables: {
+      users: { minRole: 'user', columns: { id: 'INTEGER', name: 'TEXT', salary: 'INTEGER' } },
+      archive: { minRole: 'admin' }
+    }
+  }
+})
+
+describe('detectSchemaDrift', () => {
+  let adapter
+
+  beforeEach(async () => {
+    adapter = await createSqliteAdapter(config, {}, [
+      'CREATE TABLE users (id INTEGER PRIMARY KEY, name TEXT, salary TEXT, ssn TEXT)',
+      'CREATE TABLE sessions (id INTEGER PRIMARY KEY)',
+      'CREATE TABLE migrations (id INTEGER PRIMARY KEY)'
+    ])
+  })
+
+  afterEach(async () => {
+    await adapter.close()
+  })
+
+  test('reports unconfigured, dropped and changed columns', async () => {
+    const report = await detectSchemaDrift(adapter, null, { exclude: ['migrations'] })
+
+    expect(report.hasDrift).toBe(true)
+    expect(report.unconfiguredColumns).toEqual([expect.objectContaining({ table: 'users', column: 'ssn' })])
+    expect(report.droppedColumns).toEqual([expect.objectContaining({ table: 'users', column: 'nickname' })])
+    expect(report.typeChanges).toEqual([{ table: 'users', column: 'salary', expected: 'INTEGER', actual: 'TEXT' }])
+    expect(report.unconfiguredTables).toEqual(['sessions'])
+    expect(report.missingTables).toEqual(['archive'])
+    expect(report.issues.length).toBe(5)
+  })
+
+  test('ignore patterns leave findings out', async () => {
+    const report = await detectSchemaDrift(adapter, config, { exclude: ['migrations', 'sessions'], ignore: ['users.*'] })
+
+    expect(report.unconfiguredColumns).toEqual([])
+    expect(report.droppedColumns).toEqual([])
+    expect(report.typeChanges).toEqual([])
+  })
+
+  test('failOnDrift throws with the report', async () => {
+    const error = await detectSchemaDrift(adapter, null, { failOnDrift: true }).catch(caught => caught)
+
+    expect(error).toBeInstanceOf(SchemaDriftError)
+    expect(error.report.missingTables).toEqual(['archive'])
+  })
+})
+
+describe('schema drift at startup', () => {
+  let warn
+
+  beforeEach(() => {
+    warn = jest.spyOn(console, 'warn').mockImplementation(() => {})
+    jest.spyOn(console, 'log').mockImplementation(() => {})
+    jest.spyOn(console, 'error').mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  test('DSLServiceProvider warns on drift by default', async () => {
+    const provider = new DSLServiceProvider.DSLServiceProvider()
+    await provider.initialize(config, { type: 'sqlite', connection: { filename: ':memory:' } }, { schemaDrift: true })
+
+    try {
+      expect(provider.driftReport.missingTables).toEqual(['users', 'archive'])
+      expect(warn).toHaveBeenCalledWith(expect.stringContaining('Schema drift detected'))
+    } finally {
+      await provider.adapter.close()
+    }
+  })
+
+  test('failOnDrift stops startup', async () => {
+    const provider = new DSLServiceProvider.DSLServiceProvider()
+
+    await expect(provider.initialize(config, { type: 'sqlite', connection: { filename: ':memory:' } }, {
+      schemaDrift: { failOnDrift: true }
+    })).rejects.toThrow(SchemaDriftError)
+    expect(provider.initialized).toBe(false)
+  })
+})
@@ -0,0 +1,74 @@
+const { createConfig } = require('../index')
+const { createSqliteAdapter, readTable } = require('./helpers/sqlite')
+
+const config = createConfig({
+  roles: {
+    admin: { level: 100 },
+    user: { level: 10 },
+    billing: { level: 10 }
+  },
+  fields: {
+    'orders.*': { minRole: 'user' }
+  }
+})
+
+const statements = [
+  'CREATE TABLE orders (id INTEGER PRIMARY KEY, status TEXT)',
+  'CREATE TABLE audit_log (id INTEGER PRIMARY KEY, user_id TEXT, role TEXT, tenant_id TEXT)',
+  "INSERT INTO orders VALUES (1, 'new')"
+]
+
+const trigger = `CREATE TEMP TRIGGER orders_audit AFTER UPDATE ON main.orders BEGIN
+  INSERT INTO audit_log (user_id, role, tenant_id) VALUES (
+    (SELECT value FROM dsl_session WHERE key = 'app.user_id'),
+    (SELECT value FROM dsl_session WHERE key = 'app.role'),
+    (SELECT value FROM dsl_session WHERE key = 'app.tenant_id')
+  );
+END`
+
+describe('session context', () => {
+  let adapter
+
+  beforeEach(async () => {
+    adapter = await createSqliteAdapter(config, { sessionContext: true }, statements)
+    await adapter.connectionManager.createSessionTable()
+    await adapter.connectionManager.query(trigger, [])
+  })
+
+  afterEach(async () => {
+    await adapter.close()
+  })
+
+  test('a principal sets its id and roles', async () => {
+    await adapter.update('orders', { status: 'paid' }, { id: 1 }, { id: 42, roles: ['user', 'billing'] }, {
+      context: { tenantId: 3 }
+    })
+
+    expect(await readTable(adapter, 'audit_log')).toEqual([{ id: 1, user_id: '42', role: 'user,billing', tenant_id: '3' }])
+  })
+
+  test('context.user.id takes precedence over the principal id', async () => {
+    await adapter.update('orders', { status: 'paid' }, { id: 1 }, { id: 42, role: 'user' }, {
+      context: { user: { id: 7 } }
+    })
+
+    expect(await readTable(adapter, 'audit_log')).toEqual([{ id: 1, user_id: '7', role: 'user', tenant_id: null }])
+  })
+
+  test('plain roles set only the role', async () => {
+    await adapter.update('orders', { status: 'paid' }, { id: 1 }, 'admin')
+
+    expect(await readTable(adapter, 'audit_log')).toEqual([{ id: 1, user_id: null, role: 'admin', tenant_id: null }])
+  })
+
+  test('values are cleared after the statement', async () => {
+    await adapter.update('orders', { status: 'paid' }, { id: 1 }, { id: 42, roles: ['user'] })
+
+    const result = await adapter.connectionManager.query('SELECT key, value FROM temp.dsl_session', [])
+    expect(result.rows).toEqual([])
+  })
+
+  test('getSessionContext never writes an object', () => {
+    expect(adapter.getSessionContext({ id: 42, role: 'user' }, {})).toEqual({ 'app.role': 'user', 'app.user_id': '42' })
+  })
+})
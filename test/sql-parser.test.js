@@ -0,0 +1,87 @@
+const { createConfig, utils, FieldReferenceError, WriteDeniedError, TableAccessError } = require('../index')
+const { createSqliteAdapter } = require('./helpers/sqlite')
+
+const tablesOf = (sql, dialect) => utils.parseSql(sql, { dialect }).tables.map(({ name, schema, alias, operation }) => ({ name, schema, alias, operation }))
+
+describe('parseSql', () => {
+  test('finds quoted, schema-qualified and comma-joined tables', () => {
+    expect(tablesOf('SELECT u.id FROM "users" u, public.orders AS o JOIN items i ON i.order_id = o.id')).toEqual([
+      { name: 'users', schema: null, alias: 'u', operation: 'SELECT' },
+      { name: 'orders', schema: 'public', alias: 'o', operation: 'SELECT' },
+      { name: 'items', schema: null, alias: 'i', operation: 'SELECT' }
+    ])
+    expect(tablesOf('SELECT i.id FROM `shop`.`items` i', 'mysql')).toEqual([
+      { name: 'items', schema: 'shop', alias: 'i', operation: 'SELECT' }
+    ])
+  })
+
+  test('gives each table the operation applied to it', () => {
+    expect(tablesOf('DELETE FROM [logs] WHERE id IN (SELECT id FROM archive)', 'sqlite')).toEqual([
+      { name: 'logs', schema: null, alias: null, operation: 'DELETE' },
+      { name: 'archive', schema: null, alias: null, operation: 'SELECT' }
+    ])
+    expect(tablesOf('INSERT INTO audit (a) SELECT name FROM users').map(table => table.operation)).toEqual(['INSERT', 'SELECT'])
+    expect(tablesOf('UPDATE users SET name = o.name FROM orders o WHERE o.user_id = users.id').map(table => table.operation))
+      .toEqual(['UPDATE', 'SELECT'])
+  })
+
+  test('resolves CTE names and ignores strings and comments', () => {
+    expect(tablesOf('WITH recent AS (SELECT id FROM orders) SELECT * FROM recent').map(table => table.name)).toEqual(['orders'])
+    expect(tablesOf("SELECT 'FROM secrets' AS s -- JOIN hidden\nFROM users /* UPDATE payroll */").map(table => table.name))
+      .toEqual(['users'])
+  })
+
+  test('collects columns and the clauses using them', () => {
+    const analysis = utils.parseSql('UPDATE public.users SET name = $1 WHERE id = $2')
+
+    expect(analysis.operation).toBe('UPDATE')
+    expect(analysis.tables[0].columns).toEqual(['name'])
+    expect(analysis.references).toEqual([expect.objectContaining({ table: 'users', column: 'id', clause: 'WHERE' })])
+  })
+})
+
+describe('raw query validation', () => {
+  let adapter
+
+  beforeEach(async () => {
+    adapter = await createSqliteAdapter(createConfig({
+      roles: { admin: { level: 100 }, user: { level: 10 } },
+      fields: {
+        'users.*': { minRole: 'user' },
+        'users.salary': { minRole: 'admin' },
+        'audit_log.*': { minRole: 'admin' }
+      },
+      database: {
+        tables: {
+          users: { minRole: 'user' },
+          audit_log: { minRole: 'admin' }
+        }
+      }
+    }), {}, [
+      'CREATE TABLE users (id INTEGER PRIMARY KEY, name TEXT, salary INTEGER)',
+      'CREATE TABLE audit_log (id INTEGER PRIMARY KEY, user_id INTEGER)',
+      "INSERT INTO users VALUES (1, 'Ann', 100)"
+    ])
+  })
+
+  afterEach(async () => {
+    await adapter.close()
+  })
+
+  test('every referenced table is checked', async () => {
+    await expect(adapter.query('SELECT u.name FROM users u, audit_log a WHERE a.user_id = u.id', [], 'user'))
+      .rejects.toThrow(/audit_log/)
+    await expect(adapter.query('WITH x AS (SELECT user_id FROM "audit_log") SELECT name FROM users', [], 'user'))
+      .rejects.toThrow(TableAccessError)
+    await expect(adapter.query('INSERT INTO audit_log (user_id) SELECT id FROM users', [], 'user'))
+      .rejects.toThrow(/audit_log/)
+  })
+
+  test('columns in conditions and writes are checked', async () => {
+    await expect(adapter.query('SELECT name FROM users WHERE salary > ?', [1], 'user')).rejects.toThrow(FieldReferenceError)
+    await expect(adapter.query('UPDATE users SET salary = ? WHERE id = ?', [1, 1], 'user')).rejects.toThrow(WriteDeniedError)
+
+    const result = await adapter.query('SELECT name FROM users WHERE id = ?', [1], 'user')
+    expect(result.rows).toEqual([{ name: 'Ann' }])
+  })
+})
@@ -0,0 +1,99 @@
+const { createConfig, AccessDeniedError, FieldReferenceError, WriteDeniedError, TableAccessError } = require('../index')
+const { createSqliteAdapter, readTable } = require('./helpers/sqlite')
+
+const config = createConfig({
+  roles: {
+    admin: { level: 100 },
+    user: { level: 10 }
+  },
+  fields: {
+    'users.email': { minRole: 'user', update: 'user' },
+    'users.salary': { minRole: 'admin' }
+  },
+  database: {
+    tables: {
+      users: { minRole: 'user' },
+      secrets: { minRole: 'admin' }
+    }
+  }
+})
+
+const statements = [
+  'CREATE TABLE users (id INTEGER PRIMARY KEY, email TEXT, salary INTEGER)',
+  'CREATE TABLE secrets (id INTEGER PRIMARY KEY, value TEXT)',
+  "INSERT INTO users VALUES (1, 'a@example.com', 100)",
+  "INSERT INTO secrets VALUES (1, 'hidden')"
+]
+
+// The sqlite3 driver has no authorizer hook, so raw SQL is checked by the adapter
+describe('raw SQL on SQLite', () => {
+  let adapter
+
+  beforeEach(async () => {
+    adapter = await createSqliteAdapter(config, {}, statements)
+  })
+
+  afterEach(async () => {
+    await adapter.close()
+  })
+
+  test.each([
+    ['an alias', 'SELECT salary AS pay FROM users'],
+    ['an expression', 'SELECT salary * 2 FROM users'],
+    ['a subquery', 'SELECT email FROM users WHERE id IN (SELECT id FROM users WHERE salary > 50)'],
+    ['a CTE', 'WITH pay AS (SELECT salary FROM users) SELECT * FROM pay']
+  ])('refuses a hidden column read through %s', async (_, sql) => {
+    const error = await adapter.query(sql, [], 'user').catch(caught => caught)
+
+    expect(error).toBeInstanceOf(FieldReferenceError)
+    expect(error).toBeInstanceOf(AccessDeniedError)
+    expect(error.field).toBe('users.salary')
+  })
+
+  test('refuses writes to columns the role cannot write', async () => {
+    const error = await adapter.query('UPDATE users SET salary = 0 WHERE id = 1', [], 'user').catch(caught => caught)
+
+    expect(error).toBeInstanceOf(WriteDeniedError)
+    expect(error.refused).toEqual([expect.objectContaining({ fieldName: 'users.salary' })])
+    expect((await readTable(adapter, 'users'))[0].salary).toBe(100)
+  })
+
+  test('refuses tables the role cannot access', async () => {
+    const error = await adapter.query('SELECT value FROM secrets', [], 'user').catch(caught => caught)
+
+    expect(error).toBeInstanceOf(TableAccessError)
+    expect(error).toBeInstanceOf(AccessDeniedError)
+    expect(error).toMatchObject({ code: 'TABLE_ACCESS_DENIED', table: 'secrets', operation: 'SELECT', reason: 'insufficient_role' })
+    expect(error.message).toContain('Insufficient permissions for table secrets')
+  })
+
+  test('refuses writes to tables the role cannot access', async () => {
+    const error = await adapter.query('DELETE FROM secrets WHERE id IN (SELECT id FROM users)', [], 'user').catch(caught => caught)
+
+    expect(error).toBeInstanceOf(TableAccessError)
+    expect(error).toMatchObject({ table: 'secrets', operation: 'DELETE' })
+    expect(await readTable(adapter, 'secrets')).toHaveLength(1)
+  })
+
+  test('refuses unknown tables with denyUnknownTables', async () => {
+    const strict = await createSqliteAdapter(createConfig({ ...config, database: { ...config.database, denyUnknownTables: true } }), {}, [
+      ...statements,
+      'CREATE TABLE notes (id INTEGER PRIMARY KEY)'
+    ])
+
+    const error = await strict.query('SELECT id FROM notes', [], 'user').catch(caught => caught)
+    expect(error).toBeInstanceOf(TableAccessError)
+    expect(error).toMatchObject({ table: 'notes', reason: 'unknown_table' })
+
+    await strict.close()
+  })
+
+  test('nothing below the adapter refuses SQL once its checks are off', async () => {
+    const unchecked = await createSqliteAdapter(config, { validateTableAccess: false, autoFilter: false }, statements)
+
+    const result = await unchecked.query('SELECT value FROM secrets', [], 'user')
+    expect(result.rows).toEqual([{ value: 'hidden' }])
+
+    await unchecked.close()
+  })
+})
@@ -0,0 +1,79 @@
+const { DSLEngine, createConfig, QueryBuilder, ConfigurationError } = require('../index')
+const { DatabaseError } = require('../lib/core/DSLErrors')
+const FieldMapper = require('../lib/utils/FieldMapper')
+const { createSqliteAdapter } = require('./helpers/sqlite')
+
+const config = createConfig({
+  roles: { admin: { level: 100 }, user: { level: 10 } },
+  fields: {
+    'users.*': { minRole: 'user' },
+    'products.*': { minRole: 'user' }
+  },
+  database: {
+    tables: {
+      users: { minRole: 'user', fields: { name: 'full_name' } },
+      products: { minRole: 'user', fields: { name: 'title' } }
+    }
+  }
+})
+
+const schema = [
+  'CREATE TABLE users (id INTEGER PRIMARY KEY, full_name TEXT, product_id INTEGER, created_at TEXT)',
+  'CREATE TABLE products (id INTEGER PRIMARY KEY, title TEXT, unit_price INTEGER)',
+  "INSERT INTO users VALUES (1, 'Ann', 1, '2024-01-01')",
+  "INSERT INTO products VALUES (1, 'Lamp', 25)"
+]
+
+describe('per-table field mappings', () => {
+  const mapper = new FieldMapper({ zip: 'postal_code' }, { tables: FieldMapper.getTableMappings(config) })
+  const builder = () => new QueryBuilder(new DSLEngine(config), 'user', { dialect: 'sqlite', fieldMapper: mapper })
+
+  test('the same name maps to a different column per table', () => {
+    expect(builder().select(['id', 'name']).from('users').where({ name: 'a' }).build())
+      .toEqual({ sql: 'SELECT id, full_name FROM "users" WHERE "full_name" = ?', params: ['a'] })
+    expect(builder().select(['name']).from('products').build().sql).toBe('SELECT title FROM "products"')
+  })
+
+  test('global mappings remain the fallback', () => {
+    expect(builder().select(['zip']).from('users').build().sql).toBe('SELECT postal_code FROM "users"')
+    expect(mapper.toDatabase('name')).toBe('name')
+  })
+
+  test('names are mapped back per table', () => {
+    expect(mapper.mapToSemantic({ full_name: 'Ann' }, 'users')).toEqual({ name: 'Ann' })
+    expect(mapper.mapToSemantic({ title: 'Lamp' }, 'products')).toEqual({ name: 'Lamp' })
+  })
+
+  test('table mappings must name plain columns', () => {
+    expect(() => createConfig({
+      roles: { user: { level: 10 } },
+      database: { tables: { users: { fields: { name: 'full_name; DROP TABLE users' } } } }
+    })).toThrow(ConfigurationError)
+  })
+})
+
+describe('table mappings in the adapters', () => {
+  test('select uses the mappings and maps results back', async () => {
+    const adapter = await createSqliteAdapter(config, { mapResults: true }, schema)
+
+    try {
+      expect(await adapter.select('users', 'user', { fields: ['id', 'name'] })).toEqual([{ id: 1, name: 'Ann' }])
+      expect(await adapter.select('products', 'user', { fields: ['name'] })).toEqual([{ name: 'Lamp' }])
+    } finally {
+      await adapter.close()
+    }
+  })
+
+  test('introspected columns reject unknown names before the query is sent', async () => {
+    const adapter = await createSqliteAdapter(config, { introspectColumns: true }, schema)
+
+    try {
+      expect(await adapter.loadColumnMappings()).toEqual(['users', 'products'])
+      expect(await adapter.select('products', 'user', { fields: ['unitPrice'] })).toEqual([{ unit_price: 25 }])
+      await expect(adapter.select('users', 'user', { fields: ['nickname'] })).rejects.toThrow(DatabaseError)
+      await expect(adapter.select('users', 'user', { fields: ['nickname'] })).rejects.toThrow(/Unknown column: users.nickname/)
+    } finally {
+      await adapter.close()
+    }
+  })
+})
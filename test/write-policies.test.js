@@ -0,0 +1,134 @@
+const { DSLEngine, createConfig, ExpressAdapter, WriteDeniedError, AccessDeniedError } = require('../index')
+const { createSqliteAdapter, readTable } = require('./helpers/sqlite')
+const { createRequest, runMiddleware } = require('./helpers/express')
+
+const config = createConfig({
+  roles: {
+    admin: { level: 100 },
+    user: { level: 10 }
+  },
+  fields: {
+    'profiles.name': { minRole: 'user' },
+    'profiles.bio': { minRole: 'user' },
+    'profiles.role': { minRole: 'admin' },
+    'profiles.id': { minRole: 'user' }
+  },
+  database: {
+    tables: {
+      profiles: { minRole: 'user' },
+      locked: { minRole: 'user', writePolicy: 'reject' }
+    }
+  }
+})
+
+const body = { name: 'Ann', role: 'admin' }
+
+describe('validateWrite', () => {
+  test('strip drops refused fields and reports them', () => {
+    const dsl = new DSLEngine(config)
+    const report = dsl.validateWrite(body, 'user', { table: 'profiles' })
+
+    expect(report).toMatchObject({ allowed: false, mode: 'strip', data: { name: 'Ann' }, accepted: ['name'] })
+    expect(report.refused).toEqual([
+      expect.objectContaining({ field: 'role', reason: 'insufficient_role', requires: 'admin' })
+    ])
+  })
+
+  test('reject throws a WriteDeniedError with the refused fields', () => {
+    const dsl = new DSLEngine(config)
+
+    let error
+    try {
+      dsl.validateWrite(body, 'user', { table: 'profiles', mode: 'reject' })
+    } catch (caught) {
+      error = caught
+    }
+
+    expect(error).toBeInstanceOf(WriteDeniedError)
+    expect(error).toBeInstanceOf(AccessDeniedError)
+    expect(error.refused.map(entry => entry.field)).toEqual(['role'])
+  })
+
+  test('log strips and calls the logger', () => {
+    const dsl = new DSLEngine(config)
+    const logger = jest.fn()
+    const report = dsl.validateWrite(body, 'user', { table: 'profiles', mode: 'log', logger })
+
+    expect(report.data).toEqual({ name: 'Ann' })
+    expect(logger).toHaveBeenCalledTimes(1)
+    expect(logger.mock.calls[0][1].refused).toEqual([{ field: 'role', reason: 'insufficient_role' }])
+  })
+
+  test('allowed writes pass unchanged', () => {
+    const dsl = new DSLEngine(config)
+    const report = dsl.validateWrite(body, 'admin', { table: 'profiles', mode: 'reject' })
+
+    expect(report).toMatchObject({ allowed: true, data: body, refused: [] })
+  })
+
+  test('tables can set their write policy', () => {
+    const dsl = new DSLEngine(config)
+
+    expect(dsl.getWritePolicy('locked')).toBe('reject')
+    expect(dsl.getWritePolicy('profiles')).toBe('strip')
+    expect(() => dsl.getWritePolicy('profiles', 'ignore')).toThrow(/Unknown write policy/)
+  })
+})
+
+describe('write policies in the database adapters', () => {
+  let adapter
+
+  beforeEach(async () => {
+    adapter = await createSqliteAdapter(config, {}, [
+      'CREATE TABLE profiles (id INTEGER PRIMARY KEY, name TEXT, bio TEXT, role TEXT)',
+      "INSERT INTO profiles VALUES (1, 'Ann', '', 'user')"
+    ])
+  })
+
+  afterEach(async () => {
+    await adapter.close()
+  })
+
+  test('update strips refused fields and returns the report', async () => {
+    const result = await adapter.update('profiles', { bio: 'hi', role: 'admin' }, { id: 1 }, 'user')
+
+    expect(result.writeReport.refused.map(entry => entry.field)).toEqual(['role'])
+    expect(await readTable(adapter, 'profiles')).toEqual([{ id: 1, name: 'Ann', bio: 'hi', role: 'user' }])
+  })
+
+  test('update under reject writes nothing', async () => {
+    await expect(adapter.update('profiles', { bio: 'hi', role: 'admin' }, { id: 1 }, 'user', { writePolicy: 'reject' }))
+      .rejects.toThrow(WriteDeniedError)
+
+    expect((await readTable(adapter, 'profiles'))[0]).toMatchObject({ bio: '', role: 'user' })
+  })
+
+  test('query builder values report refused fields', () => {
+    const qb = adapter.createQueryBuilder('user').insert('profiles').values({ id: 2, name: 'Bob', role: 'admin' })
+
+    expect(qb.query.values).toEqual({ id: 2, name: 'Bob' })
+    expect(qb.writeReport.refused.map(entry => entry.field)).toEqual(['role'])
+  })
+})
+
+describe('ExpressAdapter.validateBody', () => {
+  const dsl = new DSLEngine(config)
+
+  test('strips refused fields from the body', async () => {
+    const req = createRequest({ method: 'PATCH', user: { role: 'user' }, body: { ...body } })
+    const { nextCalled } = await runMiddleware(ExpressAdapter.validateBody(dsl, { table: 'profiles' }), req)
+
+    expect(nextCalled).toBe(true)
+    expect(req.body).toEqual({ name: 'Ann' })
+    expect(req.writeReport.operation).toBe('UPDATE')
+  })
+
+  test('rejects with 403 and the refused fields', async () => {
+    const req = createRequest({ method: 'POST', user: { role: 'user' }, body: { ...body } })
+    const { nextCalled, res } = await runMiddleware(ExpressAdapter.validateBody(dsl, { table: 'profiles', mode: 'reject' }), req)
+
+    expect(nextCalled).toBe(false)
+    expect(res.statusCode).toBe(403)
+    expect(res.body.refused).toEqual([{ field: 'role', reason: 'insufficient_role' }])
+  })
+})